@@ -0,0 +1,108 @@
+// Batch fetches: several post links in one request (POST /api/fetch-batch)
+// Links are canonicalized, grouped by post key (the same post pasted twice is fetched once) and
+// processed a few at a time. Results are streamed as they finish, one event per post, either as
+// NDJSON (one JSON object per line) or as Server-Sent Events.
+
+const { createProblem } = require('./errors');
+
+const MAX_BATCH_URLS = parseInt(process.env.BATCH_MAX_URLS || '20', 10);
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY || '2', 10);
+
+// Read the links of a batch request body: { urls: [...] }
+// Blank entries are dropped; throws a 400 problem (see lib/errors.js) for anything else
+function parseBatchUrls(body, maxUrls = MAX_BATCH_URLS) {
+    const urls = body?.urls;
+    if (!Array.isArray(urls)) {
+        throw createProblem('URLS_REQUIRED');
+    }
+    if (urls.some(url => typeof url !== 'string')) {
+        throw createProblem('INVALID_URLS');
+    }
+
+    const trimmed = urls.map(url => url.trim()).filter(Boolean);
+    if (trimmed.length === 0) {
+        throw createProblem('URLS_REQUIRED', { detail: 'Please provide at least one post URL' });
+    }
+    if (trimmed.length > maxUrls) {
+        throw createProblem('TOO_MANY_URLS', { detail: `A batch can have at most ${maxUrls} URLs` });
+    }
+    return trimmed;
+}
+
+// Group resolved links by post key: [{ index, url, key }] -> [{ key, url, indexes }]
+// The first link of a post is the one fetched; indexes lists every position it was pasted at
+// Links without a key (short links the provider resolves while fetching) are grouped by their
+// canonical URL, so two different short links are never merged into one post
+function groupByKey(entries) {
+    const groups = new Map();
+    for (const entry of entries) {
+        const groupKey = entry.key ?? entry.url;
+        const group = groups.get(groupKey);
+        if (group) {
+            group.indexes.push(entry.index);
+        } else {
+            groups.set(groupKey, { key: entry.key, url: entry.url, indexes: [entry.index] });
+        }
+    }
+    return [...groups.values()];
+}
+
+// Run fn(item, i) over items with at most `concurrency` calls in flight
+// Resolves once every started call has settled (fn is expected to handle its own errors).
+// isCancelled() is checked before each start, so a closed connection stops the rest.
+async function mapWithConcurrency(items, concurrency, fn, isCancelled = () => false) {
+    let nextIndex = 0;
+
+    async function worker() {
+        while (nextIndex < items.length && !isCancelled()) {
+            const i = nextIndex++;
+            await fn(items[i], i);
+        }
+    }
+
+    const workers = Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, worker);
+    await Promise.all(workers);
+}
+
+// Helper function to pick the stream format: SSE when asked for it, NDJSON otherwise
+function getStreamFormat(accept = '') {
+    return /text\/event-stream/i.test(accept) ? 'sse' : 'ndjson';
+}
+
+// Start a streamed response and return send(type, data) / end()
+// NDJSON lines are { type, ...data }; SSE events are named after the type with the same JSON as data
+function createEventStream(res, format) {
+    res.writeHead(200, {
+        'Content-Type': format === 'sse' ? 'text/event-stream' : 'application/x-ndjson; charset=utf-8',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Disable proxy buffering
+    });
+
+    // Keep the connection alive through proxies while Puppeteer works
+    const heartbeat = setInterval(() => res.write(format === 'sse' ? ': ping\n\n' : '\n'), 15000);
+
+    function send(type, data = {}) {
+        if (res.writableEnded) return;
+        const json = JSON.stringify({ type, ...data });
+        res.write(format === 'sse' ? `event: ${type}\ndata: ${json}\n\n` : `${json}\n`);
+    }
+
+    function end() {
+        clearInterval(heartbeat);
+        if (!res.writableEnded) res.end();
+    }
+
+    res.on('close', () => clearInterval(heartbeat));
+    return { send, end };
+}
+
+module.exports = {
+    MAX_BATCH_URLS,
+    BATCH_CONCURRENCY,
+    parseBatchUrls,
+    groupByKey,
+    mapWithConcurrency,
+    getStreamFormat,
+    createEventStream
+};
@@ -0,0 +1,254 @@
+// Shared Chromium for Puppeteer extraction
+// Keeps one warm browser, hands out a bounded number of pages, recycles pages after N uses,
+// relaunches after a crash and closes the browser when it has been idle for a while.
+const puppeteer = require('puppeteer');
+const { logger } = require('./logger');
+const { metrics } = require('./metrics');
+const { createProblem } = require('./errors');
+
+// Puppeteer args optimized for Railway and containerized environments
+// No --single-process here: it is unstable with several pages open in one browser
+const PUPPETEER_ARGS = [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-gpu',
+    '--disable-web-security',
+    '--disable-software-rasterizer',
+    '--disable-extensions',
+    '--disable-background-networking',
+    '--disable-background-timer-throttling',
+    '--disable-backgrounding-occluded-windows',
+    '--disable-component-extensions-with-background-page',
+    '--disable-default-apps',
+    '--disable-features=TranslateUI',
+    '--disable-ipc-flooding-protection',
+    '--disable-renderer-backgrounding',
+    '--disable-sync',
+    '--metrics-recording-only',
+    '--no-first-run',
+    '--no-default-browser-check',
+    '--no-pings',
+    '--no-zygote',
+    '--use-gl=swiftshader',
+    '--window-size=1920,1080',
+    '--no-crash-upload' // Disable crash reporting
+];
+
+const USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+// Create a pool
+// options.maxPages      - pages open at the same time; further requests wait in a queue
+// options.maxPageUses   - navigations before a page is closed and replaced
+// options.idleTimeoutMs - close the browser after this long without work (0 keeps it open)
+// options.launch        - launch function (defaults to puppeteer.launch)
+function createBrowserPool(options = {}) {
+    const maxPages = options.maxPages || 2;
+    const maxPageUses = options.maxPageUses || 20;
+    const idleTimeoutMs = options.idleTimeoutMs ?? 5 * 60 * 1000;
+    const launch = options.launch || ((launchOptions) => puppeteer.launch(launchOptions));
+
+    let browser = null;
+    let launching = null;
+    let shuttingDown = false;
+    let idleTimer = null;
+    let activePages = 0;
+    const idlePages = []; // { page, uses }
+    const waiting = [];
+    const stats = { launches: 0, crashes: 0, pagesCreated: 0, pagesRecycled: 0, tasks: 0, failures: 0 };
+
+    async function getBrowser() {
+        if (browser) return browser;
+        if (launching) return launching;
+
+        launching = (async () => {
+            logger.info('[BROWSER] Launching Chromium...');
+            let instance;
+            try {
+                instance = await launch({
+                    headless: true,
+                    executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || '/usr/bin/chromium',
+                    args: PUPPETEER_ARGS,
+                    ignoreDefaultArgs: ['--disable-extensions', '--enable-automation', '--enable-blink-features=IdleDetection'],
+                    ignoreHTTPSErrors: true,
+                    dumpio: false // Disable dumping IO to stdout/stderr
+                });
+            } catch (e) {
+                metrics.puppeteerLaunches.inc({ outcome: 'failure' });
+                logger.error('[BROWSER] Chromium failed to launch:', e.message);
+                throw createProblem('BROWSER_UNAVAILABLE', { detail: 'Chromium could not be started', cause: e });
+            }
+            stats.launches++;
+            metrics.puppeteerLaunches.inc({ outcome: 'success' });
+
+            // Crash or external kill: forget the browser so the next task relaunches it
+            // (closeBrowser clears `browser` first, so deliberate closes are not counted)
+            instance.on('disconnected', () => {
+                if (browser !== instance) return;
+                stats.crashes++;
+                logger.error('[BROWSER] Chromium disconnected unexpectedly, will relaunch on next request');
+                browser = null;
+                idlePages.length = 0;
+            });
+
+            browser = instance;
+            return instance;
+        })();
+
+        try {
+            return await launching;
+        } finally {
+            launching = null;
+        }
+    }
+
+    // Wait for a free page slot
+    function acquireSlot() {
+        if (activePages < maxPages) {
+            activePages++;
+            return Promise.resolve();
+        }
+        return new Promise(resolve => waiting.push(resolve));
+    }
+
+    function releaseSlot() {
+        const next = waiting.shift();
+        if (next) {
+            next(); // Hand the slot over directly
+        } else {
+            activePages--;
+            scheduleIdleClose();
+        }
+    }
+
+    function scheduleIdleClose() {
+        clearTimeout(idleTimer);
+        if (!idleTimeoutMs || activePages > 0) return;
+
+        idleTimer = setTimeout(() => {
+            if (activePages === 0 && browser) {
+                logger.info('[BROWSER] Idle, closing Chromium to free memory');
+                closeBrowser();
+            }
+        }, idleTimeoutMs);
+        idleTimer.unref();
+    }
+
+    async function closeBrowser() {
+        const instance = browser;
+        browser = null;
+        idlePages.length = 0;
+        if (!instance) return;
+
+        try {
+            await instance.close();
+        } catch (e) {
+            logger.error('[BROWSER] Error closing Chromium:', e.message);
+        }
+    }
+
+    async function takePage() {
+        if (shuttingDown) {
+            throw createProblem('BROWSER_UNAVAILABLE', { detail: 'Browser pool is shutting down' });
+        }
+        const instance = await getBrowser();
+
+        while (idlePages.length > 0) {
+            const entry = idlePages.pop();
+            if (!entry.page.isClosed()) return entry;
+        }
+
+        const page = await instance.newPage();
+        await page.setViewport({ width: 1920, height: 1080 });
+        await page.setUserAgent(USER_AGENT);
+        stats.pagesCreated++;
+        return { page, uses: 0 };
+    }
+
+    // Reset a page and put it back in the pool, or close it once it has been used enough
+    async function returnPage(entry, healthy) {
+        entry.uses++;
+        const { page } = entry;
+
+        if (!healthy || entry.uses >= maxPageUses || !browser || page.isClosed()) {
+            stats.pagesRecycled++;
+            await page.close().catch(() => {});
+            return;
+        }
+
+        try {
+            page.removeAllListeners('request');
+            page.removeAllListeners('response');
+            await page.setRequestInterception(false);
+            await page.goto('about:blank');
+            idlePages.push(entry);
+        } catch (e) {
+            stats.pagesRecycled++;
+            await page.close().catch(() => {});
+        }
+    }
+
+    // Run task(page) on a pooled page. The page is reset afterwards - don't keep references to it.
+    async function withPage(task) {
+        if (shuttingDown) {
+            throw createProblem('BROWSER_UNAVAILABLE', { detail: 'Browser pool is shutting down' });
+        }
+
+        clearTimeout(idleTimer);
+        await acquireSlot();
+        stats.tasks++;
+
+        let entry = null;
+        let healthy = false;
+        try {
+            entry = await takePage();
+            const result = await task(entry.page);
+            healthy = true;
+            return result;
+        } catch (error) {
+            stats.failures++;
+            throw error;
+        } finally {
+            if (entry) {
+                await returnPage(entry, healthy);
+            }
+            releaseSlot();
+        }
+    }
+
+    // Close everything (SIGTERM). Tasks still queued will fail instead of relaunching the browser.
+    async function shutdown() {
+        clearTimeout(idleTimer);
+        shuttingDown = true;
+        if (launching) {
+            await launching.catch(() => {});
+        }
+        await closeBrowser();
+    }
+
+    function getState() {
+        return {
+            status: shuttingDown ? 'shutdown' : browser ? 'ready' : launching ? 'launching' : 'stopped',
+            activePages,
+            idlePages: idlePages.length,
+            queued: waiting.length,
+            maxPages,
+            maxPageUses,
+            ...stats
+        };
+    }
+
+    return { withPage, shutdown, getState };
+}
+
+// Pool configured from the environment, shared by the extractors
+const browserPool = createBrowserPool({
+    maxPages: parseInt(process.env.BROWSER_MAX_PAGES || '2', 10),
+    maxPageUses: parseInt(process.env.BROWSER_MAX_PAGE_USES || '20', 10),
+    idleTimeoutMs: parseInt(process.env.BROWSER_IDLE_TIMEOUT_SECONDS || '300', 10) * 1000
+});
+
+module.exports = {
+    createBrowserPool,
+    browserPool
+};
@@ -0,0 +1,177 @@
+// Result cache for /api/fetch-content, keyed by post shortcode
+// In-memory LRU, optionally backed by a JSON-file store on disk so entries survive restarts.
+// Entries expire at the configured TTL or shortly before the signed CDN URLs die (oe= param),
+// whichever comes first.
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// Refresh this long before the CDN signature expires so clients never get a dead URL
+const EXPIRY_SAFETY_MARGIN_MS = 10 * 60 * 1000;
+
+// Helper function to get the shortcode from a post URL (/p/, /reel/, /tv/)
+function extractShortcode(url) {
+    return url?.match(/\/(p|reel|tv)\/([\w-]+)/)?.[2] || null;
+}
+
+// Helper function to read the expiry of a signed Instagram CDN URL
+// The oe= param is the expiry as a hex unix timestamp (seconds). Returns ms, or null.
+function getUrlExpiry(url) {
+    const match = url?.match(/[?&]oe=([0-9a-fA-F]+)/);
+    if (!match) return null;
+
+    const seconds = parseInt(match[1], 16);
+    return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : null;
+}
+
+// Helper function to find the earliest CDN expiry among all URLs of a post
+function getPostExpiry(postData) {
+    const urls = [postData?.mediaUrl, postData?.thumbnailUrl];
+    for (const item of postData?.items || []) {
+        urls.push(item.mediaUrl, item.thumbnailUrl);
+    }
+
+    const expiries = urls.map(getUrlExpiry).filter(Boolean);
+    return expiries.length > 0 ? Math.min(...expiries) : null;
+}
+
+// Create a cache
+// options.maxEntries - in-memory LRU size
+// options.ttlMs      - maximum lifetime of an entry (0 disables the cache)
+// options.dir        - optional directory for the on-disk store
+function createResultCache(options = {}) {
+    const maxEntries = options.maxEntries ?? 500;
+    const ttlMs = options.ttlMs ?? 60 * 60 * 1000;
+    const dir = options.dir || null;
+    const enabled = ttlMs > 0;
+
+    const entries = new Map();
+    const stats = { hits: 0, misses: 0, diskHits: 0, sets: 0, evictions: 0 };
+
+    if (enabled && dir && !fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    function diskPath(key) {
+        return path.join(dir, `${encodeURIComponent(key)}.json`);
+    }
+
+    function remember(key, entry) {
+        entries.delete(key);
+        entries.set(key, entry);
+
+        // Evict least recently used entries (Map keeps insertion order)
+        while (entries.size > maxEntries) {
+            entries.delete(entries.keys().next().value);
+            stats.evictions++;
+        }
+    }
+
+    function readFromDisk(key) {
+        if (!dir) return null;
+        try {
+            return JSON.parse(fs.readFileSync(diskPath(key), 'utf8'));
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function removeFromDisk(key) {
+        if (!dir) return;
+        fs.unlink(diskPath(key), () => {});
+    }
+
+    // Returns { value, expiresAt } or null
+    function get(key) {
+        if (!enabled || !key) return null;
+
+        let entry = entries.get(key);
+        let fromDisk = false;
+        if (!entry) {
+            entry = readFromDisk(key);
+            fromDisk = !!entry;
+        }
+
+        if (!entry || entry.expiresAt <= Date.now()) {
+            if (entry) {
+                entries.delete(key);
+                removeFromDisk(key);
+            }
+            stats.misses++;
+            return null;
+        }
+
+        stats.hits++;
+        if (fromDisk) stats.diskHits++;
+        remember(key, entry);
+        return entry;
+    }
+
+    function set(key, value) {
+        if (!enabled || !key || !value) return null;
+
+        // Never outlive the signed CDN URLs
+        let expiresAt = Date.now() + ttlMs;
+        const cdnExpiry = getPostExpiry(value);
+        if (cdnExpiry) {
+            expiresAt = Math.min(expiresAt, cdnExpiry - EXPIRY_SAFETY_MARGIN_MS);
+        }
+        if (expiresAt <= Date.now()) return null;
+
+        const entry = { value, expiresAt };
+        remember(key, entry);
+        stats.sets++;
+
+        if (dir) {
+            // Write-then-rename so a crash never leaves a half-written entry
+            const target = diskPath(key);
+            const tmp = `${target}.${process.pid}.tmp`;
+            fs.writeFile(tmp, JSON.stringify(entry), (err) => {
+                if (err) {
+                    logger.error('[CACHE] Could not persist entry:', err.message);
+                    return;
+                }
+                fs.rename(tmp, target, (renameErr) => {
+                    if (renameErr) logger.error('[CACHE] Could not persist entry:', renameErr.message);
+                });
+            });
+        }
+
+        return entry;
+    }
+
+    function remove(key) {
+        entries.delete(key);
+        removeFromDisk(key);
+    }
+
+    function getStats() {
+        const lookups = stats.hits + stats.misses;
+        return {
+            enabled,
+            persistent: !!dir,
+            entries: entries.size,
+            maxEntries,
+            ttlSeconds: Math.round(ttlMs / 1000),
+            ...stats,
+            hitRate: lookups > 0 ? Number((stats.hits / lookups).toFixed(3)) : null
+        };
+    }
+
+    return { get, set, remove, getStats };
+}
+
+// Cache configured from the environment, shared by the routes
+const resultCache = createResultCache({
+    maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES || '500', 10),
+    ttlMs: parseInt(process.env.CACHE_TTL_SECONDS || '3600', 10) * 1000,
+    dir: process.env.CACHE_DIR || null
+});
+
+module.exports = {
+    extractShortcode,
+    getUrlExpiry,
+    getPostExpiry,
+    createResultCache,
+    resultCache
+};
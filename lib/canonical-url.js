@@ -0,0 +1,133 @@
+// URL canonicalization: every pasted link becomes one canonical page URL before extraction
+// Unwraps redirector links (l.instagram.com/?u=...), drops tracking params and fragments,
+// lets the provider rewrite aliases (instagr.am, /<user>/p/<code>) and follows short-link
+// redirects one hop at a time, staying on provider hosts. The canonical URL is what the routes
+// validate, what cache keys come from and what the merged-video hash is computed from.
+const { safeFetch } = require('./safe-fetch');
+const { PROVIDERS, findProvider, findProviderByHost } = require('./providers');
+const { logger } = require('./logger');
+const { createProblem } = require('./errors');
+
+// Query params that only identify who shared what
+const TRACKING_PARAMS = new Set([
+    'igsh', 'igshid', 'ig_rid', 'ig_mid', 'img_index', 'fbclid', 'gclid', 'si',
+    '_r', '_t', 'is_from_webapp', 'sender_device', 'is_copy_url', 'web_id', 'refer', 'referer_url'
+]);
+const TRACKING_PREFIXES = ['utm_', 'share_'];
+
+// Redirector hosts and the param that holds the real link
+const WRAPPERS = {
+    'l.instagram.com': 'u',
+    'l.facebook.com': 'u',
+    'lm.facebook.com': 'u'
+};
+
+const MAX_HOPS = 5;
+
+function parseHttpUrl(url) {
+    try {
+        const parsed = new URL(String(url).trim());
+        return parsed.protocol === 'https:' || parsed.protocol === 'http:' ? parsed : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Helper function to canonicalize a URL without network access
+// Returns the URL string, or null if it isn't an http(s) URL of a supported platform
+function cleanUrl(url, depth = 0) {
+    const parsed = parseHttpUrl(url);
+    if (!parsed || depth > MAX_HOPS) return null;
+
+    parsed.hostname = parsed.hostname.toLowerCase();
+
+    // Redirector wrappers: the real link is in a query param
+    const wrapperParam = WRAPPERS[parsed.hostname];
+    if (wrapperParam) {
+        const inner = parsed.searchParams.get(wrapperParam);
+        return inner ? cleanUrl(inner, depth + 1) : null;
+    }
+
+    const provider = findProviderByHost(parsed.hostname);
+    if (!provider) return null;
+
+    parsed.protocol = 'https:';
+    parsed.port = '';
+    parsed.hash = '';
+    for (const name of [...parsed.searchParams.keys()]) {
+        if (TRACKING_PARAMS.has(name) || TRACKING_PREFIXES.some(prefix => name.startsWith(prefix))) {
+            parsed.searchParams.delete(name);
+        }
+    }
+
+    return provider.normalizeUrl ? provider.normalizeUrl(parsed) : parsed.toString();
+}
+
+// Helper function to tell short/share links (which redirect to a post) from other provider links
+function isShareUrl(url) {
+    return PROVIDERS.some(provider => (provider.shareUrlPatterns || []).some(pattern => pattern.test(url)));
+}
+
+// Helper function to request a URL without following redirects; returns the Location (or null)
+async function fetchRedirect(url) {
+    const response = await safeFetch(url, {
+        headers: {
+            'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+        },
+        responseType: 'stream',
+        maxRedirects: 0,
+        timeout: 5000,
+        validateStatus: () => true
+    });
+    response.data.destroy(); // Only the headers matter
+
+    const location = response.status >= 300 && response.status < 400 ? response.headers.location : null;
+    return location ? new URL(location, url).toString() : null;
+}
+
+// Canonicalize a pasted link, following short-link redirects when needed
+// options.maxHops       - redirects to follow at most
+// options.fetchRedirect - (url) => Promise of the redirect target or null (for tests)
+// Throws a 400 problem (see lib/errors.js) for unsupported or unresolvable links
+async function canonicalizeUrl(url, options = {}) {
+    const maxHops = options.maxHops ?? MAX_HOPS;
+    const follow = options.fetchRedirect || fetchRedirect;
+
+    let current = cleanUrl(url);
+    if (!current) {
+        const labels = PROVIDERS.map(provider => provider.label).join(', ');
+        throw createProblem('UNSUPPORTED_URL', { detail: `Please provide a valid URL (supported: ${labels})` });
+    }
+
+    for (let hop = 0; ; hop++) {
+        if (findProvider(current)) return current;
+
+        // Only short/share links are worth a request; anything else (profiles, explore) is unsupported
+        if (!isShareUrl(current)) {
+            throw createProblem('NOT_A_POST');
+        }
+        if (hop >= maxHops) {
+            throw createProblem('TOO_MANY_REDIRECTS');
+        }
+
+        const location = await follow(current);
+        if (!location) {
+            throw createProblem('NOT_A_POST');
+        }
+
+        const next = cleanUrl(location);
+        if (!next) {
+            logger.warn('[URL] Redirect left the allowed hosts:', location.substring(0, 100));
+            throw createProblem('REDIRECT_NOT_ALLOWED');
+        }
+        logger.info(`[URL] ${current} -> ${next}`);
+        current = next;
+    }
+}
+
+module.exports = {
+    TRACKING_PARAMS,
+    cleanUrl,
+    isShareUrl,
+    canonicalizeUrl
+};
@@ -0,0 +1,191 @@
+// DASH manifests (MPD) embedded in Instagram's page data as "video_dash_manifest"
+// A reel is served as separate video and audio files, one per quality. The manifest lists them
+// with their declared bandwidth, codec and size, so the best pair can be picked and merged
+// without loading the page in Chromium and guessing from the mp4 URLs it requests.
+// Pure functions: no network, no filesystem.
+
+// Video codecs in order of preference when two representations have the same size:
+// H.264 plays everywhere; the others only save bandwidth
+const VIDEO_CODEC_PREFERENCE = ['avc1', 'avc3', 'vp09', 'hvc1', 'hev1', 'av01'];
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+// Helper function to decode the XML entities of attribute values and text
+function decodeXml(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+        }
+        return XML_ENTITIES[entity.toLowerCase()] ?? match;
+    });
+}
+
+// Helper function to read the attributes of a tag: ' id="1" width="720"' -> { id: '1', width: '720' }
+function parseAttributes(source) {
+    const attributes = {};
+    for (const [, name, doubleQuoted, singleQuoted] of source.matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+        attributes[name] = decodeXml(doubleQuoted ?? singleQuoted);
+    }
+    return attributes;
+}
+
+// Helper function to resolve a BaseURL against the one of the enclosing element
+function resolveUrl(url, base) {
+    try {
+        return new URL(url, base || undefined).toString();
+    } catch (e) {
+        return null;
+    }
+}
+
+function toNumber(value) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+// Helper function to tell video from audio: contentType, then mimeType, then the codec
+function getRepresentationType(attributes) {
+    if (attributes.contentType === 'video' || attributes.contentType === 'audio') return attributes.contentType;
+    const mimeType = attributes.mimeType || '';
+    if (mimeType.startsWith('video/')) return 'video';
+    if (mimeType.startsWith('audio/')) return 'audio';
+    if (/^mp4a|^opus|^ac-3|^ec-3/.test(attributes.codecs || '')) return 'audio';
+    if (attributes.width || attributes.height) return 'video';
+    return null;
+}
+
+// Parse an MPD into its single-file representations
+// Returns { duration, video: [...], audio: [...] } with each representation as
+//   { id, url, mimeType, codecs, bandwidth, width, height, frameRate, qualityLabel }
+// Segmented representations (SegmentTemplate/SegmentList without a BaseURL) are left out:
+// they can't be handed to ffmpeg or a <video> as one URL. Returns null when the text isn't an MPD.
+function parseDashManifest(xml) {
+    if (typeof xml !== 'string' || !/<MPD[\s>]/.test(xml)) return null;
+
+    const manifest = { duration: null, video: [], audio: [] };
+    // Open elements; each keeps the attributes children inherit (AdaptationSet -> Representation)
+    const stack = [];
+    let text = '';
+
+    const tags = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<(\/?)([\w:]+)((?:[^>"']|"[^"]*"|'[^']*')*?)(\/?)>|([^<]+)/g;
+    for (const [, cdata, closing, rawName, rawAttributes, selfClosing, chars] of xml.matchAll(tags)) {
+        if (chars !== undefined || cdata !== undefined) {
+            text += chars !== undefined ? decodeXml(chars) : cdata;
+            continue;
+        }
+        if (!rawName) continue; // Comment or processing instruction
+
+        const name = rawName.replace(/^\w+:/, ''); // Drop namespace prefixes
+        if (closing) {
+            const element = stack.pop();
+            if (!element || element.name !== name) return null; // Mismatched tags: not well-formed
+
+            const parent = stack[stack.length - 1];
+            if (name === 'BaseURL' && parent) {
+                parent.baseUrl = resolveUrl(text.trim(), parent.baseUrl);
+                parent.hasBaseUrl = true;
+            } else if (name === 'Representation') {
+                addRepresentation(manifest, element);
+            }
+            text = '';
+            continue;
+        }
+
+        const parent = stack[stack.length - 1];
+        const attributes = parseAttributes(rawAttributes);
+        const element = {
+            name,
+            // Only AdaptationSet attributes (mimeType, codecs, contentType, ...) carry down to representations
+            attributes: parent?.name === 'AdaptationSet' ? { ...parent.attributes, ...attributes } : attributes,
+            baseUrl: parent?.baseUrl || null,
+            hasBaseUrl: false
+        };
+        if (name === 'MPD') {
+            manifest.duration = parseDuration(attributes.mediaPresentationDuration);
+        }
+        text = '';
+
+        // A self-closing Representation has no BaseURL of its own, so it's skipped like a segmented one
+        if (!selfClosing) stack.push(element);
+    }
+
+    return stack.length === 0 ? manifest : null;
+}
+
+// Helper function to record a parsed Representation element; only its own BaseURL counts
+function addRepresentation(manifest, element) {
+    const { attributes } = element;
+    const type = getRepresentationType(attributes);
+    if (!type || !element.hasBaseUrl || !element.baseUrl) return;
+
+    manifest[type].push({
+        id: attributes.id || null,
+        url: element.baseUrl,
+        mimeType: attributes.mimeType || null,
+        codecs: attributes.codecs || null,
+        bandwidth: toNumber(attributes.bandwidth),
+        width: toNumber(attributes.width),
+        height: toNumber(attributes.height),
+        frameRate: attributes.frameRate || null,
+        qualityLabel: attributes.FBQualityLabel || null
+    });
+}
+
+// Helper function to read an ISO 8601 duration ("PT1M2.5S") in seconds
+function parseDuration(value) {
+    const match = String(value || '').match(/^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:([\d.]+)S)?)?$/);
+    if (!match) return null;
+    const [, days, hours, minutes, seconds] = match;
+    return (parseInt(days || 0, 10) * 86400) + (parseInt(hours || 0, 10) * 3600) +
+        (parseInt(minutes || 0, 10) * 60) + parseFloat(seconds || 0);
+}
+
+function getCodecRank(codecs) {
+    const index = VIDEO_CODEC_PREFERENCE.findIndex(prefix => String(codecs || '').startsWith(prefix));
+    return index === -1 ? VIDEO_CODEC_PREFERENCE.length : index;
+}
+
+// Helper function to sort video representations best first: size, then codec preference, then bandwidth
+function sortVideoRepresentations(representations) {
+    return [...representations].sort((a, b) =>
+        ((b.width || 0) * (b.height || 0)) - ((a.width || 0) * (a.height || 0)) ||
+        getCodecRank(a.codecs) - getCodecRank(b.codecs) ||
+        (b.bandwidth || 0) - (a.bandwidth || 0));
+}
+
+// Pick the video and audio representations to merge: the largest video (H.264 when a size comes in
+// several codecs) and the AAC audio with the highest bandwidth. Either may be null.
+function pickRepresentations(manifest) {
+    const video = sortVideoRepresentations(manifest?.video || [])[0] || null;
+    const audio = [...(manifest?.audio || [])].sort((a, b) =>
+        Number(/^mp4a/.test(b.codecs || '')) - Number(/^mp4a/.test(a.codecs || '')) ||
+        (b.bandwidth || 0) - (a.bandwidth || 0))[0] || null;
+    return { video, audio };
+}
+
+// Find the DASH manifest in a page: the "video_dash_manifest" string of the embedded JSON
+// Returns the MPD text, or null when the page has none
+function findDashManifest(html) {
+    if (typeof html !== 'string') return null;
+
+    const pattern = /"video_dash_manifest"\s*:\s*("(?:[^"\\]|\\.)*")/g;
+    for (const [, literal] of html.matchAll(pattern)) {
+        try {
+            const manifest = JSON.parse(literal);
+            if (manifest.includes('<MPD')) return manifest;
+        } catch (e) {
+            // Not a complete JSON string, keep looking
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    VIDEO_CODEC_PREFERENCE,
+    parseDashManifest,
+    parseDuration,
+    sortVideoRepresentations,
+    pickRepresentations,
+    findDashManifest
+};
@@ -0,0 +1,48 @@
+// Helpers for /api/download: file names and formats for saved media
+const path = require('path');
+
+// Audio-only formats ffmpeg can produce from a video item (ffmpeg output options)
+const AUDIO_FORMATS = {
+    m4a: { options: ['-vn', '-c:a copy'] }, // Instagram audio is already AAC
+    mp3: { options: ['-vn', '-c:a libmp3lame', '-q:a 2'] }
+};
+
+const IMAGE_EXTENSIONS = ['jpg', 'jpeg', 'png', 'webp', 'heic', 'gif'];
+
+// Helper function to make a string safe for a file name (keeps letters, digits, dot, dash, underscore)
+function sanitizeFilenamePart(value, fallback = 'instagram') {
+    const clean = String(value || '')
+        .normalize('NFKD')
+        .replace(/[^\w.-]+/g, '_')
+        .replace(/^[._]+|[._]+$/g, '')
+        .slice(0, 60);
+    return clean || fallback;
+}
+
+// Helper function to pick the file extension of a media item
+// Videos are always mp4; images keep the extension of their CDN URL (jpg when unknown)
+function getItemExtension(item) {
+    if (item?.mediaType === 'video') return 'mp4';
+
+    try {
+        const ext = path.extname(new URL(item.mediaUrl, 'http://localhost').pathname).slice(1).toLowerCase();
+        if (IMAGE_EXTENSIONS.includes(ext)) return ext === 'jpeg' ? 'jpg' : ext;
+    } catch (e) {
+        // Not a URL we can parse, use the default
+    }
+    return 'jpg';
+}
+
+// Helper function to build "author_shortcode_1.mp4"; without an index: "author_shortcode.zip"
+function buildDownloadFilename(post, shortcode, index, ext) {
+    const parts = [sanitizeFilenamePart(post?.author), sanitizeFilenamePart(shortcode, 'post')];
+    if (index) parts.push(index);
+    return `${parts.join('_')}.${ext}`;
+}
+
+module.exports = {
+    AUDIO_FORMATS,
+    sanitizeFilenamePart,
+    getItemExtension,
+    buildDownloadFilename
+};
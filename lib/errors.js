@@ -0,0 +1,179 @@
+// API error taxonomy: every failure is answered as an RFC 7807 problem document
+// (Content-Type: application/problem+json) with a stable `code` clients can branch on instead of
+// matching message text:
+//   { type, title, status, detail, code, retryable, retryAfter?, requestId? }
+// `retryable` says whether sending the same request again can succeed; `retryAfter` (seconds, also
+// sent as a Retry-After header) says how long to wait first. GET /api/errors lists every code.
+
+const PROBLEM_CONTENT_TYPE = 'application/problem+json';
+const TYPE_BASE = '/api/errors';
+
+// status, title, retryable and the default Retry-After (seconds) of each code
+// detail is used when the code is raised without a more specific explanation
+const ERROR_TYPES = {
+    // The request itself
+    INVALID_JSON: { status: 400, title: 'Invalid JSON', detail: 'The request body is not valid JSON' },
+    URL_REQUIRED: { status: 400, title: 'URL is required', detail: 'Please provide a post URL' },
+    UNSUPPORTED_URL: { status: 400, title: 'Invalid URL', detail: 'The link is not from a supported platform' },
+    NOT_A_POST: { status: 400, title: 'Invalid URL', detail: 'The link does not point to a supported post' },
+    TOO_MANY_REDIRECTS: { status: 400, title: 'Invalid URL', detail: 'The link redirects too many times' },
+    REDIRECT_NOT_ALLOWED: { status: 400, title: 'Invalid URL', detail: 'The link redirects outside the supported platforms' },
+    NOT_A_STORY: { status: 400, title: 'Invalid URL', detail: 'Not an Instagram story or highlight URL' },
+    URLS_REQUIRED: { status: 400, title: 'URLs are required', detail: 'Please provide "urls", an array of post URLs' },
+    INVALID_URLS: { status: 400, title: 'Invalid URLs', detail: 'Every entry of "urls" must be a string' },
+    TOO_MANY_URLS: { status: 400, title: 'Too many URLs' },
+    INVALID_SHORTCODE: { status: 400, title: 'Invalid shortcode', detail: 'Please provide a valid Instagram shortcode' },
+    INVALID_FORMAT: { status: 400, title: 'Invalid format' },
+    INVALID_QUALITY: { status: 400, title: 'Invalid quality', detail: 'Supported qualities: best, smallest, or a height such as 720p' },
+    INVALID_PROFILE: { status: 400, title: 'Invalid profile' },
+    NO_AUDIO: { status: 400, title: 'No audio', detail: 'Only video items have an audio track' },
+    UNAUTHORIZED: { status: 401, title: 'Unauthorized' },
+    NOT_FOUND: { status: 404, title: 'Not found' },
+    RATE_LIMITED: { status: 429, title: 'Too many requests', detail: 'Too many requests, please try again later.', retryable: true, retryAfter: 60 },
+
+    // The post
+    POST_PRIVATE: { status: 403, title: 'Post is private', detail: 'This post belongs to a private account' },
+    POST_DELETED: { status: 404, title: 'Post not found', detail: 'The post could not be found. It may have been deleted.' },
+    POST_UNAVAILABLE: { status: 404, title: 'Content not found', detail: 'Could not extract the content. The post might be private or deleted.' },
+    LOGIN_WALL: { status: 401, title: 'Login required', detail: 'The platform only shows this content to logged-in users' },
+    STORY_EXPIRED: { status: 410, title: 'Story expired', detail: 'This story is no longer available. Stories expire after 24 hours.' },
+    HIGHLIGHT_UNAVAILABLE: { status: 410, title: 'Story expired', detail: 'This highlight is no longer available. It may have been deleted or made private.' },
+    NOT_A_VIDEO: { status: 404, title: 'Video not found' },
+    ITEM_NOT_FOUND: { status: 404, title: 'Item not found' },
+    JOB_NOT_FOUND: { status: 404, title: 'Job not found', detail: 'The job does not exist or has expired' },
+
+    // Extraction stages (page fetch, Puppeteer, ffmpeg)
+    UPSTREAM_RATE_LIMITED: { status: 503, title: 'Platform rate limit', detail: 'The platform is limiting our requests. Please try again later.', retryable: true, retryAfter: 60 },
+    TIMEOUT: { status: 504, title: 'Timeout', detail: 'The platform took too long to answer. Please try again.', retryable: true },
+    BROWSER_UNAVAILABLE: { status: 503, title: 'Browser unavailable', detail: 'The headless browser is not available right now', retryable: true, retryAfter: 30 },
+    MERGE_FAILED: { status: 500, title: 'Merge failed', detail: 'Could not merge the video and audio tracks' },
+    TRANSCODE_FAILED: { status: 500, title: 'Transcode failed', detail: 'Could not convert the video' },
+    EXTRACTION_FAILED: { status: 500, title: 'Server error', detail: 'Failed to fetch content. Please try again later.', retryable: true },
+
+    // Media (/api/proxy and downloads)
+    PROXY_URL_UNSIGNED: { status: 403, title: 'Forbidden', detail: 'Proxy URLs must be signed by the server' },
+    PROXY_URL_INVALID: { status: 403, title: 'Forbidden', detail: 'Invalid proxy URL signature' },
+    PROXY_URL_EXPIRED: { status: 403, title: 'Forbidden', detail: 'This proxy URL has expired, fetch the post again' },
+    MEDIA_HOST_NOT_ALLOWED: { status: 400, title: 'Media host not allowed', detail: 'Only CDN URLs of supported platforms are allowed' },
+    MEDIA_NOT_FOUND: { status: 404, title: 'Media not found' },
+    MEDIA_FETCH_FAILED: { status: 500, title: 'Failed to fetch media', retryable: true },
+    NOT_AN_IMAGE: { status: 400, title: 'Not an image', detail: 'Only images can be resized or converted' },
+    BLOCKED_DESTINATION: { status: 403, title: 'Forbidden', detail: 'The destination address is not allowed' },
+    RESPONSE_TOO_LARGE: { status: 502, title: 'Response too large' },
+
+    SERVER_ERROR: { status: 500, title: 'Server error', retryable: true }
+};
+
+// Node/axios error codes of requests that ran out of time
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT'];
+
+// Create an error the routes answer as a problem (error.status / error.body)
+// options.detail     - explanation for this occurrence (default: the code's)
+// options.retryAfter - seconds to wait before retrying (default: the code's)
+// options.cause      - the underlying error, kept for logs
+// options.extensions - extra members for the body (e.g. { debug })
+function createProblem(code, options = {}) {
+    const type = ERROR_TYPES[code] || ERROR_TYPES.SERVER_ERROR;
+    const detail = options.detail || type.detail || type.title;
+    const retryAfter = options.retryAfter ?? type.retryAfter;
+
+    const error = new Error(detail, options.cause ? { cause: options.cause } : undefined);
+    error.status = type.status;
+    error.body = {
+        type: `${TYPE_BASE}#${code}`,
+        title: type.title,
+        status: type.status,
+        detail,
+        code,
+        retryable: Boolean(type.retryable),
+        ...(retryAfter && { retryAfter }),
+        ...options.extensions
+    };
+    return error;
+}
+
+function isProblem(error) {
+    return Boolean(error?.status && error.body?.code);
+}
+
+// Helper function to read a Retry-After header (seconds or an HTTP date) as seconds
+function parseRetryAfter(value, now = Date.now()) {
+    if (value === undefined || value === null || value === '') return null;
+    if (/^\d+$/.test(String(value).trim())) return parseInt(value, 10);
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - now) / 1000));
+}
+
+// Helper function to name what went wrong in an error: its problem code, or a code for upstream
+// answers (404, 429) and timeouts (axios, Puppeteer). Returns null for anything else.
+function getErrorCode(error, notFound = 'POST_DELETED') {
+    if (isProblem(error)) return error.body.code;
+
+    const status = error?.response?.status;
+    if (status === 404) return notFound;
+    if (status === 429) return 'UPSTREAM_RATE_LIMITED';
+    if (TIMEOUT_CODES.includes(error?.code) || error?.name === 'TimeoutError') return 'TIMEOUT';
+    return null;
+}
+
+// Turn any error into a problem: problems pass through, the rest are classified by getErrorCode
+// options.notFound  - code for an upstream 404 (default POST_DELETED)
+// options.fallback  - code for errors nothing else matches (default SERVER_ERROR)
+// options.detail    - detail for the fallback
+// The message of unexpected errors is only exposed in development (as "debug")
+function toProblem(error, { notFound, fallback = 'SERVER_ERROR', detail } = {}) {
+    if (isProblem(error)) return error;
+
+    const code = getErrorCode(error, notFound);
+    if (code === 'UPSTREAM_RATE_LIMITED') {
+        const retryAfter = parseRetryAfter(error.response.headers?.['retry-after']) || undefined;
+        return createProblem(code, { retryAfter, cause: error });
+    }
+    if (code) {
+        return createProblem(code, { cause: error });
+    }
+
+    return createProblem(fallback, {
+        detail,
+        cause: error,
+        extensions: process.env.NODE_ENV === 'development' ? { debug: error?.message } : undefined
+    });
+}
+
+// Send a problem; the Retry-After header mirrors body.retryAfter
+function sendProblem(res, error) {
+    const { status, body } = toProblem(error);
+    const requestId = res.getHeader('X-Request-Id');
+
+    if (body.retryAfter) {
+        res.setHeader('Retry-After', String(body.retryAfter));
+    }
+    res.status(status)
+        .type(PROBLEM_CONTENT_TYPE)
+        .json(requestId ? { ...body, requestId } : body);
+}
+
+// The taxonomy as served by GET /api/errors
+function listErrorTypes() {
+    return Object.entries(ERROR_TYPES).map(([code, type]) => ({
+        type: `${TYPE_BASE}#${code}`,
+        code,
+        status: type.status,
+        title: type.title,
+        retryable: Boolean(type.retryable),
+        ...(type.retryAfter && { retryAfter: type.retryAfter })
+    }));
+}
+
+module.exports = {
+    ERROR_TYPES,
+    PROBLEM_CONTENT_TYPE,
+    createProblem,
+    isProblem,
+    parseRetryAfter,
+    getErrorCode,
+    toProblem,
+    sendProblem,
+    listErrorTypes
+};
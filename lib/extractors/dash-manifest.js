@@ -0,0 +1,60 @@
+// Strategy: merge the best video and audio listed in the page's DASH manifest
+// Video posts whose HTML only gave a thumbnail often still embed "video_dash_manifest", whatever
+// their URL (/p/, /reel/, /tv/); reading it is cheaper and more precise than loading the page in
+// Chromium (which stays as the fallback)
+const path = require('path');
+const { findDashManifest, parseDashManifest, pickRepresentations } = require('../dash');
+const { extractCarouselFromHtml } = require('../parsers');
+const { mergeVideoAudio } = require('../media');
+const { variantsFromRepresentations } = require('../video');
+const { logger } = require('../logger');
+
+// Runs for single-media posts that embed a manifest when the HTML methods did not find the video
+// Carousels are skipped: the one video it returns would replace every slide
+function shouldRun({ html }, postData) {
+    if (postData?.mediaType === 'video') return false;
+    if (postData?.items?.length > 1 || extractCarouselFromHtml(html)?.length > 1) return false;
+    return findDashManifest(html) !== null;
+}
+
+async function extract({ url, html, onProgress }, postData) {
+    const manifest = parseDashManifest(findDashManifest(html));
+    const { video, audio } = pickRepresentations(manifest);
+    if (!video) return null;
+
+    logger.info(`[DASH] Found ${manifest.video.length} video and ${manifest.audio.length} audio representation(s)`);
+    logger.info(`[DASH] Selected ${video.width}x${video.height} ${video.codecs} (${video.bandwidth} bps)`);
+
+    let mediaUrl = video.url;
+    if (audio) {
+        const mergedVideoPath = await mergeVideoAudio(video.url, audio.url, url, onProgress);
+        mediaUrl = `/temp/${path.basename(mergedVideoPath)}`;
+    } else {
+        logger.info('[DASH] No audio representation, returning video only');
+    }
+
+    const thumbnailUrl = postData?.thumbnailUrl || '';
+    return {
+        mediaUrl,
+        thumbnailUrl,
+        caption: postData?.caption || '',
+        author: postData?.author || 'Unknown',
+        mediaType: 'video',
+        timestamp: postData?.timestamp || null,
+        items: [{
+            mediaType: 'video',
+            mediaUrl,
+            thumbnailUrl,
+            width: video.width,
+            height: video.height,
+            variants: variantsFromRepresentations(manifest.video, audio?.url || null)
+        }]
+    };
+}
+
+module.exports = {
+    name: 'dash-manifest',
+    requiresNetwork: true,
+    shouldRun,
+    extract
+};
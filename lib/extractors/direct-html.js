@@ -0,0 +1,170 @@
+// Strategy: search for video_url / display_url directly in the HTML
+// Most reliable for current Instagram markup
+const { decodeUrlEntities, decodeHtmlEntities } = require('../parsers');
+const { logger } = require('../logger');
+
+function extract({ html }) {
+    let postData = null;
+
+    // Try multiple patterns for video URLs
+    let videoUrlMatch = html.match(/"video_url":"([^"]+)"/);
+
+    // If no video_url, try playback_url (used in some Instagram versions)
+    if (!videoUrlMatch) {
+        videoUrlMatch = html.match(/"playback_url":"([^"]+)"/);
+    }
+
+    // Try video_versions array
+    if (!videoUrlMatch) {
+        videoUrlMatch = html.match(/"video_versions":\[\{"url":"([^"]+)"/);
+    }
+
+    const displayUrlMatch = html.match(/"display_url":"([^"]+)"/);
+    const thumbnailMatch = html.match(/"thumbnail_src":"([^"]+)"/);
+
+    // Try to find higher quality images from display_resources
+    let highQualityImageUrl = null;
+    // Try multiple patterns for display_resources
+    const displayResourcesPatterns = [
+        /"display_resources":\[(.*?)\]/s,
+        /"display_resources":\s*\[(.*?)\]/s,
+        /display_resources.*?\[(.*?)\]/s
+    ];
+    
+    for (const pattern of displayResourcesPatterns) {
+        const displayResourcesMatch = html.match(pattern);
+        if (displayResourcesMatch) {
+            try {
+                // Extract all URLs and their config_width/config_height if available
+                const resourceMatches = [...displayResourcesMatch[1].matchAll(/\{"src":"([^"]+)","config_width":(\d+),"config_height":(\d+)\}/g)];
+                
+                if (resourceMatches.length > 0) {
+                    // Find the highest resolution image
+                    let maxResolution = 0;
+                    let bestUrl = null;
+                    
+                    for (const match of resourceMatches) {
+                        const width = parseInt(match[2]);
+                        const height = parseInt(match[3]);
+                        const resolution = width * height;
+                        
+                        if (resolution > maxResolution) {
+                            maxResolution = resolution;
+                            bestUrl = match[1];
+                        }
+                    }
+                    
+                    if (bestUrl) {
+                        highQualityImageUrl = bestUrl
+                            .replace(/\\u0026/g, '&')
+                            .replace(/\\\//g, '/')
+                            .replace(/\\u003d/g, '=');
+                        highQualityImageUrl = decodeUrlEntities(highQualityImageUrl);
+                        logger.debug('Found high-quality image from display_resources:', maxResolution);
+                        break;
+                    }
+                } else {
+                    // Fallback: extract URLs without config info
+                    const resourceUrls = [...displayResourcesMatch[1].matchAll(/"src":"([^"]+)"/g)];
+                    if (resourceUrls.length > 0) {
+                        // Last URL is typically the highest quality
+                        highQualityImageUrl = resourceUrls[resourceUrls.length - 1][1]
+                            .replace(/\\u0026/g, '&')
+                            .replace(/\\\//g, '/')
+                            .replace(/\\u003d/g, '=');
+                        highQualityImageUrl = decodeUrlEntities(highQualityImageUrl);
+                        logger.debug('Found high-quality image from display_resources (fallback)');
+                        break;
+                    }
+                }
+            } catch (e) {
+                logger.debug('Could not parse display_resources:', e.message);
+            }
+        }
+    }
+    
+    // Also try to find best_image_url or similar patterns
+    if (!highQualityImageUrl) {
+        const bestImageMatch = html.match(/"best_image_url":"([^"]+)"/);
+        if (bestImageMatch) {
+            highQualityImageUrl = bestImageMatch[1]
+                .replace(/\\u0026/g, '&')
+                .replace(/\\\//g, '/')
+                .replace(/\\u003d/g, '=');
+            highQualityImageUrl = decodeUrlEntities(highQualityImageUrl);
+            logger.debug('Found best_image_url');
+        }
+    }
+
+    if (videoUrlMatch || displayUrlMatch) {
+        // Also try to extract caption and username
+        const captionMatch = html.match(/"edge_media_to_caption":\{"edges":\[\{"node":\{"text":"((?:[^"\\]|\\.)+)"/);
+        const usernameMatch = html.match(/"owner":\{"id":"[^"]+","username":"([^"]+)"/);
+        const timestampMatch = html.match(/"taken_at_timestamp":(\d+)/);
+
+        // Prioritize video URL over display URL, use high-quality image if available for images
+        let mediaUrl = (videoUrlMatch?.[1] || displayUrlMatch?.[1] || '').replace(/\\u0026/g, '&').replace(/\\\//g, '/').replace(/\\u003d/g, '=');
+        mediaUrl = decodeUrlEntities(mediaUrl); // Decode HTML entities
+
+        // Use high-quality image URL if this is an image post and we found one
+        if (!videoUrlMatch && highQualityImageUrl) {
+            mediaUrl = decodeUrlEntities(highQualityImageUrl);
+        }
+        
+        // Remove size restrictions from image URLs to get full quality
+        if (!videoUrlMatch && mediaUrl) {
+            // Split URL into base and query string
+            const urlParts = mediaUrl.split('?');
+            let baseUrl = urlParts[0];
+            let queryString = urlParts.slice(1).join('?');
+
+            // Remove size indicators from path (s640x640, s1080x1080, etc.)
+            baseUrl = baseUrl.replace(/\/s\d+x\d+[a-z]?_[a-z]+-jpg/g, '');
+
+            // Parse query parameters and filter out tracking/size params
+            if (queryString) {
+                const params = queryString.split('&').filter(param => {
+                    const key = param.split('=')[0];
+                    // Keep only essential params (oh and oe are required for Instagram CDN)
+                    return key === 'oh' || key === 'oe';
+                });
+
+                // Reconstruct URL
+                if (params.length > 0) {
+                    mediaUrl = baseUrl + '?' + params.join('&');
+                } else {
+                    mediaUrl = baseUrl;
+                }
+            } else {
+                mediaUrl = baseUrl;
+            }
+
+            logger.debug('Cleaned image URL to remove size restrictions');
+        }
+
+        let thumbnailUrl = (displayUrlMatch?.[1] || thumbnailMatch?.[1] || mediaUrl).replace(/\\u0026/g, '&').replace(/\\\//g, '/');
+        thumbnailUrl = decodeUrlEntities(thumbnailUrl); // Decode HTML entities
+
+        if (mediaUrl) {
+            postData = {
+                mediaUrl: mediaUrl,
+                thumbnailUrl: thumbnailUrl,
+                caption: decodeHtmlEntities(captionMatch?.[1] || ''),
+                author: usernameMatch?.[1] || 'Unknown',
+                mediaType: videoUrlMatch ? 'video' : 'image',
+                timestamp: timestampMatch?.[1] ? new Date(parseInt(timestampMatch[1]) * 1000).toISOString() : null
+            };
+            logger.debug('Direct URL search matched - Type:', postData.mediaType);
+            logger.debug('Video URL found:', !!videoUrlMatch);
+            logger.debug('Display URL found:', !!displayUrlMatch);
+            logger.debug('High-quality image used:', !videoUrlMatch && !!highQualityImageUrl);
+        }
+    }
+
+    return postData;
+}
+
+module.exports = {
+    name: 'direct-html',
+    extract
+};
@@ -0,0 +1,173 @@
+// Extractor registry: runs the extraction strategies in order and keeps per-strategy stats
+//
+// Every strategy module exports the same interface:
+//   name       - unique id, used by the EXTRACTORS / EXTRACTORS_DISABLED env vars
+//   extract    - (context, postData) => normalized post (or a Promise of one), or null
+//   shouldRun  - optional (context, postData) => boolean
+//                Defaults to "no strategy has found media yet"
+//   requiresNetwork - optional, true for strategies that fetch on their own (skipped offline)
+//
+// context is { url, html, onProgress?, capturedUrls? }. postData is the best result found so far, so a
+// strategy can also upgrade a previous result (e.g. Puppeteer replacing a reel thumbnail).
+// capturedUrls, when given, collects the media URLs Puppeteer saw (kept with failure artifacts).
+
+const { normalizePostData } = require('../parsers');
+const directHtml = require('./direct-html');
+const scriptJson = require('./script-json');
+const jsonLd = require('./json-ld');
+const sharedData = require('./shared-data');
+const metaTags = require('./meta-tags');
+const dashManifest = require('./dash-manifest');
+const puppeteerExtractor = require('./puppeteer');
+const { logger } = require('../logger');
+const { getErrorCode } = require('../errors');
+const { metrics } = require('../metrics');
+
+// Default order: cheapest and most precise first, browser last
+const DEFAULT_STRATEGIES = [directHtml, scriptJson, jsonLd, sharedData, metaTags, dashManifest, puppeteerExtractor];
+
+// Helper function to parse a comma separated list of strategy names
+function parseNameList(value) {
+    if (!value) return null;
+    const names = value.split(',').map(name => name.trim()).filter(Boolean);
+    return names.length > 0 ? names : null;
+}
+
+// Default: nothing found yet
+function hasNoMedia(context, postData) {
+    return !postData?.mediaUrl;
+}
+
+// Create a registry from a list of strategies
+// options.order    - strategy names to run, in order (unlisted strategies are disabled)
+// options.disabled - strategy names to skip
+function createExtractorRegistry(strategies = DEFAULT_STRATEGIES, options = {}) {
+    const byName = new Map();
+    for (const strategy of strategies) {
+        if (!strategy?.name || typeof strategy.extract !== 'function') {
+            throw new Error('Extractor strategies need a name and an extract function');
+        }
+        if (byName.has(strategy.name)) {
+            throw new Error(`Duplicate extractor strategy: ${strategy.name}`);
+        }
+        byName.set(strategy.name, strategy);
+    }
+
+    let ordered = strategies;
+    if (options.order) {
+        ordered = [];
+        for (const name of options.order) {
+            if (byName.has(name)) {
+                ordered.push(byName.get(name));
+            } else {
+                logger.warn(`[EXTRACTORS] Unknown strategy in order, ignoring: ${name}`);
+            }
+        }
+    }
+
+    const disabled = new Set(options.disabled || []);
+    const active = ordered.filter(strategy => !disabled.has(strategy.name));
+
+    const stats = new Map();
+    for (const strategy of strategies) {
+        stats.set(strategy.name, {
+            runs: 0,
+            hits: 0,
+            misses: 0,
+            errors: 0,
+            totalMs: 0,
+            lastHitAt: null
+        });
+    }
+
+    // Run the active strategies in order, returning the best result, the strategy that produced it
+    // and the errors strategies threw ({ strategy, message, code }; code as in lib/errors.js, or null)
+    async function run(context) {
+        let postData = null;
+        let method = null;
+        const errors = [];
+
+        for (const strategy of active) {
+            const shouldRun = strategy.shouldRun || hasNoMedia;
+            if (!shouldRun(context, postData)) continue;
+
+            const stat = stats.get(strategy.name);
+            const startedAt = Date.now();
+            stat.runs++;
+
+            try {
+                const result = await strategy.extract(context, postData);
+                if (result?.mediaUrl) {
+                    stat.hits++;
+                    metrics.extractorRuns.inc({ strategy: strategy.name, result: 'hit' });
+                    stat.lastHitAt = new Date().toISOString();
+                    postData = result;
+                    method = strategy.name;
+                    logger.info(`[SUCCESS] Extracted with ${strategy.name} - Type:`, result.mediaType);
+                } else {
+                    stat.misses++;
+                    metrics.extractorRuns.inc({ strategy: strategy.name, result: 'miss' });
+                }
+            } catch (e) {
+                stat.errors++;
+                metrics.extractorRuns.inc({ strategy: strategy.name, result: 'error' });
+                errors.push({ strategy: strategy.name, message: e.message, code: getErrorCode(e) });
+                logger.warn(`[EXTRACTORS] ${strategy.name} extraction failed:`, e.message);
+            } finally {
+                stat.totalMs += Date.now() - startedAt;
+            }
+        }
+
+        return { postData, method, errors };
+    }
+
+    // Snapshot of the configuration and stats, in configured order (disabled strategies last)
+    function getStats() {
+        const activeNames = active.map(strategy => strategy.name);
+        const inactiveNames = strategies.map(strategy => strategy.name).filter(name => !activeNames.includes(name));
+
+        return [...activeNames, ...inactiveNames].map(name => {
+            const stat = stats.get(name);
+            return {
+                name,
+                enabled: activeNames.includes(name),
+                runs: stat.runs,
+                hits: stat.hits,
+                misses: stat.misses,
+                errors: stat.errors,
+                hitRate: stat.runs > 0 ? Number((stat.hits / stat.runs).toFixed(3)) : null,
+                avgMs: stat.runs > 0 ? Math.round(stat.totalMs / stat.runs) : null,
+                lastHitAt: stat.lastHitAt
+            };
+        });
+    }
+
+    return {
+        run,
+        getStats,
+        strategies: active.map(strategy => strategy.name)
+    };
+}
+
+// Registry configured from the environment, shared by the routes
+const registry = createExtractorRegistry(DEFAULT_STRATEGIES, {
+    order: parseNameList(process.env.EXTRACTORS),
+    disabled: parseNameList(process.env.EXTRACTORS_DISABLED)
+});
+
+// Run the pipeline against saved HTML with no network access (used by tests and fixture tooling)
+// Returns the normalized post plus the name of the strategy that produced it, or null
+async function extractOffline(url, html, strategies = DEFAULT_STRATEGIES) {
+    const offline = createExtractorRegistry(strategies.filter(strategy => !strategy.requiresNetwork));
+    const { postData, method } = await offline.run({ url, html });
+    if (!postData?.mediaUrl) return null;
+
+    return { method, ...normalizePostData(postData, html) };
+}
+
+module.exports = {
+    DEFAULT_STRATEGIES,
+    createExtractorRegistry,
+    extractOffline,
+    registry
+};
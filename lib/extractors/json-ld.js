@@ -0,0 +1,20 @@
+// Strategy: parse the <script type="application/ld+json"> block
+const { parseJsonLd } = require('../parsers');
+const { logger } = require('../logger');
+
+function extract({ html }) {
+    const jsonLdMatch = html.match(/<script type="application\/ld\+json">(.*?)<\/script>/s);
+    if (!jsonLdMatch) return null;
+
+    try {
+        return parseJsonLd(JSON.parse(jsonLdMatch[1]));
+    } catch (e) {
+        logger.debug('Failed to parse JSON-LD:', e.message);
+        return null;
+    }
+}
+
+module.exports = {
+    name: 'json-ld',
+    extract
+};
@@ -0,0 +1,11 @@
+// Strategy: og:/twitter: meta tags fallback (usually only a thumbnail for videos)
+const { parseMetaTags } = require('../parsers');
+
+function extract({ html }) {
+    return parseMetaTags(html);
+}
+
+module.exports = {
+    name: 'meta-tags',
+    extract
+};
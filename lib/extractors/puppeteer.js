@@ -0,0 +1,27 @@
+// Strategy: load the page in Chromium when a video URL only produced an image/thumbnail
+const { extractWithPuppeteer } = require('../puppeteer');
+const { logger } = require('../logger');
+
+// Only worth launching a browser for reels/IGTV where the HTML methods fell short
+function shouldRun({ url }, postData) {
+    const isVideoUrl = url.includes('/reel/') || url.includes('/tv/');
+    return isVideoUrl && postData?.mediaType === 'image';
+}
+
+async function extract({ url, onProgress, capturedUrls }) {
+    logger.info('Detected video URL but got image, trying Puppeteer...');
+    const puppeteerData = await extractWithPuppeteer(url, onProgress, capturedUrls);
+
+    // Only replace the HTML result if we actually captured a video
+    if (puppeteerData?.mediaUrl && puppeteerData.mediaType === 'video') {
+        return puppeteerData;
+    }
+    return null;
+}
+
+module.exports = {
+    name: 'puppeteer',
+    requiresNetwork: true,
+    shouldRun,
+    extract
+};
@@ -0,0 +1,35 @@
+// Strategy: parse JSON objects embedded in <script> tags (Instagram's require/relay data)
+const { extractFromRequireData } = require('../parsers');
+
+function extract({ html }) {
+    const scriptMatches = html.matchAll(/<script[^>]*>(.*?)<\/script>/gs);
+    for (const match of scriptMatches) {
+        const scriptContent = match[1];
+
+        // Look for any JSON-like structure with video_url or display_url
+        if (!scriptContent.includes('video_url') && !scriptContent.includes('display_url')) {
+            continue;
+        }
+
+        // Try to extract JSON objects
+        const jsonMatches = scriptContent.matchAll(/(\{[^{}]*(?:\{[^{}]*\}[^{}]*)*\})/g);
+        for (const jsonMatch of jsonMatches) {
+            try {
+                const data = JSON.parse(jsonMatch[1]);
+                const postData = extractFromRequireData(data);
+                if (postData?.mediaUrl) {
+                    return postData;
+                }
+            } catch (e) {
+                // Try next match
+            }
+        }
+    }
+
+    return null;
+}
+
+module.exports = {
+    name: 'script-json',
+    extract
+};
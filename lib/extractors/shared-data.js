@@ -0,0 +1,20 @@
+// Strategy: parse the legacy window._sharedData blob
+const { parseSharedData } = require('../parsers');
+const { logger } = require('../logger');
+
+function extract({ html, url }) {
+    const sharedDataMatch = html.match(/window\._sharedData = ({.*?});/s);
+    if (!sharedDataMatch) return null;
+
+    try {
+        return parseSharedData(JSON.parse(sharedDataMatch[1]), url);
+    } catch (e) {
+        logger.debug('Failed to parse sharedData:', e.message);
+        return null;
+    }
+}
+
+module.exports = {
+    name: 'shared-data',
+    extract
+};
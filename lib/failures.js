@@ -0,0 +1,208 @@
+// Failure artifacts: pages the extractor pipeline could not read, kept to fix parsers against
+// Each failure is saved as <id>.html (the page, truncated to maxHtmlBytes) and <id>.json (URL,
+// response status and headers, detected markers, strategy errors, Puppeteer-captured URLs).
+// IDs are unique per failure, so concurrent failures never overwrite each other. Only the newest
+// maxEntries failures are kept. Replaying runs the saved page through the current offline pipeline.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { extractOffline } = require('./extractors');
+const { logger } = require('./logger');
+
+const FAILURES_DIR = process.env.FAILURES_DIR || path.join(__dirname, '..', 'failures');
+
+// Response headers that identify the session rather than describe the page
+const OMITTED_HEADERS = ['set-cookie', 'cookie', 'authorization'];
+
+const ID_PATTERN = /^\d{8}T\d{9}Z-[\w-]{1,40}-[0-9a-f]{6}$/;
+
+// What the page contains, as quick hints about which parser should have worked
+function detectMarkers(html) {
+    const text = typeof html === 'string' ? html : '';
+    return {
+        htmlLength: text.length,
+        hasVideoUrl: text.includes('video_url'),
+        hasDisplayUrl: text.includes('display_url'),
+        hasJsonLd: text.includes('application/ld+json'),
+        hasSharedData: text.includes('window._sharedData'),
+        hasDashManifest: text.includes('video_dash_manifest'),
+        hasOgVideo: text.includes('og:video'),
+        hasOgImage: text.includes('og:image'),
+        hasLoginForm: text.includes('loginForm') || text.includes('/accounts/login'),
+        isPrivate: text.includes('This account is private') || text.includes('"is_private":true'),
+        isUnavailable: /Sorry, this page isn(?:'|&#0?39;|\\u0027)t available/.test(text)
+    };
+}
+
+// Helper function to build an ID that sorts by time: 20260101T120000123Z-<key>-<random>
+function createId(key, date = new Date()) {
+    const stamp = date.toISOString().replace(/[-:.]/g, '');
+    const safeKey = String(key || 'page').replace(/[^\w-]/g, '_').slice(0, 40) || 'page';
+    return `${stamp}-${safeKey}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+function pickHeaders(headers = {}) {
+    return Object.fromEntries(Object.entries(headers)
+        .filter(([name]) => !OMITTED_HEADERS.includes(name.toLowerCase()))
+        .map(([name, value]) => [name.toLowerCase(), Array.isArray(value) ? value.join(', ') : String(value)]));
+}
+
+// Create a store
+// options.dir          - directory for the artifacts (created on the first save)
+// options.maxEntries   - failures kept, oldest removed first (0 disables capture)
+// options.maxHtmlBytes - pages longer than this are truncated
+// options.extract      - (url, html) => result, the pipeline used by replay()
+function createFailureStore(options = {}) {
+    const dir = options.dir || FAILURES_DIR;
+    const maxEntries = options.maxEntries ?? 50;
+    const maxHtmlBytes = options.maxHtmlBytes ?? 2 * 1024 * 1024;
+    const extract = options.extract || extractOffline;
+
+    // Helper function to resolve the files of an ID; null for anything that isn't one (no traversal)
+    function resolve(id) {
+        if (!ID_PATTERN.test(id || '')) return null;
+        return { meta: path.join(dir, `${id}.json`), html: path.join(dir, `${id}.html`) };
+    }
+
+    // Save a failure; returns its ID, or null when capture is disabled
+    // failure: { url, platform, key, reason, status, headers, html, errors, capturedUrls }
+    async function save(failure) {
+        if (maxEntries <= 0) return null;
+
+        const html = typeof failure.html === 'string' ? failure.html : '';
+        const buffer = Buffer.from(html, 'utf8');
+        const truncated = buffer.length > maxHtmlBytes;
+        const id = createId(failure.key);
+        const files = resolve(id);
+
+        const meta = {
+            id,
+            savedAt: new Date().toISOString(),
+            url: failure.url,
+            platform: failure.platform || null,
+            reason: failure.reason || 'no-media',
+            requestId: failure.requestId || null,
+            status: failure.status ?? null,
+            headers: pickHeaders(failure.headers),
+            markers: detectMarkers(html),
+            htmlBytes: buffer.length,
+            truncated,
+            errors: failure.errors || [],
+            capturedUrls: failure.capturedUrls || []
+        };
+
+        await fs.promises.mkdir(dir, { recursive: true });
+        await fs.promises.writeFile(files.html, truncated ? buffer.subarray(0, maxHtmlBytes) : buffer);
+        await fs.promises.writeFile(files.meta, JSON.stringify(meta, null, 2) + '\n');
+        await prune();
+        return id;
+    }
+
+    // Helper function to remove the oldest failures past maxEntries
+    async function prune() {
+        const ids = await listIds();
+        for (const id of ids.slice(maxEntries)) {
+            await remove(id);
+        }
+    }
+
+    // IDs of saved failures, newest first
+    async function listIds() {
+        let names;
+        try {
+            names = await fs.promises.readdir(dir);
+        } catch (e) {
+            if (e.code === 'ENOENT') return [];
+            throw e;
+        }
+        return names
+            .filter(name => name.endsWith('.json'))
+            .map(name => name.slice(0, -'.json'.length))
+            .filter(id => ID_PATTERN.test(id))
+            .sort()
+            .reverse();
+    }
+
+    // Saved failures, newest first, without the page or headers
+    async function list() {
+        const failures = [];
+        for (const id of await listIds()) {
+            const meta = await get(id);
+            if (!meta) continue;
+            const { headers, capturedUrls, errors, ...summary } = meta;
+            failures.push({ ...summary, errors: errors.length, capturedUrls: capturedUrls.length });
+        }
+        return failures;
+    }
+
+    // The full record of one failure, or null
+    async function get(id) {
+        const files = resolve(id);
+        if (!files) return null;
+        try {
+            return JSON.parse(await fs.promises.readFile(files.meta, 'utf8'));
+        } catch (e) {
+            if (e.code !== 'ENOENT') logger.warn('[FAILURES] Unreadable record', id, e.message);
+            return null;
+        }
+    }
+
+    // The saved page of one failure, or null
+    async function getHtml(id) {
+        const files = resolve(id);
+        if (!files) return null;
+        try {
+            return await fs.promises.readFile(files.html, 'utf8');
+        } catch (e) {
+            if (e.code === 'ENOENT') return null;
+            throw e;
+        }
+    }
+
+    // Delete one failure; returns whether it existed
+    async function remove(id) {
+        const files = resolve(id);
+        if (!files) return false;
+        let removed = false;
+        for (const file of [files.meta, files.html]) {
+            try {
+                await fs.promises.unlink(file);
+                removed = true;
+            } catch (e) {
+                if (e.code !== 'ENOENT') throw e;
+            }
+        }
+        return removed;
+    }
+
+    // Run a saved page through the current pipeline (offline: no fetch, no Chromium, no ffmpeg)
+    // Returns { id, url, markers, result } where result is the extracted post or null; null if unknown
+    async function replay(id) {
+        const meta = await get(id);
+        const html = meta && await getHtml(id);
+        if (!meta || html === null) return null;
+
+        return {
+            id,
+            url: meta.url,
+            markers: detectMarkers(html),
+            result: await extract(meta.url, html)
+        };
+    }
+
+    return { dir, save, list, get, getHtml, remove, replay };
+}
+
+// Shared instance, limits from the environment
+const failureStore = createFailureStore({
+    dir: FAILURES_DIR,
+    maxEntries: parseInt(process.env.FAILURES_MAX_ENTRIES || '50', 10),
+    maxHtmlBytes: parseFloat(process.env.FAILURES_MAX_HTML_KB || '2048') * 1024
+});
+
+module.exports = {
+    FAILURES_DIR,
+    detectMarkers,
+    createFailureStore,
+    failureStore
+};
@@ -0,0 +1,138 @@
+// Image variants for /api/proxy: resized, re-encoded copies of CDN images (?w=640&q=75&f=webp)
+// The extractors pick full-resolution images; phones don't need them, so the front end lists
+// a few widths in srcset and the browser picks one. Variants are rendered with sharp and kept
+// on disk, in a directory of their own managed by a temp janitor (LRU by size, max age).
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { getPartPath, createTempJanitor } = require('./temp-janitor');
+
+// Widths a variant can have; other requested widths are rounded up to one of these,
+// so the cache holds a handful of variants per image however the client asks
+const IMAGE_WIDTHS = [320, 480, 640, 828, 1080, 1440];
+
+const IMAGE_FORMATS = {
+    avif: { contentType: 'image/avif', options: { effort: 2 } },
+    webp: { contentType: 'image/webp', options: {} },
+    jpeg: { contentType: 'image/jpeg', options: { mozjpeg: true } }
+};
+
+const DEFAULT_QUALITY = 75;
+
+// Largest original image downloaded for conversion
+const MAX_SOURCE_BYTES = 25 * 1024 * 1024;
+
+const IMAGE_CACHE_DIR = process.env.IMAGE_CACHE_DIR || path.join(__dirname, '..', 'image-cache');
+
+// Helper function to read the variant params of a proxy request
+// Returns { width, quality, format, negotiated } or null when no param was given (serve as-is).
+// f=auto (the default) picks the best format the Accept header allows; negotiated says so (Vary).
+function parseImageVariant(query, accept = '') {
+    const { w, q, f } = query || {};
+    if (w === undefined && q === undefined && f === undefined) return null;
+
+    let width = null;
+    const requestedWidth = parseInt(w, 10);
+    if (requestedWidth > 0) {
+        width = IMAGE_WIDTHS.find(allowed => allowed >= requestedWidth) || IMAGE_WIDTHS[IMAGE_WIDTHS.length - 1];
+    }
+
+    // Quality in steps of 5 between 30 and 90
+    const requestedQuality = parseInt(q, 10);
+    const quality = requestedQuality > 0
+        ? Math.min(90, Math.max(30, Math.round(requestedQuality / 5) * 5))
+        : DEFAULT_QUALITY;
+
+    let format = typeof f === 'string' ? f.toLowerCase() : 'auto';
+    if (format === 'jpg') format = 'jpeg';
+    const negotiated = !IMAGE_FORMATS[format];
+    if (negotiated) {
+        format = accept.includes('image/avif') ? 'avif' : accept.includes('image/webp') ? 'webp' : 'jpeg';
+    }
+
+    return { width, quality, format, negotiated };
+}
+
+// Helper function to name the cached file of a variant
+// The CDN query string only carries signatures and expiry, so it's left out of the key:
+// the same image extracted again later still hits the cache
+function getVariantName(url, variant) {
+    const parsed = new URL(url);
+    const hash = crypto.createHash('sha256')
+        .update(`${parsed.origin}${parsed.pathname}|${variant.width || 'full'}|${variant.quality}`)
+        .digest('hex')
+        .slice(0, 32);
+    return `${hash}_${variant.width || 'full'}.${variant.format}`;
+}
+
+// Resize (never upscale) and encode an image buffer; EXIF orientation is applied first
+function renderVariant(input, variant) {
+    const format = IMAGE_FORMATS[variant.format];
+    let image = sharp(input, { limitInputPixels: 100 * 1000 * 1000 }).rotate();
+    if (variant.width) {
+        image = image.resize({ width: variant.width, withoutEnlargement: true });
+    }
+    return image.toFormat(variant.format, { quality: variant.quality, ...format.options }).toBuffer();
+}
+
+// Create a variant store
+// options.janitor - temp janitor managing the cache directory
+// options.render  - (buffer, variant) => Promise<Buffer> (for tests)
+function createImageVariants({ janitor, render = renderVariant }) {
+    const pending = new Map(); // name -> Promise of the file path, so concurrent requests render once
+    const stats = { hits: 0, rendered: 0, failed: 0 };
+
+    // Get the path of a variant, rendering it from loadOriginal() on a miss
+    // loadOriginal: () => Promise<Buffer> of the full-size image
+    async function get(url, variant, loadOriginal) {
+        const name = getVariantName(url, variant);
+        const filePath = path.join(janitor.dir, name);
+
+        if (janitor.has(name)) {
+            stats.hits++;
+            janitor.touch(filePath);
+            return filePath;
+        }
+
+        if (!pending.has(name)) {
+            const work = (async () => {
+                const output = await render(await loadOriginal(), variant);
+                const partPath = getPartPath(filePath);
+                await fs.promises.writeFile(partPath, output);
+                stats.rendered++;
+                return janitor.commit(partPath, filePath);
+            })();
+            work.catch(() => stats.failed++).finally(() => pending.delete(name));
+            pending.set(name, work);
+        }
+        return pending.get(name);
+    }
+
+    function getStats() {
+        return { ...stats, rendering: pending.size, cache: janitor.getStats() };
+    }
+
+    return { get, getStats, start: janitor.start, stop: janitor.stop };
+}
+
+// Shared instance, cache limits from the environment
+const imageVariants = createImageVariants({
+    janitor: createTempJanitor({
+        dir: IMAGE_CACHE_DIR,
+        maxAgeMs: parseFloat(process.env.IMAGE_CACHE_MAX_AGE_HOURS || '72') * 60 * 60 * 1000,
+        maxBytes: parseFloat(process.env.IMAGE_CACHE_MAX_SIZE_MB || '256') * 1024 * 1024,
+        intervalMs: parseFloat(process.env.TEMP_SWEEP_INTERVAL_MINUTES || '15') * 60 * 1000
+    })
+});
+
+module.exports = {
+    IMAGE_WIDTHS,
+    IMAGE_FORMATS,
+    MAX_SOURCE_BYTES,
+    parseImageVariant,
+    getVariantName,
+    renderVariant,
+    createImageVariants,
+    imageVariants
+};
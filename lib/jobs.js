@@ -0,0 +1,137 @@
+// In-memory background jobs for slow extractions
+// A job runs a task(report) function; report(stage, progress) updates its stage and notifies
+// listeners (SSE streams). Finished jobs are kept for a while so clients can still poll them.
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { AsyncResource } = require('async_hooks');
+
+// Create a queue
+// options.concurrency - jobs running at the same time (the rest wait in order)
+// options.retentionMs - how long finished jobs stay available
+function createJobQueue(options = {}) {
+    const concurrency = options.concurrency || 2;
+    const retentionMs = options.retentionMs ?? 10 * 60 * 1000;
+
+    const jobs = new Map();
+    const pending = [];
+    const events = new EventEmitter();
+    events.setMaxListeners(0);
+    let running = 0;
+
+    // Public view of a job (no internals)
+    function toJSON(job) {
+        return {
+            id: job.id,
+            type: job.type,
+            status: job.status,
+            stage: job.stage,
+            progress: job.progress,
+            stages: job.stages,
+            result: job.result,
+            error: job.error,
+            createdAt: job.createdAt,
+            updatedAt: job.updatedAt
+        };
+    }
+
+    function update(job, changes) {
+        Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+        events.emit(job.id, toJSON(job));
+    }
+
+    function finish(job, changes) {
+        update(job, changes);
+        setTimeout(() => jobs.delete(job.id), retentionMs).unref();
+    }
+
+    async function execute(job) {
+        running++;
+        update(job, { status: 'running' });
+
+        const report = (stage, progress) => {
+            if (job.status !== 'running') return;
+            if (job.stage !== stage) {
+                job.stages.push({ stage, at: new Date().toISOString() });
+            }
+            update(job, {
+                stage,
+                progress: typeof progress === 'number' ? Math.max(job.progress, Math.min(progress, 1)) : job.progress
+            });
+        };
+
+        try {
+            const result = await job.task(report);
+            finish(job, { status: 'done', stage: 'done', progress: 1, result });
+        } catch (error) {
+            finish(job, { status: 'failed', error: job.describeError(error) });
+        } finally {
+            running--;
+            next();
+        }
+    }
+
+    function next() {
+        while (running < concurrency && pending.length > 0) {
+            execute(pending.shift());
+        }
+    }
+
+    // Queue a job. describeError maps a thrown error to the JSON stored in job.error.
+    function create(type, task, describeError = (error) => ({ message: error.message })) {
+        const now = new Date().toISOString();
+        const job = {
+            id: crypto.randomUUID(),
+            type,
+            status: 'queued',
+            stage: 'queued',
+            progress: 0,
+            stages: [{ stage: 'queued', at: now }],
+            result: null,
+            error: null,
+            createdAt: now,
+            updatedAt: now,
+            // Runs in the async context it was queued from (its request ID), whichever job frees the slot
+            task: AsyncResource.bind(task),
+            describeError
+        };
+
+        jobs.set(job.id, job);
+        pending.push(job);
+
+        // Start on the next tick so callers can subscribe before the first update
+        setImmediate(next);
+        return toJSON(job);
+    }
+
+    function get(id) {
+        const job = jobs.get(id);
+        return job ? toJSON(job) : null;
+    }
+
+    // Listen for updates of one job; returns an unsubscribe function
+    function subscribe(id, listener) {
+        events.on(id, listener);
+        return () => events.off(id, listener);
+    }
+
+    function getStats() {
+        let finished = 0;
+        for (const job of jobs.values()) {
+            if (job.status === 'done' || job.status === 'failed') finished++;
+        }
+        return { running, queued: pending.length, finished, concurrency };
+    }
+
+    return { create, get, subscribe, getStats };
+}
+
+// Queue configured from the environment, shared by the routes
+const jobQueue = createJobQueue({
+    concurrency: parseInt(process.env.JOBS_CONCURRENCY || '2', 10),
+    retentionMs: parseInt(process.env.JOBS_RETENTION_SECONDS || '600', 10) * 1000
+});
+
+module.exports = {
+    createJobQueue,
+    jobQueue
+};
@@ -0,0 +1,127 @@
+// Structured logging with request correlation
+// Every line is one JSON object (or a readable line with LOG_FORMAT=pretty):
+//   {"time":"...","level":"info","component":"ffmpeg","msg":"Merge completed","requestId":"..."}
+// Messages keep the "[TAG] text" style used across the code base: the tag becomes the
+// component field. A plain object as the first argument adds fields to the line.
+// The request ID is read from an AsyncLocalStorage context, so everything a request starts
+// (extraction, Puppeteer, ffmpeg, background jobs) logs it without passing it around.
+const util = require('util');
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Tags that only said how loud a line was; they set the level instead of the component
+const LEVEL_TAGS = { DEBUG: 'debug', INFO: 'info', SUCCESS: 'info', WARNING: 'warn', ERROR: 'error' };
+
+const requestContext = new AsyncLocalStorage();
+
+// Run fn with a context ({ requestId }) every log line inside it will carry
+function runWithContext(context, fn) {
+    return requestContext.run(context, fn);
+}
+
+function getContext() {
+    return requestContext.getStore() || {};
+}
+
+// Helper function to keep the current context for callbacks that run later from somewhere else
+// (events of a shared Chromium, queued jobs), which would otherwise log another request's ID
+function bindContext(fn) {
+    return AsyncResource.bind(fn);
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Error);
+}
+
+// Helper function to split "[TAG] message" into the component and the message
+function parseTag(message) {
+    const match = message.match(/^\[([A-Z][A-Z0-9_-]*)\]\s*/);
+    if (!match) return { component: null, tagLevel: null, message };
+
+    const tag = match[1];
+    const rest = message.slice(match[0].length);
+    if (LEVEL_TAGS[tag]) return { component: null, tagLevel: LEVEL_TAGS[tag], message: rest };
+    return { component: tag.toLowerCase(), tagLevel: null, message: rest };
+}
+
+// Helper function to make errors passed as fields readable in JSON
+function serializeFields(fields) {
+    const result = {};
+    for (const [key, value] of Object.entries(fields)) {
+        result[key] = value instanceof Error
+            ? { message: value.message, code: value.code, status: value.status, stack: value.stack }
+            : value;
+    }
+    return result;
+}
+
+function formatPretty(entry) {
+    const { time, level, component, msg, ...fields } = entry;
+    const extra = Object.entries(fields)
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+        .join(' ');
+    return `${time} ${level.toUpperCase().padEnd(5)} ${component ? `[${component}] ` : ''}${msg}${extra ? ` ${extra}` : ''}`;
+}
+
+// Create a logger
+// options.level    - lowest level written: debug, info, warn, error or silent
+// options.format   - 'json' (one object per line) or 'pretty'
+// options.write    - (line, level) => void (default: stdout, stderr for warn/error)
+// options.bindings - fields added to every line
+function createLogger(options = {}) {
+    const {
+        level = 'info',
+        format = 'json',
+        write = (line, lineLevel) => (LEVELS[lineLevel] >= LEVELS.warn ? process.stderr : process.stdout).write(line),
+        bindings = {}
+    } = options;
+    const threshold = LEVELS[level] ?? LEVELS.info;
+
+    function log(callLevel, args) {
+        const fields = isPlainObject(args[0]) ? args.shift() : {};
+        const { component, tagLevel, message } = parseTag(util.format(...args));
+        // "[DEBUG]" lines logged with console.log are debug, but an error stays an error
+        const lineLevel = tagLevel && callLevel === 'info' ? tagLevel : callLevel;
+        if (LEVELS[lineLevel] < threshold) return;
+
+        const { requestId } = getContext();
+        const entry = {
+            time: new Date().toISOString(),
+            level: lineLevel,
+            ...(component && { component }),
+            msg: message,
+            ...(requestId && { requestId }),
+            ...bindings,
+            ...serializeFields(fields)
+        };
+        write(`${format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry)}\n`, lineLevel);
+    }
+
+    return {
+        level,
+        format,
+        isLevelEnabled: (name) => LEVELS[name] >= threshold,
+        debug: (...args) => log('debug', args),
+        info: (...args) => log('info', args),
+        warn: (...args) => log('warn', args),
+        error: (...args) => log('error', args),
+        child: (childBindings) => createLogger({ ...options, bindings: { ...bindings, ...childBindings } })
+    };
+}
+
+// Shared instance: LOG_LEVEL (default info) and LOG_FORMAT (default json in production, pretty otherwise)
+const logger = createLogger({
+    level: process.env.LOG_LEVEL || 'info',
+    format: process.env.LOG_FORMAT || (process.env.NODE_ENV === 'production' ? 'json' : 'pretty')
+});
+
+module.exports = {
+    LEVELS,
+    runWithContext,
+    getContext,
+    bindContext,
+    createLogger,
+    logger
+};
@@ -0,0 +1,197 @@
+// Media helpers: downloading CDN files, muxing and transcoding video/audio with ffmpeg
+const fs = require('fs');
+const ffmpeg = require('fluent-ffmpeg');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const { TEMP_DIR, getPartPath, tempJanitor } = require('./temp-janitor');
+const { safeFetch } = require('./safe-fetch');
+const { logger } = require('./logger');
+const { metrics } = require('./metrics');
+const { createProblem } = require('./errors');
+
+// Helper function to find the provider whose CDN serves a media URL
+// Required lazily: the providers load the extractors, which load this module
+function getMediaProvider(url) {
+    const { findMediaProvider } = require('./providers');
+    return findMediaProvider(url);
+}
+
+// Helper function to download a file (size and timeout limits come from lib/safe-fetch.js)
+// Only the provider's CDN is allowed, with the headers it checks (Referer, TikTok's cookie)
+async function downloadFile(url, filepath) {
+    const provider = getMediaProvider(url);
+    const response = await safeFetch(url, {
+        responseType: 'stream',
+        allowedHosts: provider?.cdnHosts || [],
+        headers: {
+            'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+            ...provider?.getMediaHeaders(url)
+        }
+    });
+
+    await pipeline(response.data, fs.createWriteStream(filepath));
+}
+
+// ffmpeg output options for muxing a video-only stream with its audio track
+const MERGE_OPTIONS = [
+    '-c:v copy',      // Copy video codec (no re-encoding)
+    '-c:a aac',       // Convert audio to AAC
+    '-strict experimental'
+];
+
+// Helper function to run a prepared ffmpeg command, recording how long it took
+// operation labels the duration metric (merged, h264-720p, m4a, ...); the part file is removed on failure
+// Failures reject with a MERGE_FAILED (muxing) or TRANSCODE_FAILED problem
+function runFfmpeg(command, partPath, operation) {
+    const endTimer = metrics.ffmpegDuration.startTimer({ operation });
+    return new Promise((resolve, reject) => {
+        command
+            .on('end', () => {
+                const seconds = endTimer({ outcome: 'success' });
+                logger.info({ operation, durationMs: Math.round(seconds * 1000) }, '[FFMPEG] Finished');
+                resolve();
+            })
+            .on('error', (err) => {
+                endTimer({ outcome: 'failure' });
+                logger.error({ operation }, '[FFMPEG] Error:', err.message);
+                fs.unlink(partPath, () => {});
+                reject(createProblem(operation === 'merged' ? 'MERGE_FAILED' : 'TRANSCODE_FAILED', { cause: err }));
+            })
+            .run();
+    });
+}
+
+const pendingRenders = new Map(); // output path -> Promise, so concurrent requests run ffmpeg once (videos and audio tracks)
+
+// Helper function to run a video (and optional separate audio track) through ffmpeg into the temp dir
+// videoUrl/audioUrl are URLs or local paths; cacheKey and name make the output "<hash>_<name>.mp4",
+// reused while it's in the temp dir. onProgress(stage, fraction) gets 'downloading' then stage.
+async function renderVideo({ videoUrl, audioUrl = null, cacheKey, name, outputOptions, stage = 'encoding' }, onProgress = () => {}) {
+    const hash = crypto.createHash('md5').update(cacheKey).digest('hex');
+    const outputPath = path.join(TEMP_DIR, `${hash}_${name}.mp4`);
+
+    if (fs.existsSync(outputPath)) {
+        logger.info(`[FFMPEG] Using cached ${name} video`);
+        tempJanitor.touch(outputPath);
+        return outputPath;
+    }
+    if (pendingRenders.has(outputPath)) {
+        return pendingRenders.get(outputPath);
+    }
+
+    const work = (async () => {
+        // ffmpeg writes here; renamed to outputPath only once it has finished
+        const partPath = getPartPath(outputPath);
+        // ffmpeg would fetch a URL itself, past the checks in downloadFile
+        const downloads = [];
+        const localInput = async (source, suffix) => {
+            if (!/^https?:\/\//.test(source)) return source;
+            const filePath = path.join(TEMP_DIR, `${hash}_${suffix}.mp4`);
+            downloads.push(filePath);
+            await downloadFile(source, filePath);
+            return filePath;
+        };
+
+        try {
+            logger.info('[FFMPEG] Downloading video...');
+            onProgress('downloading', 0);
+            const videoPath = await localInput(videoUrl, 'video');
+
+            let audioPath = null;
+            if (audioUrl) {
+                logger.info('[FFMPEG] Downloading audio...');
+                onProgress('downloading', 0.8);
+                audioPath = await localInput(audioUrl, 'audio');
+            }
+
+            logger.info(`[FFMPEG] Rendering ${name} video...`);
+            onProgress(stage, 0);
+            const command = ffmpeg().input(videoPath);
+            if (audioPath) command.input(audioPath);
+            command
+                .outputOptions(outputOptions)
+                .output(partPath)
+                .on('progress', (progress) => {
+                    if (typeof progress.percent === 'number') {
+                        onProgress(stage, progress.percent / 100);
+                    }
+                });
+            await runFfmpeg(command, partPath, name);
+        } finally {
+            for (const filePath of downloads) fs.unlink(filePath, () => {});
+        }
+
+        logger.info(`[FFMPEG] ${name} video ready`);
+        return tempJanitor.commit(partPath, outputPath);
+    })();
+
+    pendingRenders.set(outputPath, work);
+    work.catch(() => {}).finally(() => pendingRenders.delete(outputPath));
+    return work;
+}
+
+// Helper function to merge video and audio using ffmpeg
+// onProgress(stage, fraction) is called with 'downloading' and 'merging' as work advances
+async function mergeVideoAudio(videoUrl, audioUrl, instagramUrl, onProgress = () => {}) {
+    // Unique filename based on the Instagram URL
+    return renderVideo({
+        videoUrl,
+        audioUrl,
+        cacheKey: instagramUrl,
+        name: 'merged',
+        outputOptions: MERGE_OPTIONS,
+        stage: 'merging'
+    }, onProgress);
+}
+
+// Helper function to extract the audio track of a video into an m4a/mp3 file
+// source is a local path or a URL; cacheKey names the output so repeated downloads reuse it
+async function extractAudio(source, cacheKey, format, options) {
+    const hash = crypto.createHash('md5').update(cacheKey).digest('hex');
+    const outputPath = path.join(TEMP_DIR, `${hash}_track.${format}`);
+    const partPath = getPartPath(outputPath);
+
+    if (fs.existsSync(outputPath)) {
+        logger.info('[FFMPEG] Using cached audio track');
+        tempJanitor.touch(outputPath);
+        return outputPath;
+    }
+    // Concurrent requests share one download and ffmpeg run (they'd write the same files)
+    if (pendingRenders.has(outputPath)) {
+        return pendingRenders.get(outputPath);
+    }
+
+    const work = (async () => {
+        // ffmpeg would fetch a URL itself, past the checks in downloadFile
+        const isRemote = /^https?:\/\//.test(source);
+        const inputPath = isRemote ? path.join(TEMP_DIR, `${hash}_video.mp4`) : source;
+
+        try {
+            if (isRemote) {
+                logger.info('[FFMPEG] Downloading video...');
+                await downloadFile(source, inputPath);
+            }
+
+            logger.info(`[FFMPEG] Extracting ${format} audio...`);
+            await runFfmpeg(ffmpeg().input(inputPath).outputOptions(options).output(partPath), partPath, format);
+        } finally {
+            if (isRemote) fs.unlink(inputPath, () => {});
+        }
+
+        return tempJanitor.commit(partPath, outputPath);
+    })();
+
+    pendingRenders.set(outputPath, work);
+    work.catch(() => {}).finally(() => pendingRenders.delete(outputPath));
+    return work;
+}
+
+module.exports = {
+    TEMP_DIR,
+    MERGE_OPTIONS,
+    downloadFile,
+    renderVideo,
+    mergeVideoAudio,
+    extractAudio
+};
@@ -0,0 +1,210 @@
+// Prometheus metrics, served as text by GET /metrics
+// A small registry of counters, gauges and histograms with labels; nothing is pushed anywhere,
+// Prometheus scrapes the endpoint. The instruments the server records are created at the bottom.
+
+// Default histogram buckets, in seconds: HTTP requests and extractions (up to Puppeteer's 30s+)
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+// Helper function to escape a label value for the text format
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+// Helper function to render a label set: { a: '1', b: '2' } -> {a="1",b="2"}
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+// Create a registry
+// options.prefix - prepended to every metric name
+function createMetricsRegistry({ prefix = '' } = {}) {
+    const metrics = [];
+
+    // Helper function to keep one series per label combination; unknown labels are rejected
+    function createSeries(name, labelNames, initial) {
+        const series = new Map();
+        return {
+            get(labels = {}) {
+                for (const label of Object.keys(labels)) {
+                    if (!labelNames.includes(label)) throw new Error(`Unknown label "${label}" for ${name}`);
+                }
+                const key = labelNames.map(label => labels[label] ?? '').join('\u0000');
+                if (!series.has(key)) {
+                    const labelValues = Object.fromEntries(labelNames
+                        .filter(label => labels[label] !== undefined)
+                        .map(label => [label, labels[label]]));
+                    series.set(key, { labels: labelValues, ...initial() });
+                }
+                return series.get(key);
+            },
+            entries: () => [...series.values()]
+        };
+    }
+
+    function register(metric) {
+        if (metrics.some(existing => existing.name === metric.name)) {
+            throw new Error(`Duplicate metric: ${metric.name}`);
+        }
+        metrics.push(metric);
+        return metric;
+    }
+
+    // Monotonic count: inc(labels, amount = 1)
+    function counter({ name, help, labelNames = [] }) {
+        const fullName = `${prefix}${name}`;
+        const series = createSeries(fullName, labelNames, () => ({ value: 0 }));
+        return register({
+            name: fullName,
+            inc(labels = {}, amount = 1) {
+                series.get(labels).value += amount;
+            },
+            get: (labels = {}) => series.get(labels).value,
+            render: () => [
+                `# HELP ${fullName} ${help}`,
+                `# TYPE ${fullName} counter`,
+                ...series.entries().map(entry => `${fullName}${formatLabels(entry.labels)} ${formatValue(entry.value)}`)
+            ]
+        });
+    }
+
+    // Value that goes up and down: set(labels, value), or collect() to read it at scrape time
+    function gauge({ name, help, labelNames = [], collect = null }) {
+        const fullName = `${prefix}${name}`;
+        const series = createSeries(fullName, labelNames, () => ({ value: 0 }));
+        const metric = register({
+            name: fullName,
+            set(labels = {}, value) {
+                series.get(labels).value = value;
+            },
+            get: (labels = {}) => series.get(labels).value,
+            render() {
+                if (collect) collect(metric);
+                return [
+                    `# HELP ${fullName} ${help}`,
+                    `# TYPE ${fullName} gauge`,
+                    ...series.entries().map(entry => `${fullName}${formatLabels(entry.labels)} ${formatValue(entry.value)}`)
+                ];
+            }
+        });
+        return metric;
+    }
+
+    // Distribution of values (seconds, bytes): observe(labels, value), or startTimer(labels)
+    // which returns end(moreLabels) to observe the elapsed seconds
+    function histogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+        const fullName = `${prefix}${name}`;
+        const bounds = [...buckets].sort((a, b) => a - b);
+        const series = createSeries(fullName, labelNames, () => ({ counts: bounds.map(() => 0), sum: 0, count: 0 }));
+
+        function observe(labels = {}, value) {
+            const entry = series.get(labels);
+            bounds.forEach((bound, i) => {
+                if (value <= bound) entry.counts[i]++;
+            });
+            entry.sum += value;
+            entry.count++;
+        }
+
+        return register({
+            name: fullName,
+            observe,
+            startTimer(labels = {}) {
+                const startedAt = process.hrtime.bigint();
+                return (moreLabels = {}) => {
+                    const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+                    observe({ ...labels, ...moreLabels }, seconds);
+                    return seconds;
+                };
+            },
+            get: (labels = {}) => {
+                const { counts, sum, count } = series.get(labels);
+                return { buckets: Object.fromEntries(bounds.map((bound, i) => [bound, counts[i]])), sum, count };
+            },
+            render: () => [
+                `# HELP ${fullName} ${help}`,
+                `# TYPE ${fullName} histogram`,
+                ...series.entries().flatMap(entry => [
+                    ...bounds.map((bound, i) =>
+                        `${fullName}_bucket${formatLabels({ ...entry.labels, le: formatValue(bound) })} ${entry.counts[i]}`),
+                    `${fullName}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`,
+                    `${fullName}_sum${formatLabels(entry.labels)} ${formatValue(entry.sum)}`,
+                    `${fullName}_count${formatLabels(entry.labels)} ${entry.count}`
+                ])
+            ]
+        });
+    }
+
+    // Everything in the Prometheus text exposition format
+    function render() {
+        return `${metrics.flatMap(metric => metric.render()).join('\n')}\n`;
+    }
+
+    return {
+        contentType: 'text/plain; version=0.0.4; charset=utf-8',
+        counter,
+        gauge,
+        histogram,
+        render
+    };
+}
+
+// Shared registry and the instruments the server records
+const registry = createMetricsRegistry({ prefix: 'pure_content_' });
+
+const metrics = {
+    registry,
+    httpRequestDuration: registry.histogram({
+        name: 'http_request_duration_seconds',
+        help: 'HTTP request latency by route and status',
+        labelNames: ['method', 'route', 'status']
+    }),
+    extractions: registry.counter({
+        name: 'extractions_total',
+        help: 'Post extractions by platform, the method that found the media, and outcome',
+        labelNames: ['platform', 'method', 'outcome']
+    }),
+    extractionDuration: registry.histogram({
+        name: 'extraction_duration_seconds',
+        help: 'Time to extract a post (cache misses only)',
+        labelNames: ['platform', 'outcome']
+    }),
+    extractorRuns: registry.counter({
+        name: 'extractor_strategy_runs_total',
+        help: 'Instagram extraction strategy runs by result (hit, miss, error)',
+        labelNames: ['strategy', 'result']
+    }),
+    puppeteerLaunches: registry.counter({
+        name: 'puppeteer_launches_total',
+        help: 'Chromium launches by outcome',
+        labelNames: ['outcome']
+    }),
+    ffmpegDuration: registry.histogram({
+        name: 'ffmpeg_duration_seconds',
+        help: 'ffmpeg run time (merges, transcodes and audio extraction), downloads excluded',
+        labelNames: ['operation', 'outcome']
+    }),
+    proxyBytes: registry.counter({
+        name: 'proxy_bytes_total',
+        help: 'Bytes sent to clients by /api/proxy',
+        labelNames: ['platform', 'kind']
+    }),
+    rateLimitRejections: registry.counter({
+        name: 'rate_limit_rejections_total',
+        help: 'Requests rejected by the rate limiter',
+        labelNames: ['route']
+    })
+};
+
+module.exports = {
+    DEFAULT_BUCKETS,
+    createMetricsRegistry,
+    metrics
+};
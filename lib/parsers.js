@@ -0,0 +1,609 @@
+// HTML/JSON parsers shared by the extractor strategies
+// Pure functions: no network, no filesystem - safe to run against saved pages
+const { variantsFromVideoVersions, variantsFromRepresentations } = require('./video');
+const { parseDashManifest, pickRepresentations } = require('./dash');
+const { logger } = require('./logger');
+
+// Helper function to decode HTML entities from URLs
+function decodeUrlEntities(url) {
+    if (!url) return url;
+    // Decode HTML entities in URLs (especially &amp; -> &)
+    // Handle multiple encodings (e.g., &amp;amp; -> &amp; -> &)
+    let decoded = url;
+    let previous = '';
+    let iterations = 0;
+    // Keep decoding until no more changes (handles double/triple encoding)
+    // Limit iterations to prevent infinite loops
+    while (decoded !== previous && iterations < 10) {
+        previous = decoded;
+        decoded = decoded
+            .replace(/&amp;/gi, '&')
+            .replace(/&lt;/gi, '<')
+            .replace(/&gt;/gi, '>')
+            .replace(/&quot;/gi, '"')
+            .replace(/&#x27;/gi, "'")
+            .replace(/&#x2F;/gi, '/')
+            .replace(/&#x3D;/gi, '=')
+            .replace(/&#39;/gi, "'")
+            .replace(/&#x2F;/gi, '/');
+        iterations++;
+    }
+    // Final cleanup - ensure no HTML entities remain
+    decoded = decoded.replace(/&amp;/g, '&');
+    return decoded;
+}
+
+// Helper function to decode HTML entities
+function decodeHtmlEntities(text) {
+    if (!text) return '';
+
+    // First, handle double-encoded entities (e.g., &amp;#x1f9d9; -> &#x1f9d9; -> emoji)
+    // This needs to be done before decoding &amp;
+    let decoded = text;
+    
+    // Decode double-encoded numeric entities (hex) - &amp;#x...; -> &#x...;
+    decoded = decoded.replace(/&amp;#x([0-9a-f]+);/gi, (match, hex) => {
+        try {
+            return String.fromCodePoint(parseInt(hex, 16));
+        } catch (e) {
+            return String.fromCharCode(parseInt(hex, 16));
+        }
+    });
+    
+    // Decode double-encoded numeric entities (decimal) - &amp;#...; -> &#...;
+    decoded = decoded.replace(/&amp;#(\d+);/g, (match, dec) => {
+        try {
+            return String.fromCodePoint(parseInt(dec, 10));
+        } catch (e) {
+            return String.fromCharCode(parseInt(dec, 10));
+        }
+    });
+    
+    // Decode double-encoded named entities - &amp;quot; -> &quot; -> "
+    decoded = decoded.replace(/&amp;quot;/g, '"');
+    decoded = decoded.replace(/&amp;apos;/g, "'");
+    decoded = decoded.replace(/&amp;lt;/g, '<');
+    decoded = decoded.replace(/&amp;gt;/g, '>');
+    
+    // Now decode regular HTML entities
+    decoded = decoded
+        // Decode common named entities
+        .replace(/&quot;/g, '"')
+        .replace(/&amp;/g, '&')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&apos;/g, "'")
+        // Decode numeric entities (decimal)
+        .replace(/&#(\d+);/g, (match, dec) => {
+            try {
+                return String.fromCodePoint(parseInt(dec, 10));
+            } catch (e) {
+                return String.fromCharCode(parseInt(dec, 10));
+            }
+        })
+        // Decode numeric entities (hexadecimal) - use fromCodePoint for emojis
+        .replace(/&#x([0-9a-f]+);/gi, (match, hex) => {
+            try {
+                return String.fromCodePoint(parseInt(hex, 16));
+            } catch (e) {
+                return String.fromCharCode(parseInt(hex, 16));
+            }
+        })
+        // Handle escaped backslashes
+        .replace(/\\n/g, '\n')
+        .replace(/\\r/g, '\r')
+        .replace(/\\t/g, '\t')
+        .replace(/\\"/g, '"')
+        .replace(/\\\\/g, '\\');
+    
+    return decoded;
+}
+
+// Helper function to remove size/crop restrictions from Instagram image URLs
+function removeSizeRestrictions(mediaUrl) {
+    if (!mediaUrl) return mediaUrl;
+    mediaUrl = mediaUrl.replace(/[?&]stp=[^&]*/g, '');
+    mediaUrl = mediaUrl.replace(/[?&]_nc_cat=[^&]*/g, '');
+    mediaUrl = mediaUrl.replace(/[?&]ccb=[^&]*/g, '');
+    mediaUrl = mediaUrl.replace(/[?&]_nc_sid=[^&]*/g, '');
+    mediaUrl = mediaUrl.replace(/[?&]efg=[^&]*/g, '');
+    mediaUrl = mediaUrl.replace(/[?&]_nc_ohc=[^&]*/g, '');
+    mediaUrl = mediaUrl.replace(/[?&]_nc_oc=[^&]*/g, '');
+    mediaUrl = mediaUrl.replace(/[?&]_nc_zt=[^&]*/g, '');
+    mediaUrl = mediaUrl.replace(/[?&]_nc_ht=[^&]*/g, '');
+    mediaUrl = mediaUrl.replace(/[?&]_nc_gid=[^&]*/g, '');
+    mediaUrl = mediaUrl.replace(/\/s\d+x\d+[a-z]?_[a-z]+-jpg[^?&]*/g, '');
+    // Removing the first param also removes the '?', so promote the next '&' to start the query
+    if (!mediaUrl.includes('?')) {
+        mediaUrl = mediaUrl.replace('&', '?');
+    }
+    mediaUrl = mediaUrl.replace(/\?$/, '');
+    return mediaUrl;
+}
+
+// Helper function to pick the largest entry from a list of sized resources
+// Works for display_resources ({src, config_width, config_height}),
+// image_versions2.candidates and video_versions ({url, width, height})
+function pickLargestResource(resources) {
+    if (!Array.isArray(resources) || resources.length === 0) return null;
+
+    let maxResolution = 0;
+    let bestResource = null;
+
+    for (const resource of resources) {
+        const width = resource?.config_width || resource?.width || 0;
+        const height = resource?.config_height || resource?.height || 0;
+        if ((resource?.src || resource?.url) && width * height > maxResolution) {
+            maxResolution = width * height;
+            bestResource = resource;
+        }
+    }
+
+    // Fallback to last resource (usually highest quality in display_resources)
+    return bestResource || resources[resources.length - 1] || null;
+}
+
+// Helper function to build a normalized media item from a post or carousel child node
+// Handles both GraphQL nodes (display_url, video_url) and API v1 items (image_versions2, video_versions)
+function buildMediaItem(node) {
+    if (!node || typeof node !== 'object') return null;
+
+    const isVideo = !!(node.is_video || node.video_url || node.video_versions?.length || node.media_type === 2);
+
+    const bestResource = pickLargestResource(node.display_resources);
+    const bestCandidate = pickLargestResource(node.image_versions2?.candidates);
+    const bestVideo = pickLargestResource(node.video_versions);
+
+    // Videos (carousel slides) that only list a DASH manifest play its largest video; its
+    // representations become the variants, so downloads get the audio merged (see lib/dash.js)
+    const manifest = isVideo && !node.video_url && !bestVideo && typeof node.video_dash_manifest === 'string'
+        ? parseDashManifest(node.video_dash_manifest)
+        : null;
+    const dash = pickRepresentations(manifest);
+
+    const imageUrl = bestResource?.src || bestCandidate?.url || node.display_url || node.thumbnail_src || null;
+    const videoUrl = node.video_url || bestVideo?.url || dash.video?.url || null;
+
+    let mediaUrl = decodeUrlEntities(isVideo ? videoUrl : imageUrl);
+    if (!mediaUrl) return null;
+
+    if (!isVideo) {
+        mediaUrl = removeSizeRestrictions(mediaUrl);
+    }
+
+    const thumbnailUrl = decodeUrlEntities(node.display_url || bestCandidate?.url || node.thumbnail_src || imageUrl || mediaUrl);
+
+    const item = {
+        mediaType: isVideo ? 'video' : 'image',
+        mediaUrl: mediaUrl,
+        thumbnailUrl: thumbnailUrl,
+        width: node.dimensions?.width || node.original_width || bestResource?.config_width || null,
+        height: node.dimensions?.height || node.original_height || bestResource?.config_height || null
+    };
+
+    // Every rendition Instagram listed, best first (see lib/video.js); GraphQL nodes only have video_url
+    if (isVideo && dash.video) {
+        item.variants = variantsFromRepresentations(manifest.video, dash.audio?.url || null);
+    } else if (isVideo) {
+        const versions = node.video_versions?.length
+            ? node.video_versions
+            : [{ url: mediaUrl, width: item.width, height: item.height }];
+        item.variants = variantsFromVideoVersions(versions.map(version => ({
+            ...version,
+            url: decodeUrlEntities(version?.url)
+        })));
+    }
+
+    return item;
+}
+
+// Helper function to extract every slide of a carousel (sidecar) post, in order
+// Returns null when the media is not a carousel
+function extractCarouselItems(media) {
+    if (!media || typeof media !== 'object') return null;
+
+    const children = media.edge_sidecar_to_children?.edges?.map(edge => edge?.node) || media.carousel_media;
+    if (!Array.isArray(children) || children.length === 0) return null;
+
+    const items = children.map(buildMediaItem).filter(Boolean);
+    return items.length > 0 ? items : null;
+}
+
+// Helper function to read the JSON value following a "key": in raw HTML/script text
+// Uses bracket matching (string-aware) so nested objects and arrays are captured whole
+function extractJsonValue(text, key) {
+    const needle = `"${key}":`;
+    let searchFrom = 0;
+
+    while (true) {
+        const keyIndex = text.indexOf(needle, searchFrom);
+        if (keyIndex === -1) return null;
+        searchFrom = keyIndex + needle.length;
+
+        const start = searchFrom;
+        const opener = text[start];
+        if (opener !== '{' && opener !== '[') continue;
+
+        let depth = 0;
+        let inString = false;
+        for (let i = start; i < text.length; i++) {
+            const char = text[i];
+            if (inString) {
+                if (char === '\\') i++;
+                else if (char === '"') inString = false;
+                continue;
+            }
+            if (char === '"') inString = true;
+            else if (char === '{' || char === '[') depth++;
+            else if (char === '}' || char === ']') {
+                depth--;
+                if (depth === 0) {
+                    try {
+                        return JSON.parse(text.slice(start, i + 1));
+                    } catch (e) {
+                        break; // Malformed, try next occurrence
+                    }
+                }
+            }
+        }
+    }
+}
+
+// Helper function to find carousel slides anywhere in the page HTML
+function extractCarouselFromHtml(html) {
+    const sidecar = extractJsonValue(html, 'edge_sidecar_to_children');
+    if (sidecar) {
+        const items = extractCarouselItems({ edge_sidecar_to_children: sidecar });
+        if (items) return items;
+    }
+
+    const carouselMedia = extractJsonValue(html, 'carousel_media');
+    if (carouselMedia) {
+        return extractCarouselItems({ carousel_media: carouselMedia });
+    }
+
+    return null;
+}
+
+// Helper function to extract from require data (Instagram's newer structure)
+function extractFromRequireData(data) {
+    try {
+        // Navigate through the complex nested structure
+        function findMediaData(obj, depth = 0) {
+            if (depth > 10) return null; // Prevent infinite recursion
+
+            if (obj && typeof obj === 'object') {
+                // Look for video_url or display_url which are typical media indicators
+                if (obj.video_url || obj.display_url || obj.display_resources || Array.isArray(obj.carousel_media)) {
+                    let mediaUrl = obj.video_url || obj.display_url;
+                    let thumbnailUrl = obj.display_url || obj.thumbnail_src || obj.video_url;
+                    
+                    // Try to get highest quality image from display_resources
+                    if (!obj.video_url && obj.display_resources && Array.isArray(obj.display_resources) && obj.display_resources.length > 0) {
+                        // Find the highest resolution image
+                        let maxResolution = 0;
+                        let bestResource = null;
+                        
+                        for (const resource of obj.display_resources) {
+                            if (resource.src && resource.config_width && resource.config_height) {
+                                const resolution = resource.config_width * resource.config_height;
+                                if (resolution > maxResolution) {
+                                    maxResolution = resolution;
+                                    bestResource = resource;
+                                }
+                            }
+                        }
+                        
+                        if (bestResource) {
+                            mediaUrl = bestResource.src;
+                            thumbnailUrl = bestResource.src;
+                            logger.debug('Found high-quality image from display_resources in JSON:', maxResolution);
+                        } else if (obj.display_resources.length > 0 && obj.display_resources[obj.display_resources.length - 1].src) {
+                            // Fallback to last resource (usually highest quality)
+                            mediaUrl = obj.display_resources[obj.display_resources.length - 1].src;
+                            thumbnailUrl = mediaUrl;
+                        }
+                    }
+                    
+                    // Decode HTML entities from URLs
+                    mediaUrl = decodeUrlEntities(mediaUrl);
+                    thumbnailUrl = decodeUrlEntities(thumbnailUrl);
+                    
+                    // Remove size restrictions from image URLs
+                    if (!obj.video_url && mediaUrl) {
+                        mediaUrl = removeSizeRestrictions(mediaUrl);
+                    }
+                    
+                    const caption = obj.edge_media_to_caption?.edges?.[0]?.node?.text ||
+                                  obj.caption?.text ||
+                                  obj.accessibility_caption || '';
+
+                    // Carousel posts: collect every slide, falling back to the first one as the cover
+                    const items = extractCarouselItems(obj);
+                    let mediaType = obj.video_url || obj.is_video ? 'video' : 'image';
+                    if (items && !mediaUrl) {
+                        mediaUrl = items[0].mediaUrl;
+                        thumbnailUrl = items[0].thumbnailUrl;
+                        mediaType = items[0].mediaType;
+                    }
+
+                    return {
+                        mediaUrl: mediaUrl,
+                        thumbnailUrl: thumbnailUrl,
+                        caption: decodeHtmlEntities(caption),
+                        author: obj.owner?.username || obj.user?.username || 'Unknown',
+                        mediaType: mediaType,
+                        timestamp: (obj.taken_at_timestamp || obj.taken_at) ? new Date((obj.taken_at_timestamp || obj.taken_at) * 1000).toISOString() : null,
+                        items: items || undefined
+                    };
+                }
+
+                // Recursively search in object properties
+                for (const key in obj) {
+                    if (obj.hasOwnProperty(key)) {
+                        const result = findMediaData(obj[key], depth + 1);
+                        if (result) return result;
+                    }
+                }
+            }
+
+            return null;
+        }
+
+        return findMediaData(data);
+    } catch (e) {
+        logger.error('Error extracting from require data:', e.message);
+        return null;
+    }
+}
+
+// Helper function to parse JSON-LD data
+function parseJsonLd(jsonLd) {
+    if (!jsonLd) return null;
+
+    let mediaUrl = jsonLd.video?.contentUrl || jsonLd.image || null;
+    mediaUrl = decodeUrlEntities(mediaUrl); // Decode HTML entities
+    
+    // Remove size restrictions from image URLs
+    if (!jsonLd.video && mediaUrl) {
+        mediaUrl = removeSizeRestrictions(mediaUrl);
+    }
+
+    const thumbnailUrl = decodeUrlEntities(jsonLd.video?.thumbnailUrl || mediaUrl || null);
+    const caption = jsonLd.articleBody || jsonLd.caption || jsonLd.description || '';
+
+    return {
+        mediaUrl: mediaUrl,
+        thumbnailUrl: thumbnailUrl,
+        caption: decodeHtmlEntities(caption),
+        author: jsonLd.author?.name || jsonLd.author?.alternateName || 'Unknown',
+        mediaType: jsonLd.video ? 'video' : 'image',
+        timestamp: jsonLd.uploadDate || jsonLd.datePublished || null
+    };
+}
+
+// Helper function to parse sharedData
+function parseSharedData(sharedData, url) {
+    try {
+        const shortcode = url.match(/\/(p|reel|tv)\/([\w-]+)/)?.[2];
+        if (!shortcode) return null;
+
+        const media = sharedData.entry_data?.PostPage?.[0]?.graphql?.shortcode_media;
+        if (!media) return null;
+
+        const isVideo = media.is_video || media.__typename === 'GraphVideo';
+
+        let mediaUrl = isVideo ? media.video_url : media.display_url;
+        let thumbnailUrl = media.display_url;
+        
+        // Try to get highest quality image from display_resources
+        if (!isVideo && media.display_resources && Array.isArray(media.display_resources) && media.display_resources.length > 0) {
+            let maxResolution = 0;
+            let bestResource = null;
+            
+            for (const resource of media.display_resources) {
+                if (resource.src && resource.config_width && resource.config_height) {
+                    const resolution = resource.config_width * resource.config_height;
+                    if (resolution > maxResolution) {
+                        maxResolution = resolution;
+                        bestResource = resource;
+                    }
+                }
+            }
+            
+            if (bestResource) {
+                mediaUrl = bestResource.src;
+                thumbnailUrl = bestResource.src;
+                logger.debug('Found high-quality image from display_resources in sharedData:', maxResolution);
+            } else if (media.display_resources.length > 0 && media.display_resources[media.display_resources.length - 1].src) {
+                mediaUrl = media.display_resources[media.display_resources.length - 1].src;
+                thumbnailUrl = mediaUrl;
+            }
+        }
+        
+        // Decode HTML entities from URLs
+        mediaUrl = decodeUrlEntities(mediaUrl);
+        thumbnailUrl = decodeUrlEntities(thumbnailUrl);
+
+        // Remove size restrictions from image URLs
+        if (!isVideo && mediaUrl) {
+            mediaUrl = removeSizeRestrictions(mediaUrl);
+        }
+
+        const caption = media.edge_media_to_caption?.edges?.[0]?.node?.text || '';
+
+        return {
+            mediaUrl: mediaUrl,
+            thumbnailUrl: thumbnailUrl,
+            caption: decodeHtmlEntities(caption),
+            author: media.owner?.username || 'Unknown',
+            mediaType: isVideo ? 'video' : 'image',
+            timestamp: media.taken_at_timestamp ? new Date(media.taken_at_timestamp * 1000).toISOString() : null,
+            items: extractCarouselItems(media) || undefined
+        };
+    } catch (e) {
+        logger.error('Error parsing sharedData:', e.message);
+        return null;
+    }
+}
+
+// Helper function to parse meta tags as fallback
+function parseMetaTags(html) {
+    try {
+        // Try different og: tag formats - handle both quoted and HTML-encoded attributes
+        const ogImageMatch = html.match(/<meta\s+property=["']og:image["']\s+content=["']([^"']+)["']/i) ||
+                            html.match(/<meta\s+name=["']og:image["']\s+content=["']([^"']+)["']/i) ||
+                            html.match(/<meta\s+property=["']og:image["']\s+content=([^\s>]+)/i) ||
+                            html.match(/<meta\s+name=["']og:image["']\s+content=([^\s>]+)/i);
+
+        const ogVideoMatch = html.match(/<meta\s+property=["']og:video["']\s+content=["']([^"']+)["']/i) ||
+                            html.match(/<meta\s+property=["']og:video:secure_url["']\s+content=["']([^"']+)["']/i) ||
+                            html.match(/<meta\s+name=["']og:video["']\s+content=["']([^"']+)["']/i) ||
+                            html.match(/<meta\s+property=["']og:video["']\s+content=([^\s>]+)/i);
+
+        const ogDescMatch = html.match(/<meta\s+property=["']og:description["']\s+content=["']([^"']+)["']/i) ||
+                           html.match(/<meta\s+name=["']description["']\s+content=["']([^"']+)["']/i);
+
+        const ogTitleMatch = html.match(/<meta\s+property=["']og:title["']\s+content=["']([^"']+)["']/i) ||
+                            html.match(/<meta\s+name=["']twitter:title["']\s+content=["']([^"']+)["']/i) ||
+                            html.match(/<title>([^<]+)<\/title>/i);
+
+        // Try to get video URL from twitter tags as well
+        const twitterPlayerMatch = html.match(/<meta\s+name=["']twitter:player:stream["']\s+content=["']([^"']+)["']/i);
+
+        let videoUrl = ogVideoMatch?.[1] || twitterPlayerMatch?.[1];
+        let imageUrl = ogImageMatch?.[1];
+        
+        // Decode HTML entities IMMEDIATELY after extraction
+        if (videoUrl) {
+            videoUrl = decodeUrlEntities(videoUrl);
+            videoUrl = videoUrl.replace(/&amp;/g, '&');
+        }
+        if (imageUrl) {
+            imageUrl = decodeUrlEntities(imageUrl);
+            imageUrl = imageUrl.replace(/&amp;/g, '&');
+        }
+        
+        let mediaUrl = videoUrl || imageUrl || null;
+
+        if (!mediaUrl) {
+            return null;
+        }
+
+        // Additional decoding pass
+        mediaUrl = decodeUrlEntities(mediaUrl);
+        mediaUrl = mediaUrl.replace(/&amp;/g, '&');
+        const imageUrlDecoded = imageUrl ? decodeUrlEntities(imageUrl).replace(/&amp;/g, '&') : null;
+
+        // Remove size restrictions from image URLs
+        if (!videoUrl && mediaUrl) {
+            mediaUrl = removeSizeRestrictions(mediaUrl);
+        }
+
+        const caption = ogDescMatch?.[1] || '';
+
+        return {
+            mediaUrl: mediaUrl,
+            thumbnailUrl: imageUrlDecoded || mediaUrl,
+            caption: decodeHtmlEntities(caption),
+            author: ogTitleMatch?.[1]?.split(' on Instagram')?.[0]?.split('(@')?.[0]?.trim() || 'Unknown',
+            mediaType: videoUrl ? 'video' : 'image',
+            timestamp: null
+        };
+    } catch (e) {
+        logger.error('Error parsing meta tags:', e.message);
+        return null;
+    }
+}
+
+// Helper function to finalize an extracted post before it is returned to clients
+// Attaches items[] (carousel slides, or a single item) and decodes any leftover HTML entities
+function normalizePostData(postData, html) {
+    if (!postData) return postData;
+
+    // Collect every slide for carousel posts; single posts become a one-item list
+    if (!postData.items?.length) {
+        postData.items = extractCarouselFromHtml(html) || [{
+            mediaType: postData.mediaType,
+            mediaUrl: postData.mediaUrl,
+            thumbnailUrl: postData.thumbnailUrl,
+            width: null,
+            height: null
+        }];
+    }
+    if (postData.items.length > 1) {
+        logger.info(`Carousel post with ${postData.items.length} items`);
+
+        // Top-level media always mirrors the first slide (cover) of a carousel
+        postData.mediaUrl = postData.items[0].mediaUrl;
+        postData.thumbnailUrl = postData.items[0].thumbnailUrl;
+        postData.mediaType = postData.items[0].mediaType;
+    }
+
+    // Final URL sanitization - ensure no HTML entities remain
+    if (postData.mediaUrl) {
+        // Multiple passes to ensure complete decoding
+        let url = postData.mediaUrl;
+        let previous = '';
+        let iterations = 0;
+        // Keep decoding until no more changes
+        while (url !== previous && iterations < 5) {
+            previous = url;
+            url = decodeUrlEntities(url);
+            url = url.replace(/&amp;/g, '&');
+            url = url.replace(/&amp;/g, '&'); // Double pass
+            iterations++;
+        }
+        postData.mediaUrl = url;
+        
+        // Final verification and fix
+        if (postData.mediaUrl.includes('&amp;')) {
+            logger.warn('URL still contains &amp; after decoding, fixing...');
+            logger.debug('Before fix:', postData.mediaUrl.substring(0, 150));
+            postData.mediaUrl = postData.mediaUrl.replace(/&amp;/g, '&');
+            logger.debug('After fix:', postData.mediaUrl.substring(0, 150));
+        }
+        
+        // Verify URL is valid
+        try {
+            new URL(postData.mediaUrl);
+        } catch (e) {
+            logger.error('Invalid URL after processing:', postData.mediaUrl.substring(0, 150));
+        }
+    }
+    if (postData.thumbnailUrl) {
+        let url = postData.thumbnailUrl;
+        let previous = '';
+        let iterations = 0;
+        while (url !== previous && iterations < 5) {
+            previous = url;
+            url = decodeUrlEntities(url);
+            url = url.replace(/&amp;/g, '&');
+            iterations++;
+        }
+        postData.thumbnailUrl = url;
+    }
+    postData.items = postData.items.map(item => ({
+        ...item,
+        mediaUrl: decodeUrlEntities(item.mediaUrl),
+        thumbnailUrl: decodeUrlEntities(item.thumbnailUrl)
+    }));
+
+    return postData;
+}
+
+module.exports = {
+    decodeUrlEntities,
+    decodeHtmlEntities,
+    removeSizeRestrictions,
+    pickLargestResource,
+    buildMediaItem,
+    extractCarouselItems,
+    extractJsonValue,
+    extractCarouselFromHtml,
+    extractFromRequireData,
+    parseJsonLd,
+    parseSharedData,
+    parseMetaTags,
+    normalizePostData
+};
@@ -0,0 +1,81 @@
+// Provider registry: one module per platform
+//
+// Every provider module exports the same interface:
+//   name, label      - id ("instagram") and display name ("Instagram")
+//   urlPatterns      - regexes for the canonical page URLs it extracts
+//   shareUrlPatterns - regexes for short/share links that canonicalize to one of urlPatterns
+//   hosts            - hosts (and subdomains) its links and their redirects may use
+//   normalizeUrl     - (parsed URL without tracking params) => canonical URL string
+//   example          - example URL shown in the UI
+//   (urlPatterns and shareUrlPatterns together make up the front-end validator)
+//   cdnHosts         - media hosts the proxy may fetch for it (the host or any subdomain)
+//   getMediaHeaders  - (mediaUrl) => headers to send when fetching its media (Referer, ...)
+//   keyPrefix        - prefix of its cache/download keys (null for Instagram's bare shortcodes)
+//   getKey           - (url) => cache/download key, or null when it's only known after extraction
+//   buildUrl         - (key) => page URL, for re-extracting a post that isn't cached
+//   extract          - ({ url, onProgress }) => { postData, html, key? }
+//                      merged videos are returned as server-relative /temp/<file> URLs
+//   restorePost      - optional (cached postData) => false when the post must be extracted again
+//                      Called before a cached post's media is served (TikTok's media cookie)
+
+const { matchesHost } = require('../safe-fetch');
+const instagram = require('./instagram');
+const tiktok = require('./tiktok');
+
+const PROVIDERS = [instagram, tiktok];
+
+// Posts without a platform were cached before providers existed
+const DEFAULT_PROVIDER = instagram;
+
+// Helper function to find the provider of a page URL
+function findProvider(url) {
+    if (!url) return null;
+    return PROVIDERS.find(provider => provider.urlPatterns.some(pattern => pattern.test(url))) || null;
+}
+
+function findProviderByName(name) {
+    return PROVIDERS.find(provider => provider.name === name) || DEFAULT_PROVIDER;
+}
+
+function findProviderByKey(key) {
+    return PROVIDERS.find(provider => provider.keyPrefix && key?.startsWith(provider.keyPrefix)) || DEFAULT_PROVIDER;
+}
+
+// Helper function to find the provider that owns a hostname (the host or any subdomain)
+function findProviderByHost(hostname) {
+    return PROVIDERS.find(provider => matchesHost(hostname, provider.hosts)) || null;
+}
+
+// Helper function to find the provider whose CDN serves a media URL (null if no provider allows it)
+function findMediaProvider(mediaUrl) {
+    let hostname;
+    try {
+        const parsed = new URL(mediaUrl);
+        if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') return null;
+        hostname = parsed.hostname.toLowerCase();
+    } catch (e) {
+        return null;
+    }
+
+    return PROVIDERS.find(provider => matchesHost(hostname, provider.cdnHosts)) || null;
+}
+
+// What the front end needs to validate URLs
+function getClientConfig() {
+    return PROVIDERS.map(provider => ({
+        name: provider.name,
+        label: provider.label,
+        example: provider.example,
+        patterns: [...provider.urlPatterns, ...(provider.shareUrlPatterns || [])].map(pattern => pattern.source)
+    }));
+}
+
+module.exports = {
+    PROVIDERS,
+    findProvider,
+    findProviderByName,
+    findProviderByKey,
+    findProviderByHost,
+    findMediaProvider,
+    getClientConfig
+};
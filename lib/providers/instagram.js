@@ -0,0 +1,187 @@
+// Instagram provider: posts, reels and IGTV through the extractor pipeline, stories in Chromium
+const { registry } = require('../extractors');
+const { extractShortcode } = require('../cache');
+const { parseStoryUrl, buildStoryUrl, extractStory } = require('../stories');
+const { MAX_PAGE_BYTES, safeFetch } = require('../safe-fetch');
+const { logger, getContext } = require('../logger');
+const { failureStore, detectMarkers } = require('../failures');
+const { createProblem } = require('../errors');
+
+// Hosts the page and its redirects (login walls, regional domains) may use
+const HOSTS = ['instagram.com', 'instagr.am', 'ig.me'];
+
+const POST_PATTERN = /^https?:\/\/(www\.)?instagram\.com\/(p|reel|tv)\/[\w-]+\/?/;
+
+// Helper function to rewrite an Instagram URL into its canonical form (see lib/canonical-url.js)
+// Takes a parsed URL with tracking params already removed; returns a URL string
+//   instagr.am/p/X, instagram.com/<user>/p/X, /reels/X  -> https://www.instagram.com/p|reel/X/
+//   /accounts/login/?next=/p/X/                        -> the "next" URL
+function normalizeUrl(parsed) {
+    if (['instagram.com', 'm.instagram.com', 'instagr.am', 'www.instagr.am'].includes(parsed.hostname)) {
+        parsed.hostname = 'www.instagram.com';
+    }
+    if (parsed.hostname !== 'www.instagram.com') {
+        return parsed.toString();
+    }
+
+    // Login walls wrap the page we asked for
+    const next = parsed.searchParams.get('next');
+    if (parsed.pathname.startsWith('/accounts/login') && next?.startsWith('/')) {
+        return normalizeUrl(new URL(next, 'https://www.instagram.com'));
+    }
+
+    const post = parsed.pathname.match(/^\/(?:[\w.]+\/)?(p|reels?|tv)\/([\w-]+)/);
+    if (post) {
+        const type = post[1] === 'reels' ? 'reel' : post[1];
+        return `https://www.instagram.com/${type}/${post[2]}/`;
+    }
+
+    const story = parsed.pathname.match(/^\/stories\/(highlights\/\d+|[\w.]+\/\d+)/);
+    if (story) {
+        return `https://www.instagram.com/stories/${story[1]}/`;
+    }
+
+    // Highlight share links keep story_media_id, it says which item was shared
+    parsed.hash = '';
+    return parsed.toString();
+}
+
+// Helper function to get the cache/download key of an Instagram URL (shortcode or story key)
+function getKey(url) {
+    return parseStoryUrl(url)?.key || extractShortcode(url);
+}
+
+// Helper function to turn a key back into a URL
+function buildUrl(key) {
+    return buildStoryUrl(key) || `https://www.instagram.com/p/${key}/`;
+}
+
+// Fetch the post page and run the extractors; stories go straight to the browser
+// Returns { postData, html }
+async function extract({ url, onProgress = () => {} }) {
+    // Stories and highlights are rendered client-side
+    if (parseStoryUrl(url)) {
+        return { postData: await extractStory(url, onProgress), html: '', method: 'stories' };
+    }
+
+    // Fetch Instagram page with realistic browser headers
+    onProgress('fetching');
+    const response = await safeFetch(url, {
+        allowedHosts: HOSTS,
+        headers: {
+            'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+            'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7',
+            'Accept-Language': 'en-US,en;q=0.9',
+            'Accept-Encoding': 'gzip, deflate, br',
+            'Cache-Control': 'max-age=0',
+            'Sec-Ch-Ua': '"Not_A Brand";v="8", "Chromium";v="120", "Google Chrome";v="120"',
+            'Sec-Ch-Ua-Mobile': '?0',
+            'Sec-Ch-Ua-Platform': '"macOS"',
+            'Sec-Fetch-Dest': 'document',
+            'Sec-Fetch-Mode': 'navigate',
+            'Sec-Fetch-Site': 'none',
+            'Sec-Fetch-User': '?1',
+            'Upgrade-Insecure-Requests': '1',
+            'Viewport-Width': '1920'
+        },
+        timeout: 10000,
+        maxBytes: MAX_PAGE_BYTES,
+        validateStatus: (status) => status < 400
+    });
+
+    const html = response.data;
+
+    // Try every enabled extraction strategy (see lib/extractors)
+    onProgress('extracting');
+    const capturedUrls = [];
+    const { postData, method, errors } = await registry.run({ url, html, onProgress, capturedUrls });
+    const failure = { url, response, html, errors, capturedUrls };
+
+    if (!postData || !postData.mediaUrl) {
+        const markers = detectMarkers(html);
+        logger.warn(markers, '[INSTAGRAM] All parsing methods failed');
+        await captureFailure('no-media', failure);
+
+        throw createProblem(getFailureCode(markers, errors, response.url), {
+            extensions: process.env.NODE_ENV === 'development' ? { debug: markers } : undefined
+        });
+    }
+
+    // A reel that only produced its thumbnail is a partial failure worth keeping too
+    if (/\/(reel|tv)\//.test(url) && postData.mediaType !== 'video') {
+        logger.warn('[INSTAGRAM] Reel extracted without its video');
+        await captureFailure('video-missing', failure);
+    }
+
+    return { postData, html, method };
+}
+
+// Failures of a strategy that explain the whole extraction failing (and say whether to retry)
+const STAGE_FAILURES = ['TIMEOUT', 'UPSTREAM_RATE_LIMITED', 'BROWSER_UNAVAILABLE', 'MERGE_FAILED'];
+
+// Helper function to pick the error code of an extraction that found no media
+// What the page says (private, removed, login) wins over what went wrong while extracting.
+// Post pages link to the login page too, so only a redirect there or a login form without
+// any post preview counts as a login wall.
+function getFailureCode(markers, errors = [], finalUrl = '') {
+    if (markers.isPrivate) return 'POST_PRIVATE';
+    if (markers.isUnavailable) return 'POST_DELETED';
+    if (finalUrl.includes('/accounts/login') || (markers.hasLoginForm && !markers.hasOgImage)) return 'LOGIN_WALL';
+    const stageFailure = errors.find(error => STAGE_FAILURES.includes(error.code));
+    return stageFailure ? stageFailure.code : 'POST_UNAVAILABLE';
+}
+
+// Helper function to keep the page of a failed extraction (see lib/failures.js); never throws
+async function captureFailure(reason, { url, response, html, errors, capturedUrls }) {
+    try {
+        const id = await failureStore.save({
+            url,
+            platform: 'instagram',
+            key: getKey(url),
+            reason,
+            requestId: getContext().requestId,
+            status: response.status,
+            headers: response.headers,
+            html,
+            errors,
+            capturedUrls
+        });
+        if (id) logger.info(`[INSTAGRAM] Failure saved as ${id}`);
+    } catch (e) {
+        logger.warn('[INSTAGRAM] Could not save failure:', e.message);
+    }
+}
+
+module.exports = {
+    name: 'instagram',
+    label: 'Instagram',
+    // Also sent to the front-end validator (as regex source), see /api/providers
+    urlPatterns: [
+        POST_PATTERN,
+        /^https?:\/\/(www\.)?instagram\.com\/stories\/highlights\/\d+\/?/,
+        /^https?:\/\/(www\.)?instagram\.com\/stories\/[\w.]+\/\d+\/?/,
+        /^https?:\/\/(www\.)?instagram\.com\/s\/[\w=-]+/
+    ],
+    // Links users paste that only become one of the above after canonicalization
+    shareUrlPatterns: [
+        /^https?:\/\/(www\.)?instagram\.com\/[\w.]+\/(p|reel|tv)\/[\w-]+/,
+        /^https?:\/\/(www\.)?instagram\.com\/reels\/[\w-]+/,
+        /^https?:\/\/(www\.)?instagr\.am\/\S+/,
+        /^https?:\/\/(www\.)?ig\.me\/\S+/,
+        /^https?:\/\/l\.instagram\.com\/\?\S*u=/
+    ],
+    // Hosts (and their subdomains) redirects may go through while resolving share links
+    hosts: HOSTS,
+    example: 'https://www.instagram.com/p/...',
+    cdnHosts: ['cdninstagram.com', 'fbcdn.net'],
+    getMediaHeaders: () => ({
+        'Referer': 'https://www.instagram.com/',
+        'Origin': 'https://www.instagram.com'
+    }),
+    // Keys are bare shortcodes (or story keys) so entries cached before providers existed still match
+    keyPrefix: null,
+    normalizeUrl,
+    getKey,
+    buildUrl,
+    extract
+};
@@ -0,0 +1,216 @@
+// TikTok provider: videos and photo posts, read from the JSON the web page embeds
+// TikTok's CDN rejects hotlinked media (it checks Referer and the cookies set by the page),
+// so media is always served through /api/proxy with the headers remembered at extraction time.
+// The cookie is also kept with the post (mediaCookie), so a cached post brings it back after a
+// restart or once it has been evicted here (see restorePost).
+const { MAX_PAGE_BYTES, safeFetch } = require('../safe-fetch');
+const { variantsFromBitrateInfo } = require('../video');
+const { logger } = require('../logger');
+const { createProblem } = require('../errors');
+
+// Hosts the page and its redirects may use
+const HOSTS = ['tiktok.com'];
+
+const USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+// Cookies the page set, by media URL, so the proxy can fetch the media like the browser would
+const MAX_REMEMBERED_URLS = 500;
+const mediaCookies = new Map();
+
+// Helper function to get the video/photo id of a TikTok URL (short links have none until resolved)
+function getVideoId(url) {
+    return url?.match(/tiktok\.com\/@[\w.-]+\/(video|photo)\/(\d+)/)?.[2] || null;
+}
+
+function getKey(url) {
+    const id = getVideoId(url);
+    return id ? `tiktok-${id}` : null;
+}
+
+function buildUrl(key) {
+    const id = key.replace(/^tiktok-/, '');
+    // Any handle works, TikTok serves the post by id
+    return `https://www.tiktok.com/@_/video/${id}`;
+}
+
+// Helper function to rewrite a TikTok URL into its canonical form (see lib/canonical-url.js)
+// m.tiktok.com/@u/video/1?_r=1 -> https://www.tiktok.com/@u/video/1; short links are left for the redirect
+function normalizeUrl(parsed) {
+    const post = parsed.pathname.match(/^\/(@[\w.-]+)\/(video|photo)\/(\d+)/);
+    if (post && (parsed.hostname === 'tiktok.com' || parsed.hostname.endsWith('.tiktok.com'))) {
+        return `https://www.tiktok.com/${post[1]}/${post[2]}/${post[3]}`;
+    }
+    return parsed.toString();
+}
+
+// Helper function to read a <script id="..." type="application/json"> block
+function readJsonScript(html, id) {
+    const match = html.match(new RegExp(`<script[^>]+id="${id}"[^>]*>([\\s\\S]*?)</script>`));
+    if (!match) return null;
+    try {
+        return JSON.parse(match[1]);
+    } catch (e) {
+        return null;
+    }
+}
+
+// Page statusCode values of videos that can't be shown, as error codes (see lib/errors.js)
+const STATUS_CODES = {
+    10204: 'POST_DELETED', // Video not found
+    10216: 'POST_PRIVATE', // Private video
+    10222: 'POST_PRIVATE' // Private account
+};
+
+// Helper function to find the post in the page data
+// Current pages use __UNIVERSAL_DATA_FOR_REHYDRATION__; older ones SIGI_STATE
+// Returns { item, statusCode }
+function findItemStruct(html, videoId) {
+    const universal = readJsonScript(html, '__UNIVERSAL_DATA_FOR_REHYDRATION__');
+    const detail = universal?.__DEFAULT_SCOPE__?.['webapp.video-detail'];
+    if (detail) {
+        return { item: detail.itemInfo?.itemStruct || null, statusCode: detail.statusCode ?? null };
+    }
+
+    const sigi = readJsonScript(html, 'SIGI_STATE');
+    const items = sigi?.ItemModule;
+    if (items) {
+        return { item: items[videoId] || Object.values(items)[0] || null, statusCode: null };
+    }
+
+    return { item: null, statusCode: null };
+}
+
+// Parse a TikTok page into a normalized post (null when the page has no post data)
+function parseTikTokHtml(html, videoId = null) {
+    const { item, statusCode } = findItemStruct(html, videoId);
+    if (!item) return statusCode ? { statusCode } : null;
+
+    let items;
+    const images = item.imagePost?.images;
+    if (Array.isArray(images) && images.length > 0) {
+        // Photo mode post: a carousel of images
+        items = images.map(image => ({
+            mediaType: 'image',
+            mediaUrl: image.imageURL?.urlList?.[0] || null,
+            thumbnailUrl: image.imageURL?.urlList?.[0] || null,
+            width: image.imageWidth || null,
+            height: image.imageHeight || null
+        })).filter(image => image.mediaUrl);
+    } else {
+        const video = item.video || {};
+        const mediaUrl = video.playAddr || video.downloadAddr || video.bitrateInfo?.[0]?.PlayAddr?.UrlList?.[0] || null;
+        items = mediaUrl ? [{
+            mediaType: 'video',
+            mediaUrl,
+            thumbnailUrl: video.cover || video.originCover || video.dynamicCover || null,
+            width: video.width || null,
+            height: video.height || null,
+            variants: variantsFromBitrateInfo(video.bitrateInfo)
+        }] : [];
+    }
+
+    if (items.length === 0) return null;
+
+    return {
+        id: item.id ? String(item.id) : videoId,
+        mediaUrl: items[0].mediaUrl,
+        thumbnailUrl: items[0].thumbnailUrl,
+        mediaType: items[0].mediaType,
+        caption: item.desc || '',
+        author: typeof item.author === 'string' ? item.author : item.author?.uniqueId || 'Unknown',
+        timestamp: item.createTime ? new Date(Number(item.createTime) * 1000).toISOString() : null,
+        items
+    };
+}
+
+// Helper function to list the media URLs of a post the proxy may be asked for
+function getMediaUrls(postData) {
+    return (postData.items || []).flatMap(item => [
+        item.mediaUrl,
+        ...(item.variants || []).map(variant => variant.url)
+    ]);
+}
+
+function rememberCookies(urls, cookie) {
+    if (!cookie) return;
+    for (const url of urls) {
+        mediaCookies.delete(url);
+        mediaCookies.set(url, cookie);
+    }
+    while (mediaCookies.size > MAX_REMEMBERED_URLS) {
+        mediaCookies.delete(mediaCookies.keys().next().value);
+    }
+}
+
+// Fetch the page (short links are followed) and read the embedded post data
+// Remember the media cookie of a cached post again before its media is served
+// Returns false for posts cached without one: they have to be extracted again
+function restorePost(postData) {
+    if (typeof postData.mediaCookie !== 'string') return false;
+    rememberCookies(getMediaUrls(postData), postData.mediaCookie);
+    return true;
+}
+
+async function extract({ url, onProgress = () => {} }) {
+    onProgress('fetching');
+    const response = await safeFetch(url, {
+        allowedHosts: HOSTS,
+        headers: {
+            'User-Agent': USER_AGENT,
+            'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+            'Accept-Language': 'en-US,en;q=0.9'
+        },
+        timeout: 10000,
+        maxBytes: MAX_PAGE_BYTES,
+        validateStatus: (status) => status < 400
+    });
+
+    const html = response.data;
+    const finalUrl = response.url;
+
+    onProgress('extracting');
+    const postData = parseTikTokHtml(html, getVideoId(finalUrl));
+
+    if (!postData?.mediaUrl) {
+        logger.error('[TIKTOK] No post data in page, status code:', postData?.statusCode ?? 'none');
+        throw createProblem(STATUS_CODES[postData?.statusCode] || 'POST_UNAVAILABLE');
+    }
+
+    const cookie = (response.headers['set-cookie'] || []).map(value => value.split(';')[0]).join('; ');
+    postData.mediaCookie = cookie;
+    rememberCookies(getMediaUrls(postData), cookie);
+
+    logger.info(`[SUCCESS] Extracted TikTok ${postData.id} - Type:`, postData.mediaType);
+    const key = postData.id ? `tiktok-${postData.id}` : null;
+    delete postData.id;
+    return { postData, html, key, method: 'universal-data' };
+}
+
+module.exports = {
+    name: 'tiktok',
+    label: 'TikTok',
+    // Also sent to the front-end validator (as regex source), see /api/providers
+    urlPatterns: [
+        /^https?:\/\/(www\.|m\.)?tiktok\.com\/@[\w.-]+\/(video|photo)\/\d+/
+    ],
+    // Short links, resolved by following their redirect
+    shareUrlPatterns: [
+        /^https?:\/\/(vm|vt)\.tiktok\.com\/[\w-]+\/?/,
+        /^https?:\/\/(www\.)?tiktok\.com\/t\/[\w-]+\/?/
+    ],
+    hosts: HOSTS,
+    example: 'https://www.tiktok.com/@user/video/...',
+    cdnHosts: ['tiktokcdn.com', 'tiktokcdn-us.com', 'tiktokcdn-eu.com', 'tiktokv.com', 'tiktokv.us', 'tiktok.com', 'byteoversea.com', 'ibyteimg.com'],
+    getMediaHeaders: (url) => ({
+        'Referer': 'https://www.tiktok.com/',
+        'Origin': 'https://www.tiktok.com',
+        ...(mediaCookies.has(url) ? { 'Cookie': mediaCookies.get(url) } : {})
+    }),
+    keyPrefix: 'tiktok-',
+    normalizeUrl,
+    getKey,
+    buildUrl,
+    extract,
+    restorePost,
+    parseTikTokHtml
+};
@@ -0,0 +1,102 @@
+// Helpers for /api/proxy: signed proxy URLs and which headers travel between the client and the CDN
+// Range and conditional headers go upstream so the CDN answers 206/304 itself; the headers a
+// client needs to seek and revalidate (Content-Range, ETag, ...) come back unchanged.
+// The proxy only serves URLs the server handed out itself: /api/proxy?u=<cdn url>&exp=<unix
+// seconds>&sig=<HMAC-SHA256 of u and exp>, so other sites can't use it as a free CDN.
+const crypto = require('crypto');
+const { createProblem } = require('./errors');
+
+// Client request headers forwarded to the CDN
+const FORWARDED_REQUEST_HEADERS = [
+    'range',
+    'if-range',
+    'if-none-match',
+    'if-modified-since'
+];
+
+// CDN response headers relayed to the client
+const RELAYED_RESPONSE_HEADERS = [
+    'content-type',
+    'content-length',
+    'content-range',
+    'content-encoding',
+    'accept-ranges',
+    'etag',
+    'last-modified'
+];
+
+// Upstream statuses relayed as-is (everything else is an error)
+const RELAYED_STATUSES = [200, 206, 304, 416];
+
+// Helper function to copy the listed headers that are present
+function pickHeaders(headers, names) {
+    const picked = {};
+    for (const name of names) {
+        const value = headers?.[name];
+        if (value !== undefined && value !== '') {
+            picked[name] = value;
+        }
+    }
+    return picked;
+}
+
+// Helper function to build the headers relayed to the client for an upstream response
+// The body is passed through undecoded, so sizes and ranges always match the bytes sent
+function getRelayedHeaders(upstreamHeaders) {
+    return pickHeaders(upstreamHeaders, RELAYED_RESPONSE_HEADERS);
+}
+
+// Create a signer for proxy URLs
+// options.secret     - HMAC key; URLs signed with another key are rejected
+// options.ttlSeconds - how long a signed URL stays valid
+function createUrlSigner({ secret, ttlSeconds = 21600 }) {
+    function getSignature(url, exp) {
+        return crypto.createHmac('sha256', secret).update(`${url}\n${exp}`).digest('base64url');
+    }
+
+    // Returns the query string for /api/proxy ("u=...&exp=...&sig=...")
+    function sign(url, now = Date.now()) {
+        const exp = Math.floor(now / 1000) + ttlSeconds;
+        return new URLSearchParams({ u: url, exp: String(exp), sig: getSignature(url, exp) }).toString();
+    }
+
+    // Check the u/exp/sig query params; returns { url, exp } or throws a 403 error
+    function verify(query, now = Date.now()) {
+        const { u: url, exp, sig } = query || {};
+        if (typeof url !== 'string' || typeof exp !== 'string' || typeof sig !== 'string' || !url || !sig) {
+            throw createProblem('PROXY_URL_UNSIGNED');
+        }
+
+        const expected = Buffer.from(getSignature(url, exp));
+        const given = Buffer.from(sig);
+        if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+            throw createProblem('PROXY_URL_INVALID');
+        }
+
+        const expires = parseInt(exp, 10);
+        if (!(expires * 1000 > now)) {
+            throw createProblem('PROXY_URL_EXPIRED');
+        }
+
+        return { url, exp: expires };
+    }
+
+    return { ttlSeconds, sign, verify };
+}
+
+// Shared instance; without PROXY_SECRET the key is random, so URLs stop working after a restart
+const PROXY_SECRET = process.env.PROXY_SECRET || crypto.randomBytes(32).toString('hex');
+const urlSigner = createUrlSigner({
+    secret: PROXY_SECRET,
+    ttlSeconds: parseInt(process.env.PROXY_URL_TTL_SECONDS, 10) || 21600
+});
+
+module.exports = {
+    FORWARDED_REQUEST_HEADERS,
+    RELAYED_RESPONSE_HEADERS,
+    RELAYED_STATUSES,
+    pickHeaders,
+    getRelayedHeaders,
+    createUrlSigner,
+    urlSigner
+};
@@ -0,0 +1,182 @@
+// Puppeteer-based extraction: loads the page in Chromium and sniffs media requests
+const path = require('path');
+const { browserPool } = require('./browser-pool');
+const { decodeHtmlEntities } = require('./parsers');
+const { mergeVideoAudio } = require('./media');
+const { variantsFromCapturedUrls, selectVariant } = require('./video');
+const { logger, bindContext } = require('./logger');
+
+// Puppeteer-based extraction (for videos that don't appear in HTML)
+// onProgress(stage, fraction) reports 'navigating', 'capturing', then the merge stages
+// capturedUrls, when given, receives every media response as { kind: 'video'|'audio'|'image', url }
+async function extractWithPuppeteer(url, onProgress = () => {}, capturedUrls = []) {
+    // Intercept network requests to capture video and audio URLs
+    const videoUrls = [];
+    const audioUrls = [];
+    let thumbnailUrl = null;
+
+    // Only the capture needs the browser; the page goes back to the pool before ffmpeg runs
+    const metadata = await browserPool.withPage(async (page) => {
+        await page.setRequestInterception(true);
+
+        page.on('request', request => {
+            request.continue();
+        });
+
+        // Events come from the shared browser connection; keep this request's log context
+        page.on('response', bindContext(async response => {
+            const responseUrl = response.url();
+            const contentType = response.headers()['content-type'] || '';
+
+            // Capture video and audio URLs from Instagram CDN
+            if (contentType.includes('video') || responseUrl.includes('.mp4')) {
+                if (responseUrl.includes('.mp4')) {
+                    // Detect audio by URL patterns:
+                    // - Path contains /t16/ (audio) vs /t2/ (video)
+                    // - Path contains /m69/ (audio) vs /m367/ (video)
+                    // - URL contains 'audio' or 'heaac' keywords
+                    const isAudio = responseUrl.includes('/t16/') ||
+                                   responseUrl.includes('/m69/') ||
+                                   responseUrl.includes('audio') ||
+                                   responseUrl.includes('heaac');
+
+                    if (isAudio) {
+                        logger.info('[PUPPETEER] Detected audio URL');
+                        audioUrls.push(responseUrl);
+                    } else {
+                        videoUrls.push(responseUrl);
+                    }
+                    capturedUrls.push({ kind: isAudio ? 'audio' : 'video', url: responseUrl });
+                }
+            }
+
+            // Capture thumbnail
+            if ((contentType.includes('image') || responseUrl.includes('.jpg')) && !thumbnailUrl) {
+                if (responseUrl.includes('cdninstagram.com') || responseUrl.includes('fbcdn.net')) {
+                    thumbnailUrl = responseUrl;
+                    capturedUrls.push({ kind: 'image', url: responseUrl });
+                }
+            }
+        }));
+
+        logger.info('[PUPPETEER] Navigating to:', url);
+        onProgress('navigating', 0);
+
+        // Navigate to the page
+        await page.goto(url, {
+            waitUntil: 'networkidle2',
+            timeout: 30000
+        });
+
+        // Wait for video to load
+        onProgress('capturing', 0);
+        await new Promise(resolve => setTimeout(resolve, 5000));
+
+        // Extract metadata from the page
+        return page.evaluate(() => {
+            // Try to get caption and username
+            const captionElement = document.querySelector('h1') ||
+                                  document.querySelector('[class*="Caption"]') ||
+                                  document.querySelector('meta[property="og:title"]');
+
+            const usernameElement = document.querySelector('a[href*="/"]') ||
+                                   document.querySelector('meta[property="og:title"]');
+
+            // Try to extract from scripts
+            const scripts = Array.from(document.querySelectorAll('script'));
+            let caption = '';
+            let username = '';
+
+            for (const script of scripts) {
+                const content = script.textContent || '';
+                if (content.includes('edge_media_to_caption')) {
+                    const captionMatch = content.match(/"text":"([^"]+)"/);
+                    if (captionMatch) {
+                        caption = captionMatch[1];
+                        break;
+                    }
+                }
+                if (content.includes('"username"') && !username) {
+                    const usernameMatch = content.match(/"username":"([^"]+)"/);
+                    if (usernameMatch) {
+                        username = usernameMatch[1];
+                    }
+                }
+            }
+
+            return {
+                caption: caption || captionElement?.textContent || captionElement?.content || '',
+                author: username || usernameElement?.textContent || usernameElement?.content || 'Unknown'
+            };
+        });
+    });
+
+    // Process video URLs to find the best quality
+    if (videoUrls.length > 0) {
+        logger.info(`[PUPPETEER] Found ${videoUrls.length} video URL(s) and ${audioUrls.length} audio URL(s)`);
+
+        // Every captured rendition (byte ranges removed), best first; they all share the first audio track
+        const cleanAudioUrl = audioUrls.length > 0 ? cleanUrl(audioUrls[0]) : null;
+        const variants = variantsFromCapturedUrls(videoUrls.map(cleanUrl), cleanAudioUrl);
+        const bestVariant = selectVariant(variants);
+        logger.info(`[PUPPETEER] Selected ${bestVariant.quality || 'unlabelled'} quality video`);
+
+        const cleanVideoUrl = bestVariant.url;
+        let mediaUrl = cleanVideoUrl;
+
+        // If we have audio, merge it with video
+        if (cleanAudioUrl) {
+            logger.info('[PUPPETEER] Merging video with audio using ffmpeg...');
+
+            try {
+                const mergedVideoPath = await mergeVideoAudio(cleanVideoUrl, cleanAudioUrl, url, onProgress);
+                mediaUrl = `/temp/${path.basename(mergedVideoPath)}`;
+            } catch (error) {
+                logger.error('[PUPPETEER] Failed to merge audio/video:', error.message);
+                // Fallback to video without audio
+                logger.info('[PUPPETEER] Falling back to video without audio');
+            }
+        } else {
+            // No audio track found
+            logger.info('[PUPPETEER] No audio track found, returning video only');
+        }
+
+        return {
+            mediaUrl,
+            thumbnailUrl: thumbnailUrl || '',
+            caption: decodeHtmlEntities(metadata.caption.replace(/\\n/g, '\n').replace(/\\"/g, '"')),
+            author: metadata.author,
+            mediaType: 'video',
+            timestamp: null,
+            items: [{
+                mediaType: 'video',
+                mediaUrl,
+                thumbnailUrl: thumbnailUrl || '',
+                width: null,
+                height: null,
+                variants
+            }]
+        };
+    }
+
+    return null;
+}
+
+// Helper function to clean URL (remove byte range parameters)
+function cleanUrl(url) {
+    if (!url) return url;
+    const [baseUrl, queryString] = url.split('?');
+    if (!queryString) return url;
+
+    const cleanedParams = queryString
+        .split('&')
+        .filter(param => !param.startsWith('bytestart') && !param.startsWith('byteend'))
+        .join('&');
+
+    return `${baseUrl}?${cleanedParams}`;
+}
+
+module.exports = {
+    extractWithPuppeteer,
+    cleanUrl
+};
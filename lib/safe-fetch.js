@@ -0,0 +1,259 @@
+// Outbound HTTP for everything the server fetches on a user's behalf: pages, media, short links
+// The URLs come from users or from pages we scraped, so every request, and every redirect it
+// makes, is checked before it is sent:
+//   - http(s) only, and on the caller's host allowlist (the host itself or a subdomain)
+//   - the host must not resolve to a private, loopback, link-local or reserved address. The check
+//     runs on the addresses the socket connects to, so DNS rebinding can't slip past it.
+//   - redirects are followed here, one hop at a time, with the same checks
+//   - response bodies are capped at maxBytes
+const axios = require('axios');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { Transform, pipeline } = require('stream');
+const { logger } = require('./logger');
+const { createProblem } = require('./errors');
+
+const MB = 1024 * 1024;
+const MAX_MEDIA_BYTES = (parseInt(process.env.FETCH_MAX_MEDIA_MB, 10) || 500) * MB;
+const MAX_PAGE_BYTES = (parseInt(process.env.FETCH_MAX_PAGE_MB, 10) || 10) * MB;
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+// Dropped when a redirect moves to another host
+const CREDENTIAL_HEADERS = ['cookie', 'authorization'];
+
+// Addresses no request may reach (IPv4-mapped IPv6 addresses match the IPv4 rules)
+const BLOCKED_SUBNETS = [
+    ['0.0.0.0', 8, 'ipv4'],        // "this" network
+    ['10.0.0.0', 8, 'ipv4'],       // private
+    ['100.64.0.0', 10, 'ipv4'],    // carrier-grade NAT
+    ['127.0.0.0', 8, 'ipv4'],      // loopback
+    ['169.254.0.0', 16, 'ipv4'],   // link-local, cloud metadata
+    ['172.16.0.0', 12, 'ipv4'],    // private
+    ['192.0.0.0', 24, 'ipv4'],     // IETF protocol assignments
+    ['192.0.2.0', 24, 'ipv4'],     // documentation
+    ['192.168.0.0', 16, 'ipv4'],   // private
+    ['198.18.0.0', 15, 'ipv4'],    // benchmarking
+    ['198.51.100.0', 24, 'ipv4'],  // documentation
+    ['203.0.113.0', 24, 'ipv4'],   // documentation
+    ['224.0.0.0', 4, 'ipv4'],      // multicast
+    ['240.0.0.0', 4, 'ipv4'],      // reserved, broadcast
+    ['::', 128, 'ipv6'],           // unspecified
+    ['::1', 128, 'ipv6'],          // loopback
+    ['64:ff9b::', 96, 'ipv6'],     // NAT64 (embeds an IPv4 address)
+    ['100::', 64, 'ipv6'],         // discard
+    ['2001:db8::', 32, 'ipv6'],    // documentation
+    ['2002::', 16, 'ipv6'],        // 6to4 (embeds an IPv4 address)
+    ['fc00::', 7, 'ipv6'],         // unique local
+    ['fe80::', 10, 'ipv6'],        // link-local
+    ['ff00::', 8, 'ipv6']          // multicast
+];
+
+const DEFAULT_BLOCK_LIST = new net.BlockList();
+for (const [address, prefix, type] of BLOCKED_SUBNETS) {
+    DEFAULT_BLOCK_LIST.addSubnet(address, prefix, type);
+}
+
+// Helper function to check a hostname against an allowlist: the host itself or any subdomain
+// matchesHost('scontent.cdninstagram.com', ['cdninstagram.com']) -> true
+// matchesHost('cdninstagram.com.evil.example', ['cdninstagram.com']) -> false
+function matchesHost(hostname, hosts) {
+    const host = String(hostname).toLowerCase().replace(/\.$/, '');
+    return hosts.some(allowed => host === allowed || host.endsWith(`.${allowed}`));
+}
+
+// Helper function to build an error the routes answer as a problem (see lib/errors.js)
+// err.code is Node-style (ERR_BLOCKED_DESTINATION); the problem code drops the prefix
+function fetchError(code, detail) {
+    const err = createProblem(code.replace(/^ERR_/, ''), { detail });
+    err.code = code;
+    return err;
+}
+
+function blockedError(message) {
+    return fetchError('ERR_BLOCKED_DESTINATION', message);
+}
+
+function tooLargeError(maxBytes) {
+    return fetchError('ERR_RESPONSE_TOO_LARGE', `The upstream response is larger than ${Math.round(maxBytes / MB)} MB`);
+}
+
+// Create a fetch function
+// options.blockList    - net.BlockList of addresses to refuse (default: private and reserved ranges)
+// options.lookup       - dns.lookup compatible resolver (for tests)
+// options.maxBytes     - default response size cap
+// options.timeout      - default socket timeout in ms
+// options.maxRedirects - default number of redirects to follow
+function createSafeFetch({
+    blockList = DEFAULT_BLOCK_LIST,
+    lookup = dns.lookup,
+    maxBytes = MAX_MEDIA_BYTES,
+    timeout = 30000,
+    maxRedirects = 5
+} = {}) {
+    function isBlockedAddress(address) {
+        const family = net.isIP(address);
+        return family !== 0 && blockList.check(address, family === 6 ? 'ipv6' : 'ipv4');
+    }
+
+    // Resolver for the sockets: refuses the connection if any address of the host is blocked
+    function safeLookup(hostname, options, callback) {
+        lookup(hostname, { ...options, all: true }, (error, addresses) => {
+            if (error) return callback(error);
+
+            const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+            if (blocked) {
+                logger.warn(`[FETCH] Blocked ${hostname}: resolves to ${blocked.address}`);
+                return callback(blockedError('The destination address is not allowed'));
+            }
+
+            if (options.all) return callback(null, addresses);
+            callback(null, addresses[0].address, addresses[0].family);
+        });
+    }
+
+    const httpAgent = new http.Agent({ lookup: safeLookup });
+    const httpsAgent = new https.Agent({ lookup: safeLookup });
+
+    // Helper function to check a URL before requesting it; returns the parsed URL
+    function checkUrl(url, allowedHosts) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (e) {
+            throw blockedError('Invalid URL');
+        }
+
+        if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+            throw blockedError('Only http(s) URLs can be fetched');
+        }
+        if (parsed.username || parsed.password) {
+            throw blockedError('URLs with credentials are not allowed');
+        }
+        if (allowedHosts && !matchesHost(parsed.hostname, allowedHosts)) {
+            throw blockedError(`Host not allowed: ${parsed.hostname}`);
+        }
+
+        // IP literals never reach the resolver
+        const literal = parsed.hostname.replace(/^\[|\]$/g, '');
+        if (isBlockedAddress(literal)) {
+            throw blockedError('The destination address is not allowed');
+        }
+
+        return parsed;
+    }
+
+    // Helper function to cap a response stream; the upstream is destroyed with the returned stream
+    function limitStream(source, limit) {
+        let received = 0;
+        const limited = new Transform({
+            transform(chunk, encoding, callback) {
+                received += chunk.length;
+                callback(received > limit ? tooLargeError(limit) : null, chunk);
+            }
+        });
+        pipeline(source, limited, () => {});
+        return limited;
+    }
+
+    async function readBody(stream) {
+        const chunks = [];
+        for await (const chunk of stream) {
+            chunks.push(chunk);
+        }
+        return Buffer.concat(chunks);
+    }
+
+    // GET a URL. Returns an axios-style response ({ status, headers, data }) plus url, the final URL.
+    // options.allowedHosts   - hosts the URL and its redirects may use (null: any public host)
+    // options.responseType   - 'text' (default), 'arraybuffer' (a Buffer) or 'stream'
+    // options.maxBytes       - response size cap
+    // options.maxRedirects   - redirects to follow; past that the redirect response is returned
+    // options.validateStatus - statuses that resolve (default 2xx); others reject like axios does
+    // headers, timeout, signal and decompress are passed to axios
+    async function safeFetch(url, options = {}) {
+        const {
+            allowedHosts = null,
+            responseType = 'text',
+            maxBytes: limit = maxBytes,
+            maxRedirects: redirects = maxRedirects,
+            validateStatus = (status) => status >= 200 && status < 300,
+            headers = {},
+            ...axiosOptions
+        } = options;
+
+        let current = url;
+        let requestHeaders = { ...headers };
+
+        for (let hop = 0; ; hop++) {
+            const parsed = checkUrl(current, allowedHosts);
+
+            const response = await axios.get(parsed.toString(), {
+                timeout,
+                ...axiosOptions,
+                headers: requestHeaders,
+                responseType: 'stream',
+                maxRedirects: 0,
+                proxy: false, // An HTTP(S)_PROXY from the environment would bypass the address check
+                httpAgent,
+                httpsAgent,
+                validateStatus: () => true
+            });
+
+            const location = response.headers.location;
+            if (REDIRECT_STATUSES.includes(response.status) && location && hop < redirects) {
+                response.data.destroy();
+                const next = new URL(location, parsed).toString();
+                if (new URL(next).host !== parsed.host) {
+                    requestHeaders = Object.fromEntries(Object.entries(requestHeaders)
+                        .filter(([name]) => !CREDENTIAL_HEADERS.includes(name.toLowerCase())));
+                }
+                current = next;
+                continue;
+            }
+
+            response.url = parsed.toString();
+
+            if (!validateStatus(response.status)) {
+                response.data.destroy();
+                throw new axios.AxiosError(
+                    `Request failed with status code ${response.status}`,
+                    response.status >= 500 ? axios.AxiosError.ERR_BAD_RESPONSE : axios.AxiosError.ERR_BAD_REQUEST,
+                    response.config,
+                    response.request,
+                    response
+                );
+            }
+
+            const length = parseInt(response.headers['content-length'], 10);
+            if (length > limit) {
+                response.data.destroy();
+                throw tooLargeError(limit);
+            }
+
+            const body = limitStream(response.data, limit);
+            if (responseType === 'stream') {
+                response.data = body;
+            } else {
+                const buffer = await readBody(body);
+                response.data = responseType === 'arraybuffer' ? buffer : buffer.toString('utf8');
+            }
+            return response;
+        }
+    }
+
+    safeFetch.isBlockedAddress = isBlockedAddress;
+    return safeFetch;
+}
+
+// Shared instance
+const safeFetch = createSafeFetch();
+
+module.exports = {
+    MAX_MEDIA_BYTES,
+    MAX_PAGE_BYTES,
+    matchesHost,
+    createSafeFetch,
+    safeFetch
+};
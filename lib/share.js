@@ -0,0 +1,49 @@
+// Shared links: what the OS share sheet (Web Share Target, GET /share) and bookmarklets send in
+// Shares come as { title, text, url } and the link is rarely alone: messages carry commentary
+// ("look at this 😂 https://..."), some apps put the link in text and others in title, and links
+// are often pasted without the scheme. The first link to a supported post wins.
+const { findProvider } = require('./providers');
+const { cleanUrl, isShareUrl } = require('./canonical-url');
+
+// Longest shared text passed on to the page when it holds no supported link
+const MAX_SHARED_TEXT = 2000;
+
+// Anything that looks like a link, with or without the scheme ("instagram.com/p/X")
+const LINK_PATTERN = /(?:https?:\/\/)?(?:[\w-]+\.)+[a-z]{2,}(?:\/[^\s<>"']*)?/gi;
+
+// Helper function to list the links of a text in order, trailing punctuation removed
+function findLinks(text) {
+    return (String(text || '').match(LINK_PATTERN) || [])
+        .map(link => link.replace(/[.,;:!?)\]}]+$/, ''))
+        .map(link => (/^https?:\/\//i.test(link) ? link : `https://${link}`));
+}
+
+// Find the post link in a share: { title, text, url } -> cleaned URL string, or null
+// Posts and share links come before other links of a supported platform (profiles), which are
+// still returned so the page can say why they don't work.
+function findSharedUrl({ title, text, url } = {}) {
+    const links = [url, text, title]
+        .flatMap(findLinks)
+        .map(link => cleanUrl(link))
+        .filter(Boolean);
+
+    return links.find(link => findProvider(link) || isShareUrl(link)) || links[0] || null;
+}
+
+// The page to open for a share: the viewer with the link auto-loaded ("/?url=..."), or with the
+// shared text when there was no supported link, so the page shows what it got and why it failed
+function getShareRedirect(share = {}) {
+    const sharedUrl = findSharedUrl(share);
+    const value = sharedUrl || [share.title, share.text, share.url]
+        .filter(part => typeof part === 'string' && part.trim())
+        .join(' ')
+        .trim()
+        .slice(0, MAX_SHARED_TEXT);
+
+    return value ? `/?url=${encodeURIComponent(value)}` : '/';
+}
+
+module.exports = {
+    findSharedUrl,
+    getShareRedirect
+};
@@ -0,0 +1,214 @@
+// Stories and highlights: loaded in Chromium, media read from the reels_media API responses
+// Story pages are rendered client-side and usually need a logged-in session, so the HTML
+// extractors can't see them. Set INSTAGRAM_SESSIONID to a logged-in "sessionid" cookie to
+// view stories that require login.
+const { browserPool } = require('./browser-pool');
+const { buildMediaItem, extractJsonValue } = require('./parsers');
+const { logger, bindContext } = require('./logger');
+const { createProblem } = require('./errors');
+
+const SESSION_ID = process.env.INSTAGRAM_SESSIONID || '';
+
+// instagram.com/stories/<user>/<media id>/
+const STORY_PATTERN = /^https?:\/\/(www\.)?instagram\.com\/stories\/([\w.]+)\/(\d+)\/?/;
+// instagram.com/stories/highlights/<highlight id>/
+const HIGHLIGHT_PATTERN = /^https?:\/\/(www\.)?instagram\.com\/stories\/highlights\/(\d+)\/?/;
+// instagram.com/s/<base64 "highlight:<id>">?story_media_id=<media id>_<user id> (share links)
+const SHARE_PATTERN = /^https?:\/\/(www\.)?instagram\.com\/s\/([\w=-]+)\/?/;
+
+// Helper function to recognise story/highlight URLs
+// Returns { type, username?, mediaId?, highlightId?, key } or null. key is the cache/download id.
+function parseStoryUrl(url) {
+    if (!url) return null;
+
+    const highlight = url.match(HIGHLIGHT_PATTERN);
+    if (highlight) {
+        return { type: 'highlight', highlightId: highlight[2], key: `highlight-${highlight[2]}` };
+    }
+
+    const story = url.match(STORY_PATTERN);
+    if (story) {
+        return { type: 'story', username: story[2], mediaId: story[3], key: `story-${story[2]}-${story[3]}` };
+    }
+
+    const share = url.match(SHARE_PATTERN);
+    if (share) {
+        const decoded = Buffer.from(share[2], 'base64').toString('utf8');
+        const highlightId = decoded.match(/^highlight:(\d+)$/)?.[1];
+        if (highlightId) {
+            const mediaId = url.match(/[?&]story_media_id=(\d+)/)?.[1] || null;
+            return { type: 'highlight', highlightId, mediaId, key: `highlight-${highlightId}` };
+        }
+    }
+
+    return null;
+}
+
+// Helper function to turn a key from parseStoryUrl back into a URL (null for other keys)
+function buildStoryUrl(key) {
+    const highlight = key?.match(/^highlight-(\d+)$/);
+    if (highlight) return `https://www.instagram.com/stories/highlights/${highlight[1]}/`;
+
+    const story = key?.match(/^story-([\w.]+)-(\d+)$/);
+    if (story) return `https://www.instagram.com/stories/${story[1]}/${story[2]}/`;
+
+    return null;
+}
+
+// Helper function to find story items anywhere in an API/GraphQL response
+// Story reels look like { id: "highlight:1" | "<user id>", user: {...}, items: [media, ...] }
+// Returns [{ node, reelId, username }] in response order
+function findStoryItems(json) {
+    const found = [];
+
+    function walk(value, depth) {
+        if (!value || typeof value !== 'object' || depth > 12) return;
+
+        if (Array.isArray(value.items) && value.items.some(isStoryMedia)) {
+            const username = value.user?.username || value.owner?.username || null;
+            for (const node of value.items) {
+                if (isStoryMedia(node)) {
+                    found.push({ node, reelId: value.id != null ? String(value.id) : null, username });
+                }
+            }
+            return;
+        }
+
+        for (const child of Array.isArray(value) ? value : Object.values(value)) {
+            walk(child, depth + 1);
+        }
+    }
+
+    walk(json, 0);
+    return found;
+}
+
+function isStoryMedia(node) {
+    return !!node && typeof node === 'object' && !!(node.image_versions2 || node.video_versions);
+}
+
+// Helper function to pick the requested story (or every item of a highlight) from captured items
+// Returns a normalized post, or null when the story isn't among them (expired or deleted)
+function selectStoryPost(target, found) {
+    const seen = new Set();
+    const unique = found.filter(({ node }) => {
+        const id = String(node.pk || node.id);
+        if (seen.has(id)) return false;
+        seen.add(id);
+        return true;
+    });
+    const matchesMedia = ({ node }) => String(node.pk) === target.mediaId || String(node.id || '').startsWith(`${target.mediaId}_`);
+
+    let selected;
+    if (target.type === 'story') {
+        selected = unique.filter(matchesMedia);
+    } else {
+        const reelId = `highlight:${target.highlightId}`;
+        selected = unique.some(entry => entry.reelId === reelId)
+            ? unique.filter(entry => entry.reelId === reelId)
+            : unique;
+
+        // Share links point at one item of the highlight; show that one first
+        if (target.mediaId) {
+            selected = [...selected.filter(matchesMedia), ...selected.filter(entry => !matchesMedia(entry))];
+        }
+    }
+
+    const items = selected.map(({ node }) => buildMediaItem(node)).filter(Boolean);
+    if (items.length === 0) return null;
+
+    const first = selected[0];
+    return {
+        mediaUrl: items[0].mediaUrl,
+        thumbnailUrl: items[0].thumbnailUrl,
+        mediaType: items[0].mediaType,
+        caption: '',
+        author: first.node.user?.username || first.username || target.username || 'Unknown',
+        timestamp: first.node.taken_at ? new Date(first.node.taken_at * 1000).toISOString() : null,
+        items
+    };
+}
+
+// Load a story/highlight in Chromium and capture its media from the reels_media responses
+// onProgress(stage, fraction) reports 'navigating' and 'capturing'
+async function extractStory(url, onProgress = () => {}) {
+    const target = parseStoryUrl(url);
+    if (!target) {
+        throw createProblem('NOT_A_STORY');
+    }
+
+    const found = [];
+    const capture = await browserPool.withPage(async (page) => {
+        if (SESSION_ID) {
+            await page.setCookie({
+                name: 'sessionid',
+                value: SESSION_ID,
+                domain: '.instagram.com',
+                path: '/',
+                httpOnly: true,
+                secure: true
+            });
+        }
+
+        // Events come from the shared browser connection; keep this request's log context
+        page.on('response', bindContext(async response => {
+            const responseUrl = response.url();
+            if (!/reels_media|graphql|\/api\/v1\/feed\/reel/.test(responseUrl)) return;
+
+            try {
+                // GraphQL responses may start with an anti-JSON-hijacking prefix
+                const text = (await response.text()).replace(/^for \(;;\);/, '');
+                found.push(...findStoryItems(JSON.parse(text)));
+            } catch (e) {
+                // Not JSON (or body unavailable after a redirect)
+            }
+        }));
+
+        logger.info('[STORIES] Navigating to:', url);
+        onProgress('navigating', 0);
+        await page.goto(url, {
+            waitUntil: 'networkidle2',
+            timeout: 30000
+        });
+
+        // Give the viewer a moment to request the reel
+        onProgress('capturing', 0);
+        await new Promise(resolve => setTimeout(resolve, 3000));
+
+        const html = await page.content();
+        for (const key of ['xdt_api__v1__feed__reels_media', 'reels_media']) {
+            found.push(...findStoryItems(extractJsonValue(html, key)));
+        }
+
+        return { finalUrl: page.url(), html };
+    });
+
+    const post = selectStoryPost(target, found);
+    if (post) {
+        logger.info(`[STORIES] Captured ${post.items.length} item(s) for ${target.key}`);
+        return post;
+    }
+
+    const needsLogin = capture.finalUrl.includes('/accounts/login') ||
+        (found.length === 0 && /"loginForm"|name="username"/.test(capture.html));
+    if (needsLogin) {
+        throw createProblem('LOGIN_WALL', {
+            detail: SESSION_ID
+                ? 'Instagram asked for a login. The configured session may have expired.'
+                : 'Instagram only shows this story to logged-in users.'
+        });
+    }
+
+    if (target.type === 'story') {
+        throw createProblem('STORY_EXPIRED');
+    }
+    throw createProblem('HIGHLIGHT_UNAVAILABLE');
+}
+
+module.exports = {
+    parseStoryUrl,
+    buildStoryUrl,
+    findStoryItems,
+    selectStoryPost,
+    extractStory
+};
@@ -0,0 +1,268 @@
+// Lifecycle of the temp directory (merged videos served under /temp)
+// Finished files are written under a ".part" name and renamed when complete, so a crash never
+// leaves a half-written video behind a final name. The janitor deletes files that haven't been
+// used for maxAgeMs, evicts the least recently used files while the directory is over maxBytes,
+// and on startup removes the download/merge leftovers of a previous process.
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// Download and merge leftovers: <hash>_video.mp4, <hash>_audio.mp4 and <name>.part.<ext>
+const PART_PATTERN = /(_video\.mp4|_audio\.mp4|\.part(\.\w+)?)$/;
+
+// Files used this recently are never evicted, so a response never points at a file we just removed
+const MIN_KEEP_MS = 60 * 1000;
+
+const TEMP_DIR = path.join(__dirname, '..', 'temp');
+
+// Helper function to get the in-progress name of a file ("x_merged.mp4" -> "x_merged.part.mp4")
+// The extension stays last so ffmpeg can still infer the output format
+function getPartPath(filePath) {
+    const ext = path.extname(filePath);
+    return ext ? `${filePath.slice(0, -ext.length)}.part${ext}` : `${filePath}.part`;
+}
+
+function isPartFile(name) {
+    return PART_PATTERN.test(name);
+}
+
+// Create a janitor
+// options.dir        - directory to manage (created if missing)
+// options.maxAgeMs   - delete files not used for this long (0 disables)
+// options.maxBytes   - evict least recently used files above this total size (0 disables)
+// options.intervalMs - how often start() sweeps (0 only sweeps after new files are committed)
+function createTempJanitor(options = {}) {
+    const dir = options.dir || TEMP_DIR;
+    const maxAgeMs = options.maxAgeMs ?? 24 * 60 * 60 * 1000;
+    const maxBytes = options.maxBytes ?? 1024 * 1024 * 1024;
+    const intervalMs = options.intervalMs ?? 15 * 60 * 1000;
+
+    const lastUsed = new Map(); // name -> ms, overrides the file mtime
+    const stats = { files: 0, bytes: 0, sweeps: 0, expired: 0, evicted: 0, orphansRemoved: 0, purged: 0, lastSweepAt: null };
+    let timer = null;
+    let sweeping = null;
+
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    // Only plain file names inside the directory (no traversal)
+    function resolveName(name) {
+        if (!name || name !== path.basename(name) || name.startsWith('.')) return null;
+        return path.join(dir, name);
+    }
+
+    async function remove(name) {
+        lastUsed.delete(name);
+        try {
+            await fs.promises.unlink(path.join(dir, name));
+            return true;
+        } catch (e) {
+            if (e.code !== 'ENOENT') logger.error('[TEMP] Could not delete', name, e.message);
+            return false;
+        }
+    }
+
+    // Stat every file in the directory; finished files and parts are listed separately
+    async function scan() {
+        const files = [];
+        const parts = [];
+        const names = await fs.promises.readdir(dir);
+
+        for (const name of names) {
+            let stat;
+            try {
+                stat = await fs.promises.stat(path.join(dir, name));
+            } catch (e) {
+                continue; // Deleted while scanning
+            }
+            if (!stat.isFile()) continue;
+
+            const entry = {
+                name,
+                size: stat.size,
+                createdAt: stat.birthtimeMs || stat.ctimeMs,
+                lastUsedAt: lastUsed.get(name) || stat.mtimeMs
+            };
+            (isPartFile(name) ? parts : files).push(entry);
+        }
+
+        stats.files = files.length;
+        stats.bytes = files.reduce((total, file) => total + file.size, 0);
+        return { files, parts };
+    }
+
+    // Record that a file was served or reused (also bumps its mtime so recency survives restarts)
+    function touch(filePath) {
+        const name = path.basename(filePath);
+        const now = Date.now();
+        lastUsed.set(name, now);
+        fs.utimes(path.join(dir, name), now / 1000, now / 1000, () => {});
+    }
+
+    function has(name) {
+        const filePath = resolveName(name);
+        return !!filePath && fs.existsSync(filePath);
+    }
+
+    // Rename a finished part to its final name, then enforce the limits
+    async function commit(partPath, finalPath) {
+        await fs.promises.rename(partPath, finalPath);
+        touch(finalPath);
+        sweep().catch(e => logger.error('[TEMP] Sweep failed:', e.message));
+        return finalPath;
+    }
+
+    // Delete download/merge leftovers of a previous process (call before any work starts)
+    async function cleanOrphans() {
+        const { parts } = await scan();
+        let removed = 0;
+        for (const part of parts) {
+            if (await remove(part.name)) removed++;
+        }
+        if (removed > 0) {
+            stats.orphansRemoved += removed;
+            logger.info(`[TEMP] Removed ${removed} orphaned partial file(s)`);
+        }
+        return removed;
+    }
+
+    async function runSweep() {
+        const now = Date.now();
+        const { files, parts } = await scan();
+        const removed = [];
+
+        // Parts older than the max age belong to a merge that will never finish
+        for (const part of parts) {
+            if (maxAgeMs && now - part.lastUsedAt > maxAgeMs && await remove(part.name)) {
+                stats.orphansRemoved++;
+            }
+        }
+
+        let kept = [];
+        for (const file of files) {
+            if (maxAgeMs && now - file.lastUsedAt > maxAgeMs) {
+                if (await remove(file.name)) {
+                    stats.expired++;
+                    removed.push(file.name);
+                }
+            } else {
+                kept.push(file);
+            }
+        }
+
+        // Least recently used first
+        let bytes = kept.reduce((total, file) => total + file.size, 0);
+        if (maxBytes && bytes > maxBytes) {
+            kept.sort((a, b) => a.lastUsedAt - b.lastUsedAt);
+            for (const file of [...kept]) {
+                if (bytes <= maxBytes) break;
+                if (now - file.lastUsedAt < MIN_KEEP_MS) continue;
+                if (await remove(file.name)) {
+                    stats.evicted++;
+                    removed.push(file.name);
+                    bytes -= file.size;
+                    kept = kept.filter(other => other !== file);
+                }
+            }
+        }
+
+        stats.sweeps++;
+        stats.files = kept.length;
+        stats.bytes = bytes;
+        stats.lastSweepAt = new Date().toISOString();
+        if (removed.length > 0) {
+            logger.info(`[TEMP] Sweep removed ${removed.length} file(s), ${kept.length} left (${bytes} bytes)`);
+        }
+        return { removed, files: kept.length, bytes };
+    }
+
+    // Apply max age and max size; concurrent calls share one sweep
+    function sweep() {
+        if (!sweeping) {
+            sweeping = runSweep().finally(() => {
+                sweeping = null;
+            });
+        }
+        return sweeping;
+    }
+
+    // Finished files, most recently used first
+    async function list() {
+        const { files, parts } = await scan();
+        files.sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+        return {
+            files: files.map(file => ({
+                name: file.name,
+                size: file.size,
+                createdAt: new Date(file.createdAt).toISOString(),
+                lastUsedAt: new Date(file.lastUsedAt).toISOString()
+            })),
+            totalBytes: stats.bytes,
+            inProgress: parts.length
+        };
+    }
+
+    // Delete one finished file by name, or all of them. Returns the deleted names.
+    async function purge(name) {
+        let names;
+        if (name) {
+            if (!resolveName(name) || isPartFile(name)) return [];
+            names = [name];
+        } else {
+            names = (await scan()).files.map(file => file.name);
+        }
+
+        const removed = [];
+        for (const target of names) {
+            if (await remove(target)) removed.push(target);
+        }
+        stats.purged += removed.length;
+        await scan();
+        return removed;
+    }
+
+    // Clean up after the previous process, then sweep periodically
+    async function start() {
+        await cleanOrphans();
+        await sweep();
+        if (intervalMs && !timer) {
+            timer = setInterval(() => {
+                sweep().catch(e => logger.error('[TEMP] Sweep failed:', e.message));
+            }, intervalMs);
+            timer.unref();
+        }
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    function getStats() {
+        return {
+            dir,
+            maxAgeSeconds: Math.round(maxAgeMs / 1000),
+            maxBytes,
+            ...stats
+        };
+    }
+
+    return { dir, touch, has, commit, cleanOrphans, sweep, list, purge, start, stop, getStats };
+}
+
+// Janitor configured from the environment, shared by the media helpers and routes
+const tempJanitor = createTempJanitor({
+    dir: TEMP_DIR,
+    maxAgeMs: parseFloat(process.env.TEMP_MAX_AGE_HOURS || '24') * 60 * 60 * 1000,
+    maxBytes: parseFloat(process.env.TEMP_MAX_SIZE_MB || '1024') * 1024 * 1024,
+    intervalMs: parseFloat(process.env.TEMP_SWEEP_INTERVAL_MINUTES || '15') * 60 * 1000
+});
+
+module.exports = {
+    TEMP_DIR,
+    getPartPath,
+    isPartFile,
+    createTempJanitor,
+    tempJanitor
+};
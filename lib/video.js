@@ -0,0 +1,157 @@
+// Video renditions and ffmpeg transcode profiles
+// Extractors record every rendition they see as item.variants, best first:
+//   { url, width, height, bitrate, codec, quality, hasAudio, audioUrl }
+// quality is a label ("720p", or Instagram's "q90" when the size is unknown). Video-only DASH
+// streams have hasAudio false and, when one was captured, the audioUrl to merge them with.
+// /api/video and /api/download pick one with selectVariant() and can run it through a profile.
+
+// ffmpeg output options per profile; original keeps the streams as the CDN (or merge) made them
+const VIDEO_PROFILES = {
+    original: null,
+    // Same streams, with the index moved to the front so playback starts before the download ends
+    faststart: ['-c:v copy', '-c:a copy', '-movflags +faststart'],
+    // For old devices: H.264 Main, at most 720 px on the short side, AAC audio
+    'h264-720p': [
+        '-vf', "scale='if(gt(iw,ih),-2,min(720,iw))':'if(gt(iw,ih),min(720,ih),-2)'",
+        '-c:v libx264', '-preset veryfast', '-crf 23', '-profile:v main', '-pix_fmt yuv420p',
+        '-c:a aac', '-b:a 128k', '-movflags +faststart'
+    ]
+};
+
+// Helper function to name a codec the way the clients know it
+function normalizeCodec(name) {
+    const value = String(name || '').toLowerCase();
+    if (/av1|av01/.test(value)) return 'av1';
+    if (/vp9|vp09/.test(value)) return 'vp9';
+    if (/hevc|h265|hvc1|hev1|bytevc1/.test(value)) return 'hevc';
+    if (/h264|avc|baseline/.test(value)) return 'h264';
+    return null;
+}
+
+// Helper function to build a variant with its quality label
+function toVariant({ url, width = null, height = null, bitrate = null, codec = null, quality = null, hasAudio = true, audioUrl = null }) {
+    const label = width && height ? `${Math.min(width, height)}p` : quality;
+    return { url, width, height, bitrate, codec, quality: label || null, hasAudio, audioUrl };
+}
+
+// Helper function to get the short side of a variant ("720p" -> 720, 0 when unknown)
+function getShortSide(variant) {
+    return parseInt(variant.quality?.match(/^(\d+)p$/)?.[1] || '0', 10);
+}
+
+// Helper function to sort variants best first: resolution, then Instagram's qNN, then bitrate
+function sortVariants(variants) {
+    const qScore = (variant) => parseInt(variant.quality?.match(/^q(\d+)$/)?.[1] || '0', 10);
+    return [...variants].sort((a, b) =>
+        getShortSide(b) - getShortSide(a) ||
+        qScore(b) - qScore(a) ||
+        (b.bitrate || 0) - (a.bitrate || 0));
+}
+
+// Helper function to drop repeated URLs, keeping the first
+function uniqueByUrl(variants) {
+    const seen = new Set();
+    return variants.filter(variant => {
+        if (!variant.url || seen.has(variant.url)) return false;
+        seen.add(variant.url);
+        return true;
+    });
+}
+
+// Instagram API/GraphQL video_versions: [{ url, width, height, type }] (progressive, with audio)
+function variantsFromVideoVersions(versions) {
+    if (!Array.isArray(versions)) return [];
+    return sortVariants(uniqueByUrl(versions.map(version => toVariant({
+        url: version?.url,
+        width: version?.width || null,
+        height: version?.height || null
+    }))));
+}
+
+// TikTok bitrateInfo: [{ Bitrate, CodecType, GearName, PlayAddr: { UrlList, Width, Height } }]
+function variantsFromBitrateInfo(bitrateInfo) {
+    if (!Array.isArray(bitrateInfo)) return [];
+    return sortVariants(uniqueByUrl(bitrateInfo.map(info => toVariant({
+        url: info?.PlayAddr?.UrlList?.[0],
+        width: info?.PlayAddr?.Width || null,
+        height: info?.PlayAddr?.Height || null,
+        bitrate: info?.Bitrate || null,
+        codec: normalizeCodec(info?.CodecType)
+    }))));
+}
+
+// DASH video representations (lib/dash.js): video-only, merged with the audio representation picked
+function variantsFromRepresentations(representations, audioUrl = null) {
+    if (!Array.isArray(representations)) return [];
+    return sortVariants(uniqueByUrl(representations.map(representation => toVariant({
+        url: representation.url,
+        width: representation.width,
+        height: representation.height,
+        bitrate: representation.bandwidth,
+        codec: normalizeCodec(representation.codecs),
+        quality: representation.qualityLabel,
+        hasAudio: false,
+        audioUrl
+    }))));
+}
+
+// Describe a video stream captured in the browser
+// Instagram DASH URLs carry an "efg" param: base64 JSON with the encoding tag
+// ("...C3.720.dash_baseline_1_v1", "dash_r2evevp9-r1gen2vp9_q90") and sometimes the bitrate
+function describeCapturedVideo(url, audioUrl = null) {
+    let tag = '';
+    let bitrate = null;
+    try {
+        const efg = new URL(url).searchParams.get('efg');
+        if (efg) {
+            const info = JSON.parse(Buffer.from(efg, 'base64url').toString('utf8'));
+            tag = String(info.vencode_tag || '');
+            bitrate = Number(info.bitrate) || null;
+        }
+    } catch (e) {
+        // Not a URL with readable encoding info
+    }
+
+    // The number in the tag is the short side ("720" for a 720x1280 reel)
+    const size = tag.match(/[._](\d{3,4})p?(?=[._]|$)/)?.[1];
+    const q = (tag.match(/_q(\d{2})\b/) || url.match(/[_.]q(\d{2})[_.]/))?.[1];
+    return toVariant({
+        url,
+        bitrate,
+        codec: normalizeCodec(tag),
+        quality: size ? `${parseInt(size, 10)}p` : (q ? `q${q}` : null),
+        hasAudio: false,
+        audioUrl
+    });
+}
+
+function variantsFromCapturedUrls(urls, audioUrl = null) {
+    return sortVariants(uniqueByUrl(urls.map(url => describeCapturedVideo(url, audioUrl))));
+}
+
+// Pick a variant: "best" (default), "smallest", or "<N>p" for the best one no taller than N
+// (the smallest one when none is). Returns null when there are no variants.
+function selectVariant(variants, quality = 'best') {
+    if (!Array.isArray(variants) || variants.length === 0) return null;
+
+    const sorted = sortVariants(variants);
+    if (quality === 'smallest') return sorted[sorted.length - 1];
+
+    const limit = parseInt(String(quality).match(/^(\d+)p$/)?.[1] || '0', 10);
+    if (limit) {
+        return sorted.find(variant => getShortSide(variant) && getShortSide(variant) <= limit) || sorted[sorted.length - 1];
+    }
+    return sorted[0];
+}
+
+module.exports = {
+    VIDEO_PROFILES,
+    normalizeCodec,
+    sortVariants,
+    variantsFromVideoVersions,
+    variantsFromBitrateInfo,
+    variantsFromRepresentations,
+    describeCapturedVideo,
+    variantsFromCapturedUrls,
+    selectVariant
+};
@@ -0,0 +1,385 @@
+// Translations: message catalogues, locale detection and formatting helpers
+// Loaded before script.js. The locale comes from the switcher (saved in localStorage), then
+// navigator.languages; anything unknown gets English. Static text in index.html is marked with
+// data-i18n (textContent), data-i18n-html (trusted catalogue markup) and
+// data-i18n-<attribute> (placeholder, title, aria-label, content).
+// API errors are problem documents (see lib/errors.js) whose stable code is translated here under
+// "errors.<CODE>"; the API's English detail is only shown for codes the catalogue doesn't know yet.
+
+const MESSAGES = {
+    'pt-BR': {
+        'meta.title': 'Pure Content - Conteúdo Sem Distrações',
+        'meta.description': 'Visualize conteúdo do Instagram e do TikTok sem distrações - um visualizador de mídia social focado',
+        'header.theme': 'Alternar tema',
+        'header.language': 'Idioma',
+        'hero.title': 'Visualize conteúdo<br>sem distrações',
+        'hero.subtitle': 'Cole um link do Instagram ou do TikTok para visualizar posts, reels e vídeos em um ambiente limpo e focado. Vários links de uma conversa? Cole todos de uma vez.',
+        'input.label': 'Links (um por linha)',
+        'input.clear': 'Limpar campo',
+        'input.submit': 'Visualizar',
+        'input.empty': 'Por favor, insira um link ({platforms})',
+        'input.invalid': 'Por favor, insira um link válido de {platforms}',
+        'input.examples': ' (ex: {examples})',
+        'input.or': ' ou ',
+        'loading.content': 'Carregando conteúdo...',
+        'loading.links': 'Carregando {count} links...',
+        'loading.short': 'Carregando...',
+        'stage.queued': 'Na fila...',
+        'stage.fetching': 'Buscando a página...',
+        'stage.extracting': 'Analisando o conteúdo...',
+        'stage.navigating': 'Abrindo a página no navegador...',
+        'stage.capturing': 'Capturando vídeo e áudio...',
+        'stage.downloading': 'Baixando vídeo e áudio...',
+        'stage.merging': 'Juntando vídeo e áudio...',
+        'stage.done': 'Pronto!',
+        'load.failed': 'Não foi possível carregar o conteúdo. {reason}',
+        'batch.tooMany': 'Cole no máximo {max} links de uma vez (você colou {count}).',
+        'batch.noneSupported': 'Nenhum dos links é de {platforms}.',
+        'batch.unsupported': 'Link não suportado',
+        'batch.notLoaded': 'Não carregado',
+        'batch.failed': 'Não foi possível carregar os links. {reason}',
+        'batch.progress': '{loaded} de {total} carregados',
+        'card.unknownDate': 'Data desconhecida',
+        'card.cachedTitle': 'Resultado salvo no servidor',
+        'card.offline': 'Offline',
+        'card.offlineTitle': 'Cópia salva neste navegador',
+        'card.previous': 'Anterior',
+        'card.next': 'Próximo',
+        'card.quality': 'Qualidade do vídeo',
+        'card.qualityOriginal': 'Qualidade original',
+        'card.qualityCompatible': 'Compatível (H.264 720p)',
+        'card.qualityFailed': 'Não foi possível trocar a qualidade do vídeo.',
+        'card.downloadFormat': 'Formato do download',
+        'card.currentItem': 'Item atual',
+        'card.original': 'Original',
+        'card.audioM4a': 'Só áudio (M4A)',
+        'card.audioMp3': 'Só áudio (MP3)',
+        'card.allItems': 'Todos os itens (ZIP)',
+        'card.download': '⬇ Baixar',
+        'card.noAudio': 'Este item não tem áudio. Escolha um vídeo para baixar só o áudio.',
+        'card.noVideoSupport': 'Seu navegador não suporta a tag de vídeo.',
+        'card.imageAlt': 'Conteúdo da publicação',
+        'history.title': 'Histórico',
+        'history.recent': 'Recentes',
+        'history.starred': '★ Salvos',
+        'history.search': 'Buscar por autor ou legenda',
+        'history.searchLabel': 'Buscar no histórico',
+        'history.empty': 'Os posts que você abrir aparecem aqui. Nada sai deste navegador.',
+        'history.noResults': 'Nada encontrado.',
+        'history.noStarred': 'Nenhum post salvo ainda. Toque na ★ de um post para salvá-lo.',
+        'history.export': 'Exportar JSON',
+        'history.exportFilename': 'pure-content-historico-{date}.json',
+        'history.import': 'Importar JSON',
+        'history.clear': 'Limpar histórico',
+        'history.confirmClear': 'Apagar o histórico? Os posts salvos (★) são mantidos.',
+        'history.open': 'Abrir novamente',
+        'history.star': 'Salvar',
+        'history.unstar': 'Remover dos salvos',
+        'history.remove': 'Remover do histórico',
+        'history.unknownAuthor': 'desconhecido',
+        'history.items': '{count} itens',
+        'history.video': 'Vídeo',
+        'history.photo': 'Foto',
+        'history.notAnExport': 'O arquivo não é um histórico exportado pelo Pure Content.',
+        'history.invalidJson': 'O arquivo não é um JSON válido.',
+        'footer.text': 'Feito para visualização sem distrações',
+        'footer.source': 'Código Aberto',
+        'install.title': 'Adicionar à Tela Inicial',
+        'install.text': 'Instale para acesso rápido',
+        'install.button': 'Instalar',
+        'update.title': 'Nova versão disponível',
+        'update.text': 'Atualize para usar a versão mais recente',
+        'update.button': 'Atualizar',
+        'prompt.dismiss': 'Fechar',
+        'errors.fallback': 'Falha ao buscar conteúdo',
+        'errors.URL_REQUIRED': 'Informe o link de um post.',
+        'errors.UNSUPPORTED_URL': 'Este link não é de uma plataforma suportada.',
+        'errors.NOT_A_POST': 'O link não aponta para um post suportado.',
+        'errors.TOO_MANY_REDIRECTS': 'O link redireciona vezes demais.',
+        'errors.REDIRECT_NOT_ALLOWED': 'O link redireciona para fora das plataformas suportadas.',
+        'errors.URLS_REQUIRED': 'Informe pelo menos um link.',
+        'errors.INVALID_URLS': 'A lista de links é inválida.',
+        'errors.TOO_MANY_URLS': 'Links demais de uma vez.',
+        'errors.retryAfter': ' Tente novamente em {seconds} s.',
+        'errors.NETWORK_ERROR': 'Não foi possível falar com o servidor. Verifique sua conexão ou inicie o backend.',
+        'errors.INVALID_JSON': 'A requisição é inválida.',
+        'errors.RATE_LIMITED': 'Muitas requisições.',
+        'errors.POST_UNAVAILABLE': 'Não foi possível ler este post. Ele pode ser privado ou ter sido apagado.',
+        'errors.POST_DELETED': 'Este post não existe. Ele pode ter sido apagado.',
+        'errors.POST_PRIVATE': 'Este post é de uma conta privada.',
+        'errors.TIMEOUT': 'A plataforma demorou demais para responder. Tente novamente.',
+        'errors.EXTRACTION_FAILED': 'Falha ao buscar o conteúdo. Tente novamente mais tarde.',
+        'errors.UPSTREAM_RATE_LIMITED': 'A plataforma está limitando nossas requisições.',
+        'errors.BROWSER_UNAVAILABLE': 'O navegador do servidor não está disponível agora.',
+        'errors.MERGE_FAILED': 'Não foi possível juntar o vídeo e o áudio.',
+        'errors.TRANSCODE_FAILED': 'Não foi possível converter o vídeo.',
+        'errors.NOT_A_STORY': 'Este link não é de um story ou destaque do Instagram.',
+        'errors.LOGIN_WALL': 'O Instagram só mostra este conteúdo para quem está logado.',
+        'errors.STORY_EXPIRED': 'Este story não está mais disponível. Stories expiram depois de 24 horas.',
+        'errors.HIGHLIGHT_UNAVAILABLE': 'Este destaque não está mais disponível. Ele pode ter sido apagado ou ficado privado.',
+        'errors.INVALID_SHORTCODE': 'O código do post é inválido.',
+        'errors.NOT_A_VIDEO': 'Este item não é um vídeo.',
+        'errors.INVALID_FORMAT': 'Formato de download não suportado.',
+        'errors.ITEM_NOT_FOUND': 'Este item não existe no post.',
+        'errors.NO_AUDIO': 'Só vídeos têm áudio.',
+        'errors.INVALID_QUALITY': 'Qualidade de vídeo não suportada.',
+        'errors.INVALID_PROFILE': 'Formato de vídeo não suportado.',
+        'errors.JOB_NOT_FOUND': 'A busca expirou. Tente novamente.',
+        'errors.BLOCKED_DESTINATION': 'Este endereço não é permitido.',
+        'errors.RESPONSE_TOO_LARGE': 'A resposta da plataforma é grande demais.',
+        'errors.UNAUTHORIZED': 'Acesso não autorizado.',
+        'errors.NOT_FOUND': 'Não encontrado.',
+        'errors.PROXY_URL_UNSIGNED': 'Este link de mídia não foi gerado pelo servidor.',
+        'errors.PROXY_URL_INVALID': 'Este link de mídia é inválido.',
+        'errors.PROXY_URL_EXPIRED': 'Este link de mídia expirou. Busque o post novamente.',
+        'errors.MEDIA_HOST_NOT_ALLOWED': 'Só é possível baixar mídia das plataformas suportadas.',
+        'errors.MEDIA_NOT_FOUND': 'A mídia não foi encontrada.',
+        'errors.MEDIA_FETCH_FAILED': 'Não foi possível baixar a mídia. Tente novamente.',
+        'errors.NOT_AN_IMAGE': 'Só imagens podem ser redimensionadas ou convertidas.',
+        'errors.SERVER_ERROR': 'Erro no servidor. Tente novamente mais tarde.'
+    },
+    en: {
+        'meta.title': 'Pure Content - Distraction-Free Content',
+        'meta.description': 'View Instagram and TikTok content without distractions - a focused social media viewer',
+        'header.theme': 'Toggle theme',
+        'header.language': 'Language',
+        'hero.title': 'View content<br>without distractions',
+        'hero.subtitle': 'Paste an Instagram or TikTok link to view posts, reels and videos in a clean, focused space. Several links from a chat? Paste them all at once.',
+        'input.label': 'Links (one per line)',
+        'input.clear': 'Clear field',
+        'input.submit': 'View',
+        'input.empty': 'Please enter a link ({platforms})',
+        'input.invalid': 'Please enter a valid {platforms} link',
+        'input.examples': ' (e.g. {examples})',
+        'input.or': ' or ',
+        'loading.content': 'Loading content...',
+        'loading.links': 'Loading {count} links...',
+        'loading.short': 'Loading...',
+        'stage.queued': 'Queued...',
+        'stage.fetching': 'Fetching the page...',
+        'stage.extracting': 'Reading the content...',
+        'stage.navigating': 'Opening the page in the browser...',
+        'stage.capturing': 'Capturing video and audio...',
+        'stage.downloading': 'Downloading video and audio...',
+        'stage.merging': 'Merging video and audio...',
+        'stage.done': 'Done!',
+        'load.failed': 'Could not load the content. {reason}',
+        'batch.tooMany': 'Paste at most {max} links at once (you pasted {count}).',
+        'batch.noneSupported': 'None of the links are from {platforms}.',
+        'batch.unsupported': 'Unsupported link',
+        'batch.notLoaded': 'Not loaded',
+        'batch.failed': 'Could not load the links. {reason}',
+        'batch.progress': '{loaded} of {total} loaded',
+        'card.unknownDate': 'Unknown date',
+        'card.cachedTitle': 'Result saved on the server',
+        'card.offline': 'Offline',
+        'card.offlineTitle': 'Copy saved in this browser',
+        'card.previous': 'Previous',
+        'card.next': 'Next',
+        'card.quality': 'Video quality',
+        'card.qualityOriginal': 'Original quality',
+        'card.qualityCompatible': 'Compatible (H.264 720p)',
+        'card.qualityFailed': 'Could not change the video quality.',
+        'card.downloadFormat': 'Download format',
+        'card.currentItem': 'Current item',
+        'card.original': 'Original',
+        'card.audioM4a': 'Audio only (M4A)',
+        'card.audioMp3': 'Audio only (MP3)',
+        'card.allItems': 'All items (ZIP)',
+        'card.download': '⬇ Download',
+        'card.noAudio': 'This item has no audio. Pick a video to download its audio.',
+        'card.noVideoSupport': 'Your browser does not support the video tag.',
+        'card.imageAlt': 'Post content',
+        'history.title': 'History',
+        'history.recent': 'Recent',
+        'history.starred': '★ Saved',
+        'history.search': 'Search by author or caption',
+        'history.searchLabel': 'Search the history',
+        'history.empty': 'Posts you open show up here. Nothing leaves this browser.',
+        'history.noResults': 'Nothing found.',
+        'history.noStarred': 'No saved posts yet. Tap the ★ of a post to save it.',
+        'history.export': 'Export JSON',
+        'history.exportFilename': 'pure-content-history-{date}.json',
+        'history.import': 'Import JSON',
+        'history.clear': 'Clear history',
+        'history.confirmClear': 'Clear the history? Saved posts (★) are kept.',
+        'history.open': 'Open again',
+        'history.star': 'Save',
+        'history.unstar': 'Remove from saved',
+        'history.remove': 'Remove from history',
+        'history.unknownAuthor': 'unknown',
+        'history.items': '{count} items',
+        'history.video': 'Video',
+        'history.photo': 'Photo',
+        'history.notAnExport': 'The file is not a history exported by Pure Content.',
+        'history.invalidJson': 'The file is not valid JSON.',
+        'footer.text': 'Made for distraction-free viewing',
+        'footer.source': 'Open Source',
+        'install.title': 'Add to Home Screen',
+        'install.text': 'Install for quick access',
+        'install.button': 'Install',
+        'update.title': 'New version available',
+        'update.text': 'Update to use the latest version',
+        'update.button': 'Update',
+        'prompt.dismiss': 'Close',
+        'errors.fallback': 'Failed to fetch content',
+        'errors.URL_REQUIRED': 'Please provide a post link.',
+        'errors.UNSUPPORTED_URL': 'This link is not from a supported platform.',
+        'errors.NOT_A_POST': 'The link does not point to a supported post.',
+        'errors.TOO_MANY_REDIRECTS': 'The link redirects too many times.',
+        'errors.REDIRECT_NOT_ALLOWED': 'The link redirects outside the supported platforms.',
+        'errors.URLS_REQUIRED': 'Please provide at least one link.',
+        'errors.INVALID_URLS': 'The list of links is invalid.',
+        'errors.TOO_MANY_URLS': 'Too many links at once.',
+        'errors.retryAfter': ' Please try again in {seconds} s.',
+        'errors.NETWORK_ERROR': 'Could not reach the server. Check your connection or start the backend.',
+        'errors.INVALID_JSON': 'The request is invalid.',
+        'errors.RATE_LIMITED': 'Too many requests.',
+        'errors.POST_UNAVAILABLE': 'Could not read this post. It might be private or deleted.',
+        'errors.POST_DELETED': 'This post does not exist. It may have been deleted.',
+        'errors.POST_PRIVATE': 'This post belongs to a private account.',
+        'errors.TIMEOUT': 'The platform took too long to answer. Please try again.',
+        'errors.EXTRACTION_FAILED': 'Failed to fetch the content. Please try again later.',
+        'errors.UPSTREAM_RATE_LIMITED': 'The platform is limiting our requests.',
+        'errors.BROWSER_UNAVAILABLE': 'The server\'s browser is not available right now.',
+        'errors.MERGE_FAILED': 'Could not merge the video and audio.',
+        'errors.TRANSCODE_FAILED': 'Could not convert the video.',
+        'errors.NOT_A_STORY': 'This is not an Instagram story or highlight link.',
+        'errors.LOGIN_WALL': 'Instagram only shows this content to logged-in users.',
+        'errors.STORY_EXPIRED': 'This story is no longer available. Stories expire after 24 hours.',
+        'errors.HIGHLIGHT_UNAVAILABLE': 'This highlight is no longer available. It may have been deleted or made private.',
+        'errors.INVALID_SHORTCODE': 'The post code is invalid.',
+        'errors.NOT_A_VIDEO': 'This item is not a video.',
+        'errors.INVALID_FORMAT': 'Unsupported download format.',
+        'errors.ITEM_NOT_FOUND': 'This item does not exist in the post.',
+        'errors.NO_AUDIO': 'Only videos have audio.',
+        'errors.INVALID_QUALITY': 'Unsupported video quality.',
+        'errors.INVALID_PROFILE': 'Unsupported video format.',
+        'errors.JOB_NOT_FOUND': 'The request expired. Please try again.',
+        'errors.BLOCKED_DESTINATION': 'This address is not allowed.',
+        'errors.RESPONSE_TOO_LARGE': 'The platform\'s response is too large.',
+        'errors.UNAUTHORIZED': 'Not authorized.',
+        'errors.NOT_FOUND': 'Not found.',
+        'errors.PROXY_URL_UNSIGNED': 'This media link was not issued by the server.',
+        'errors.PROXY_URL_INVALID': 'This media link is invalid.',
+        'errors.PROXY_URL_EXPIRED': 'This media link has expired. Fetch the post again.',
+        'errors.MEDIA_HOST_NOT_ALLOWED': 'Media can only be downloaded from the supported platforms.',
+        'errors.MEDIA_NOT_FOUND': 'The media could not be found.',
+        'errors.MEDIA_FETCH_FAILED': 'Could not download the media. Please try again.',
+        'errors.NOT_AN_IMAGE': 'Only images can be resized or converted.',
+        'errors.SERVER_ERROR': 'Server error. Please try again later.'
+    }
+};
+
+// Names shown in the switcher, each in its own language
+const LOCALE_NAMES = {
+    'pt-BR': 'Português',
+    en: 'English'
+};
+
+const FALLBACK_LOCALE = 'en';
+
+// Helper function to pick a catalogue for a language tag: exact match, then same language ("pt-PT" -> pt-BR)
+function matchLocale(tag) {
+    if (!tag) return null;
+    const locales = Object.keys(MESSAGES);
+    const lower = tag.toLowerCase();
+    return locales.find(locale => locale.toLowerCase() === lower)
+        || locales.find(locale => locale.split('-')[0].toLowerCase() === lower.split('-')[0])
+        || null;
+}
+
+function detectLocale() {
+    const saved = matchLocale(localStorage.getItem('locale'));
+    if (saved) return saved;
+
+    const preferred = navigator.languages?.length ? navigator.languages : [navigator.language];
+    for (const tag of preferred) {
+        const locale = matchLocale(tag);
+        if (locale) return locale;
+    }
+    return FALLBACK_LOCALE;
+}
+
+let currentLocale = detectLocale();
+
+function getLocale() {
+    return currentLocale;
+}
+
+// Translate a key, filling {placeholders} from params; unknown keys fall back to English, then to the key
+function t(key, params = {}) {
+    const template = MESSAGES[currentLocale][key] ?? MESSAGES[FALLBACK_LOCALE][key] ?? key;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+// Helper function to tell whether a key exists in the catalogue
+function hasMessage(key) {
+    return key in MESSAGES[currentLocale] || key in MESSAGES[FALLBACK_LOCALE];
+}
+
+// Translate an API problem ({ code, detail, retryAfter }): its code when the catalogue has it,
+// otherwise the server's detail, otherwise fallbackKey; plus when to retry, if the server said
+function translateError(body, fallbackKey = 'errors.fallback') {
+    const message = body?.code && hasMessage(`errors.${body.code}`)
+        ? t(`errors.${body.code}`)
+        : body?.detail || t(fallbackKey);
+    return body?.retryAfter ? message + t('errors.retryAfter', { seconds: body.retryAfter }) : message;
+}
+
+// Build an Error for a failed API response, translated, with its code and retry hints kept for the caller
+function createApiError(body, fallbackKey) {
+    const error = new Error(translateError(body, fallbackKey));
+    error.code = body?.code || null;
+    error.retryable = Boolean(body?.retryable);
+    error.retryAfter = body?.retryAfter || null;
+    return error;
+}
+
+// Format a date in the current locale (options as for Intl.DateTimeFormat)
+function formatDate(value, options) {
+    return new Intl.DateTimeFormat(currentLocale, options).format(new Date(value));
+}
+
+// Apply the catalogue to the marked elements of the page (or of a subtree)
+function applyTranslations(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-html]').forEach(element => {
+        element.innerHTML = t(element.dataset.i18nHtml);
+    });
+    ['placeholder', 'title', 'aria-label', 'content'].forEach(attribute => {
+        root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+            element.setAttribute(attribute, t(element.getAttribute(`data-i18n-${attribute}`)));
+        });
+    });
+
+    if (root === document) {
+        document.documentElement.lang = currentLocale;
+        document.title = t('meta.title');
+    }
+}
+
+// Switch languages: saved for the next visits, applied to the page, announced with a
+// "localechange" event so dynamic parts (history, loading text) can re-render
+function setLocale(locale) {
+    const matched = matchLocale(locale);
+    if (!matched) return;
+
+    currentLocale = matched;
+    localStorage.setItem('locale', matched);
+    applyTranslations();
+    window.dispatchEvent(new CustomEvent('localechange', { detail: { locale: matched } }));
+}
+
+// Fill the language switcher and keep it in sync
+function initLocaleSwitcher(select) {
+    if (!select) return;
+
+    select.innerHTML = Object.entries(LOCALE_NAMES)
+        .map(([locale, name]) => `<option value="${locale}" lang="${locale}">${name}</option>`)
+        .join('');
+    select.value = currentLocale;
+    select.addEventListener('change', () => setLocale(select.value));
+}
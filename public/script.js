@@ -1,5 +1,9 @@
 // Configuration - automatically uses current origin (works locally and on Railway)
 const API_URL = `${window.location.origin}/api/fetch-content`;
+const BATCH_API_URL = `${window.location.origin}/api/fetch-batch`;
+
+// Links per batch request (BATCH_MAX_URLS on the server)
+const MAX_BATCH_URLS = 20;
 
 // UI Elements
 const urlInput = document.getElementById('contentUrl');
@@ -7,11 +11,24 @@ const loadBtn = document.getElementById('loadBtn');
 const clearBtn = document.getElementById('clearBtn');
 const errorMessage = document.getElementById('errorMessage');
 const loadingMessage = document.getElementById('loadingMessage');
+const loadingText = document.getElementById('loadingText');
+const loadingProgress = document.getElementById('loadingProgress');
 const contentDisplay = document.getElementById('contentDisplay');
 const themeToggle = document.getElementById('themeToggle');
 const installPrompt = document.getElementById('installPrompt');
 const installBtn = document.getElementById('installBtn');
 const dismissInstall = document.getElementById('dismissInstall');
+const updatePrompt = document.getElementById('updatePrompt');
+const updateBtn = document.getElementById('updateBtn');
+const dismissUpdate = document.getElementById('dismissUpdate');
+const localeSelect = document.getElementById('localeSelect');
+const historySection = document.getElementById('historySection');
+const historyList = document.getElementById('historyList');
+const historySearch = document.getElementById('historySearch');
+const historyEmpty = document.getElementById('historyEmpty');
+const historyExport = document.getElementById('historyExport');
+const historyImport = document.getElementById('historyImport');
+const historyClear = document.getElementById('historyClear');
 
 // Theme Management
 function initTheme() {
@@ -101,6 +118,58 @@ if (dismissInstall) {
     });
 }
 
+// Service worker (sw.js): the page and viewed media work offline
+// A new version installs in the background and waits; the prompt lets the user switch to it
+let reloadingForUpdate = false;
+
+function showUpdatePrompt(worker) {
+    updateBtn.onclick = () => {
+        reloadingForUpdate = true;
+        worker.postMessage({ type: 'SKIP_WAITING' });
+    };
+    updatePrompt.classList.add('visible');
+}
+
+async function initServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    // The new worker took over: reload so page, styles and script all come from it
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (reloadingForUpdate) window.location.reload();
+    });
+
+    try {
+        const registration = await navigator.serviceWorker.register('/sw.js');
+
+        // Without a controller this is the first install, not an update
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            showUpdatePrompt(registration.waiting);
+        }
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker?.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    showUpdatePrompt(worker);
+                }
+            });
+        });
+
+        // An installed app can stay open for days: look for a new version when it comes back
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') registration.update().catch(() => {});
+        });
+    } catch (error) {
+        console.warn('Service worker not registered:', error.message);
+    }
+}
+
+// Dismissed: the new version is used the next time every tab is closed
+if (dismissUpdate) {
+    dismissUpdate.addEventListener('click', () => {
+        updatePrompt.classList.remove('visible');
+    });
+}
+
 // Clear button functionality
 function updateClearButton() {
     if (urlInput.value.trim()) {
@@ -115,6 +184,7 @@ urlInput.addEventListener('input', updateClearButton);
 if (clearBtn) {
     clearBtn.addEventListener('click', () => {
         urlInput.value = '';
+        resizeUrlInput();
         updateClearButton();
         urlInput.focus();
         hideContent();
@@ -122,29 +192,78 @@ if (clearBtn) {
     });
 }
 
-// Allow Enter key to trigger load
-urlInput.addEventListener('keypress', (e) => {
-    if (e.key === 'Enter') {
+// Enter loads, Shift+Enter adds a line for another link
+urlInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+        e.preventDefault();
         loadContent();
     }
 });
 
+// Grow the field with the pasted links (up to 6 lines)
+function resizeUrlInput() {
+    urlInput.rows = Math.min(Math.max(urlInput.value.split('\n').length, 1), 6);
+}
+
+urlInput.addEventListener('input', resizeUrlInput);
+
+// Helper function to find the links in pasted text (a chat, a list), without repeats
+function extractUrls(text) {
+    const urls = (text.match(/https?:\/\/[^\s<>"']+/g) || [])
+        .map(url => url.replace(/[.,;:!?)\]}]+$/, ''));
+    return [...new Set(urls)];
+}
+
+// Helper function to call the API; a request that got no answer at all (server down, offline)
+// rejects with a NETWORK_ERROR like the server's own errors instead of the browser's TypeError
+async function apiFetch(url, options) {
+    try {
+        return await fetch(url, options);
+    } catch (error) {
+        throw createApiError({ code: 'NETWORK_ERROR', retryable: true });
+    }
+}
+
+// Helper function to read the JSON body of an API answer
+// Error answers that aren't JSON (a reverse proxy's HTML 502 page, an empty 500) get the generic
+// error of their status, so the message is still translated
+async function readApiJson(response) {
+    const data = await response.json().catch(() => null);
+    if (data && typeof data === 'object') return data;
+
+    if (response.ok) throw createApiError({ code: 'SERVER_ERROR', retryable: true });
+    if (response.status >= 500) return { code: 'SERVER_ERROR', retryable: true };
+    if (response.status === 429) return { code: 'RATE_LIMITED', retryable: true };
+    if (response.status === 404) return { code: 'NOT_FOUND' };
+    return {};
+}
+
 // Main function to load content
 async function loadContent() {
-    const url = urlInput.value.trim();
+    const text = urlInput.value.trim();
+    const urls = extractUrls(text);
 
     // Reset UI
     hideError();
     hideContent();
 
+    // Several links: load them all as a list of cards
+    if (urls.length > 1) {
+        loadBatch(urls);
+        return;
+    }
+
+    const url = urls[0] || text;
+
     // Validate URL
     if (!url) {
-        showError('Por favor, insira um link do Instagram');
+        showError(t('input.empty', { platforms: getProviderLabels() }));
         return;
     }
 
-    if (!isValidInstagramUrl(url)) {
-        showError('Por favor, insira um link válido do Instagram (ex: https://www.instagram.com/p/...)');
+    if (!isSupportedUrl(url)) {
+        const examples = (providers || []).map(provider => provider.example).join(t('input.or'));
+        showError(t('input.invalid', { platforms: getProviderLabels() }) + (examples ? t('input.examples', { examples }) : ''));
         return;
     }
 
@@ -153,40 +272,225 @@ async function loadContent() {
 
     try {
         // Call our backend API
-        const response = await fetch(API_URL, {
+        const response = await apiFetch(API_URL, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
             },
-            body: JSON.stringify({ url })
+            // Ask for a background job so slow reels can report progress instead of blocking
+            body: JSON.stringify({ url, async: true })
         });
 
-        const data = await response.json();
+        let data = await readApiJson(response);
 
         if (!response.ok) {
-            throw new Error(data.message || 'Falha ao buscar conteúdo');
+            throw createApiError(data);
+        }
+
+        if (response.status === 202 && data.jobId) {
+            data = await waitForJob(data);
         }
 
         // Display the content
-        displayContent(data);
+        displayContent(data, { cached: response.headers.get('X-Cache') === 'HIT', url });
         hideLoading();
+        addToHistory(data, url);
 
     } catch (error) {
         console.error('Error loading content:', error);
 
-        let errorMsg = 'Não foi possível carregar o conteúdo do Instagram. ';
+        // No connection: show the copy kept in the history, if any
+        if ((error.code === 'NETWORK_ERROR' || !navigator.onLine) && await showOfflineCopy(url)) {
+            hideLoading();
+            return;
+        }
+
+        showError(t('load.failed', { reason: error.message }));
+        hideLoading();
+    }
+}
+
+// Loading text for a server-side job stage (queued, fetching, ..., done; see "stage.*" in i18n.js)
+function getStageLabel(stage, fallbackKey = 'loading.content') {
+    return hasMessage(`stage.${stage}`) ? t(`stage.${stage}`) : t(fallbackKey);
+}
+
+// Follow a background job until it finishes, updating the loading message along the way
+// Uses Server-Sent Events when available, polling otherwise. Resolves with the job result.
+function waitForJob(job) {
+    return new Promise((resolve, reject) => {
+        const finish = (update) => {
+            if (update.status === 'done') {
+                resolve(update.result);
+            } else {
+                reject(createApiError(update.error));
+            }
+        };
+
+        if (window.EventSource) {
+            const events = new EventSource(job.eventsUrl);
+            events.addEventListener('progress', (e) => updateLoading(JSON.parse(e.data)));
+            events.addEventListener('done', (e) => {
+                events.close();
+                finish(JSON.parse(e.data));
+            });
+            events.addEventListener('failed', (e) => {
+                events.close();
+                finish(JSON.parse(e.data));
+            });
+            events.onerror = () => {
+                // Connection dropped (proxy timeout, network switch): fall back to polling
+                events.close();
+                pollJob(job.statusUrl).then(resolve, reject);
+            };
+            return;
+        }
+
+        pollJob(job.statusUrl).then(resolve, reject);
+    });
+}
+
+async function pollJob(statusUrl) {
+    while (true) {
+        const response = await apiFetch(statusUrl);
+        const update = await readApiJson(response);
+
+        if (!response.ok) {
+            throw createApiError(update);
+        }
+
+        updateLoading(update);
+        if (update.status === 'done') return update.result;
+        if (update.status === 'failed') {
+            throw createApiError(update.error);
+        }
+
+        await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+}
+
+// Load several links at once: one card per link, filled in as the server streams the results
+// The server answers NDJSON: start, progress, item (per post) and end events (see /api/fetch-batch)
+async function loadBatch(urls) {
+    if (urls.length > MAX_BATCH_URLS) {
+        showError(t('batch.tooMany', { max: MAX_BATCH_URLS, count: urls.length }));
+        return;
+    }
+
+    const unsupported = urls.filter(url => !isSupportedUrl(url));
+    if (unsupported.length === urls.length) {
+        showError(t('batch.noneSupported', { platforms: getProviderLabels() }));
+        return;
+    }
+
+    // Unsupported links get an error card right away instead of a request
+    const supported = urls.filter(url => isSupportedUrl(url));
+    const cards = supported.map(url => createBatchPlaceholder(url));
+    contentDisplay.innerHTML = `
+        <div class="batch-summary" role="status"></div>
+        <div class="batch-list"></div>
+    `;
+    const list = contentDisplay.querySelector('.batch-list');
+    const summary = contentDisplay.querySelector('.batch-summary');
+    cards.forEach(card => list.appendChild(card));
+    unsupported.forEach(url => list.appendChild(createBatchError(url, t('batch.unsupported'))));
+    contentDisplay.classList.add('visible');
+
+    showLoading(t('loading.links', { count: supported.length }));
+    summary.textContent = t('batch.progress', { loaded: 0, total: supported.length });
+    let loaded = 0;
+
+    try {
+        const response = await apiFetch(BATCH_API_URL, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/x-ndjson'
+            },
+            body: JSON.stringify({ urls: supported })
+        });
 
-        if (error.message.includes('Failed to fetch')) {
-            errorMsg += 'O servidor não está em execução. Por favor, inicie o backend primeiro.';
-        } else {
-            errorMsg += error.message;
+        if (!response.ok) {
+            const data = await readApiJson(response);
+            throw createApiError(data);
         }
 
-        showError(errorMsg);
+        await readNdjson(response, (event) => {
+            if (event.type === 'progress') {
+                const card = cards[event.indexes[0]];
+                const stage = card?.querySelector('.batch-stage');
+                if (stage) stage.textContent = getStageLabel(event.stage, 'loading.short');
+                return;
+            }
+            if (event.type !== 'item') return;
+
+            // The same post pasted twice is answered once: fill the first card, drop the others
+            const [first, ...duplicates] = event.indexes;
+            duplicates.forEach(index => cards[index]?.remove());
+            const card = event.status === 'done'
+                ? createContentCard(event.data, { cached: event.cache === 'HIT', url: event.url })
+                : createBatchError(event.url, translateError(event.error));
+            cards[first]?.replaceWith(card);
+            cards[first] = card;
+            if (event.status === 'done') addToHistory(event.data, event.url);
+
+            loaded += event.indexes.length;
+            summary.textContent = t('batch.progress', { loaded, total: supported.length });
+        });
+    } catch (error) {
+        console.error('Error loading batch:', error);
+        showError(t('batch.failed', { reason: error.message }));
+        // Links that never got an answer
+        list.querySelectorAll('.batch-placeholder').forEach(card => {
+            card.replaceWith(createBatchError(card.dataset.url, t('batch.notLoaded')));
+        });
+    } finally {
         hideLoading();
     }
 }
 
+// Helper function to read a streamed NDJSON response, calling onEvent for every line
+async function readNdjson(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+        const { done, value } = await reader.read();
+        buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+
+        const lines = buffer.split('\n');
+        buffer = done ? '' : lines.pop();
+        // Blank lines are keep-alives
+        lines.filter(line => line.trim()).forEach(line => onEvent(JSON.parse(line)));
+
+        if (done) return;
+    }
+}
+
+// Card shown for a link while it loads
+function createBatchPlaceholder(url) {
+    const card = document.createElement('div');
+    card.className = 'content-card batch-placeholder';
+    card.dataset.url = url;
+    card.innerHTML = `
+        <div class="batch-url">${escapeHtml(url)}</div>
+        <div class="batch-status"><span class="spinner"></span><span class="batch-stage">${t('stage.queued')}</span></div>
+    `;
+    return card;
+}
+
+// Card shown for a link that couldn't be loaded
+function createBatchError(url, message) {
+    const card = document.createElement('div');
+    card.className = 'content-card batch-error';
+    card.innerHTML = `
+        <div class="batch-url">${escapeHtml(url || '')}</div>
+        <div class="batch-status">${escapeHtml(message)}</div>
+    `;
+    return card;
+}
+
 // Helper function to decode HTML entities in URLs
 function decodeUrl(url) {
     if (!url) return url;
@@ -199,78 +503,356 @@ function decodeUrl(url) {
 }
 
 // Display content from backend response
-function displayContent(data) {
+function displayContent(data, options = {}) {
+    contentDisplay.innerHTML = '';
+    contentDisplay.appendChild(createContentCard(data, options));
+    contentDisplay.classList.add('visible');
+
+    // Scroll to content smoothly
+    setTimeout(() => {
+        contentDisplay.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }, 200);
+}
+
+// Build the card of one post (media, actions, caption)
+// options.cached shows the cache badge, options.offline the offline one (a copy from the history);
+// options.url is the link, for the shortcode of older responses
+function createContentCard(data, options = {}) {
     const { mediaUrl, thumbnailUrl, caption, author, mediaType, timestamp } = data;
 
-    // Decode URLs to ensure they're properly formatted (multiple passes)
-    let decodedMediaUrl = decodeUrl(mediaUrl);
-    // Additional pass to ensure all &amp; are removed
-    decodedMediaUrl = decodedMediaUrl.replace(/&amp;/g, '&');
-    decodedMediaUrl = decodedMediaUrl.replace(/&amp;/g, '&'); // Double pass
-    
-    const decodedThumbnailUrl = decodeUrl(thumbnailUrl);
+    // Older responses (and single posts) may not carry items - fall back to the top-level media
+    const items = Array.isArray(data.items) && data.items.length > 0
+        ? data.items
+        : [{ mediaType, mediaUrl, thumbnailUrl }];
 
     const timestampText = timestamp
-        ? new Date(timestamp).toLocaleDateString('pt-BR', {
+        ? formatDate(timestamp, {
             year: 'numeric',
             month: 'short',
             day: 'numeric'
           })
-        : 'Data desconhecida';
+        : t('card.unknownDate');
+
+    const isCarousel = items.length > 1;
+    const hasVideo = items.some(item => item.mediaType === 'video');
+    const shortcode = data.shortcode || getShortcode(options.url || '');
 
     // Create HTML structure
-    contentDisplay.innerHTML = `
-        <div class="content-card">
+    const card = document.createElement('div');
+    card.className = 'content-card';
+    card.innerHTML = `
             <div class="content-header">
                 <div class="content-meta">
                     <div class="content-author">@${escapeHtml(author)}</div>
                     <div class="content-timestamp">${timestampText}</div>
                 </div>
+                ${options.cached ? `<div class="cache-badge" title="${t('card.cachedTitle')}">Cache</div>` : ''}
+                ${options.offline ? `<div class="cache-badge offline-badge" title="${t('card.offlineTitle')}">${t('card.offline')}</div>` : ''}
+                ${isCarousel ? `<div class="carousel-counter">1 / ${items.length}</div>` : ''}
             </div>
 
-            <div class="content-media">
-                ${mediaType === 'video' 
-                    ? '<video controls autoplay muted loop playsinline><source type="video/mp4">Seu navegador não suporta a tag de vídeo.</video>'
-                    : '<img alt="Conteúdo do Instagram">'
-                }
+            <div class="content-media${isCarousel ? ' carousel' : ''}">
+                <div class="carousel-track"></div>
+                ${isCarousel ? `
+                    <button type="button" class="carousel-nav carousel-prev" aria-label="${t('card.previous')}">‹</button>
+                    <button type="button" class="carousel-nav carousel-next" aria-label="${t('card.next')}">›</button>
+                    <div class="carousel-dots">
+                        ${items.map((_, index) => `<span class="carousel-dot${index === 0 ? ' active' : ''}"></span>`).join('')}
+                    </div>
+                ` : ''}
             </div>
 
+            ${shortcode ? `
+                <div class="content-actions">
+                    ${hasVideo ? `
+                        <select class="video-quality" aria-label="${t('card.quality')}">
+                            ${buildQualityOptions(items)}
+                        </select>
+                    ` : ''}
+                    <select class="download-format" aria-label="${t('card.downloadFormat')}">
+                        <option value="original">${isCarousel ? t('card.currentItem') : t('card.original')}</option>
+                        ${hasVideo ? `
+                            <option value="m4a">${t('card.audioM4a')}</option>
+                            <option value="mp3">${t('card.audioMp3')}</option>
+                        ` : ''}
+                        ${isCarousel ? `<option value="zip">${t('card.allItems')}</option>` : ''}
+                    </select>
+                    <button type="button" class="download-btn">${t('card.download')}</button>
+                </div>
+            ` : ''}
+
             ${caption ? `
                 <div class="content-caption">${escapeHtml(caption)}</div>
             ` : ''}
-        </div>
     `;
 
+    const track = card.querySelector('.carousel-track');
+    items.forEach((item, index) => {
+        const slide = document.createElement('div');
+        slide.className = 'carousel-slide';
+        slide.appendChild(createMediaElement(item, index === 0));
+        track.appendChild(slide);
+    });
+
+    if (isCarousel) {
+        initCarousel(card.querySelector('.content-media'), items.length);
+    }
+
+    if (shortcode) {
+        initDownload(card, shortcode, items);
+        if (hasVideo) initVideoQuality(card, shortcode, items);
+    }
+
+    return card;
+}
+
+// Widths the proxy renders images at (IMAGE_WIDTHS in lib/images.js)
+const IMAGE_WIDTHS = [320, 480, 640, 828, 1080, 1440];
+
+// Helper function to ask the proxy for a resized copy; other URLs (/temp files) are kept as they are
+function getResizedUrl(url, width) {
+    return url && url.includes('/api/proxy?') ? `${url}&w=${width}` : url;
+}
+
+// Helper function to list the resized copies of an image for srcset ('' when it isn't proxied)
+// The proxy never upscales, so widths above the original's are left out
+function buildSrcset(url, width) {
+    if (!url || !url.includes('/api/proxy?')) return '';
+
+    const widths = IMAGE_WIDTHS.filter(size => !width || size < width);
+    if (width && width <= IMAGE_WIDTHS[IMAGE_WIDTHS.length - 1]) {
+        widths.push(width);
+    }
+    return widths.map(size => `${getResizedUrl(url, size)} ${size}w`).join(', ');
+}
+
+// Build the <video> or <img> element for a single media item
+function createMediaElement(item, autoplay) {
+    // Decode URLs to ensure they're properly formatted (multiple passes)
+    let decodedMediaUrl = decodeUrl(item.mediaUrl) || '';
+    decodedMediaUrl = decodedMediaUrl.replace(/&amp;/g, '&');
+    decodedMediaUrl = decodedMediaUrl.replace(/&amp;/g, '&'); // Double pass
+
     // Set media source using setAttribute to avoid HTML encoding
-    const mediaElement = contentDisplay.querySelector(mediaType === 'video' ? 'video source' : 'img');
-    if (mediaElement) {
-        mediaElement.setAttribute('src', decodedMediaUrl);
-        // For video, also set on video element
-        if (mediaType === 'video') {
-            const videoElement = contentDisplay.querySelector('video');
-            if (videoElement) {
-                videoElement.querySelector('source').setAttribute('src', decodedMediaUrl);
-            }
+    if (item.mediaType === 'video') {
+        const video = document.createElement('video');
+        video.controls = true;
+        video.muted = true;
+        video.loop = true;
+        video.playsInline = true;
+        video.autoplay = autoplay;
+        // Other slides only load metadata; the rest is fetched with range requests when played
+        video.preload = autoplay ? 'auto' : 'metadata';
+        if (item.thumbnailUrl) {
+            video.setAttribute('poster', getResizedUrl(decodeUrl(item.thumbnailUrl), 1080));
         }
+        const source = document.createElement('source');
+        source.setAttribute('type', 'video/mp4');
+        source.setAttribute('src', decodedMediaUrl);
+        video.appendChild(source);
+        video.appendChild(document.createTextNode(t('card.noVideoSupport')));
+        return video;
     }
 
-    contentDisplay.classList.add('visible');
+    const img = document.createElement('img');
+    img.setAttribute('alt', t('card.imageAlt'));
+    img.setAttribute('loading', autoplay ? 'eager' : 'lazy');
+    if (item.width && item.height) {
+        img.setAttribute('width', item.width);
+        img.setAttribute('height', item.height);
+    }
+    // The browser picks the smallest copy that fills the slide (600px wide on desktop)
+    const srcset = buildSrcset(decodedMediaUrl, item.width);
+    if (srcset) {
+        img.setAttribute('srcset', srcset);
+        img.setAttribute('sizes', '(min-width: 1024px) 600px, 100vw');
+    }
+    img.setAttribute('src', decodedMediaUrl);
+    return img;
+}
 
-    // Scroll to content smoothly
-    setTimeout(() => {
-        contentDisplay.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
-    }, 200);
+// Carousel: native swipe via scroll-snap, plus buttons, dots and keyboard arrows
+function initCarousel(container, count) {
+    const track = container.querySelector('.carousel-track');
+    const prevBtn = container.querySelector('.carousel-prev');
+    const nextBtn = container.querySelector('.carousel-next');
+    const dots = container.querySelectorAll('.carousel-dot');
+    const counter = container.closest('.content-card').querySelector('.carousel-counter');
+    let current = 0;
+
+    function goTo(index) {
+        const target = Math.max(0, Math.min(count - 1, index));
+        track.scrollTo({ left: target * track.clientWidth, behavior: 'smooth' });
+    }
+
+    function update() {
+        const index = Math.round(track.scrollLeft / Math.max(track.clientWidth, 1));
+        if (index === current) return;
+        current = index;
+
+        dots.forEach((dot, i) => dot.classList.toggle('active', i === current));
+        if (counter) counter.textContent = `${current + 1} / ${count}`;
+        prevBtn.disabled = current === 0;
+        nextBtn.disabled = current === count - 1;
+
+        // Only the visible slide should be playing
+        track.querySelectorAll('video').forEach(video => {
+            if (video.closest('.carousel-slide') === track.children[current]) {
+                video.play().catch(() => {});
+            } else {
+                video.pause();
+            }
+        });
+    }
+
+    prevBtn.disabled = true;
+    prevBtn.addEventListener('click', () => goTo(current - 1));
+    nextBtn.addEventListener('click', () => goTo(current + 1));
+    dots.forEach((dot, i) => dot.addEventListener('click', () => goTo(i)));
+    track.addEventListener('scroll', () => requestAnimationFrame(update), { passive: true });
+
+    container.tabIndex = 0;
+    container.addEventListener('keydown', (e) => {
+        if (e.key === 'ArrowLeft') goTo(current - 1);
+        if (e.key === 'ArrowRight') goTo(current + 1);
+    });
+}
+
+// Helper function to get the index of the slide in view
+function getCurrentSlide(card) {
+    const track = card.querySelector('.carousel-track');
+    return Math.round(track.scrollLeft / Math.max(track.clientWidth, 1));
+}
+
+// Helper function to list the video qualities to choose from: the renditions the post has,
+// plus the H.264 720p profile for devices that can't play the original codec
+// Option values are "quality|profile" for /api/video and /api/download ("" keeps the original)
+function buildQualityOptions(items) {
+    const heights = new Set();
+    items.forEach(item => (item.variants || []).forEach(variant => {
+        const height = parseInt((variant.quality || '').match(/^(\d+)p$/)?.[1], 10);
+        if (height) heights.add(height);
+    }));
+
+    const options = [...heights]
+        .sort((a, b) => b - a)
+        .map(height => `<option value="${height}p|original">${height}p</option>`);
+
+    return [
+        `<option value="">${t('card.qualityOriginal')}</option>`,
+        ...options,
+        `<option value="720p|h264-720p">${t('card.qualityCompatible')}</option>`
+    ].join('');
+}
+
+// Helper function to read the selected quality as URL params ({} for the original)
+function getQualityParams(card) {
+    const value = card.querySelector('.video-quality')?.value;
+    if (!value) return {};
+    const [quality, profile] = value.split('|');
+    return { quality, profile };
 }
 
-// Validate Instagram URL
-function isValidInstagramUrl(url) {
-    const patterns = [
-        /^https?:\/\/(www\.)?instagram\.com\/p\/[\w-]+\/?/,
-        /^https?:\/\/(www\.)?instagram\.com\/reel\/[\w-]+\/?/,
-        /^https?:\/\/(www\.)?instagram\.com\/tv\/[\w-]+\/?/
-    ];
+// Quality picker: asks the server for the video of the current slide at that quality
+// (it may have to merge or transcode it first) and swaps it in at the same position
+function initVideoQuality(card, shortcode, items) {
+    const qualitySelect = card.querySelector('.video-quality');
 
-    return patterns.some(pattern => pattern.test(url));
+    qualitySelect.addEventListener('change', async () => {
+        const index = getCurrentSlide(card);
+        const video = card.querySelectorAll('.carousel-slide')[index]?.querySelector('video');
+        if (!video || items[index]?.mediaType !== 'video') return;
+
+        const params = new URLSearchParams({ item: index + 1, ...getQualityParams(card) });
+        qualitySelect.disabled = true;
+        hideError();
+
+        try {
+            const response = await apiFetch(`${window.location.origin}/api/video/${encodeURIComponent(shortcode)}?${params}`);
+            const data = await readApiJson(response);
+            if (!response.ok) {
+                throw createApiError(data, 'card.qualityFailed');
+            }
+
+            const { currentTime, paused } = video;
+            video.querySelector('source').setAttribute('src', data.url);
+            video.load();
+            video.addEventListener('loadedmetadata', () => {
+                video.currentTime = currentTime;
+                if (!paused) video.play().catch(() => {});
+            }, { once: true });
+        } catch (error) {
+            showError(error.message);
+        } finally {
+            qualitySelect.disabled = false;
+        }
+    });
+}
+
+// Download button: the server sends the file with a proper name (author_shortcode_1.mp4)
+function initDownload(card, shortcode, items) {
+    const formatSelect = card.querySelector('.download-format');
+    const downloadBtn = card.querySelector('.download-btn');
+
+    downloadBtn.addEventListener('click', () => {
+        const format = formatSelect.value;
+        const index = getCurrentSlide(card);
+
+        if ((format === 'm4a' || format === 'mp3') && items[index]?.mediaType !== 'video') {
+            showError(t('card.noAudio'));
+            return;
+        }
+        hideError();
+
+        const params = new URLSearchParams({ format });
+        if (format !== 'zip') params.set('item', index + 1);
+        // The chosen quality applies to video slides
+        if (format === 'original' && items[index]?.mediaType === 'video') {
+            Object.entries(getQualityParams(card)).forEach(([name, value]) => params.set(name, value));
+        }
+
+        const link = document.createElement('a');
+        link.href = `${window.location.origin}/api/download/${encodeURIComponent(shortcode)}?${params}`;
+        link.download = '';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+    });
+}
+
+// Helper function to get the shortcode from a post URL
+function getShortcode(url) {
+    return url.match(/\/(p|reel|tv)\/([\w-]+)/)?.[2] || null;
+}
+
+// Supported platforms, loaded from /api/providers: [{ name, label, example, patterns }]
+let providers = null;
+
+async function loadProviders() {
+    try {
+        const response = await fetch(`${window.location.origin}/api/providers`);
+        if (!response.ok) return;
+
+        providers = (await response.json()).map(provider => ({
+            ...provider,
+            patterns: provider.patterns.map(source => new RegExp(source))
+        }));
+    } catch (error) {
+        console.warn('Could not load the supported platforms:', error.message);
+    }
+}
+
+function getProviderLabels() {
+    return providers ? providers.map(provider => provider.label).join(', ') : 'Instagram, TikTok';
+}
+
+// Validate a post URL against the patterns of every supported platform
+// Until the list has loaded, any http(s) URL passes and the server decides
+function isSupportedUrl(url) {
+    if (!providers) {
+        return /^https?:\/\/\S+$/.test(url);
+    }
+    return providers.some(provider => provider.patterns.some(pattern => pattern.test(url)));
 }
 
 // Escape HTML to prevent XSS
@@ -292,15 +874,28 @@ function showError(message) {
 function hideError() {
     errorMessage.classList.remove('visible');
     setTimeout(() => {
-        errorMessage.textContent = '';
+        // Unless a new error was shown in the meantime (offline failures are immediate)
+        if (!errorMessage.classList.contains('visible')) {
+            errorMessage.textContent = '';
+        }
     }, 300);
 }
 
-function showLoading() {
+function showLoading(text = t('loading.content')) {
+    loadingText.textContent = text;
+    loadingProgress.style.width = '0%';
+    loadingMessage.classList.remove('has-progress');
     loadingMessage.classList.add('visible');
     loadBtn.disabled = true;
 }
 
+// Show the current job stage and progress in the loading message
+function updateLoading(update) {
+    loadingText.textContent = getStageLabel(update.stage);
+    loadingProgress.style.width = `${Math.round((update.progress || 0) * 100)}%`;
+    loadingMessage.classList.add('has-progress');
+}
+
 function hideLoading() {
     loadingMessage.classList.remove('visible');
     loadBtn.disabled = false;
@@ -309,10 +904,383 @@ function hideLoading() {
 function hideContent() {
     contentDisplay.classList.remove('visible');
     setTimeout(() => {
-        contentDisplay.innerHTML = '';
+        // Unless new content was shown in the meantime
+        if (!contentDisplay.classList.contains('visible')) {
+            contentDisplay.innerHTML = '';
+        }
     }, 300);
 }
 
+// History: posts viewed in this browser, kept in IndexedDB and never sent anywhere
+// Each entry keeps the post metadata plus a small thumbnail (proxied URLs expire after a few hours).
+// Starred entries form the "Salvos" collection; they are never pruned or cleared with the history.
+const HISTORY_DB_NAME = 'pure-content';
+const HISTORY_STORE = 'history';
+const HISTORY_LIMIT = 200; // Unstarred entries kept, oldest viewed removed first
+const HISTORY_EXPORT_FORMAT = 'pure-content-history';
+const THUMBNAIL_WIDTH = 320;
+
+let historyView = 'all';
+let historyDb = null;
+let historyObjectUrls = [];
+
+function openHistoryDb() {
+    if (!window.indexedDB) {
+        return Promise.reject(new Error('IndexedDB is not available'));
+    }
+
+    historyDb = historyDb || new Promise((resolve, reject) => {
+        const request = indexedDB.open(HISTORY_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore(HISTORY_STORE, { keyPath: 'id' });
+            store.createIndex('viewedAt', 'viewedAt');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    return historyDb;
+}
+
+// Helper function to run requests against the history store in one transaction
+// fn(store) may return a request; its result is what the promise resolves with
+async function historyTransaction(mode, fn) {
+    const db = await openHistoryDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(HISTORY_STORE, mode);
+        const request = fn(transaction.objectStore(HISTORY_STORE));
+        transaction.oncomplete = () => resolve(request?.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+function getAllHistory() {
+    return historyTransaction('readonly', store => store.getAll());
+}
+
+// Record a post that was just shown (keeps its star and, when there is one, its thumbnail)
+// The response itself is kept too, so the post can be shown again offline (media from sw.js)
+async function addToHistory(data, url) {
+    const shortcode = data.shortcode || getShortcode(url || '');
+    if (!shortcode) return;
+
+    try {
+        const existing = await historyTransaction('readonly', store => store.get(shortcode));
+        const entry = {
+            id: shortcode,
+            shortcode,
+            platform: data.platform || existing?.platform || null,
+            url: url || existing?.url || '',
+            author: data.author || '',
+            caption: data.caption || '',
+            mediaType: data.mediaType || null,
+            itemCount: Array.isArray(data.items) && data.items.length > 0 ? data.items.length : 1,
+            timestamp: data.timestamp || null,
+            viewedAt: new Date().toISOString(),
+            starred: existing?.starred || false,
+            thumbnail: existing?.thumbnail || await fetchThumbnail(data),
+            post: data
+        };
+
+        await historyTransaction('readwrite', store => store.put(entry));
+        await pruneHistory();
+        renderHistory();
+    } catch (error) {
+        console.warn('Could not save to history:', error.message);
+    }
+}
+
+// Helper function to download a small copy of the post's cover as a Blob (null when it can't)
+async function fetchThumbnail(data) {
+    const cover = (Array.isArray(data.items) && data.items[0]) || data;
+    const source = cover.thumbnailUrl || (cover.mediaType === 'image' ? cover.mediaUrl : null);
+    if (!source) return null;
+
+    try {
+        const response = await fetch(getResizedUrl(decodeUrl(source), THUMBNAIL_WIDTH));
+        if (!response.ok) return null;
+        const blob = await response.blob();
+        return blob.type.startsWith('image/') ? blob : null;
+    } catch (error) {
+        // Cross-origin CDN URLs (not proxied) can't be read; the entry just has no thumbnail
+        return null;
+    }
+}
+
+// Helper function to drop the oldest unstarred entries past HISTORY_LIMIT
+async function pruneHistory() {
+    const stale = (await getAllHistory())
+        .filter(entry => !entry.starred)
+        .sort((a, b) => b.viewedAt.localeCompare(a.viewedAt))
+        .slice(HISTORY_LIMIT);
+    if (stale.length === 0) return;
+
+    await historyTransaction('readwrite', store => {
+        stale.forEach(entry => store.delete(entry.id));
+    });
+}
+
+// Helper function to compare text without case or accents ("Café" matches "cafe")
+function normalizeSearch(text) {
+    return (text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+// Show the entries of the current tab that match the search, most recently viewed first
+async function renderHistory() {
+    let entries;
+    try {
+        entries = await getAllHistory();
+    } catch (error) {
+        // Private mode or an old browser: no history
+        historySection.hidden = true;
+        return;
+    }
+
+    const query = normalizeSearch(historySearch.value.trim());
+    const shown = entries
+        .filter(entry => historyView === 'all' || entry.starred)
+        .filter(entry => !query || normalizeSearch(`${entry.author} ${entry.caption}`).includes(query))
+        .sort((a, b) => b.viewedAt.localeCompare(a.viewedAt));
+
+    historyObjectUrls.forEach(objectUrl => URL.revokeObjectURL(objectUrl));
+    historyObjectUrls = [];
+    historyList.innerHTML = '';
+    shown.forEach(entry => historyList.appendChild(createHistoryItem(entry)));
+
+    if (entries.length === 0) {
+        historyEmpty.textContent = t('history.empty');
+    } else if (query) {
+        historyEmpty.textContent = t('history.noResults');
+    } else {
+        historyEmpty.textContent = t('history.noStarred');
+    }
+    historyEmpty.hidden = shown.length > 0;
+    historyExport.disabled = entries.length === 0;
+    historyClear.disabled = !entries.some(entry => !entry.starred);
+}
+
+// Build one history row: thumbnail, author, caption and date, plus star and delete buttons
+function createHistoryItem(entry) {
+    const item = document.createElement('li');
+    item.className = 'history-item';
+    item.dataset.id = entry.id;
+
+    let thumbnail = '<span class="history-thumb history-thumb-empty" aria-hidden="true"></span>';
+    if (entry.thumbnail instanceof Blob) {
+        const objectUrl = URL.createObjectURL(entry.thumbnail);
+        historyObjectUrls.push(objectUrl);
+        thumbnail = `<img class="history-thumb" src="${objectUrl}" alt="" loading="lazy">`;
+    }
+
+    const viewedAt = formatDate(entry.viewedAt, { day: 'numeric', month: 'short' });
+    const details = [
+        viewedAt,
+        entry.itemCount > 1
+            ? t('history.items', { count: entry.itemCount })
+            : t(entry.mediaType === 'video' ? 'history.video' : 'history.photo')
+    ].join(' • ');
+
+    item.innerHTML = `
+        <button type="button" class="history-open" data-action="open" title="${t('history.open')}">
+            ${thumbnail}
+            <span class="history-text">
+                <span class="history-author">@${escapeHtml(entry.author || t('history.unknownAuthor'))}</span>
+                <span class="history-caption">${escapeHtml(entry.caption || '')}</span>
+                <span class="history-details">${details}</span>
+            </span>
+        </button>
+        <button type="button" class="history-star${entry.starred ? ' active' : ''}" data-action="star"
+            aria-pressed="${entry.starred}" aria-label="${entry.starred ? t('history.unstar') : t('history.star')}">★</button>
+        <button type="button" class="history-delete" data-action="delete" aria-label="${t('history.remove')}">×</button>
+    `;
+    return item;
+}
+
+async function handleHistoryClick(e) {
+    const button = e.target.closest('[data-action]');
+    const id = button?.closest('.history-item')?.dataset.id;
+    if (!id) return;
+
+    const entry = await historyTransaction('readonly', store => store.get(id));
+    if (!entry) return;
+
+    if (button.dataset.action === 'open') {
+        urlInput.value = entry.url;
+        resizeUrlInput();
+        updateClearButton();
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+        loadContent();
+    } else if (button.dataset.action === 'star') {
+        await historyTransaction('readwrite', store => store.put({ ...entry, starred: !entry.starred }));
+        renderHistory();
+    } else if (button.dataset.action === 'delete') {
+        await historyTransaction('readwrite', store => store.delete(id));
+        renderHistory();
+    }
+}
+
+// Show a post from its saved response; false when the history has none for this link
+async function showOfflineCopy(url) {
+    try {
+        const entries = await getAllHistory();
+        const shortcode = getShortcode(url);
+        const entry = entries.find(item => item.post && (item.id === shortcode || item.url === url));
+        if (!entry) return false;
+
+        displayContent(entry.post, { offline: true, url: entry.url });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Remove every entry that isn't starred
+async function clearHistory() {
+    if (!confirm(t('history.confirmClear'))) return;
+
+    const entries = await getAllHistory();
+    await historyTransaction('readwrite', store => {
+        entries.filter(entry => !entry.starred).forEach(entry => store.delete(entry.id));
+    });
+    renderHistory();
+}
+
+// Helper function to turn a thumbnail Blob into a data: URL for the JSON export
+function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+// Download the whole history (thumbnails included) as a JSON file
+// The saved responses stay out: their media links expire and only work in this browser's cache
+async function exportHistory() {
+    const entries = await getAllHistory();
+    const exported = await Promise.all(entries.map(async ({ post, ...entry }) => ({
+        ...entry,
+        thumbnail: entry.thumbnail instanceof Blob ? await blobToDataUrl(entry.thumbnail) : null
+    })));
+
+    const file = new Blob([JSON.stringify({
+        format: HISTORY_EXPORT_FORMAT,
+        version: 1,
+        exportedAt: new Date().toISOString(),
+        entries: exported
+    }, null, 2)], { type: 'application/json' });
+
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(file);
+    link.download = t('history.exportFilename', { date: new Date().toISOString().slice(0, 10) });
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+// Helper function to read one exported entry back, keeping only known fields (null when unusable)
+async function parseHistoryEntry(raw) {
+    if (!raw || typeof raw.id !== 'string' || typeof raw.url !== 'string') return null;
+
+    let thumbnail = null;
+    if (typeof raw.thumbnail === 'string' && raw.thumbnail.startsWith('data:image/')) {
+        thumbnail = await (await fetch(raw.thumbnail)).blob();
+    }
+
+    const text = (value) => (typeof value === 'string' ? value : '');
+    return {
+        id: raw.id,
+        shortcode: text(raw.shortcode) || raw.id,
+        platform: text(raw.platform) || null,
+        url: raw.url,
+        author: text(raw.author),
+        caption: text(raw.caption),
+        mediaType: raw.mediaType === 'video' ? 'video' : 'image',
+        itemCount: Number.isInteger(raw.itemCount) && raw.itemCount > 0 ? raw.itemCount : 1,
+        timestamp: text(raw.timestamp) || null,
+        viewedAt: Number.isNaN(Date.parse(raw.viewedAt)) ? new Date().toISOString() : new Date(raw.viewedAt).toISOString(),
+        starred: raw.starred === true,
+        thumbnail
+    };
+}
+
+// Merge an exported file into the history: stars are kept from either side, the latest view wins
+async function importHistory(file) {
+    try {
+        const data = JSON.parse(await file.text());
+        if (data?.format !== HISTORY_EXPORT_FORMAT || !Array.isArray(data.entries)) {
+            throw new Error(t('history.notAnExport'));
+        }
+
+        const imported = (await Promise.all(data.entries.map(parseHistoryEntry))).filter(Boolean);
+        const existing = new Map((await getAllHistory()).map(entry => [entry.id, entry]));
+
+        await historyTransaction('readwrite', store => {
+            imported.forEach(entry => {
+                const current = existing.get(entry.id);
+                if (!current) return store.put(entry);
+
+                const newer = entry.viewedAt > current.viewedAt ? entry : current;
+                store.put({
+                    ...newer,
+                    starred: entry.starred || current.starred,
+                    thumbnail: newer.thumbnail || current.thumbnail || entry.thumbnail,
+                    post: current.post
+                });
+            });
+        });
+
+        hideError();
+        renderHistory();
+    } catch (error) {
+        showError(error instanceof SyntaxError ? t('history.invalidJson') : error.message);
+    } finally {
+        historyImport.value = '';
+    }
+}
+
+function initHistory() {
+    historyList.addEventListener('click', handleHistoryClick);
+    historySearch.addEventListener('input', renderHistory);
+    historyExport.addEventListener('click', exportHistory);
+    historyImport.addEventListener('change', () => {
+        if (historyImport.files[0]) importHistory(historyImport.files[0]);
+    });
+    historyClear.addEventListener('click', clearHistory);
+
+    historySection.querySelectorAll('.history-tab').forEach(tab => {
+        tab.addEventListener('click', () => {
+            historyView = tab.dataset.view;
+            historySection.querySelectorAll('.history-tab').forEach(other => {
+                other.classList.toggle('active', other === tab);
+                other.setAttribute('aria-selected', String(other === tab));
+            });
+            renderHistory();
+        });
+    });
+
+    renderHistory();
+}
+
+// Deep links ("/?url=...", from bookmarklets and the share target) load the link right away
+// The parameter is removed from the address, so reloading the page doesn't fetch it again
+function openLinkFromAddress() {
+    const params = new URLSearchParams(window.location.search);
+    const shared = params.get('url');
+    if (!shared) return;
+
+    params.delete('url');
+    const query = params.toString();
+    history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+
+    urlInput.value = shared.trim();
+    resizeUrlInput();
+    updateClearButton();
+    loadContent();
+}
+
 // Check backend health
 async function checkBackendHealth() {
     try {
@@ -330,20 +1298,43 @@ window.addEventListener('DOMContentLoaded', () => {
     // Initialize theme
     initTheme();
 
+    // Language: saved choice or the browser's, switchable from the header (see i18n.js)
+    applyTranslations();
+    initLocaleSwitcher(localeSelect);
+
     // Auto-focus input
     urlInput.focus();
 
     // Check if backend is running
     checkBackendHealth();
 
+    // Platforms for the URL validator
+    loadProviders();
+
     // Initialize clear button state
     updateClearButton();
+
+    // Posts viewed before, from IndexedDB
+    initHistory();
+
+    // Offline support and updates
+    initServiceWorker();
+
+    // A link shared into the app or passed in the address
+    openLinkFromAddress();
+});
+
+// Text built by this script follows a language switch too (cards already shown keep theirs)
+window.addEventListener('localechange', () => {
+    renderHistory();
 });
 
 // Add visual feedback for paste events
 urlInput.addEventListener('paste', () => {
     setTimeout(() => {
-        if (isValidInstagramUrl(urlInput.value.trim())) {
+        resizeUrlInput();
+        const urls = extractUrls(urlInput.value);
+        if (urls.length > 0 && urls.every(isSupportedUrl)) {
             urlInput.style.borderColor = 'var(--accent-primary)';
             setTimeout(() => {
                 urlInput.style.borderColor = '';
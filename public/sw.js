@@ -0,0 +1,188 @@
+// Service worker: the app shell works offline and viewed media is kept for re-viewing
+//
+// The shell (page, styles, scripts) is precached under a version the server derives from the
+// files' contents, so every deploy installs a new worker. It waits until the page accepts the
+// "new version" prompt (SKIP_WAITING message), so an open tab never mixes old and new files.
+//
+// Media (/api/proxy images and videos, merged /temp videos) is cached as it's viewed, up to
+// MEDIA_BUDGET_BYTES; the oldest entries are evicted first. Proxy URLs carry an expiring signature,
+// so entries are keyed without it: the same image is found again from a newer (or expired) link.
+
+const VERSION = '__APP_VERSION__';
+const SHELL_CACHE = `shell-${VERSION}`;
+const MEDIA_CACHE = 'media-v1';
+
+const SHELL_FILES = ['/', '/style.css', '/i18n.js', '/script.js', '/manifest.json'];
+
+// Pages answered with the shell when navigated to (deep links are /?url=...). Every other
+// navigation (downloads, failure reports, /health, /metrics, /debug, /temp files, /share) is
+// left to the server
+const PAGE_ROUTES = ['/'];
+
+// Media kept for offline viewing, and the largest single file worth keeping
+const MEDIA_BUDGET_BYTES = 200 * 1024 * 1024;
+const MAX_MEDIA_BYTES = 50 * 1024 * 1024;
+
+// Header recording the size of a cached media entry (the Cache API doesn't expose it)
+const SIZE_HEADER = 'X-SW-Size';
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_FILES)));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('shell-') && name !== SHELL_CACHE)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+// The page asks the waiting worker to take over once the user accepts the update
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate') {
+        if (PAGE_ROUTES.includes(url.pathname)) {
+            event.respondWith(fromShell('/', request));
+        }
+    } else if (SHELL_FILES.includes(url.pathname)) {
+        event.respondWith(fromShell(url.pathname, request));
+    } else if (url.pathname === '/api/proxy' || url.pathname.startsWith('/temp/')) {
+        event.respondWith(fromMediaCache(event));
+    } else if (url.pathname === '/api/providers') {
+        event.respondWith(networkFirst(request));
+    }
+    // Everything else (the API) goes to the network as usual
+});
+
+// Helper function to serve a precached shell file, from the network if it's missing
+async function fromShell(path, request) {
+    const cached = await caches.match(path, { cacheName: SHELL_CACHE });
+    return cached || fetch(request);
+}
+
+// Helper function to use the network and keep the last answer for offline use
+async function networkFirst(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) await cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+// Helper function to key a media URL without its signature ("/api/proxy?u=...&w=480")
+function getMediaKey(url) {
+    const parsed = new URL(url);
+    if (parsed.pathname !== '/api/proxy') {
+        return `${parsed.origin}${parsed.pathname}`;
+    }
+    ['exp', 'sig'].forEach(name => parsed.searchParams.delete(name));
+    parsed.searchParams.sort();
+    return parsed.toString();
+}
+
+// Media: cache first. Range requests (video seeking) are answered from a cached copy when there
+// is one; otherwise they go to the network and, for the first range of a video, the whole file is
+// fetched in the background so it can be watched again offline.
+async function fromMediaCache(event) {
+    const { request } = event;
+    const key = getMediaKey(request.url);
+    const range = request.headers.get('Range');
+    const cache = await caches.open(MEDIA_CACHE);
+    const cached = await cache.match(key);
+
+    if (cached) {
+        return range ? createRangeResponse(cached, range) : cached;
+    }
+
+    if (range) {
+        if (/^bytes=0-/.test(range)) {
+            event.waitUntil(fetch(request.url).then(response => storeMedia(cache, key, response)).catch(() => {}));
+        }
+        return fetch(request);
+    }
+
+    const response = await fetch(request);
+    if (response.status === 200) {
+        event.waitUntil(storeMedia(cache, key, response.clone()).catch(() => {}));
+    }
+    return response;
+}
+
+// Helper function to keep a complete media response, then evict the oldest entries over budget
+async function storeMedia(cache, key, response) {
+    if (response.status !== 200) return;
+    const length = parseInt(response.headers.get('Content-Length'), 10);
+    if (length > MAX_MEDIA_BYTES) return;
+
+    const body = await response.blob();
+    if (body.size > MAX_MEDIA_BYTES) return;
+
+    const headers = new Headers(response.headers);
+    headers.set(SIZE_HEADER, String(body.size));
+    headers.set('Content-Length', String(body.size));
+    await cache.put(key, new Response(body, { status: 200, headers }));
+    await enforceMediaBudget(cache);
+}
+
+// Helper function to evict media, oldest first (keys() lists them in insertion order)
+async function enforceMediaBudget(cache) {
+    const requests = await cache.keys();
+    const sizes = await Promise.all(requests.map(async request => {
+        const response = await cache.match(request);
+        return parseInt(response?.headers.get(SIZE_HEADER), 10) || 0;
+    }));
+
+    let total = sizes.reduce((sum, size) => sum + size, 0);
+    for (let i = 0; i < requests.length && total > MEDIA_BUDGET_BYTES; i++) {
+        await cache.delete(requests[i]);
+        total -= sizes[i];
+    }
+}
+
+// Helper function to answer "Range: bytes=start-end" from a cached complete response
+async function createRangeResponse(cached, range) {
+    const body = await cached.blob();
+    const size = body.size;
+    const match = /^bytes=(\d*)-(\d*)$/.exec(range.trim());
+
+    let start = match && match[1] !== '' ? parseInt(match[1], 10) : null;
+    let end = match && match[2] !== '' ? parseInt(match[2], 10) : null;
+    if (start === null && end !== null) {
+        // Suffix range: the last N bytes
+        start = Math.max(size - end, 0);
+        end = size - 1;
+    } else if (start !== null) {
+        end = end === null ? size - 1 : Math.min(end, size - 1);
+    }
+
+    if (!match || start === null || start > end || start >= size) {
+        return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${size}` } });
+    }
+
+    return new Response(body.slice(start, end + 1), {
+        status: 206,
+        headers: {
+            'Content-Type': cached.headers.get('Content-Type') || 'application/octet-stream',
+            'Content-Range': `bytes ${start}-${end}/${size}`,
+            'Content-Length': String(end - start + 1),
+            'Accept-Ranges': 'bytes'
+        }
+    });
+}
@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+// Capture a saved Instagram page as a regression fixture
+//
+// Usage: node scripts/add-fixture.js <name> <instagram-url> [html-file|failure-id]
+//   Takes the page of a saved failure (see scripts/failures.js) or an HTML file;
+//   defaults to the most recent failure
+//
+// Copies the HTML to test/fixtures/<name>.html and records what the current pipeline
+// extracts in test/fixtures/<name>.json. Edit "expected" to the correct output before committing.
+const fs = require('fs');
+const path = require('path');
+const { extractOffline } = require('../lib/extractors');
+const { failureStore } = require('../lib/failures');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'test', 'fixtures');
+
+// Helper function to read the page: a file, a failure ID, or the newest failure
+async function readPage(source) {
+    if (source && fs.existsSync(source)) {
+        return fs.readFileSync(source, 'utf8');
+    }
+
+    const id = source || (await failureStore.list())[0]?.id;
+    const html = id && await failureStore.getHtml(id);
+    if (!html) {
+        throw new Error(source ? `No such file or failure: ${source}` : `No failures in ${failureStore.dir}`);
+    }
+    console.log(`Using failure ${id}`);
+    return html;
+}
+
+async function main() {
+    const [name, url, source] = process.argv.slice(2);
+
+    if (!name || !url) {
+        console.error('Usage: node scripts/add-fixture.js <name> <instagram-url> [html-file|failure-id]');
+        process.exit(1);
+    }
+
+    if (!/^[\w-]+$/.test(name)) {
+        console.error('Fixture name may only contain letters, numbers, "-" and "_"');
+        process.exit(1);
+    }
+
+    const htmlPath = path.join(FIXTURES_DIR, `${name}.html`);
+    const expectedPath = path.join(FIXTURES_DIR, `${name}.json`);
+    if (fs.existsSync(htmlPath) || fs.existsSync(expectedPath)) {
+        console.error(`Fixture "${name}" already exists`);
+        process.exit(1);
+    }
+
+    const html = await readPage(source);
+    const expected = await extractOffline(url, html);
+
+    fs.writeFileSync(htmlPath, html);
+    fs.writeFileSync(expectedPath, JSON.stringify({ url, expected }, null, 2) + '\n');
+
+    console.log(`\nSaved ${path.relative(process.cwd(), htmlPath)}`);
+    console.log(`Saved ${path.relative(process.cwd(), expectedPath)}`);
+    console.log(expected
+        ? `Current pipeline result: ${expected.method} (${expected.mediaType}, ${expected.items.length} item(s))`
+        : 'Current pipeline result: nothing extracted');
+    console.log('Review "expected" and fix it to the correct output, then run npm test.');
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
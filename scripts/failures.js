@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+// Inspect and replay saved extraction failures (see lib/failures.js)
+//
+// Usage: node scripts/failures.js list
+//        node scripts/failures.js show <id>
+//        node scripts/failures.js replay <id|all>
+//
+// replay runs the saved page through the current offline pipeline (no fetch, no Chromium), so a
+// parser fix can be checked against the real page. FAILURES_DIR selects the directory.
+// To keep a sample as a regression test: npm run fixture:add -- <name> <url> <id>
+const { failureStore } = require('../lib/failures');
+
+const USAGE = 'Usage: node scripts/failures.js list | show <id> | replay <id|all>';
+
+// Helper function to name the markers that are set: "hasVideoUrl, hasOgImage"
+function formatMarkers(markers) {
+    const found = Object.entries(markers).filter(([name, value]) => name !== 'htmlLength' && value === true);
+    return found.length > 0 ? found.map(([name]) => name).join(', ') : 'none';
+}
+
+function formatResult(result) {
+    return result
+        ? `${result.method} (${result.mediaType}, ${result.items.length} item(s))`
+        : 'nothing extracted';
+}
+
+async function list() {
+    const failures = await failureStore.list();
+    if (failures.length === 0) {
+        console.log(`No failures in ${failureStore.dir}`);
+        return;
+    }
+
+    for (const failure of failures) {
+        console.log(`${failure.id}  ${failure.reason.padEnd(13)} ${failure.url}`);
+        console.log(`    ${failure.status ?? '-'}, ${failure.htmlBytes} bytes${failure.truncated ? ' (truncated)' : ''}, markers: ${formatMarkers(failure.markers)}`);
+    }
+    console.log(`\n${failures.length} failure(s) in ${failureStore.dir}`);
+}
+
+async function show(id) {
+    const failure = await failureStore.get(id);
+    if (!failure) throw new Error(`No such failure: ${id}`);
+    console.log(JSON.stringify(failure, null, 2));
+}
+
+async function replay(id) {
+    const ids = id === 'all' ? (await failureStore.list()).map(failure => failure.id) : [id];
+    let fixed = 0;
+
+    for (const failureId of ids) {
+        const result = await failureStore.replay(failureId);
+        if (!result) throw new Error(`No such failure: ${failureId}`);
+        if (result.result) fixed++;
+        console.log(`${failureId}  ${formatResult(result.result)}`);
+        if (ids.length === 1 && result.result) {
+            console.log(JSON.stringify(result.result, null, 2));
+        }
+    }
+
+    if (ids.length > 1) {
+        console.log(`\n${fixed} of ${ids.length} failure(s) now extract something`);
+    }
+}
+
+async function main() {
+    const [command, id] = process.argv.slice(2);
+
+    if (command === 'list') return list();
+    if (command === 'show' && id) return show(id);
+    if (command === 'replay' && id) return replay(id);
+
+    console.error(USAGE);
+    process.exit(1);
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
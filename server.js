@@ -1,121 +1,462 @@
 const express = require('express');
 const cors = require('cors');
-const rateLimit = require('express-rate-limit');
+const { rateLimit, MemoryStore } = require('express-rate-limit');
 const axios = require('axios');
 const fs = require('fs');
-const puppeteer = require('puppeteer');
-const ffmpeg = require('fluent-ffmpeg');
 const path = require('path');
+const { pipeline } = require('stream');
 const crypto = require('crypto');
+const archiver = require('archiver');
+const { normalizePostData } = require('./lib/parsers');
+const { TEMP_DIR, tempJanitor } = require('./lib/temp-janitor');
+const { MERGE_OPTIONS, extractAudio, renderVideo } = require('./lib/media');
+const { VIDEO_PROFILES, selectVariant } = require('./lib/video');
+const { AUDIO_FORMATS, getItemExtension, buildDownloadFilename } = require('./lib/download');
+const { registry } = require('./lib/extractors');
+const { resultCache } = require('./lib/cache');
+const { browserPool } = require('./lib/browser-pool');
+const { jobQueue } = require('./lib/jobs');
+const { PROVIDERS, findProvider, findProviderByName, findProviderByKey, findMediaProvider, getClientConfig } = require('./lib/providers');
+const { canonicalizeUrl } = require('./lib/canonical-url');
+const { MAX_PAGE_BYTES, safeFetch } = require('./lib/safe-fetch');
+const { IMAGE_FORMATS, MAX_SOURCE_BYTES, parseImageVariant, imageVariants } = require('./lib/images');
+const { FORWARDED_REQUEST_HEADERS, RELAYED_STATUSES, pickHeaders, getRelayedHeaders, urlSigner } = require('./lib/proxy');
+const { logger, runWithContext } = require('./lib/logger');
+const { metrics } = require('./lib/metrics');
+const { failureStore } = require('./lib/failures');
+const { BATCH_CONCURRENCY, parseBatchUrls, groupByKey, mapWithConcurrency, getStreamFormat, createEventStream } = require('./lib/batch');
+const { findSharedUrl, getShareRedirect } = require('./lib/share');
+const { createProblem, toProblem, sendProblem, listErrorTypes } = require('./lib/errors');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const BASE_URL = process.env.BASE_URL || `http://localhost:${PORT}`;
-
-// Create temp directory for merged videos
-const TEMP_DIR = path.join(__dirname, 'temp');
-if (!fs.existsSync(TEMP_DIR)) {
-    fs.mkdirSync(TEMP_DIR, { recursive: true });
-}
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
 
 // Trust proxy (required for Railway and other reverse proxies)
 // Set to 1 to trust only the first proxy (Railway), not all proxies
 app.set('trust proxy', 1);
 
+// Request IDs: taken from X-Request-Id when the proxy in front sets one, otherwise generated.
+// The rest of the request runs in a log context, so every line it causes carries the ID
+// (see lib/logger.js); the response echoes it for bug reports.
+app.use((req, res, next) => {
+    const given = req.get('X-Request-Id');
+    req.id = given && /^[\w.:-]{1,64}$/.test(given) ? given : crypto.randomUUID();
+    res.setHeader('X-Request-Id', req.id);
+
+    const endTimer = metrics.httpRequestDuration.startTimer({ method: req.method });
+    res.on('finish', () => {
+        const route = getRouteLabel(req, res);
+        const seconds = endTimer({ route, status: res.statusCode });
+        const fields = { requestId: req.id, method: req.method, route, status: res.statusCode, durationMs: Math.round(seconds * 1000) };
+
+        // API calls at info; static files, temp videos and proxied media (many range requests) at debug
+        if (res.statusCode >= 500) {
+            logger.error(fields, '[HTTP] Request failed');
+        } else if (route.startsWith('/api/') && route !== '/api/proxy') {
+            logger.info(fields, '[HTTP] Request completed');
+        } else {
+            logger.debug(fields, '[HTTP] Request completed');
+        }
+    });
+
+    runWithContext({ requestId: req.id }, next);
+});
+
 // Middleware
-app.use(cors());
+// The media proxy gets no CORS headers: the app loads it same-origin, and other sites must not
+// be able to read media through a signed URL they got hold of
+const apiCors = cors({
+    exposedHeaders: ['X-Cache', 'X-Cache-Expires', 'Content-Range', 'Accept-Ranges', 'ETag', 'X-Request-Id', 'Retry-After']
+});
+app.use((req, res, next) => (req.path === '/api/proxy' ? next() : apiCors(req, res, next)));
 app.use(express.json());
 
+// Service worker, stamped with a version derived from the app shell (public/sw.js)
+// A deploy that changes any shell file changes the worker, which is how browsers notice an update
+const SERVICE_WORKER_SHELL = ['index.html', 'style.css', 'i18n.js', 'script.js', 'manifest.json', 'sw.js'];
+let serviceWorkerSource = null;
+
+// Helper function to read the worker once, with __APP_VERSION__ replaced by the shell's hash
+function getServiceWorkerSource() {
+    if (!serviceWorkerSource) {
+        const hash = crypto.createHash('sha256');
+        for (const file of SERVICE_WORKER_SHELL) {
+            hash.update(fs.readFileSync(path.join(__dirname, 'public', file)));
+        }
+        const version = hash.digest('hex').slice(0, 12);
+        serviceWorkerSource = fs.readFileSync(path.join(__dirname, 'public', 'sw.js'), 'utf8')
+            .replace(/__APP_VERSION__/g, version);
+    }
+    return serviceWorkerSource;
+}
+
+app.get('/sw.js', (req, res) => {
+    res.setHeader('Content-Type', 'application/javascript; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.send(getServiceWorkerSource());
+});
+
+// Web Share Target (share_target in manifest.json): links shared from other apps land here
+// The post link is picked out of the shared text and the viewer opens with it ("/?url=...")
+app.get('/share', (req, res) => {
+    const pick = (value) => (typeof value === 'string' ? value : '');
+    const share = {
+        title: pick(req.query.title),
+        text: pick(req.query.text),
+        url: pick(req.query.url)
+    };
+
+    // What people share is private: only log whether it held a link we support
+    logger.info(`[SHARE] Received a share ${findSharedUrl(share) ? 'with' : 'without'} a supported link`);
+    res.redirect(303, getShareRedirect(share));
+});
+
 // Serve static frontend files
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Serve temp files (merged videos)
-app.use('/temp', express.static(TEMP_DIR));
+// Serve temp files (merged videos); every hit counts as a use for the janitor's LRU
+// Range requests (seeking) and ETag/Last-Modified revalidation are handled by express.static
+app.use('/temp', (req, res, next) => {
+    tempJanitor.touch(req.path);
+    next();
+}, express.static(TEMP_DIR, {
+    acceptRanges: true,
+    etag: true,
+    lastModified: true,
+    maxAge: '1h'
+}));
 
 // Rate limiting: 10 requests per minute per IP
+// The store is shared with /api/fetch-batch, which charges one request per post it extracts
+const RATE_LIMIT_MAX = 10;
+const rateLimitStore = new MemoryStore();
 const limiter = rateLimit({
     windowMs: 60 * 1000, // 1 minute
-    max: 10,
-    message: 'Too many requests, please try again later.',
+    max: RATE_LIMIT_MAX,
+    store: rateLimitStore,
+    keyGenerator: (req) => req.ip,
     standardHeaders: true,
     legacyHeaders: false,
+    // Job polling/SSE and proxied media (a video seeks with many range requests) are follow-up
+    // traffic for a request that was already counted; the provider and error lists are static
+    skip: (req) => req.path.startsWith('/jobs/') || req.path === '/proxy' || req.path === '/providers' || req.path === '/errors',
+    handler: (req, res) => {
+        const route = `/api/${req.path.split('/')[1]}`;
+        metrics.rateLimitRejections.inc({ route });
+        logger.warn({ route, ip: req.ip }, '[RATE-LIMIT] Request rejected');
+        sendProblem(res, createProblem('RATE_LIMITED', { retryAfter: getRetryAfter(req.rateLimit.resetTime) }));
+    }
 });
 
 app.use('/api/', limiter);
 
+// Helper function to count the seconds until a rate limit window resets (at least 1)
+function getRetryAfter(resetTime) {
+    return resetTime ? Math.max(1, Math.ceil((resetTime.getTime() - Date.now()) / 1000)) : undefined;
+}
+
 // Health check endpoint
 app.get('/health', (req, res) => {
     res.json({
         status: 'ok',
-        timestamp: new Date().toISOString()
+        timestamp: new Date().toISOString(),
+        extractors: registry.getStats(),
+        cache: resultCache.getStats(),
+        browser: browserPool.getState(),
+        jobs: jobQueue.getStats(),
+        temp: tempJanitor.getStats(),
+        images: imageVariants.getStats()
     });
 });
 
-// Proxy endpoint to bypass Instagram CORS/referer restrictions
+// Prometheus metrics (lib/metrics.js); with METRICS_TOKEN set, scrapers must send it as a bearer token
+app.get('/metrics', (req, res) => {
+    if (METRICS_TOKEN && !hasBearerToken(req, METRICS_TOKEN)) {
+        return sendProblem(res, createProblem('UNAUTHORIZED', { detail: 'A valid metrics token is required' }));
+    }
+    res.setHeader('Content-Type', metrics.registry.contentType);
+    res.send(metrics.registry.render());
+});
+
+// Sizes read at scrape time
+metrics.registry.gauge({
+    name: 'temp_bytes',
+    help: 'Size of the temp directory (merged and transcoded videos)',
+    collect: (gauge) => gauge.set({}, tempJanitor.getStats().bytes)
+});
+metrics.registry.gauge({
+    name: 'image_cache_bytes',
+    help: 'Size of the image variant cache',
+    collect: (gauge) => gauge.set({}, imageVariants.getStats().cache.bytes)
+});
+metrics.registry.gauge({
+    name: 'result_cache_entries',
+    help: 'Posts in the result cache',
+    collect: (gauge) => gauge.set({}, resultCache.getStats().entries)
+});
+
+// Supported platforms and their URL patterns (used by the front-end validator)
+app.get('/api/providers', (req, res) => {
+    res.json(getClientConfig());
+});
+
+// The error codes problem responses can carry (see lib/errors.js)
+app.get('/api/errors', (req, res) => {
+    res.json({ errors: listErrorTypes() });
+});
+
+// Admin endpoints need ADMIN_TOKEN as a bearer token; without ADMIN_TOKEN they are disabled
+function requireAdmin(req, res, next) {
+    if (!ADMIN_TOKEN) {
+        return sendProblem(res, createProblem('NOT_FOUND', { detail: 'Admin endpoints are disabled (set ADMIN_TOKEN to enable them)' }));
+    }
+
+    if (!hasAdminToken(req)) {
+        return sendProblem(res, createProblem('UNAUTHORIZED', { detail: 'A valid admin token is required' }));
+    }
+    next();
+}
+
+// Debug endpoints: always on in development, otherwise they need the admin token
+function requireDebug(req, res, next) {
+    if (process.env.NODE_ENV === 'development' || (ADMIN_TOKEN && hasAdminToken(req))) {
+        return next();
+    }
+    sendProblem(res, createProblem('NOT_FOUND'));
+}
+
+function hasAdminToken(req) {
+    return hasBearerToken(req, ADMIN_TOKEN);
+}
+
+// Helper function to compare the request's bearer token with a secret in constant time
+function hasBearerToken(req, secret) {
+    const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    const expected = Buffer.from(secret);
+    const given = Buffer.from(token);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// List merged videos in the temp directory
+app.get('/api/admin/temp', requireAdmin, async (req, res) => {
+    try {
+        res.json({ ...(await tempJanitor.list()), stats: tempJanitor.getStats() });
+    } catch (error) {
+        logger.error('[TEMP] List failed:', error.message);
+        sendProblem(res, createProblem('SERVER_ERROR', { detail: 'Could not list temp files' }));
+    }
+});
+
+// Delete every merged video, or one of them by file name
+app.delete('/api/admin/temp/:name?', requireAdmin, async (req, res) => {
+    try {
+        const removed = await tempJanitor.purge(req.params.name);
+        if (req.params.name && removed.length === 0) {
+            return sendProblem(res, createProblem('NOT_FOUND', { detail: 'No such file in the temp directory' }));
+        }
+
+        logger.info(`[TEMP] Purged ${removed.length} file(s)`);
+        res.json({ removed });
+    } catch (error) {
+        logger.error('[TEMP] Purge failed:', error.message);
+        sendProblem(res, createProblem('SERVER_ERROR', { detail: 'Could not purge temp files' }));
+    }
+});
+
+// List saved extraction failures, newest first (see lib/failures.js)
+app.get('/api/admin/failures', requireAdmin, async (req, res) => {
+    try {
+        res.json({ failures: await failureStore.list() });
+    } catch (error) {
+        logger.error('[FAILURES] List failed:', error.message);
+        sendProblem(res, createProblem('SERVER_ERROR', { detail: 'Could not list failures' }));
+    }
+});
+
+// One failure: its record, or the saved page with ?format=html
+app.get('/api/admin/failures/:id', requireAdmin, async (req, res) => {
+    try {
+        if (req.query.format === 'html') {
+            const html = await failureStore.getHtml(req.params.id);
+            if (html === null) return sendFailureNotFound(res);
+            // Served as text so the page never renders (or runs scripts) on our origin
+            res.setHeader('X-Content-Type-Options', 'nosniff');
+            return res.type('text/plain').send(html);
+        }
+
+        const failure = await failureStore.get(req.params.id);
+        if (!failure) return sendFailureNotFound(res);
+        res.json(failure);
+    } catch (error) {
+        logger.error('[FAILURES] Read failed:', error.message);
+        sendProblem(res, createProblem('SERVER_ERROR', { detail: 'Could not read the failure' }));
+    }
+});
+
+// Run a saved page through the current extractor pipeline, offline
+app.post('/api/admin/failures/:id/replay', requireAdmin, async (req, res) => {
+    try {
+        const replay = await failureStore.replay(req.params.id);
+        if (!replay) return sendFailureNotFound(res);
+
+        logger.info(`[FAILURES] Replayed ${replay.id}: ${replay.result ? replay.result.method : 'nothing extracted'}`);
+        res.json(replay);
+    } catch (error) {
+        logger.error('[FAILURES] Replay failed:', error.message);
+        sendProblem(res, createProblem('SERVER_ERROR', { detail: 'Could not replay the failure' }));
+    }
+});
+
+app.delete('/api/admin/failures/:id', requireAdmin, async (req, res) => {
+    try {
+        if (!(await failureStore.remove(req.params.id))) return sendFailureNotFound(res);
+        res.json({ removed: [req.params.id] });
+    } catch (error) {
+        logger.error('[FAILURES] Delete failed:', error.message);
+        sendProblem(res, createProblem('SERVER_ERROR', { detail: 'Could not delete the failure' }));
+    }
+});
+
+function sendFailureNotFound(res) {
+    sendProblem(res, createProblem('NOT_FOUND', { detail: 'No such failure' }));
+}
+
+// Proxy endpoint to bypass CDN CORS/referer restrictions
+// Only serves the signed, expiring URLs that /api/fetch-content hands out (see lib/proxy.js)
+// Range and conditional headers are forwarded, so seeking (206) and revalidation (304) work
+// Images can be resized/converted with ?w=<width>&q=<quality>&f=<avif|webp|jpeg|auto> (see lib/images.js)
 app.get('/api/proxy', async (req, res) => {
     try {
-        const { url } = req.query;
+        let signed;
+        try {
+            signed = urlSigner.verify(req.query);
+        } catch (error) {
+            return sendProblem(res, error);
+        }
+        const { url } = signed;
 
-        if (!url) {
-            return res.status(400).json({
-                error: 'URL parameter is required'
-            });
+        // Only the CDNs of supported providers are allowed
+        const provider = findMediaProvider(url);
+        if (!provider) {
+            return sendProblem(res, createProblem('MEDIA_HOST_NOT_ALLOWED'));
         }
 
-        // Validate that it's an Instagram CDN URL
-        if (!url.includes('cdninstagram.com') && !url.includes('fbcdn.net')) {
-            return res.status(400).json({
-                error: 'Only Instagram CDN URLs are allowed'
-            });
+        // Cache for 24 hours, but not past the URL's expiry
+        const maxAge = Math.max(0, Math.min(86400, signed.exp - Math.floor(Date.now() / 1000)));
+
+        const variant = parseImageVariant(req.query, req.headers.accept);
+        if (variant) {
+            return await sendImageVariant(req, res, url, provider, variant, maxAge);
         }
 
-        console.log('[PROXY] Fetching:', url.substring(0, 100) + '...');
+        logger.info('[PROXY] Fetching:', url.substring(0, 100) + '...');
+
+        // Stop the upstream download when the client goes away (e.g. the player seeks elsewhere)
+        const controller = new AbortController();
+        res.on('close', () => controller.abort());
 
-        // Fetch the image/video from Instagram with proper headers
-        const response = await axios.get(url, {
+        // Fetch the image/video with proper headers; redirects must stay on the provider's CDN
+        const response = await safeFetch(url, {
+            allowedHosts: provider.cdnHosts,
             responseType: 'stream',
             headers: {
-                'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-                'Accept': 'image/avif,image/webp,image/apng,image/svg+xml,image/*,*/*;q=0.8',
-                'Accept-Language': 'en-US,en;q=0.9',
-                'Accept-Encoding': 'gzip, deflate, br',
-                'Referer': 'https://www.instagram.com/',
-                'Origin': 'https://www.instagram.com',
-                'Sec-Fetch-Dest': 'image',
-                'Sec-Fetch-Mode': 'no-cors',
-                'Sec-Fetch-Site': 'cross-site'
+                ...getUpstreamMediaHeaders(url, provider),
+                ...pickHeaders(req.headers, FORWARDED_REQUEST_HEADERS)
             },
-            timeout: 30000,
-            maxRedirects: 5
+            decompress: false,
+            signal: controller.signal,
+            validateStatus: (status) => RELAYED_STATUSES.includes(status)
         });
 
-        // Set appropriate headers for the response
-        const contentType = response.headers['content-type'] || 'application/octet-stream';
-        res.setHeader('Content-Type', contentType);
-        res.setHeader('Cache-Control', 'public, max-age=86400'); // Cache for 24 hours
-        res.setHeader('Access-Control-Allow-Origin', '*');
+        // Relay status and the headers needed for seeking/revalidation
+        res.status(response.status);
+        res.set(getRelayedHeaders(response.headers));
+        if (!response.headers['content-type'] && response.status !== 304) {
+            res.setHeader('Content-Type', 'application/octet-stream');
+        }
+        res.setHeader('Cache-Control', `public, max-age=${maxAge}`);
+
+        if (response.status === 304) {
+            response.data.destroy();
+            return res.end();
+        }
 
-        // Stream the response
-        response.data.pipe(res);
+        // Stream the response (cut short if it grows past the size cap)
+        response.data.on('data', (chunk) => metrics.proxyBytes.inc({ platform: provider.name, kind: 'media' }, chunk.length));
+        pipeline(response.data, res, (error) => {
+            if (error && !res.destroyed) logger.error('[PROXY] Stream error:', error.message);
+        });
 
     } catch (error) {
-        console.error('[PROXY] Error:', error.message);
+        if (axios.isCancel(error)) return; // Client disconnected
 
-        if (error.response?.status === 404) {
-            return res.status(404).json({
-                error: 'Media not found'
-            });
-        }
+        logger.error('[PROXY] Error:', error.message);
 
-        res.status(500).json({
-            error: 'Failed to fetch media',
-            message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-        });
+        // Blocked destinations and oversized responses (see lib/safe-fetch.js) are problems already;
+        // CDN 404s, 429s and timeouts get their own codes
+        sendProblem(res, toProblem(error, { notFound: 'MEDIA_NOT_FOUND', fallback: 'MEDIA_FETCH_FAILED' }));
     }
 });
 
-// Debug endpoint to fetch raw HTML (useful for debugging)
-app.get('/debug/fetch', async (req, res) => {
+// Helper function to build the headers the proxy sends to a CDN
+function getUpstreamMediaHeaders(url, provider) {
+    return {
+        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+        'Accept': 'image/avif,image/webp,image/apng,image/svg+xml,image/*,*/*;q=0.8',
+        'Accept-Language': 'en-US,en;q=0.9',
+        'Accept-Encoding': 'identity', // Byte ranges must refer to the bytes we relay
+        ...provider.getMediaHeaders(url),
+        'Sec-Fetch-Dest': 'image',
+        'Sec-Fetch-Mode': 'no-cors',
+        'Sec-Fetch-Site': 'cross-site'
+    };
+}
+
+// Helper function to answer a proxy request for a resized/converted image
+// Variants are rendered once and served from disk (ranges and revalidation via sendFile)
+async function sendImageVariant(req, res, url, provider, variant, maxAge) {
+    let filePath;
+    try {
+        filePath = await imageVariants.get(url, variant, async () => {
+            logger.info(`[IMAGES] Rendering ${variant.width || 'full'}px ${variant.format}:`, url.substring(0, 100) + '...');
+            const response = await safeFetch(url, {
+                allowedHosts: provider.cdnHosts,
+                responseType: 'arraybuffer',
+                headers: getUpstreamMediaHeaders(url, provider),
+                maxBytes: MAX_SOURCE_BYTES
+            });
+            if (!String(response.headers['content-type']).startsWith('image/')) {
+                throw createProblem('NOT_AN_IMAGE');
+            }
+            return response.data;
+        });
+    } catch (error) {
+        // Upstream and validation errors are answered by the proxy route
+        if (error.status || error.response || axios.isAxiosError(error)) throw error;
+
+        // Formats sharp can't decode (e.g. HEIC) are sent as they are
+        logger.error('[IMAGES] Conversion failed, sending the original:', error.message);
+        const { u, exp, sig } = req.query;
+        return res.redirect(302, `/api/proxy?${new URLSearchParams({ u, exp, sig })}`);
+    }
+
+    res.setHeader('Content-Type', IMAGE_FORMATS[variant.format].contentType);
+    res.setHeader('Cache-Control', `public, max-age=${maxAge}`);
+    if (variant.negotiated) {
+        res.setHeader('Vary', 'Accept');
+    }
+    res.on('finish', () => {
+        const length = parseInt(res.getHeader('Content-Length'), 10);
+        if (length > 0) metrics.proxyBytes.inc({ platform: provider.name, kind: 'image' }, length);
+    });
+    res.sendFile(filePath, { cacheControl: false });
+}
+
+// Debug endpoint to fetch raw HTML of a supported platform's page (useful for debugging)
+app.get('/debug/fetch', requireDebug, async (req, res) => {
     try {
         const { url } = req.query;
 
@@ -123,1154 +464,588 @@ app.get('/debug/fetch', async (req, res) => {
             return res.status(400).send('URL parameter is required');
         }
 
-        const response = await axios.get(url, {
+        const response = await safeFetch(url, {
+            allowedHosts: PROVIDERS.flatMap(provider => provider.hosts),
             headers: {
                 'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
             },
-            timeout: 10000
+            timeout: 10000,
+            maxBytes: MAX_PAGE_BYTES
         });
 
         // Return HTML with content-type text/plain for easy viewing
         res.set('Content-Type', 'text/plain');
         res.send(response.data);
     } catch (error) {
-        res.status(500).send('Error: ' + error.message);
+        res.status(error.status || 500).send('Error: ' + error.message);
     }
 });
 
-// Main endpoint to fetch Instagram content
+// Main endpoint to fetch content from any supported platform (see lib/providers)
+// Send { "async": true } (or "Prefer: respond-async") to get 202 + a job id instead of waiting
 app.post('/api/fetch-content', async (req, res) => {
     try {
-        const { url } = req.body;
-
-        if (!url) {
-            return res.status(400).json({
-                error: 'URL is required',
-                message: 'Please provide an Instagram URL'
-            });
+        if (!req.body.url) {
+            return sendProblem(res, createProblem('URL_REQUIRED'));
         }
-
-        // Validate Instagram URL
-        const instagramUrlPattern = /^https?:\/\/(www\.)?instagram\.com\/(p|reel|tv)\/[\w-]+\/?/;
-        if (!instagramUrlPattern.test(url)) {
-            return res.status(400).json({
-                error: 'Invalid URL',
-                message: 'Please provide a valid Instagram URL'
-            });
+        if (typeof req.body.url !== 'string') {
+            return sendProblem(res, createProblem('URL_REQUIRED', { detail: '"url" must be a string, the link of a post' }));
         }
 
-        console.log(`[FETCH] Fetching: ${url}`);
-
-        // Fetch Instagram page with realistic browser headers
-        const response = await axios.get(url, {
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-                'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7',
-                'Accept-Language': 'en-US,en;q=0.9',
-                'Accept-Encoding': 'gzip, deflate, br',
-                'Cache-Control': 'max-age=0',
-                'Sec-Ch-Ua': '"Not_A Brand";v="8", "Chromium";v="120", "Google Chrome";v="120"',
-                'Sec-Ch-Ua-Mobile': '?0',
-                'Sec-Ch-Ua-Platform': '"macOS"',
-                'Sec-Fetch-Dest': 'document',
-                'Sec-Fetch-Mode': 'navigate',
-                'Sec-Fetch-Site': 'none',
-                'Sec-Fetch-User': '?1',
-                'Upgrade-Insecure-Requests': '1',
-                'Viewport-Width': '1920'
-            },
-            timeout: 10000,
-            maxRedirects: 5,
-            validateStatus: (status) => status < 400
-        });
-
-        const html = response.data;
-
-        // Try multiple extraction methods
-        let postData = null;
-
-        // Method 1: Search for video_url or display_url directly in HTML (most reliable for current Instagram)
-        // Try multiple patterns for video URLs
-        let videoUrlMatch = html.match(/"video_url":"([^"]+)"/);
+        // Resolve short links and drop tracking params; only the canonical URL is used from here on
+        const url = await canonicalizeUrl(req.body.url);
+        const provider = findProvider(url);
 
-        // If no video_url, try playback_url (used in some Instagram versions)
-        if (!videoUrlMatch) {
-            videoUrlMatch = html.match(/"playback_url":"([^"]+)"/);
+        // Serve from cache when we've already extracted this post and its CDN URLs are still valid
+        const baseUrl = getBaseUrl(req);
+        const key = provider.getKey(url);
+        const cached = getCachedPost(key);
+        if (cached) {
+            logger.info(`[CACHE] Hit for ${key}`);
+            res.setHeader('X-Cache', 'HIT');
+            res.setHeader('X-Cache-Expires', new Date(cached.expiresAt).toISOString());
+            return res.json(buildResponseData(cached.value, baseUrl));
         }
-
-        // Try video_versions array
-        if (!videoUrlMatch) {
-            videoUrlMatch = html.match(/"video_versions":\[\{"url":"([^"]+)"/);
+        res.setHeader('X-Cache', 'MISS');
+
+        // Async mode: run the extraction as a background job the client can poll or subscribe to
+        const wantsAsync = req.body.async === true || /respond-async/i.test(req.headers.prefer || '');
+        if (wantsAsync) {
+            const job = jobQueue.create('fetch-content', async (report) => {
+                const onProgress = (stage, fraction = 0) => report(stage, getStageProgress(stage, fraction));
+                const { postData } = await fetchPost(url, key, onProgress);
+                return buildResponseData(postData, baseUrl);
+            }, (error) => describeFetchError(error).body);
+
+            logger.info(`[JOBS] Queued ${job.id} for ${url}`);
+            return res.status(202)
+                .location(`/api/jobs/${job.id}`)
+                .json({
+                    jobId: job.id,
+                    status: job.status,
+                    statusUrl: `/api/jobs/${job.id}`,
+                    eventsUrl: `/api/jobs/${job.id}/events`
+                });
         }
 
-        const displayUrlMatch = html.match(/"display_url":"([^"]+)"/);
-        const thumbnailMatch = html.match(/"thumbnail_src":"([^"]+)"/);
-
-        // Try to find higher quality images from display_resources
-        let highQualityImageUrl = null;
-        // Try multiple patterns for display_resources
-        const displayResourcesPatterns = [
-            /"display_resources":\[(.*?)\]/s,
-            /"display_resources":\s*\[(.*?)\]/s,
-            /display_resources.*?\[(.*?)\]/s
-        ];
-        
-        for (const pattern of displayResourcesPatterns) {
-            const displayResourcesMatch = html.match(pattern);
-            if (displayResourcesMatch) {
-                try {
-                    // Extract all URLs and their config_width/config_height if available
-                    const resourceMatches = [...displayResourcesMatch[1].matchAll(/\{"src":"([^"]+)","config_width":(\d+),"config_height":(\d+)\}/g)];
-                    
-                    if (resourceMatches.length > 0) {
-                        // Find the highest resolution image
-                        let maxResolution = 0;
-                        let bestUrl = null;
-                        
-                        for (const match of resourceMatches) {
-                            const width = parseInt(match[2]);
-                            const height = parseInt(match[3]);
-                            const resolution = width * height;
-                            
-                            if (resolution > maxResolution) {
-                                maxResolution = resolution;
-                                bestUrl = match[1];
-                            }
-                        }
-                        
-                        if (bestUrl) {
-                            highQualityImageUrl = bestUrl
-                                .replace(/\\u0026/g, '&')
-                                .replace(/\\\//g, '/')
-                                .replace(/\\u003d/g, '=');
-                            highQualityImageUrl = decodeUrlEntities(highQualityImageUrl);
-                            console.log('[DEBUG] Found high-quality image from display_resources:', maxResolution);
-                            break;
-                        }
-                    } else {
-                        // Fallback: extract URLs without config info
-                        const resourceUrls = [...displayResourcesMatch[1].matchAll(/"src":"([^"]+)"/g)];
-                        if (resourceUrls.length > 0) {
-                            // Last URL is typically the highest quality
-                            highQualityImageUrl = resourceUrls[resourceUrls.length - 1][1]
-                                .replace(/\\u0026/g, '&')
-                                .replace(/\\\//g, '/')
-                                .replace(/\\u003d/g, '=');
-                            highQualityImageUrl = decodeUrlEntities(highQualityImageUrl);
-                            console.log('[DEBUG] Found high-quality image from display_resources (fallback)');
-                            break;
-                        }
-                    }
-                } catch (e) {
-                    console.log('[DEBUG] Could not parse display_resources:', e.message);
-                }
-            }
-        }
-        
-        // Also try to find best_image_url or similar patterns
-        if (!highQualityImageUrl) {
-            const bestImageMatch = html.match(/"best_image_url":"([^"]+)"/);
-            if (bestImageMatch) {
-                highQualityImageUrl = bestImageMatch[1]
-                    .replace(/\\u0026/g, '&')
-                    .replace(/\\\//g, '/')
-                    .replace(/\\u003d/g, '=');
-                highQualityImageUrl = decodeUrlEntities(highQualityImageUrl);
-                console.log('[DEBUG] Found best_image_url');
-            }
+        const { entry, postData } = await fetchPost(url, key);
+        if (entry) {
+            res.setHeader('X-Cache-Expires', new Date(entry.expiresAt).toISOString());
         }
 
-        if (videoUrlMatch || displayUrlMatch) {
-            // Also try to extract caption and username
-            const captionMatch = html.match(/"edge_media_to_caption":\{"edges":\[\{"node":\{"text":"([^"]+)"/);
-            const usernameMatch = html.match(/"owner":\{"id":"[^"]+","username":"([^"]+)"/);
-            const timestampMatch = html.match(/"taken_at_timestamp":(\d+)/);
+        res.json(buildResponseData(postData, baseUrl));
 
-            // Prioritize video URL over display URL, use high-quality image if available for images
-            let mediaUrl = (videoUrlMatch?.[1] || displayUrlMatch?.[1] || '').replace(/\\u0026/g, '&').replace(/\\\//g, '/').replace(/\\u003d/g, '=');
-            mediaUrl = decodeUrlEntities(mediaUrl); // Decode HTML entities
+    } catch (error) {
+        logger.error('[FETCH] Error fetching content:', error.message);
 
-            // Use high-quality image URL if this is an image post and we found one
-            if (!videoUrlMatch && highQualityImageUrl) {
-                mediaUrl = decodeUrlEntities(highQualityImageUrl);
-            }
-            
-            // Remove size restrictions from image URLs to get full quality
-            if (!videoUrlMatch && mediaUrl) {
-                // Split URL into base and query string
-                const urlParts = mediaUrl.split('?');
-                let baseUrl = urlParts[0];
-                let queryString = urlParts.slice(1).join('?');
-
-                // Remove size indicators from path (s640x640, s1080x1080, etc.)
-                baseUrl = baseUrl.replace(/\/s\d+x\d+[a-z]?_[a-z]+-jpg/g, '');
-
-                // Parse query parameters and filter out tracking/size params
-                if (queryString) {
-                    const params = queryString.split('&').filter(param => {
-                        const key = param.split('=')[0];
-                        // Keep only essential params (oh and oe are required for Instagram CDN)
-                        return key === 'oh' || key === 'oe';
-                    });
-
-                    // Reconstruct URL
-                    if (params.length > 0) {
-                        mediaUrl = baseUrl + '?' + params.join('&');
-                    } else {
-                        mediaUrl = baseUrl;
-                    }
-                } else {
-                    mediaUrl = baseUrl;
-                }
-
-                console.log('[DEBUG] Cleaned image URL to remove size restrictions');
-            }
+        sendProblem(res, describeFetchError(error));
+    }
+});
 
-            let thumbnailUrl = (displayUrlMatch?.[1] || thumbnailMatch?.[1] || mediaUrl).replace(/\\u0026/g, '&').replace(/\\\//g, '/');
-            thumbnailUrl = decodeUrlEntities(thumbnailUrl); // Decode HTML entities
-
-            if (mediaUrl) {
-                postData = {
-                    mediaUrl: mediaUrl,
-                    thumbnailUrl: thumbnailUrl,
-                    caption: decodeHtmlEntities(captionMatch?.[1] || ''),
-                    author: usernameMatch?.[1] || 'Unknown',
-                    mediaType: videoUrlMatch ? 'video' : 'image',
-                    timestamp: timestampMatch?.[1] ? new Date(parseInt(timestampMatch[1]) * 1000).toISOString() : null
-                };
-                console.log('[SUCCESS] Extracted from direct URL search - Type:', postData.mediaType);
-                console.log('[DEBUG] Video URL found:', !!videoUrlMatch);
-                console.log('[DEBUG] Display URL found:', !!displayUrlMatch);
-                console.log('[DEBUG] High-quality image used:', !videoUrlMatch && !!highQualityImageUrl);
-            }
-        }
+// Several links at once: { "urls": [...] }, answered as a stream of per-post results
+// NDJSON by default, SSE with "Accept: text/event-stream". Events (NDJSON lines carry them as "type"):
+//   start    - { total, posts }
+//   progress - { indexes, stage, progress } while a post is being extracted
+//   item     - { indexes, url, status: 'done', cache, data } or { indexes, url?, status: 'failed', error }
+//   end      - { done, failed }
+// indexes are the positions in "urls" a result answers; the same post pasted twice is fetched once.
+// The request itself counts once against the rate limit; each further post that isn't cached counts
+// once more, and posts over the limit fail on their own with status 429.
+app.post('/api/fetch-batch', async (req, res) => {
+    let urls;
+    try {
+        urls = parseBatchUrls(req.body);
+    } catch (error) {
+        return sendProblem(res, describeFetchError(error));
+    }
 
-        // Method 2: Try to extract from all <script> tags containing JSON data
-        if (!postData?.mediaUrl) {
-            const scriptMatches = html.matchAll(/<script[^>]*>(.*?)<\/script>/gs);
-            for (const match of scriptMatches) {
-                const scriptContent = match[1];
-
-                // Look for any JSON-like structure with video_url or display_url
-                if (scriptContent.includes('video_url') || scriptContent.includes('display_url')) {
-                    try {
-                        // Try to extract JSON objects
-                        const jsonMatches = scriptContent.matchAll(/(\{[^{}]*(?:\{[^{}]*\}[^{}]*)*\})/g);
-                        for (const jsonMatch of jsonMatches) {
-                            try {
-                                const data = JSON.parse(jsonMatch[1]);
-                                postData = extractFromRequireData(data);
-                                if (postData?.mediaUrl) {
-                                    console.log('[SUCCESS] Extracted from script tag JSON');
-                                    break;
-                                }
-                            } catch (e) {
-                                // Try next match
-                            }
-                        }
-                        if (postData?.mediaUrl) break;
-                    } catch (e) {
-                        // Continue to next script tag
-                    }
-                }
-            }
-        }
+    const baseUrl = getBaseUrl(req);
+    const stream = createEventStream(res, getStreamFormat(req.headers.accept));
+    let closed = false;
+    res.on('close', () => { closed = true; });
 
-        // Method 2: Try JSON-LD
-        if (!postData?.mediaUrl) {
-            const jsonLdMatch = html.match(/<script type="application\/ld\+json">(.*?)<\/script>/s);
-            if (jsonLdMatch) {
-                try {
-                    const jsonLd = JSON.parse(jsonLdMatch[1]);
-                    postData = parseJsonLd(jsonLd);
-                    if (postData?.mediaUrl) {
-                        console.log('[SUCCESS] Extracted from JSON-LD');
-                    }
-                } catch (e) {
-                    console.error('[DEBUG] Failed to parse JSON-LD:', e.message);
-                }
-            }
-        }
+    const counts = { done: 0, failed: 0 };
+    const sendFailure = (indexes, url, error) => {
+        counts.failed += indexes.length;
+        stream.send('item', { indexes, url, status: 'failed', error: describeFetchError(error).body });
+    };
 
-        // Method 3: Try sharedData
-        if (!postData?.mediaUrl) {
-            const sharedDataMatch = html.match(/window\._sharedData = ({.*?});/s);
-            if (sharedDataMatch) {
-                try {
-                    const sharedData = JSON.parse(sharedDataMatch[1]);
-                    postData = parseSharedData(sharedData, url);
-                    if (postData?.mediaUrl) {
-                        console.log('[SUCCESS] Extracted from sharedData');
-                    }
-                } catch (e) {
-                    console.error('[DEBUG] Failed to parse sharedData:', e.message);
-                }
-            }
+    // Resolve every link first so the same post is only fetched once
+    const resolved = [];
+    const invalid = [];
+    await mapWithConcurrency(urls, BATCH_CONCURRENCY, async (input, index) => {
+        try {
+            const url = await canonicalizeUrl(input);
+            resolved.push({ index, url, key: findProvider(url).getKey(url) });
+        } catch (error) {
+            invalid.push({ index, input, error });
         }
+    }, () => closed);
 
-        // Method 4: Meta tags fallback
-        if (!postData?.mediaUrl) {
-            postData = parseMetaTags(html);
-            if (postData?.mediaUrl) {
-                console.log('[SUCCESS] Extracted from meta tags');
-            }
-        }
+    const posts = groupByKey(resolved.sort((a, b) => a.index - b.index));
+    stream.send('start', { total: urls.length, posts: posts.length });
+    logger.info(`[BATCH] ${urls.length} link(s), ${posts.length} post(s)`);
+    invalid.forEach(({ index, input, error }) => sendFailure([index], input, error));
 
-        // Method 5: Use Puppeteer if we only got image/thumbnail (for reels/videos)
-        // Check if URL indicates video content but we only got an image
-        const isVideoUrl = url.includes('/reel/') || url.includes('/tv/');
-        if (isVideoUrl && postData?.mediaType === 'image') {
-            console.log('[INFO] Detected video URL but got image, trying Puppeteer...');
-            try {
-                const baseUrl = getBaseUrl(req);
-                const puppeteerData = await extractWithPuppeteer(url, baseUrl);
-                if (puppeteerData?.mediaUrl && puppeteerData.mediaType === 'video') {
-                    postData = puppeteerData;
-                    console.log('[SUCCESS] Extracted video with Puppeteer');
-                }
-            } catch (e) {
-                console.error('[DEBUG] Puppeteer extraction failed:', e.message);
-            }
-        }
+    // The request's own hit covers the first extraction
+    const rateLimitKey = req.ip;
+    let charged = false;
 
-        // Debug logging
-        if (!postData || !postData.mediaUrl) {
-            console.error('[DEBUG] All parsing methods failed');
-            console.error('[DEBUG] HTML length:', html.length);
-            console.error('[DEBUG] Has video_url pattern:', html.includes('video_url'));
-            console.error('[DEBUG] Has display_url pattern:', html.includes('display_url'));
-            console.error('[DEBUG] Has JSON-LD:', html.includes('application/ld+json'));
-            console.error('[DEBUG] Has sharedData:', html.includes('window._sharedData'));
-            console.error('[DEBUG] Has og:video:', html.includes('og:video'));
-            console.error('[DEBUG] Has og:image:', html.includes('og:image'));
-
-            // Save HTML to file for debugging
-            const debugPath = '/tmp/instagram-debug.html';
-            try {
-                fs.writeFileSync(debugPath, html);
-                console.error('[DEBUG] HTML saved to:', debugPath);
-            } catch (e) {
-                console.error('[DEBUG] Could not save HTML:', e.message);
+    await mapWithConcurrency(posts, BATCH_CONCURRENCY, async ({ key, url, indexes }) => {
+        try {
+            const cached = getCachedPost(key);
+            if (cached) {
+                counts.done += indexes.length;
+                return stream.send('item', { indexes, url, status: 'done', cache: 'HIT', data: buildResponseData(cached.value, baseUrl) });
             }
 
-            return res.status(404).json({
-                error: 'Content not found',
-                message: 'Could not extract content from Instagram. The post might be private or deleted.',
-                debug: process.env.NODE_ENV === 'development' ? {
-                    htmlLength: html.length,
-                    hasVideoUrl: html.includes('video_url'),
-                    hasDisplayUrl: html.includes('display_url'),
-                    hasJsonLd: html.includes('application/ld+json'),
-                    hasSharedData: html.includes('window._sharedData'),
-                    hasOgVideo: html.includes('og:video'),
-                    hasOgImage: html.includes('og:image')
-                } : undefined
-            });
-        }
-
-        // Final URL sanitization - ensure no HTML entities remain
-        if (postData.mediaUrl) {
-            // Multiple passes to ensure complete decoding
-            let url = postData.mediaUrl;
-            let previous = '';
-            let iterations = 0;
-            // Keep decoding until no more changes
-            while (url !== previous && iterations < 5) {
-                previous = url;
-                url = decodeUrlEntities(url);
-                url = url.replace(/&amp;/g, '&');
-                url = url.replace(/&amp;/g, '&'); // Double pass
-                iterations++;
+            const hit = charged ? await rateLimitStore.increment(rateLimitKey) : null;
+            if (hit && hit.totalHits > RATE_LIMIT_MAX) {
+                metrics.rateLimitRejections.inc({ route: '/api/fetch-batch' });
+                throw createProblem('RATE_LIMITED', {
+                    detail: 'Too many requests, please try this link again later.',
+                    retryAfter: getRetryAfter(hit.resetTime)
+                });
             }
-            postData.mediaUrl = url;
-            
-            // Final verification and fix
-            if (postData.mediaUrl.includes('&amp;')) {
-                console.log('[WARNING] URL still contains &amp; after decoding, fixing...');
-                console.log('[DEBUG] Before fix:', postData.mediaUrl.substring(0, 150));
-                postData.mediaUrl = postData.mediaUrl.replace(/&amp;/g, '&');
-                console.log('[DEBUG] After fix:', postData.mediaUrl.substring(0, 150));
-            }
-            
-            // Verify URL is valid
-            try {
-                new URL(postData.mediaUrl);
-            } catch (e) {
-                console.error('[ERROR] Invalid URL after processing:', postData.mediaUrl.substring(0, 150));
-            }
-        }
-        if (postData.thumbnailUrl) {
-            let url = postData.thumbnailUrl;
-            let previous = '';
-            let iterations = 0;
-            while (url !== previous && iterations < 5) {
-                previous = url;
-                url = decodeUrlEntities(url);
-                url = url.replace(/&amp;/g, '&');
-                iterations++;
-            }
-            postData.thumbnailUrl = url;
-        }
+            charged = true;
 
-        // Wrap media URLs with proxy for images to bypass Instagram restrictions
-        const baseUrl = getBaseUrl(req);
-        const responseData = {
-            ...postData,
-            mediaUrl: wrapWithProxy(postData.mediaUrl, postData.mediaType, baseUrl),
-            thumbnailUrl: wrapWithProxy(postData.thumbnailUrl, 'image', baseUrl),
-            timestamp: new Date().toISOString()
-        };
+            const onProgress = (stage, fraction = 0) => stream.send('progress', { indexes, stage, progress: getStageProgress(stage, fraction) });
+            const { postData } = await fetchPost(url, key, onProgress);
+            counts.done += indexes.length;
+            stream.send('item', { indexes, url, status: 'done', cache: 'MISS', data: buildResponseData(postData, baseUrl) });
+        } catch (error) {
+            logger.error(`[BATCH] Error fetching ${url}:`, error.message);
+            sendFailure(indexes, url, error);
+        }
+    }, () => closed);
 
-        res.json(responseData);
+    stream.send('end', counts);
+    stream.end();
+});
 
-    } catch (error) {
-        console.error('Error fetching Instagram content:', error.message);
+// A video slide at another quality and/or run through a transcode profile, for the player
+// ?item=N picks a slide (1-based, default 1), ?quality=best|smallest|720p, ?profile=original|faststart|h264-720p
+// Returns { url, quality, profile }: a proxy URL for a CDN rendition, or a /temp URL when ffmpeg ran
+app.get('/api/video/:shortcode', async (req, res) => {
+    try {
+        const { shortcode } = req.params;
+        const options = getVideoOptions(req.query);
 
-        if (error.response?.status === 404) {
-            return res.status(404).json({
-                error: 'Post not found',
-                message: 'The Instagram post could not be found. It may be private or deleted.'
-            });
+        if (!/^[\w.-]+$/.test(shortcode)) {
+            return sendProblem(res, createProblem('INVALID_SHORTCODE'));
+        }
+        if (options.error) {
+            return sendProblem(res, options.error);
         }
 
-        if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
-            return res.status(504).json({
-                error: 'Timeout',
-                message: 'Request to Instagram timed out. Please try again.'
-            });
+        const baseUrl = getBaseUrl(req);
+        const post = await getPost(shortcode);
+        const items = post.items?.length > 0 ? post.items : [post];
+        const index = parseInt(req.query.item || '1', 10);
+        const item = items[index - 1];
+        if (item?.mediaType !== 'video') {
+            return sendProblem(res, createProblem('NOT_A_VIDEO', { detail: `Item ${index} of this post is not a video` }));
         }
 
-        res.status(500).json({
-            error: 'Server error',
-            message: 'Failed to fetch content. Please try again later.',
-            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        const video = await resolveVideo(item, `${shortcode}:${index}`, options.quality, options.profile);
+        res.json({
+            url: video.path ? `${baseUrl}/temp/${path.basename(video.path)}` : wrapWithProxy(video.url, baseUrl),
+            quality: video.quality,
+            profile: options.profile
         });
-    }
-});
-
-// Helper function to get the base URL from request
-function getBaseUrl(req) {
-    // Check if behind a proxy (Railway, Heroku, etc.)
-    const protocol = req.headers['x-forwarded-proto'] || (req.secure ? 'https' : 'http');
-    const host = req.headers['x-forwarded-host'] || req.headers.host;
-    return `${protocol}://${host}`;
-}
 
-// Helper function to wrap Instagram CDN URLs with our proxy
-function wrapWithProxy(url, mediaType = 'image', baseUrl) {
-    if (!url) return url;
-
-    // Only proxy local merged videos
-    if (url.startsWith('/temp/')) {
-        return url;
-    }
-
-    // Let browser fetch Instagram CDN URLs directly
-    // Instagram's signed URLs work better when fetched by the browser
-    // The browser sends proper cookies, headers, and passes CORS checks
-    return url;
-}
-
-// Helper function to decode HTML entities from URLs
-function decodeUrlEntities(url) {
-    if (!url) return url;
-    // Decode HTML entities in URLs (especially &amp; -> &)
-    // Handle multiple encodings (e.g., &amp;amp; -> &amp; -> &)
-    let decoded = url;
-    let previous = '';
-    let iterations = 0;
-    // Keep decoding until no more changes (handles double/triple encoding)
-    // Limit iterations to prevent infinite loops
-    while (decoded !== previous && iterations < 10) {
-        previous = decoded;
-        decoded = decoded
-            .replace(/&amp;/gi, '&')
-            .replace(/&lt;/gi, '<')
-            .replace(/&gt;/gi, '>')
-            .replace(/&quot;/gi, '"')
-            .replace(/&#x27;/gi, "'")
-            .replace(/&#x2F;/gi, '/')
-            .replace(/&#x3D;/gi, '=')
-            .replace(/&#39;/gi, "'")
-            .replace(/&#x2F;/gi, '/');
-        iterations++;
+    } catch (error) {
+        logger.error('[VIDEO] Error:', error.message);
+        sendProblem(res, describeFetchError(error));
     }
-    // Final cleanup - ensure no HTML entities remain
-    decoded = decoded.replace(/&amp;/g, '&');
-    return decoded;
-}
+});
 
-// Helper function to decode HTML entities
-function decodeHtmlEntities(text) {
-    if (!text) return '';
+// Download a post's media with a proper file name (author_shortcode_1.mp4)
+// ?item=N picks a slide (1-based, default 1), ?format=zip bundles every slide,
+// ?format=m4a or ?format=mp3 extracts the audio track of a video slide,
+// ?quality and ?profile pick the rendition of a video slide (see /api/video)
+app.get('/api/download/:shortcode', async (req, res) => {
+    try {
+        const { shortcode } = req.params;
+        const format = req.query.format || 'original';
+        const videoOptions = getVideoOptions(req.query);
 
-    // First, handle double-encoded entities (e.g., &amp;#x1f9d9; -> &#x1f9d9; -> emoji)
-    // This needs to be done before decoding &amp;
-    let decoded = text;
-    
-    // Decode double-encoded numeric entities (hex) - &amp;#x...; -> &#x...;
-    decoded = decoded.replace(/&amp;#x([0-9a-f]+);/gi, (match, hex) => {
-        try {
-            return String.fromCodePoint(parseInt(hex, 16));
-        } catch (e) {
-            return String.fromCharCode(parseInt(hex, 16));
+        if (!/^[\w.-]+$/.test(shortcode)) {
+            return sendProblem(res, createProblem('INVALID_SHORTCODE'));
         }
-    });
-    
-    // Decode double-encoded numeric entities (decimal) - &amp;#...; -> &#...;
-    decoded = decoded.replace(/&amp;#(\d+);/g, (match, dec) => {
-        try {
-            return String.fromCodePoint(parseInt(dec, 10));
-        } catch (e) {
-            return String.fromCharCode(parseInt(dec, 10));
+        if (format !== 'original' && format !== 'zip' && !AUDIO_FORMATS[format]) {
+            return sendProblem(res, createProblem('INVALID_FORMAT', { detail: `Supported formats: original, zip, ${Object.keys(AUDIO_FORMATS).join(', ')}` }));
         }
-    });
-    
-    // Decode double-encoded named entities - &amp;quot; -> &quot; -> "
-    decoded = decoded.replace(/&amp;quot;/g, '"');
-    decoded = decoded.replace(/&amp;apos;/g, "'");
-    decoded = decoded.replace(/&amp;lt;/g, '<');
-    decoded = decoded.replace(/&amp;gt;/g, '>');
-    
-    // Now decode regular HTML entities
-    decoded = decoded
-        // Decode common named entities
-        .replace(/&quot;/g, '"')
-        .replace(/&amp;/g, '&')
-        .replace(/&lt;/g, '<')
-        .replace(/&gt;/g, '>')
-        .replace(/&apos;/g, "'")
-        // Decode numeric entities (decimal)
-        .replace(/&#(\d+);/g, (match, dec) => {
-            try {
-                return String.fromCodePoint(parseInt(dec, 10));
-            } catch (e) {
-                return String.fromCharCode(parseInt(dec, 10));
-            }
-        })
-        // Decode numeric entities (hexadecimal) - use fromCodePoint for emojis
-        .replace(/&#x([0-9a-f]+);/gi, (match, hex) => {
-            try {
-                return String.fromCodePoint(parseInt(hex, 16));
-            } catch (e) {
-                return String.fromCharCode(parseInt(hex, 16));
-            }
-        })
-        // Handle escaped backslashes
-        .replace(/\\n/g, '\n')
-        .replace(/\\r/g, '\r')
-        .replace(/\\t/g, '\t')
-        .replace(/\\"/g, '"')
-        .replace(/\\\\/g, '\\');
-    
-    return decoded;
-}
-
-// Helper function to extract from require data (Instagram's newer structure)
-function extractFromRequireData(data) {
-    try {
-        // Navigate through the complex nested structure
-        function findMediaData(obj, depth = 0) {
-            if (depth > 10) return null; // Prevent infinite recursion
-
-            if (obj && typeof obj === 'object') {
-                // Look for video_url or display_url which are typical media indicators
-                if (obj.video_url || obj.display_url || obj.display_resources) {
-                    let mediaUrl = obj.video_url || obj.display_url;
-                    let thumbnailUrl = obj.display_url || obj.thumbnail_src || obj.video_url;
-                    
-                    // Try to get highest quality image from display_resources
-                    if (!obj.video_url && obj.display_resources && Array.isArray(obj.display_resources) && obj.display_resources.length > 0) {
-                        // Find the highest resolution image
-                        let maxResolution = 0;
-                        let bestResource = null;
-                        
-                        for (const resource of obj.display_resources) {
-                            if (resource.src && resource.config_width && resource.config_height) {
-                                const resolution = resource.config_width * resource.config_height;
-                                if (resolution > maxResolution) {
-                                    maxResolution = resolution;
-                                    bestResource = resource;
-                                }
-                            }
-                        }
-                        
-                        if (bestResource) {
-                            mediaUrl = bestResource.src;
-                            thumbnailUrl = bestResource.src;
-                            console.log('[DEBUG] Found high-quality image from display_resources in JSON:', maxResolution);
-                        } else if (obj.display_resources.length > 0 && obj.display_resources[obj.display_resources.length - 1].src) {
-                            // Fallback to last resource (usually highest quality)
-                            mediaUrl = obj.display_resources[obj.display_resources.length - 1].src;
-                            thumbnailUrl = mediaUrl;
-                        }
-                    }
-                    
-                    // Decode HTML entities from URLs
-                    mediaUrl = decodeUrlEntities(mediaUrl);
-                    thumbnailUrl = decodeUrlEntities(thumbnailUrl);
-                    
-                    // Remove size restrictions from image URLs
-                    if (!obj.video_url && mediaUrl) {
-                        mediaUrl = mediaUrl.replace(/[?&]stp=[^&]*/g, '');
-                        mediaUrl = mediaUrl.replace(/[?&]_nc_cat=[^&]*/g, '');
-                        mediaUrl = mediaUrl.replace(/[?&]ccb=[^&]*/g, '');
-                        mediaUrl = mediaUrl.replace(/[?&]_nc_sid=[^&]*/g, '');
-                        mediaUrl = mediaUrl.replace(/[?&]efg=[^&]*/g, '');
-                        mediaUrl = mediaUrl.replace(/[?&]_nc_ohc=[^&]*/g, '');
-                        mediaUrl = mediaUrl.replace(/[?&]_nc_oc=[^&]*/g, '');
-                        mediaUrl = mediaUrl.replace(/[?&]_nc_zt=[^&]*/g, '');
-                        mediaUrl = mediaUrl.replace(/[?&]_nc_ht=[^&]*/g, '');
-                        mediaUrl = mediaUrl.replace(/[?&]_nc_gid=[^&]*/g, '');
-                        mediaUrl = mediaUrl.replace(/\/s\d+x\d+[a-z]?_[a-z]+-jpg[^?&]*/g, '');
-                        mediaUrl = mediaUrl.replace(/[?&]+/g, (match, offset) => offset === 0 ? '?' : '&');
-                        mediaUrl = mediaUrl.replace(/\?$/, '');
-                    }
-                    
-                    const caption = obj.edge_media_to_caption?.edges?.[0]?.node?.text ||
-                                  obj.caption?.text ||
-                                  obj.accessibility_caption || '';
-                    
-                    return {
-                        mediaUrl: mediaUrl,
-                        thumbnailUrl: thumbnailUrl,
-                        caption: decodeHtmlEntities(caption),
-                        author: obj.owner?.username || obj.user?.username || 'Unknown',
-                        mediaType: obj.video_url || obj.is_video ? 'video' : 'image',
-                        timestamp: obj.taken_at_timestamp ? new Date(obj.taken_at_timestamp * 1000).toISOString() : null
-                    };
-                }
-
-                // Recursively search in object properties
-                for (const key in obj) {
-                    if (obj.hasOwnProperty(key)) {
-                        const result = findMediaData(obj[key], depth + 1);
-                        if (result) return result;
-                    }
-                }
-            }
-
-            return null;
+        if (videoOptions.error) {
+            return sendProblem(res, videoOptions.error);
         }
 
-        return findMediaData(data);
-    } catch (e) {
-        console.error('Error extracting from require data:', e.message);
-        return null;
-    }
-}
-
-// Helper function to parse JSON-LD data
-function parseJsonLd(jsonLd) {
-    if (!jsonLd) return null;
-
-    let mediaUrl = jsonLd.video?.contentUrl || jsonLd.image || null;
-    mediaUrl = decodeUrlEntities(mediaUrl); // Decode HTML entities
-    
-    // Remove size restrictions from image URLs
-    if (!jsonLd.video && mediaUrl) {
-        mediaUrl = mediaUrl.replace(/[?&]stp=[^&]*/g, '');
-        mediaUrl = mediaUrl.replace(/[?&]_nc_cat=[^&]*/g, '');
-        mediaUrl = mediaUrl.replace(/[?&]ccb=[^&]*/g, '');
-        mediaUrl = mediaUrl.replace(/[?&]_nc_sid=[^&]*/g, '');
-        mediaUrl = mediaUrl.replace(/[?&]efg=[^&]*/g, '');
-        mediaUrl = mediaUrl.replace(/[?&]_nc_ohc=[^&]*/g, '');
-        mediaUrl = mediaUrl.replace(/[?&]_nc_oc=[^&]*/g, '');
-        mediaUrl = mediaUrl.replace(/[?&]_nc_zt=[^&]*/g, '');
-        mediaUrl = mediaUrl.replace(/[?&]_nc_ht=[^&]*/g, '');
-        mediaUrl = mediaUrl.replace(/[?&]_nc_gid=[^&]*/g, '');
-        mediaUrl = mediaUrl.replace(/\/s\d+x\d+[a-z]?_[a-z]+-jpg[^?&]*/g, '');
-        mediaUrl = mediaUrl.replace(/[?&]+/g, (match, offset) => offset === 0 ? '?' : '&');
-        mediaUrl = mediaUrl.replace(/\?$/, '');
-    }
+        const post = await getPost(shortcode);
+        const items = post.items?.length > 0 ? post.items : [post];
 
-    const thumbnailUrl = decodeUrlEntities(jsonLd.video?.thumbnailUrl || mediaUrl || null);
-    const caption = jsonLd.articleBody || jsonLd.caption || jsonLd.description || '';
+        if (format === 'zip') {
+            return await sendZip(res, post, shortcode, items);
+        }
 
-    return {
-        mediaUrl: mediaUrl,
-        thumbnailUrl: thumbnailUrl,
-        caption: decodeHtmlEntities(caption),
-        author: jsonLd.author?.name || jsonLd.author?.alternateName || 'Unknown',
-        mediaType: jsonLd.video ? 'video' : 'image',
-        timestamp: jsonLd.uploadDate || jsonLd.datePublished || null
-    };
-}
+        const index = parseInt(req.query.item || '1', 10);
+        const item = items[index - 1];
+        if (!item?.mediaUrl) {
+            return sendProblem(res, createProblem('ITEM_NOT_FOUND', { detail: `This post has ${items.length} item(s)` }));
+        }
 
-// Helper function to parse sharedData
-function parseSharedData(sharedData, url) {
-    try {
-        const shortcode = url.match(/\/(p|reel|tv)\/([\w-]+)/)?.[2];
-        if (!shortcode) return null;
-
-        const media = sharedData.entry_data?.PostPage?.[0]?.graphql?.shortcode_media;
-        if (!media) return null;
-
-        const isVideo = media.is_video || media.__typename === 'GraphVideo';
-
-        let mediaUrl = isVideo ? media.video_url : media.display_url;
-        let thumbnailUrl = media.display_url;
-        
-        // Try to get highest quality image from display_resources
-        if (!isVideo && media.display_resources && Array.isArray(media.display_resources) && media.display_resources.length > 0) {
-            let maxResolution = 0;
-            let bestResource = null;
-            
-            for (const resource of media.display_resources) {
-                if (resource.src && resource.config_width && resource.config_height) {
-                    const resolution = resource.config_width * resource.config_height;
-                    if (resolution > maxResolution) {
-                        maxResolution = resolution;
-                        bestResource = resource;
-                    }
-                }
+        if (AUDIO_FORMATS[format]) {
+            if (item.mediaType !== 'video') {
+                return sendProblem(res, createProblem('NO_AUDIO'));
             }
-            
-            if (bestResource) {
-                mediaUrl = bestResource.src;
-                thumbnailUrl = bestResource.src;
-                console.log('[DEBUG] Found high-quality image from display_resources in sharedData:', maxResolution);
-            } else if (media.display_resources.length > 0 && media.display_resources[media.display_resources.length - 1].src) {
-                mediaUrl = media.display_resources[media.display_resources.length - 1].src;
-                thumbnailUrl = mediaUrl;
-            }
-        }
-        
-        // Decode HTML entities from URLs
-        mediaUrl = decodeUrlEntities(mediaUrl);
-        thumbnailUrl = decodeUrlEntities(thumbnailUrl);
-
-        // Remove size restrictions from image URLs
-        if (!isVideo && mediaUrl) {
-            mediaUrl = mediaUrl.replace(/[?&]stp=[^&]*/g, '');
-            mediaUrl = mediaUrl.replace(/[?&]_nc_cat=[^&]*/g, '');
-            mediaUrl = mediaUrl.replace(/[?&]ccb=[^&]*/g, '');
-            mediaUrl = mediaUrl.replace(/[?&]_nc_sid=[^&]*/g, '');
-            mediaUrl = mediaUrl.replace(/[?&]efg=[^&]*/g, '');
-            mediaUrl = mediaUrl.replace(/[?&]_nc_ohc=[^&]*/g, '');
-            mediaUrl = mediaUrl.replace(/[?&]_nc_oc=[^&]*/g, '');
-            mediaUrl = mediaUrl.replace(/[?&]_nc_zt=[^&]*/g, '');
-            mediaUrl = mediaUrl.replace(/[?&]_nc_ht=[^&]*/g, '');
-            mediaUrl = mediaUrl.replace(/[?&]_nc_gid=[^&]*/g, '');
-            mediaUrl = mediaUrl.replace(/\/s\d+x\d+[a-z]?_[a-z]+-jpg[^?&]*/g, '');
-            mediaUrl = mediaUrl.replace(/[?&]+/g, (match, offset) => offset === 0 ? '?' : '&');
-            mediaUrl = mediaUrl.replace(/\?$/, '');
-        }
 
-        const caption = media.edge_media_to_caption?.edges?.[0]?.node?.text || '';
-
-        return {
-            mediaUrl: mediaUrl,
-            thumbnailUrl: thumbnailUrl,
-            caption: decodeHtmlEntities(caption),
-            author: media.owner?.username || 'Unknown',
-            mediaType: isVideo ? 'video' : 'image',
-            timestamp: media.taken_at_timestamp ? new Date(media.taken_at_timestamp * 1000).toISOString() : null
-        };
-    } catch (e) {
-        console.error('Error parsing sharedData:', e.message);
-        return null;
-    }
-}
+            const audio = AUDIO_FORMATS[format];
+            const source = getLocalTempPath(item.mediaUrl) || item.mediaUrl;
+            const audioPath = await extractAudio(source, `${shortcode}:${index}:${format}`, format, audio.options);
+            return res.download(audioPath, buildDownloadFilename(post, shortcode, index, format));
+        }
 
-// Helper function to parse meta tags as fallback
-function parseMetaTags(html) {
-    try {
-        // Try different og: tag formats - handle both quoted and HTML-encoded attributes
-        const ogImageMatch = html.match(/<meta\s+property=["']og:image["']\s+content=["']([^"']+)["']/i) ||
-                            html.match(/<meta\s+name=["']og:image["']\s+content=["']([^"']+)["']/i) ||
-                            html.match(/<meta\s+property=["']og:image["']\s+content=([^\s>]+)/i) ||
-                            html.match(/<meta\s+name=["']og:image["']\s+content=([^\s>]+)/i);
-
-        const ogVideoMatch = html.match(/<meta\s+property=["']og:video["']\s+content=["']([^"']+)["']/i) ||
-                            html.match(/<meta\s+property=["']og:video:secure_url["']\s+content=["']([^"']+)["']/i) ||
-                            html.match(/<meta\s+name=["']og:video["']\s+content=["']([^"']+)["']/i) ||
-                            html.match(/<meta\s+property=["']og:video["']\s+content=([^\s>]+)/i);
-
-        const ogDescMatch = html.match(/<meta\s+property=["']og:description["']\s+content=["']([^"']+)["']/i) ||
-                           html.match(/<meta\s+name=["']description["']\s+content=["']([^"']+)["']/i);
-
-        const ogTitleMatch = html.match(/<meta\s+property=["']og:title["']\s+content=["']([^"']+)["']/i) ||
-                            html.match(/<meta\s+name=["']twitter:title["']\s+content=["']([^"']+)["']/i) ||
-                            html.match(/<title>([^<]+)<\/title>/i);
-
-        // Try to get video URL from twitter tags as well
-        const twitterPlayerMatch = html.match(/<meta\s+name=["']twitter:player:stream["']\s+content=["']([^"']+)["']/i);
-
-        let videoUrl = ogVideoMatch?.[1] || twitterPlayerMatch?.[1];
-        let imageUrl = ogImageMatch?.[1];
-        
-        // Decode HTML entities IMMEDIATELY after extraction
-        if (videoUrl) {
-            videoUrl = decodeUrlEntities(videoUrl);
-            videoUrl = videoUrl.replace(/&amp;/g, '&');
+        const filename = buildDownloadFilename(post, shortcode, index, getItemExtension(item));
+        let mediaUrl = item.mediaUrl;
+        if (item.mediaType === 'video' && (videoOptions.quality || videoOptions.profile !== 'original')) {
+            const video = await resolveVideo(item, `${shortcode}:${index}`, videoOptions.quality, videoOptions.profile);
+            if (video.path) return res.download(video.path, filename);
+            mediaUrl = video.url;
         }
-        if (imageUrl) {
-            imageUrl = decodeUrlEntities(imageUrl);
-            imageUrl = imageUrl.replace(/&amp;/g, '&');
+
+        const localPath = getLocalTempPath(mediaUrl);
+        if (localPath) {
+            tempJanitor.touch(localPath);
+            return res.download(localPath, filename);
         }
-        
-        let mediaUrl = videoUrl || imageUrl || null;
 
-        if (!mediaUrl) {
-            return null;
+        const upstream = await openCdnStream(mediaUrl);
+        res.attachment(filename);
+        res.setHeader('Content-Type', upstream.headers['content-type'] || 'application/octet-stream');
+        if (upstream.headers['content-length']) {
+            res.setHeader('Content-Length', upstream.headers['content-length']);
         }
+        pipeline(upstream.data, res, (error) => {
+            if (error && !res.destroyed) logger.error('[DOWNLOAD] Stream error:', error.message);
+        });
 
-        // Additional decoding pass
-        mediaUrl = decodeUrlEntities(mediaUrl);
-        mediaUrl = mediaUrl.replace(/&amp;/g, '&');
-        const imageUrlDecoded = imageUrl ? decodeUrlEntities(imageUrl).replace(/&amp;/g, '&') : null;
-
-        // Remove size restrictions from image URLs
-        if (!videoUrl && mediaUrl) {
-            mediaUrl = mediaUrl.replace(/[?&]stp=[^&]*/g, '');
-            mediaUrl = mediaUrl.replace(/[?&]_nc_cat=[^&]*/g, '');
-            mediaUrl = mediaUrl.replace(/[?&]ccb=[^&]*/g, '');
-            mediaUrl = mediaUrl.replace(/[?&]_nc_sid=[^&]*/g, '');
-            mediaUrl = mediaUrl.replace(/[?&]efg=[^&]*/g, '');
-            mediaUrl = mediaUrl.replace(/[?&]_nc_ohc=[^&]*/g, '');
-            mediaUrl = mediaUrl.replace(/[?&]_nc_oc=[^&]*/g, '');
-            mediaUrl = mediaUrl.replace(/[?&]_nc_zt=[^&]*/g, '');
-            mediaUrl = mediaUrl.replace(/[?&]_nc_ht=[^&]*/g, '');
-            mediaUrl = mediaUrl.replace(/[?&]_nc_gid=[^&]*/g, '');
-            mediaUrl = mediaUrl.replace(/\/s\d+x\d+[a-z]?_[a-z]+-jpg[^?&]*/g, '');
-            mediaUrl = mediaUrl.replace(/[?&]+/g, (match, offset) => offset === 0 ? '?' : '&');
-            mediaUrl = mediaUrl.replace(/\?$/, '');
+    } catch (error) {
+        logger.error('[DOWNLOAD] Error:', error.message);
+        if (res.headersSent) {
+            return res.destroy();
         }
 
-        const caption = ogDescMatch?.[1] || '';
-
-        return {
-            mediaUrl: mediaUrl,
-            thumbnailUrl: imageUrlDecoded || mediaUrl,
-            caption: decodeHtmlEntities(caption),
-            author: ogTitleMatch?.[1]?.split(' on Instagram')?.[0]?.split('(@')?.[0]?.trim() || 'Unknown',
-            mediaType: videoUrl ? 'video' : 'image',
-            timestamp: null
-        };
-    } catch (e) {
-        console.error('Error parsing meta tags:', e.message);
-        return null;
+        sendProblem(res, describeFetchError(error));
     }
-}
+});
 
-// Puppeteer-based extraction (for videos that don't appear in HTML)
-async function extractWithPuppeteer(url, baseUrl) {
-    let browser = null;
-    try {
-        // Puppeteer args optimized for Railway and containerized environments
-        const puppeteerArgs = [
-            '--no-sandbox',
-            '--disable-setuid-sandbox',
-            '--disable-dev-shm-usage',
-            '--disable-gpu',
-            '--disable-web-security',
-            '--disable-software-rasterizer',
-            '--disable-extensions',
-            '--disable-background-networking',
-            '--disable-background-timer-throttling',
-            '--disable-backgrounding-occluded-windows',
-            '--disable-component-extensions-with-background-page',
-            '--disable-default-apps',
-            '--disable-features=TranslateUI',
-            '--disable-ipc-flooding-protection',
-            '--disable-renderer-backgrounding',
-            '--disable-sync',
-            '--metrics-recording-only',
-            '--no-first-run',
-            '--no-default-browser-check',
-            '--no-pings',
-            '--no-zygote',
-            '--use-gl=swiftshader',
-            '--window-size=1920,1080',
-            '--single-process', // Run in single process mode (helps with Railway)
-            '--no-crash-upload' // Disable crash reporting
-        ];
-
-        browser = await puppeteer.launch({
-            headless: true,
-            executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || '/usr/bin/chromium',
-            args: puppeteerArgs,
-            ignoreDefaultArgs: ['--disable-extensions', '--enable-automation', '--enable-blink-features=IdleDetection'],
-            ignoreHTTPSErrors: true,
-            dumpio: false // Disable dumping IO to stdout/stderr
-        });
+// Job status (polling)
+app.get('/api/jobs/:id', (req, res) => {
+    const job = jobQueue.get(req.params.id);
+    if (!job) {
+        return sendProblem(res, createProblem('JOB_NOT_FOUND'));
+    }
+    res.json(job);
+});
 
-        const page = await browser.newPage();
+// Job progress as Server-Sent Events: "progress" events, then one "done" or "failed" event
+app.get('/api/jobs/:id/events', (req, res) => {
+    const job = jobQueue.get(req.params.id);
+    if (!job) {
+        return sendProblem(res, createProblem('JOB_NOT_FOUND'));
+    }
 
-        // Set realistic viewport and user agent
-        await page.setViewport({ width: 1920, height: 1080 });
-        await page.setUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Disable proxy buffering
+    });
 
-        // Intercept network requests to capture video and audio URLs
-        let videoUrls = [];
-        let audioUrls = [];
-        let thumbnailUrl = null;
+    const send = (update) => {
+        const event = update.status === 'done' || update.status === 'failed' ? update.status : 'progress';
+        res.write(`event: ${event}\ndata: ${JSON.stringify(update)}\n\n`);
+        if (event !== 'progress') {
+            cleanup();
+            res.end();
+        }
+    };
 
-        await page.setRequestInterception(true);
+    // Keep the connection alive through proxies while Puppeteer works
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+    const unsubscribe = jobQueue.subscribe(job.id, send);
+    const cleanup = () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    };
+    req.on('close', cleanup);
 
-        page.on('request', request => {
-            request.continue();
-        });
+    send(job);
+});
 
-        page.on('response', async response => {
-            const responseUrl = response.url();
-            const contentType = response.headers()['content-type'] || '';
-
-            // Capture video and audio URLs from Instagram CDN
-            if (contentType.includes('video') || responseUrl.includes('.mp4')) {
-                if (responseUrl.includes('.mp4')) {
-                    // Detect audio by URL patterns:
-                    // - Path contains /t16/ (audio) vs /t2/ (video)
-                    // - Path contains /m69/ (audio) vs /m367/ (video)
-                    // - URL contains 'audio' or 'heaac' keywords
-                    const isAudio = responseUrl.includes('/t16/') ||
-                                   responseUrl.includes('/m69/') ||
-                                   responseUrl.includes('audio') ||
-                                   responseUrl.includes('heaac');
-
-                    if (isAudio) {
-                        console.log('[PUPPETEER] Detected audio URL');
-                        audioUrls.push(responseUrl);
-                    } else {
-                        videoUrls.push(responseUrl);
-                    }
-                }
-            }
+// Unknown API routes and errors thrown before a route ran (e.g. a malformed JSON body) are problems too
+app.use('/api/', (req, res) => {
+    sendProblem(res, createProblem('NOT_FOUND', { detail: `No such endpoint: ${req.method} ${req.baseUrl}${req.path}` }));
+});
 
-            // Capture thumbnail
-            if ((contentType.includes('image') || responseUrl.includes('.jpg')) && !thumbnailUrl) {
-                if (responseUrl.includes('cdninstagram.com') || responseUrl.includes('fbcdn.net')) {
-                    thumbnailUrl = responseUrl;
-                }
-            }
-        });
+app.use((error, req, res, next) => {
+    if (res.headersSent) return next(error);
+    if (error.type === 'entity.parse.failed') {
+        return sendProblem(res, createProblem('INVALID_JSON'));
+    }
+    logger.error('[HTTP] Unhandled error:', error.message);
+    sendProblem(res, error);
+});
 
-        console.log('[PUPPETEER] Navigating to:', url);
+// Helper function to get a cached post whose merged videos still exist (null otherwise)
+function getCachedPost(shortcode) {
+    const cached = resultCache.get(shortcode);
+    if (cached && !hasTempFiles(cached.value)) {
+        // The janitor removed the merged video this entry points to; extract again
+        logger.info(`[CACHE] Dropping ${shortcode}, its merged video was cleaned up`);
+        resultCache.remove(shortcode);
+        return null;
+    }
+    if (cached && findProviderByName(cached.value.platform).restorePost?.(cached.value) === false) {
+        // Cached without the headers its CDN checks: the media could not be downloaded
+        logger.info(`[CACHE] Dropping ${shortcode}, the headers its media needs were not kept`);
+        resultCache.remove(shortcode);
+        return null;
+    }
+    return cached;
+}
 
-        // Navigate to the page
-        await page.goto(url, {
-            waitUntil: 'networkidle2',
-            timeout: 30000
-        });
+// Helper function to get a post by shortcode, from the cache or by extracting it again
+async function getPost(shortcode) {
+    const cached = getCachedPost(shortcode);
+    if (cached) return cached.value;
 
-        // Wait for video to load
-        await new Promise(resolve => setTimeout(resolve, 5000));
-
-        // Extract metadata from the page
-        const metadata = await page.evaluate(() => {
-            // Try to get caption and username
-            const captionElement = document.querySelector('h1') ||
-                                  document.querySelector('[class*="Caption"]') ||
-                                  document.querySelector('meta[property="og:title"]');
-
-            const usernameElement = document.querySelector('a[href*="/"]') ||
-                                   document.querySelector('meta[property="og:title"]');
-
-            // Try to extract from scripts
-            const scripts = Array.from(document.querySelectorAll('script'));
-            let caption = '';
-            let username = '';
-
-            for (const script of scripts) {
-                const content = script.textContent || '';
-                if (content.includes('edge_media_to_caption')) {
-                    const captionMatch = content.match(/"text":"([^"]+)"/);
-                    if (captionMatch) {
-                        caption = captionMatch[1];
-                        break;
-                    }
-                }
-                if (content.includes('"username"') && !username) {
-                    const usernameMatch = content.match(/"username":"([^"]+)"/);
-                    if (usernameMatch) {
-                        username = usernameMatch[1];
-                    }
-                }
-            }
+    const url = findProviderByKey(shortcode).buildUrl(shortcode);
+    const { postData } = await fetchPost(url, shortcode);
+    return postData;
+}
 
-            return {
-                caption: caption || captionElement?.textContent || captionElement?.content || '',
-                author: username || usernameElement?.textContent || usernameElement?.content || 'Unknown'
+// Helper function to stream every item of a post into a ZIP (stored, media is already compressed)
+async function sendZip(res, post, shortcode, items) {
+    const archive = archiver('zip', { store: true });
+    archive.on('warning', (e) => logger.warn('[DOWNLOAD] ZIP warning:', e.message));
+
+    res.attachment(buildDownloadFilename(post, shortcode, null, 'zip'));
+    archive.pipe(res);
+
+    // One item at a time, so we never hold more than one open CDN download
+    for (const [i, item] of items.entries()) {
+        if (!item.mediaUrl) continue;
+        const name = buildDownloadFilename(post, shortcode, i + 1, getItemExtension(item));
+        const localPath = getLocalTempPath(item.mediaUrl);
+        const source = localPath ? fs.createReadStream(localPath) : (await openCdnStream(item.mediaUrl)).data;
+
+        await new Promise((resolve, reject) => {
+            const done = (error) => {
+                archive.off('entry', done);
+                archive.off('error', done);
+                error instanceof Error ? reject(error) : resolve();
             };
+            archive.on('entry', done);
+            archive.on('error', done);
+            archive.append(source, { name });
         });
+    }
 
-        await browser.close();
+    await archive.finalize();
+}
 
-        // Process video URLs to find the best quality
-        if (videoUrls.length > 0) {
-            console.log(`[PUPPETEER] Found ${videoUrls.length} video URL(s) and ${audioUrls.length} audio URL(s)`);
+// Helper function to open a CDN media URL as a stream, with its provider's headers
+function openCdnStream(url) {
+    const provider = findMediaProvider(url);
+    return safeFetch(url, {
+        allowedHosts: provider?.cdnHosts || [],
+        responseType: 'stream',
+        headers: {
+            'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+            ...provider?.getMediaHeaders(url)
+        }
+    });
+}
 
-            // Find the highest quality video URL
-            const qualityOrder = ['q90', 'q80', 'q70', 'q60', 'q50', 'q40'];
-            let bestVideoUrl = null;
+// Helper function to read ?quality and ?profile; returns { quality, profile } or { error }
+function getVideoOptions(query) {
+    const quality = query.quality || null;
+    const profile = query.profile || 'original';
 
-            for (const quality of qualityOrder) {
-                const found = videoUrls.find(url => url.includes(quality));
-                if (found) {
-                    bestVideoUrl = found;
-                    console.log(`[PUPPETEER] Selected ${quality} quality video`);
-                    break;
-                }
-            }
+    if (quality && !/^(best|smallest|\d{3,4}p)$/.test(quality)) {
+        return { error: createProblem('INVALID_QUALITY') };
+    }
+    if (!Object.prototype.hasOwnProperty.call(VIDEO_PROFILES, profile)) {
+        return { error: createProblem('INVALID_PROFILE', { detail: `Supported profiles: ${Object.keys(VIDEO_PROFILES).join(', ')}` }) };
+    }
+    return { quality, profile };
+}
 
-            if (!bestVideoUrl) {
-                bestVideoUrl = videoUrls[0];
-            }
+// Helper function to get a video item at a quality and profile
+// Returns { url, quality } when a CDN rendition can be served as-is, or { path, quality } for a
+// file ffmpeg rendered into the temp dir (video-only renditions are merged with their audio track)
+async function resolveVideo(item, key, quality, profile) {
+    const variant = quality ? selectVariant(item.variants, quality) : null;
+    const source = variant || { url: item.mediaUrl, quality: null, hasAudio: true, audioUrl: null };
+    const audioUrl = source.hasAudio ? null : source.audioUrl;
 
-            // Clean video URL (remove byte ranges)
-            const cleanVideoUrl = cleanUrl(bestVideoUrl);
-
-            // If we have audio, merge it with video
-            if (audioUrls.length > 0) {
-                console.log('[PUPPETEER] Merging video with audio using ffmpeg...');
-                const cleanAudioUrl = cleanUrl(audioUrls[0]);
-
-                try {
-                    const mergedVideoPath = await mergeVideoAudio(cleanVideoUrl, cleanAudioUrl, url);
-                    const serverUrl = `${baseUrl}/temp/${path.basename(mergedVideoPath)}`;
-
-                    return {
-                        mediaUrl: serverUrl,
-                        thumbnailUrl: thumbnailUrl || '',
-                        caption: decodeHtmlEntities(metadata.caption.replace(/\\n/g, '\n').replace(/\\"/g, '"')),
-                        author: metadata.author,
-                        mediaType: 'video',
-                        timestamp: null
-                    };
-                } catch (error) {
-                    console.error('[PUPPETEER] Failed to merge audio/video:', error.message);
-                    // Fallback to video without audio
-                    console.log('[PUPPETEER] Falling back to video without audio');
-                    return {
-                        mediaUrl: cleanVideoUrl,
-                        thumbnailUrl: thumbnailUrl || '',
-                        caption: decodeHtmlEntities(metadata.caption.replace(/\\n/g, '\n').replace(/\\"/g, '"')),
-                        author: metadata.author,
-                        mediaType: 'video',
-                        timestamp: null
-                    };
-                }
-            } else {
-                // No audio track found
-                console.log('[PUPPETEER] No audio track found, returning video only');
-                return {
-                    mediaUrl: cleanVideoUrl,
-                    thumbnailUrl: thumbnailUrl || '',
-                    caption: decodeHtmlEntities(metadata.caption.replace(/\\n/g, '\n').replace(/\\"/g, '"')),
-                    author: metadata.author,
-                    mediaType: 'video',
-                    timestamp: null
-                };
-            }
-        }
+    if (profile === 'original' && !audioUrl) {
+        return { url: source.url, quality: source.quality };
+    }
 
-        return null;
+    const filePath = await renderVideo({
+        videoUrl: getLocalTempPath(source.url) || source.url,
+        audioUrl,
+        // CDN query strings are signatures that change between extractions
+        cacheKey: `${key}:${source.url.split('?')[0]}:${profile}`,
+        name: profile === 'original' ? 'merged' : profile,
+        outputOptions: VIDEO_PROFILES[profile] || MERGE_OPTIONS
+    });
+    return { path: filePath, quality: source.quality };
+}
 
+// Helper function to map a /temp/ media URL to the file on disk (null for other URLs)
+function getLocalTempPath(url) {
+    if (!url || !url.includes('/temp/')) return null;
+    const name = path.basename(url.split('?')[0]);
+    return tempJanitor.has(name) ? path.join(TEMP_DIR, name) : null;
+}
+
+// Extract a post with its platform's provider and cache the normalized result
+// key may be null for short links; the provider then reports the key once it has resolved the URL
+// onProgress(stage, fraction) reports fetching, extracting and the Puppeteer/ffmpeg stages
+// The cached post is shared by every caller, so merged videos stay relative (/temp/<file>);
+// buildResponseData makes them absolute for each response
+async function fetchPost(url, key, onProgress = () => {}) {
+    const provider = findProvider(url);
+    logger.info(`[FETCH] Fetching (${provider.name}): ${url}`);
+
+    const endTimer = metrics.extractionDuration.startTimer({ platform: provider.name });
+    let result;
+    try {
+        result = await provider.extract({ url, onProgress });
     } catch (error) {
-        if (browser) {
-            await browser.close();
-        }
+        endTimer({ outcome: 'failure' });
+        metrics.extractions.inc({ platform: provider.name, method: 'none', outcome: 'failure' });
         throw error;
     }
+    const method = result.method || provider.name;
+    const seconds = endTimer({ outcome: 'success' });
+    metrics.extractions.inc({ platform: provider.name, method, outcome: 'success' });
+    logger.info({ platform: provider.name, method, durationMs: Math.round(seconds * 1000) }, '[FETCH] Extracted');
+    const postData = result.postData;
+
+    // Attach carousel items and make sure no HTML entities remain in the URLs
+    normalizePostData(postData, result.html);
+    postData.shortcode = result.key || key;
+    postData.platform = provider.name;
+
+    const entry = resultCache.set(postData.shortcode, postData);
+    return { postData, entry };
 }
 
-// Helper function to clean URL (remove byte range parameters)
-function cleanUrl(url) {
-    if (!url) return url;
-    const [baseUrl, queryString] = url.split('?');
-    if (!queryString) return url;
+// Overall job progress at the start of each stage; fractions within a stage move toward the next one
+const STAGE_PROGRESS = {
+    fetching: 0.05,
+    extracting: 0.15,
+    navigating: 0.25,
+    capturing: 0.4,
+    downloading: 0.55,
+    merging: 0.8,
+    done: 1
+};
+
+function getStageProgress(stage, fraction = 0) {
+    const stages = Object.keys(STAGE_PROGRESS);
+    const start = STAGE_PROGRESS[stage] ?? 0;
+    const end = STAGE_PROGRESS[stages[stages.indexOf(stage) + 1]] ?? start;
+    return start + (end - start) * Math.min(Math.max(fraction, 0), 1);
+}
 
-    const cleanedParams = queryString
-        .split('&')
-        .filter(param => !param.startsWith('bytestart') && !param.startsWith('byteend'))
-        .join('&');
+// Helper function to map a fetch/extraction error to a problem (see lib/errors.js)
+// Page 404s mean the post is gone; errors nothing recognizes are EXTRACTION_FAILED
+function describeFetchError(error) {
+    return toProblem(error, { fallback: 'EXTRACTION_FAILED' });
+}
 
-    return `${baseUrl}?${cleanedParams}`;
+// Helper function to check that the merged videos referenced by a post still exist
+function hasTempFiles(postData) {
+    const urls = [postData.mediaUrl, ...(postData.items || []).map(item => item.mediaUrl)];
+    return urls
+        .filter(url => url && url.includes('/temp/'))
+        .every(url => tempJanitor.has(path.basename(url.split('?')[0])));
 }
 
-// Helper function to download a file
-async function downloadFile(url, filepath) {
-    const writer = fs.createWriteStream(filepath);
-    const response = await axios({
-        url,
-        method: 'GET',
-        responseType: 'stream'
-    });
+// Helper function to name the route of a request for metrics (the pattern, not the URL)
+function getRouteLabel(req, res) {
+    if (req.route) return `${req.baseUrl}${req.route.path}`;
+    if (req.originalUrl.startsWith('/temp/')) return '/temp';
+    return res.statusCode === 404 ? 'unmatched' : 'static';
+}
 
-    response.data.pipe(writer);
+// Helper function to get the base URL from request
+function getBaseUrl(req) {
+    // Check if behind a proxy (Railway, Heroku, etc.)
+    const protocol = req.headers['x-forwarded-proto'] || (req.secure ? 'https' : 'http');
+    const host = req.headers['x-forwarded-host'] || req.headers.host;
+    return `${protocol}://${host}`;
+}
 
-    return new Promise((resolve, reject) => {
-        writer.on('finish', resolve);
-        writer.on('error', reject);
-    });
+// Helper function to build the client response from a normalized post
+// Wraps media URLs with proxy for platforms whose CDN blocks hotlinking; the media cookie stays here
+function buildResponseData({ mediaCookie, ...postData }, baseUrl) {
+    const provider = findProviderByName(postData.platform);
+    return {
+        ...postData,
+        platform: provider.name,
+        mediaUrl: wrapWithProxy(postData.mediaUrl, baseUrl),
+        thumbnailUrl: wrapWithProxy(postData.thumbnailUrl, baseUrl),
+        items: postData.items.map(item => ({
+            ...item,
+            mediaUrl: wrapWithProxy(item.mediaUrl, baseUrl),
+            thumbnailUrl: wrapWithProxy(item.thumbnailUrl, baseUrl),
+            // Audio track URLs stay on the server; /api/video merges them
+            ...(item.variants && {
+                variants: item.variants.map(({ audioUrl, ...variant }) => ({
+                    ...variant,
+                    url: wrapWithProxy(variant.url, baseUrl)
+                }))
+            })
+        })),
+        timestamp: new Date().toISOString()
+    };
 }
 
-// Helper function to merge video and audio using ffmpeg
-async function mergeVideoAudio(videoUrl, audioUrl, instagramUrl) {
-    return new Promise(async (resolve, reject) => {
-        try {
-            // Create unique filename based on Instagram URL
-            const hash = crypto.createHash('md5').update(instagramUrl).digest('hex');
-            const videoPath = path.join(TEMP_DIR, `${hash}_video.mp4`);
-            const audioPath = path.join(TEMP_DIR, `${hash}_audio.mp4`);
-            const outputPath = path.join(TEMP_DIR, `${hash}_merged.mp4`);
-
-            // Check if already merged
-            if (fs.existsSync(outputPath)) {
-                console.log('[FFMPEG] Using cached merged video');
-                return resolve(outputPath);
-            }
+// Helper function to wrap CDN URLs with a signed, expiring proxy URL
+// Media always goes through our proxy, which sends the Referer/cookies the CDNs check for
+function wrapWithProxy(url, baseUrl) {
+    if (!url) return url;
 
-            console.log('[FFMPEG] Downloading video...');
-            await downloadFile(videoUrl, videoPath);
-
-            console.log('[FFMPEG] Downloading audio...');
-            await downloadFile(audioUrl, audioPath);
-
-            console.log('[FFMPEG] Merging video and audio...');
-
-            ffmpeg()
-                .input(videoPath)
-                .input(audioPath)
-                .outputOptions([
-                    '-c:v copy',      // Copy video codec (no re-encoding)
-                    '-c:a aac',       // Convert audio to AAC
-                    '-strict experimental'
-                ])
-                .output(outputPath)
-                .on('end', () => {
-                    console.log('[FFMPEG] Merge completed successfully');
-                    // Cleanup temp files
-                    try {
-                        fs.unlinkSync(videoPath);
-                        fs.unlinkSync(audioPath);
-                    } catch (e) {
-                        console.error('[FFMPEG] Cleanup error:', e.message);
-                    }
-                    resolve(outputPath);
-                })
-                .on('error', (err) => {
-                    console.error('[FFMPEG] Error:', err.message);
-                    // Cleanup on error
-                    try {
-                        if (fs.existsSync(videoPath)) fs.unlinkSync(videoPath);
-                        if (fs.existsSync(audioPath)) fs.unlinkSync(audioPath);
-                        if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath);
-                    } catch (e) {
-                        // Ignore cleanup errors
-                    }
-                    reject(err);
-                })
-                .run();
-        } catch (error) {
-            reject(error);
-        }
-    });
+    // Local merged videos are served by us already
+    if (url.startsWith('/temp/')) {
+        return `${baseUrl}${url}`;
+    }
+
+    return `${baseUrl}/api/proxy?${urlSigner.sign(url)}`;
 }
 
+// Remove partial files left by the previous process and start the periodic temp sweep
+tempJanitor.start().catch(error => logger.error('[TEMP] Startup cleanup failed:', error.message));
+imageVariants.start().catch(error => logger.error('[IMAGES] Startup cleanup failed:', error.message));
+
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
+    // JSON logs (production) get one structured line instead of the banner
+    if (logger.format !== 'pretty') {
+        logger.info({
+            port: PORT,
+            baseUrl: BASE_URL,
+            nodeEnv: process.env.NODE_ENV || 'development',
+            proxySecretSet: Boolean(process.env.PROXY_SECRET)
+        }, '[SERVER] Listening');
+        return;
+    }
+
     console.log(`\n${'='.repeat(60)}`);
     console.log(`🚀 Social Media Content Viewer`);
     console.log(`${'='.repeat(60)}\n`);
@@ -1280,7 +1055,13 @@ app.listen(PORT, () => {
     console.log(`\n💡 API Endpoints:`);
     console.log(`   GET  ${BASE_URL}/health`);
     console.log(`   POST ${BASE_URL}/api/fetch-content`);
+    console.log(`   POST ${BASE_URL}/api/fetch-batch`);
+    console.log(`   GET  ${BASE_URL}/api/download/:shortcode`);
+    console.log(`   GET  ${BASE_URL}/api/video/:shortcode`);
     console.log(`   GET  ${BASE_URL}/temp/:filename`);
+    console.log(`   GET  ${BASE_URL}/api/admin/temp     (ADMIN_TOKEN)`);
+    console.log(`   GET  ${BASE_URL}/api/admin/failures (ADMIN_TOKEN)`);
+    console.log(`   GET  ${BASE_URL}/metrics            (Prometheus)`);
     console.log(`\n⚙️  Configuration:`);
     console.log(`   Rate limit:     10 requests/minute`);
     console.log(`   Puppeteer:      ✓ enabled`);
@@ -1289,7 +1070,31 @@ app.listen(PORT, () => {
     console.log(`   NODE_ENV:       ${process.env.NODE_ENV || 'development'}`);
     console.log(`   PORT:           ${PORT}`);
     console.log(`   Chromium:       ${process.env.PUPPETEER_EXECUTABLE_PATH || 'auto-detected'}`);
+    if (!process.env.PROXY_SECRET) {
+        console.log(`   PROXY_SECRET:   not set, media links stop working after a restart`);
+    }
     console.log(`\n${'='.repeat(60)}`);
     console.log(`✨ Ready! Open ${BASE_URL} in your browser`);
     console.log(`${'='.repeat(60)}\n`);
 });
+
+// Graceful shutdown (Railway/Docker send SIGTERM before stopping the container)
+let shuttingDown = false;
+async function shutdown(signal) {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    logger.info(`[SHUTDOWN] ${signal} received, closing server...`);
+
+    // Force exit if something hangs
+    setTimeout(() => process.exit(1), 10000).unref();
+
+    server.close();
+    tempJanitor.stop();
+    imageVariants.stop();
+    await browserPool.shutdown();
+    logger.info('[SHUTDOWN] Done');
+    process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
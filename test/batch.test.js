@@ -0,0 +1,100 @@
+// Unit tests for the batch helpers in lib/batch.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { parseBatchUrls, groupByKey, mapWithConcurrency, getStreamFormat, createEventStream } = require('../lib/batch');
+
+test('batch URLs are trimmed and validated', () => {
+    assert.deepEqual(parseBatchUrls({ urls: [' https://a/ ', '', 'https://b/'] }), ['https://a/', 'https://b/']);
+
+    for (const body of [{}, { urls: 'https://a/' }, { urls: [] }, { urls: ['  '] }, { urls: [1] }]) {
+        assert.throws(() => parseBatchUrls(body), (error) => error.status === 400 && Boolean(error.body.detail));
+    }
+    assert.throws(() => parseBatchUrls({ urls: ['a', 'b', 'c'] }, 2), /at most 2 URLs/);
+    assert.throws(() => parseBatchUrls({ urls: ['a', 'b', 'c'] }, 2), (error) => error.body.code === 'TOO_MANY_URLS');
+});
+
+test('links to the same post are grouped, keeping the first position', () => {
+    const groups = groupByKey([
+        { index: 0, url: 'https://www.instagram.com/p/A/', key: 'A' },
+        { index: 1, url: 'https://www.instagram.com/p/B/', key: 'B' },
+        { index: 3, url: 'https://www.instagram.com/reel/A/', key: 'A' }
+    ]);
+    assert.deepEqual(groups, [
+        { key: 'A', url: 'https://www.instagram.com/p/A/', indexes: [0, 3] },
+        { key: 'B', url: 'https://www.instagram.com/p/B/', indexes: [1] }
+    ]);
+});
+
+test('links without a key are grouped by their canonical URL', () => {
+    const groups = groupByKey([
+        { index: 0, url: 'https://www.instagram.com/s/aaa', key: null },
+        { index: 1, url: 'https://www.instagram.com/s/bbb', key: null },
+        { index: 2, url: 'https://www.instagram.com/s/aaa', key: null }
+    ]);
+    assert.deepEqual(groups, [
+        { key: null, url: 'https://www.instagram.com/s/aaa', indexes: [0, 2] },
+        { key: null, url: 'https://www.instagram.com/s/bbb', indexes: [1] }
+    ]);
+});
+
+test('mapWithConcurrency never runs more than the limit at once', async () => {
+    let running = 0;
+    let peak = 0;
+    const seen = [];
+
+    await mapWithConcurrency([1, 2, 3, 4, 5], 2, async (item, i) => {
+        running++;
+        peak = Math.max(peak, running);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        seen.push([item, i]);
+        running--;
+    });
+
+    assert.equal(peak, 2);
+    assert.deepEqual(seen.sort((a, b) => a[0] - b[0]), [[1, 0], [2, 1], [3, 2], [4, 3], [5, 4]]);
+});
+
+test('mapWithConcurrency stops starting items once cancelled', async () => {
+    const started = [];
+    let cancelled = false;
+
+    await mapWithConcurrency([1, 2, 3, 4], 1, async (item) => {
+        started.push(item);
+        if (item === 2) cancelled = true;
+    }, () => cancelled);
+
+    assert.deepEqual(started, [1, 2]);
+});
+
+// Helper function to create a response that records what is written
+function createResponse() {
+    const res = new EventEmitter();
+    res.chunks = [];
+    res.writableEnded = false;
+    res.writeHead = (status, headers) => { res.status = status; res.headers = headers; };
+    res.write = (chunk) => res.chunks.push(chunk);
+    res.end = () => { res.writableEnded = true; res.emit('close'); };
+    return res;
+}
+
+test('events are written as NDJSON lines or as SSE events', () => {
+    assert.equal(getStreamFormat('text/event-stream'), 'sse');
+    assert.equal(getStreamFormat('application/x-ndjson'), 'ndjson');
+    assert.equal(getStreamFormat(undefined), 'ndjson');
+
+    const ndjson = createResponse();
+    const lines = createEventStream(ndjson, 'ndjson');
+    lines.send('item', { indexes: [0], status: 'done' });
+    lines.end();
+    lines.send('late');
+    assert.match(ndjson.headers['Content-Type'], /^application\/x-ndjson/);
+    assert.deepEqual(ndjson.chunks, ['{"type":"item","indexes":[0],"status":"done"}\n']);
+
+    const sse = createResponse();
+    const events = createEventStream(sse, 'sse');
+    events.send('end', { done: 1, failed: 0 });
+    events.end();
+    assert.equal(sse.headers['Content-Type'], 'text/event-stream');
+    assert.deepEqual(sse.chunks, ['event: end\ndata: {"type":"end","done":1,"failed":0}\n\n']);
+});
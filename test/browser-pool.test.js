@@ -0,0 +1,107 @@
+// Unit tests for lib/browser-pool.js, using a fake browser instead of Chromium
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { createBrowserPool } = require('../lib/browser-pool');
+
+function createFakeBrowser() {
+    const browser = new EventEmitter();
+    browser.pages = [];
+    browser.closed = false;
+    browser.newPage = async () => {
+        const page = new EventEmitter();
+        page.closed = false;
+        page.isClosed = () => page.closed;
+        page.close = async () => { page.closed = true; };
+        page.setViewport = async () => {};
+        page.setUserAgent = async () => {};
+        page.setRequestInterception = async () => {};
+        page.goto = async () => {};
+        browser.pages.push(page);
+        return page;
+    };
+    browser.close = async () => {
+        browser.closed = true;
+        browser.emit('disconnected');
+    };
+    return browser;
+}
+
+function createFakeLaunch() {
+    const browsers = [];
+    const launch = async () => {
+        const browser = createFakeBrowser();
+        browsers.push(browser);
+        return browser;
+    };
+    return { launch, browsers };
+}
+
+test('reuses one warm browser and recycles pages after maxPageUses', async () => {
+    const { launch, browsers } = createFakeLaunch();
+    const pool = createBrowserPool({ launch, maxPages: 1, maxPageUses: 2, idleTimeoutMs: 0 });
+
+    const first = await pool.withPage(async page => page);
+    const second = await pool.withPage(async page => page);
+    const third = await pool.withPage(async page => page);
+
+    assert.equal(browsers.length, 1);
+    assert.equal(first, second);
+    assert.ok(first.closed, 'page is closed after two uses');
+    assert.notEqual(third, first);
+    assert.equal(pool.getState().pagesRecycled, 1);
+});
+
+test('limits concurrent pages and queues the rest', async () => {
+    const { launch } = createFakeLaunch();
+    const pool = createBrowserPool({ launch, maxPages: 2, idleTimeoutMs: 0 });
+
+    let running = 0;
+    let maxRunning = 0;
+    const task = async () => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        running--;
+    };
+
+    await Promise.all([1, 2, 3, 4, 5].map(() => pool.withPage(task)));
+    assert.equal(maxRunning, 2);
+    assert.equal(pool.getState().activePages, 0);
+});
+
+test('relaunches the browser after a crash', async () => {
+    const { launch, browsers } = createFakeLaunch();
+    const pool = createBrowserPool({ launch, idleTimeoutMs: 0 });
+
+    await pool.withPage(async () => {});
+    browsers[0].emit('disconnected');
+    assert.equal(pool.getState().status, 'stopped');
+    assert.equal(pool.getState().crashes, 1);
+
+    await pool.withPage(async () => {});
+    assert.equal(browsers.length, 2);
+});
+
+test('failed tasks close their page instead of returning it to the pool', async () => {
+    const { launch, browsers } = createFakeLaunch();
+    const pool = createBrowserPool({ launch, idleTimeoutMs: 0 });
+
+    await assert.rejects(pool.withPage(async () => { throw new Error('navigation failed'); }), /navigation failed/);
+    assert.ok(browsers[0].pages[0].closed);
+    assert.equal(pool.getState().idlePages, 0);
+    assert.equal(pool.getState().failures, 1);
+});
+
+test('shutdown closes the browser and rejects new work', async () => {
+    const { launch, browsers } = createFakeLaunch();
+    const pool = createBrowserPool({ launch, idleTimeoutMs: 0 });
+
+    await pool.withPage(async () => {});
+    await pool.shutdown();
+
+    assert.ok(browsers[0].closed);
+    assert.equal(pool.getState().crashes, 0);
+    assert.equal(pool.getState().status, 'shutdown');
+    await assert.rejects(pool.withPage(async () => {}), /shutting down/);
+});
@@ -0,0 +1,78 @@
+// Unit tests for the shortcode result cache in lib/cache.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { extractShortcode, getUrlExpiry, getPostExpiry, createResultCache } = require('../lib/cache');
+
+// oe= is a hex unix timestamp in seconds
+function oeFromNow(ms) {
+    return Math.floor((Date.now() + ms) / 1000).toString(16);
+}
+
+test('extractShortcode reads /p/, /reel/ and /tv/ URLs', () => {
+    assert.equal(extractShortcode('https://www.instagram.com/p/ABC_123-x/'), 'ABC_123-x');
+    assert.equal(extractShortcode('https://instagram.com/reel/Cxyz?igsh=1'), 'Cxyz');
+    assert.equal(extractShortcode('https://www.instagram.com/explore/'), null);
+});
+
+test('getUrlExpiry parses the hex oe= parameter', () => {
+    assert.equal(getUrlExpiry('https://a.cdninstagram.com/x.jpg?oh=1&oe=65000000'), 0x65000000 * 1000);
+    assert.equal(getUrlExpiry('https://a.cdninstagram.com/x.jpg?oh=1'), null);
+    assert.equal(getUrlExpiry(null), null);
+});
+
+test('getPostExpiry uses the earliest expiry across all items', () => {
+    const post = {
+        mediaUrl: 'https://a/1.jpg?oe=65000010',
+        thumbnailUrl: '/temp/merged.mp4',
+        items: [{ mediaUrl: 'https://a/2.jpg?oe=65000001', thumbnailUrl: 'https://a/2t.jpg?oe=65000020' }]
+    };
+    assert.equal(getPostExpiry(post), 0x65000001 * 1000);
+});
+
+test('cache returns stored entries and evicts the least recently used', () => {
+    const cache = createResultCache({ maxEntries: 2, ttlMs: 60000 });
+    cache.set('a', { mediaUrl: 'https://a/a.jpg' });
+    cache.set('b', { mediaUrl: 'https://a/b.jpg' });
+    assert.ok(cache.get('a'));
+    cache.set('c', { mediaUrl: 'https://a/c.jpg' });
+
+    assert.equal(cache.get('b'), null);
+    assert.equal(cache.get('a').value.mediaUrl, 'https://a/a.jpg');
+    assert.equal(cache.getStats().evictions, 1);
+});
+
+test('cache entries expire before the signed CDN URL does', () => {
+    const cache = createResultCache({ ttlMs: 60 * 60 * 1000 });
+
+    const soon = cache.set('soon', { mediaUrl: `https://a/x.jpg?oe=${oeFromNow(20 * 60 * 1000)}` });
+    assert.ok(soon.expiresAt < Date.now() + 20 * 60 * 1000);
+
+    // Already inside the safety margin: not worth caching
+    assert.equal(cache.set('dying', { mediaUrl: `https://a/x.jpg?oe=${oeFromNow(60 * 1000)}` }), null);
+    assert.equal(cache.get('dying'), null);
+});
+
+test('cache is disabled when the TTL is 0', () => {
+    const cache = createResultCache({ ttlMs: 0 });
+    assert.equal(cache.set('a', { mediaUrl: 'https://a/a.jpg' }), null);
+    assert.equal(cache.get('a'), null);
+});
+
+test('persistent cache reloads entries from disk', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pure-content-cache-'));
+    try {
+        createResultCache({ ttlMs: 60000, dir }).set('persisted', { mediaUrl: 'https://a/p.jpg' });
+
+        // Disk writes are asynchronous
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        const reloaded = createResultCache({ ttlMs: 60000, dir });
+        assert.equal(reloaded.get('persisted').value.mediaUrl, 'https://a/p.jpg');
+        assert.equal(reloaded.getStats().diskHits, 1);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,92 @@
+// Unit tests for URL canonicalization in lib/canonical-url.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { cleanUrl, canonicalizeUrl } = require('../lib/canonical-url');
+
+// Fake redirect lookup: a map of URL -> Location
+function redirects(map) {
+    const calls = [];
+    const fetchRedirect = async (url) => {
+        calls.push(url);
+        return map[url] || null;
+    };
+    return { fetchRedirect, calls };
+}
+
+test('tracking params, fragments and aliases are removed', () => {
+    assert.equal(cleanUrl('https://www.instagram.com/p/ABC123/?igsh=MWx0dG&utm_source=ig_web_copy_link#top'), 'https://www.instagram.com/p/ABC123/');
+    assert.equal(cleanUrl('http://instagram.com/reel/ABC123?igshid=1'), 'https://www.instagram.com/reel/ABC123/');
+    assert.equal(cleanUrl('https://www.instagram.com/nasa/p/ABC123/'), 'https://www.instagram.com/p/ABC123/');
+    assert.equal(cleanUrl('https://www.instagram.com/reels/ABC123/'), 'https://www.instagram.com/reel/ABC123/');
+    assert.equal(cleanUrl('https://instagr.am/p/ABC123'), 'https://www.instagram.com/p/ABC123/');
+    assert.equal(cleanUrl('https://WWW.Instagram.com/stories/nasa/123/?utm_medium=share_sheet'), 'https://www.instagram.com/stories/nasa/123/');
+    assert.equal(cleanUrl('https://m.tiktok.com/@nasa/video/73?is_from_webapp=1&sender_device=pc'), 'https://www.tiktok.com/@nasa/video/73');
+});
+
+test('redirector wrappers are unwrapped', () => {
+    const wrapped = `https://l.instagram.com/?u=${encodeURIComponent('https://www.instagram.com/p/ABC123/?igsh=x')}&e=AT0`;
+    assert.equal(cleanUrl(wrapped), 'https://www.instagram.com/p/ABC123/');
+    assert.equal(cleanUrl(`https://l.instagram.com/?u=${encodeURIComponent('https://evil.example/')}`), null);
+});
+
+test('login walls are unwrapped to the requested page', () => {
+    assert.equal(cleanUrl('https://www.instagram.com/accounts/login/?next=%2Fp%2FABC123%2F'), 'https://www.instagram.com/p/ABC123/');
+});
+
+test('unsupported hosts and schemes are rejected', () => {
+    assert.equal(cleanUrl('https://evil.example/p/ABC123/'), null);
+    assert.equal(cleanUrl('https://instagram.com.evil.example/p/ABC123/'), null);
+    assert.equal(cleanUrl('javascript:alert(1)'), null);
+    assert.equal(cleanUrl('not a url'), null);
+});
+
+test('canonical URLs need no network', async () => {
+    const { fetchRedirect, calls } = redirects({});
+    assert.equal(await canonicalizeUrl('https://www.instagram.com/p/ABC123/?igsh=1', { fetchRedirect }), 'https://www.instagram.com/p/ABC123/');
+    assert.equal(calls.length, 0);
+});
+
+test('short links are resolved through their redirects', async () => {
+    const { fetchRedirect, calls } = redirects({
+        'https://vm.tiktok.com/ZMabc/': 'https://www.tiktok.com/@nasa/video/73?_r=1&_t=8x',
+        'https://ig.me/p/ABC123': 'https://www.instagram.com/nasa/p/ABC123/?utm_source=ig'
+    });
+
+    assert.equal(await canonicalizeUrl('https://vm.tiktok.com/ZMabc/', { fetchRedirect }), 'https://www.tiktok.com/@nasa/video/73');
+    assert.equal(await canonicalizeUrl('https://ig.me/p/ABC123', { fetchRedirect }), 'https://www.instagram.com/p/ABC123/');
+    assert.equal(calls.length, 2);
+});
+
+test('redirects must stay on provider hosts', async () => {
+    const { fetchRedirect } = redirects({ 'https://vm.tiktok.com/ZMabc/': 'http://169.254.169.254/latest/meta-data/' });
+    await assert.rejects(canonicalizeUrl('https://vm.tiktok.com/ZMabc/', { fetchRedirect }), (error) => {
+        assert.equal(error.status, 400);
+        assert.equal(error.body.code, 'REDIRECT_NOT_ALLOWED');
+        assert.match(error.message, /outside the supported platforms/);
+        return true;
+    });
+});
+
+test('redirect chains are bounded', async () => {
+    const { fetchRedirect, calls } = redirects({
+        'https://vm.tiktok.com/a/': 'https://vm.tiktok.com/b/',
+        'https://vm.tiktok.com/b/': 'https://vm.tiktok.com/a/'
+    });
+    await assert.rejects(canonicalizeUrl('https://vm.tiktok.com/a/', { fetchRedirect, maxHops: 3 }), /too many times/);
+    assert.equal(calls.length, 3);
+});
+
+test('links to unsupported pages fail without a request', async () => {
+    const { fetchRedirect, calls } = redirects({});
+    await assert.rejects(canonicalizeUrl('https://www.instagram.com/explore/', { fetchRedirect }), /supported post/);
+    await assert.rejects(canonicalizeUrl('https://example.com/p/ABC/', { fetchRedirect }), /supported: Instagram, TikTok/);
+    assert.equal(calls.length, 0);
+});
+
+test('errors carry a stable code for clients to translate', async () => {
+    const { fetchRedirect } = redirects({});
+    const codeOf = (promise) => promise.then(() => null, (error) => error.body.code);
+    assert.equal(await codeOf(canonicalizeUrl('https://example.com/p/ABC/', { fetchRedirect })), 'UNSUPPORTED_URL');
+    assert.equal(await codeOf(canonicalizeUrl('https://www.instagram.com/explore/', { fetchRedirect })), 'NOT_A_POST');
+    assert.equal(await codeOf(canonicalizeUrl('https://vm.tiktok.com/a/', { fetchRedirect })), 'NOT_A_POST');
+});
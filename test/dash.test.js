@@ -0,0 +1,144 @@
+// Unit tests for the DASH manifest parsing in lib/dash.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseDashManifest, parseDuration, pickRepresentations, findDashManifest } = require('../lib/dash');
+const { variantsFromRepresentations } = require('../lib/video');
+const { DEFAULT_STRATEGIES, extractOffline } = require('../lib/extractors');
+const dashManifest = require('../lib/extractors/dash-manifest');
+
+const CDN = 'https://scontent.cdninstagram.com/o1/v/t2/f2/m86';
+
+// Shaped like the manifests Instagram embeds for reels
+const MPD = `<?xml version="1.0"?>
+<MPD xmlns="urn:mpeg:dash:schema:mpd:2011" minBufferTime="PT1.500S" type="static" mediaPresentationDuration="PT0H0M15.300S" profiles="urn:mpeg:dash:profile:isoff-on-demand:2011">
+  <Period duration="PT0H0M15.300S">
+    <AdaptationSet segmentAlignment="true" maxWidth="1080" maxHeight="1920" maxFrameRate="30" par="9:16" lang="und" subsegmentAlignment="true" subsegmentStartsWithSAP="1">
+      <Representation id="1" mimeType="video/mp4" codecs="avc1.4D401F" width="720" height="1280" frameRate="30" sar="1:1" startWithSAP="1" bandwidth="1024000" FBQualityClass="hd" FBQualityLabel="720p">
+        <BaseURL>${CDN}/720_avc.mp4?efg=a&amp;oh=00_A</BaseURL>
+        <SegmentBase indexRangeExact="true" indexRange="909-1004"><Initialization range="0-908"/></SegmentBase>
+      </Representation>
+      <Representation id="2" mimeType="video/mp4" codecs="vp09.00.31.08" width="1080" height="1920" frameRate="30" bandwidth="1800000" FBQualityLabel="1080p">
+        <BaseURL>${CDN}/1080_vp9.mp4?oh=00_B</BaseURL>
+      </Representation>
+      <Representation id="3" mimeType="video/mp4" codecs="avc1.640028" width="1080" height="1920" frameRate="30" bandwidth="2500000" FBQualityLabel="1080p">
+        <BaseURL>${CDN}/1080_avc.mp4?oh=00_C</BaseURL>
+      </Representation>
+      <!-- Segmented: no single file to merge -->
+      <Representation id="4" mimeType="video/mp4" codecs="avc1.4D401E" width="480" height="854" bandwidth="500000">
+        <SegmentTemplate media="seg_$Number$.m4s" initialization="init.mp4"/>
+      </Representation>
+    </AdaptationSet>
+    <AdaptationSet contentType="audio" segmentAlignment="true" lang="und">
+      <Representation id="5" mimeType="audio/mp4" codecs="opus" audioSamplingRate="48000" bandwidth="160000">
+        <BaseURL>${CDN}/audio_opus.mp4</BaseURL>
+      </Representation>
+      <Representation id="6" mimeType="audio/mp4" codecs="mp4a.40.5" audioSamplingRate="44100" bandwidth="64000">
+        <AudioChannelConfiguration schemeIdUri="urn:mpeg:dash:23003:3:audio_channel_configuration:2011" value="2"/>
+        <BaseURL>${CDN}/audio_aac.mp4</BaseURL>
+      </Representation>
+    </AdaptationSet>
+  </Period>
+</MPD>`;
+
+test('representations are read with their declared bandwidth, codec and size', () => {
+    const manifest = parseDashManifest(MPD);
+
+    assert.equal(manifest.duration, 15.3);
+    assert.deepEqual(manifest.video.map(representation => representation.id), ['1', '2', '3']);
+    assert.deepEqual(manifest.audio.map(representation => representation.id), ['5', '6']);
+    assert.deepEqual(manifest.video[0], {
+        id: '1',
+        url: `${CDN}/720_avc.mp4?efg=a&oh=00_A`,
+        mimeType: 'video/mp4',
+        codecs: 'avc1.4D401F',
+        bandwidth: 1024000,
+        width: 720,
+        height: 1280,
+        frameRate: '30',
+        qualityLabel: '720p'
+    });
+});
+
+test('the largest video (H.264 first) and the best AAC audio are picked', () => {
+    const { video, audio } = pickRepresentations(parseDashManifest(MPD));
+    assert.equal(video.url, `${CDN}/1080_avc.mp4?oh=00_C`);
+    assert.equal(audio.url, `${CDN}/audio_aac.mp4`);
+
+    assert.deepEqual(pickRepresentations(null), { video: null, audio: null });
+});
+
+test('BaseURLs resolve against the enclosing ones', () => {
+    const manifest = parseDashManifest(`<MPD><BaseURL>${CDN}/</BaseURL><Period><AdaptationSet mimeType="video/mp4" codecs="avc1">
+        <Representation id="a" width="640" height="360" bandwidth="1"><BaseURL>video.mp4</BaseURL></Representation>
+    </AdaptationSet></Period></MPD>`);
+    assert.equal(manifest.video[0].url, `${CDN}/video.mp4`);
+    assert.equal(manifest.video[0].codecs, 'avc1');
+});
+
+test('anything that is not a well-formed MPD is rejected', () => {
+    assert.equal(parseDashManifest(null), null);
+    assert.equal(parseDashManifest('<html><body>nope</body></html>'), null);
+    assert.equal(parseDashManifest('<MPD><Period></MPD>'), null);
+});
+
+test('ISO 8601 durations', () => {
+    assert.equal(parseDuration('PT15.3S'), 15.3);
+    assert.equal(parseDuration('PT1M2S'), 62);
+    assert.equal(parseDuration('P1DT1H'), 90000);
+    assert.equal(parseDuration('15s'), null);
+});
+
+test('the manifest is found in the JSON the page embeds', () => {
+    const html = `<script type="application/json">{"items":[{"code":"X","video_dash_manifest":null},
+        {"video_dash_manifest":${JSON.stringify(MPD)},"video_codec":"avc1"}]}</script>`;
+    assert.equal(findDashManifest(html), MPD);
+    assert.equal(findDashManifest('<html></html>'), null);
+});
+
+test('the dash-manifest strategy runs on single-media posts that embed a manifest', () => {
+    const html = `<script type="application/json">{"video_dash_manifest":${JSON.stringify(MPD)}}</script>`;
+    const thumbnail = { mediaType: 'image', items: [{ mediaType: 'image' }] };
+    const carousel = { mediaType: 'image', items: [{ mediaType: 'image' }, { mediaType: 'image' }] };
+
+    assert.equal(dashManifest.shouldRun({ url: 'https://www.instagram.com/p/ABC123/', html }, thumbnail), true);
+    assert.equal(dashManifest.shouldRun({ url: 'https://www.instagram.com/reel/ABC123/', html }, null), true);
+    assert.equal(dashManifest.shouldRun({ url: 'https://www.instagram.com/reel/ABC123/', html: '<html></html>' }, thumbnail), false);
+    assert.equal(dashManifest.shouldRun({ url: 'https://www.instagram.com/p/ABC123/', html }, { mediaType: 'video' }), false);
+    assert.equal(dashManifest.shouldRun({ url: 'https://www.instagram.com/p/ABC123/', html }, carousel), false);
+});
+
+test('a carousel with a manifest in one slide keeps every slide, the manifest used for that slide', async () => {
+    // The carousel fixture with slide 2's video_url swapped for a video-only manifest
+    const fixture = fs.readFileSync(path.join(__dirname, 'fixtures', 'carousel-sidecar.html'), 'utf8');
+    const videoOnly = MPD.replace(/<AdaptationSet contentType="audio"[\s\S]*?<\/AdaptationSet>/, '');
+    const html = fixture.replace(/"video_url":"[^"]*"/, `"video_dash_manifest":${JSON.stringify(videoOnly)}`);
+    assert.notEqual(html, fixture);
+    assert.equal(findDashManifest(html), videoOnly);
+
+    // Run as the server would, with the network strategies but without Chromium
+    const strategies = DEFAULT_STRATEGIES
+        .filter(strategy => strategy.name !== 'puppeteer')
+        .map(strategy => ({ ...strategy, requiresNetwork: false }));
+    const post = await extractOffline('https://www.instagram.com/p/C3arouse13/', html, strategies);
+
+    assert.notEqual(post.method, 'dash-manifest');
+    assert.equal(post.items.length, 3);
+    assert.equal(post.mediaType, 'image');
+    assert.deepEqual(post.items.map(item => item.mediaType), ['image', 'video', 'image']);
+
+    // The manifest belongs to slide 2 only
+    assert.equal(post.items[1].mediaUrl, `${CDN}/1080_avc.mp4?oh=00_C`);
+    assert.equal(post.items[1].variants.length, 3);
+    assert.ok(post.items[1].variants.every(variant => variant.hasAudio === false));
+});
+
+test('video representations become video-only variants paired with the audio', () => {
+    const manifest = parseDashManifest(MPD);
+    const variants = variantsFromRepresentations(manifest.video, `${CDN}/audio_aac.mp4`);
+
+    assert.deepEqual(variants.map(({ quality, codec }) => `${quality} ${codec}`), ['1080p h264', '1080p vp9', '720p h264']);
+    assert.ok(variants.every(variant => variant.hasAudio === false && variant.audioUrl === `${CDN}/audio_aac.mp4`));
+    assert.equal(variants[0].bitrate, 2500000);
+});
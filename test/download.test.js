@@ -0,0 +1,23 @@
+// Unit tests for the download helpers in lib/download.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { sanitizeFilenamePart, getItemExtension, buildDownloadFilename } = require('../lib/download');
+
+test('file names are author_shortcode_index.ext', () => {
+    assert.equal(buildDownloadFilename({ author: 'nasa' }, 'C1a-b_2', 1, 'mp4'), 'nasa_C1a-b_2_1.mp4');
+    assert.equal(buildDownloadFilename({ author: 'nasa' }, 'C1a', null, 'zip'), 'nasa_C1a.zip');
+    assert.equal(buildDownloadFilename({}, 'C1a', 2, 'jpg'), 'instagram_C1a_2.jpg');
+});
+
+test('unsafe characters are removed from file name parts', () => {
+    assert.equal(sanitizeFilenamePart('../../etc/passwd'), 'etc_passwd');
+    assert.equal(sanitizeFilenamePart('josé "quoted"'), 'jose_quoted');
+    assert.equal(sanitizeFilenamePart('   '), 'instagram');
+});
+
+test('item extensions follow the media type and CDN URL', () => {
+    assert.equal(getItemExtension({ mediaType: 'video', mediaUrl: 'https://x/v.jpg' }), 'mp4');
+    assert.equal(getItemExtension({ mediaType: 'image', mediaUrl: 'https://x/a.webp?stp=1' }), 'webp');
+    assert.equal(getItemExtension({ mediaType: 'image', mediaUrl: 'https://x/a.jpeg' }), 'jpg');
+    assert.equal(getItemExtension({ mediaType: 'image', mediaUrl: 'https://x/a' }), 'jpg');
+});
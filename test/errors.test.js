@@ -0,0 +1,93 @@
+// Unit tests for the API error taxonomy in lib/errors.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { ERROR_TYPES, createProblem, parseRetryAfter, getErrorCode, toProblem, sendProblem, listErrorTypes } = require('../lib/errors');
+
+// Helper function to build an axios-like error for an upstream answer
+function upstreamError(status, headers = {}) {
+    return new axios.AxiosError(`Request failed with status code ${status}`, 'ERR_BAD_REQUEST', null, null, { status, headers });
+}
+
+test('a problem carries its code, status, retry hints and detail', () => {
+    const error = createProblem('UPSTREAM_RATE_LIMITED', { retryAfter: 120 });
+    assert.equal(error.status, 503);
+    assert.deepEqual(error.body, {
+        type: '/api/errors#UPSTREAM_RATE_LIMITED',
+        title: 'Platform rate limit',
+        status: 503,
+        detail: 'The platform is limiting our requests. Please try again later.',
+        code: 'UPSTREAM_RATE_LIMITED',
+        retryable: true,
+        retryAfter: 120
+    });
+
+    const notFound = createProblem('POST_DELETED', { detail: 'Gone' });
+    assert.equal(notFound.message, 'Gone');
+    assert.equal(notFound.body.retryable, false);
+    assert.equal('retryAfter' in notFound.body, false);
+});
+
+test('Retry-After is read as seconds or as an HTTP date', () => {
+    const now = Date.parse('2026-01-01T00:00:00Z');
+    assert.equal(parseRetryAfter('30', now), 30);
+    assert.equal(parseRetryAfter('Thu, 01 Jan 2026 00:01:30 GMT', now), 90);
+    assert.equal(parseRetryAfter('Wed, 31 Dec 2025 00:00:00 GMT', now), 0);
+    assert.equal(parseRetryAfter('soon', now), null);
+    assert.equal(parseRetryAfter(undefined, now), null);
+});
+
+test('upstream answers and timeouts are classified', () => {
+    assert.equal(getErrorCode(upstreamError(404)), 'POST_DELETED');
+    assert.equal(getErrorCode(upstreamError(404), 'MEDIA_NOT_FOUND'), 'MEDIA_NOT_FOUND');
+    assert.equal(getErrorCode(upstreamError(429)), 'UPSTREAM_RATE_LIMITED');
+    assert.equal(getErrorCode(Object.assign(new Error('timeout of 10000ms exceeded'), { code: 'ECONNABORTED' })), 'TIMEOUT');
+    assert.equal(getErrorCode(Object.assign(new Error('Navigation timeout'), { name: 'TimeoutError' })), 'TIMEOUT');
+    assert.equal(getErrorCode(createProblem('MERGE_FAILED')), 'MERGE_FAILED');
+    assert.equal(getErrorCode(new Error('boom')), null);
+});
+
+test('any error becomes a problem, keeping the upstream Retry-After', () => {
+    const limited = toProblem(upstreamError(429, { 'retry-after': '15' }));
+    assert.equal(limited.status, 503);
+    assert.equal(limited.body.retryAfter, 15);
+    assert.equal(toProblem(upstreamError(429)).body.retryAfter, ERROR_TYPES.UPSTREAM_RATE_LIMITED.retryAfter);
+
+    const problem = createProblem('LOGIN_WALL');
+    assert.equal(toProblem(problem), problem);
+
+    const unknown = toProblem(new Error('boom'), { fallback: 'EXTRACTION_FAILED' });
+    assert.equal(unknown.status, 500);
+    assert.equal(unknown.body.code, 'EXTRACTION_FAILED');
+    assert.equal(unknown.body.retryable, true);
+    assert.equal(unknown.body.detail, ERROR_TYPES.EXTRACTION_FAILED.detail);
+});
+
+test('problems are sent as application/problem+json with Retry-After', () => {
+    const sent = { headers: { 'x-request-id': 'req-1' } };
+    const res = {
+        getHeader: (name) => sent.headers[name.toLowerCase()],
+        setHeader: (name, value) => { sent.headers[name.toLowerCase()] = value; },
+        status(code) { sent.status = code; return this; },
+        type(value) { sent.headers['content-type'] = value; return this; },
+        json(body) { sent.body = body; return this; }
+    };
+
+    sendProblem(res, createProblem('RATE_LIMITED', { retryAfter: 42 }));
+    assert.equal(sent.status, 429);
+    assert.equal(sent.headers['content-type'], 'application/problem+json');
+    assert.equal(sent.headers['retry-after'], '42');
+    assert.equal(sent.body.code, 'RATE_LIMITED');
+    assert.equal(sent.body.requestId, 'req-1');
+});
+
+test('every code is listed with a status and retry hint', () => {
+    const list = listErrorTypes();
+    assert.equal(list.length, Object.keys(ERROR_TYPES).length);
+    for (const code of ['POST_PRIVATE', 'POST_DELETED', 'LOGIN_WALL', 'UPSTREAM_RATE_LIMITED', 'EXTRACTION_FAILED', 'MERGE_FAILED', 'TIMEOUT']) {
+        const entry = list.find(type => type.code === code);
+        assert.ok(entry, code);
+        assert.equal(typeof entry.retryable, 'boolean');
+        assert.ok(entry.status >= 400);
+    }
+});
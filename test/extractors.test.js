@@ -0,0 +1,129 @@
+// Unit tests for the extractor registry in lib/extractors/index.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createExtractorRegistry } = require('../lib/extractors');
+
+// Helper function to build a stub strategy that records its runs in `calls`
+function stub(name, calls, result = null, extra = {}) {
+    return {
+        name,
+        extract: async () => {
+            calls.push(name);
+            if (result instanceof Error) throw result;
+            return result;
+        },
+        ...extra
+    };
+}
+
+const IMAGE = { mediaUrl: 'https://cdn.example/a.jpg', mediaType: 'image' };
+const VIDEO = { mediaUrl: 'https://cdn.example/a.mp4', mediaType: 'video' };
+
+test('strategies run in order until one finds media', async () => {
+    const calls = [];
+    const registry = createExtractorRegistry([stub('a', calls), stub('b', calls, IMAGE), stub('c', calls, VIDEO)]);
+
+    const { postData, method, errors } = await registry.run({ url: 'u', html: '' });
+    assert.deepEqual(calls, ['a', 'b']);
+    assert.equal(postData, IMAGE);
+    assert.equal(method, 'b');
+    assert.deepEqual(errors, []);
+});
+
+test('shouldRun lets a later strategy upgrade the result', async () => {
+    const calls = [];
+    const upgrade = stub('upgrade', calls, VIDEO, { shouldRun: (context, postData) => postData?.mediaType === 'image' });
+    const registry = createExtractorRegistry([stub('image', calls, IMAGE), upgrade]);
+
+    const { postData, method } = await registry.run({ url: 'u', html: '' });
+    assert.deepEqual(calls, ['image', 'upgrade']);
+    assert.equal(postData, VIDEO);
+    assert.equal(method, 'upgrade');
+});
+
+test('order picks and sorts the strategies, ignoring unknown names', async () => {
+    const calls = [];
+    const registry = createExtractorRegistry([stub('a', calls), stub('b', calls), stub('c', calls)], { order: ['c', 'missing', 'a'] });
+
+    assert.deepEqual(registry.strategies, ['c', 'a']);
+    await registry.run({ url: 'u', html: '' });
+    assert.deepEqual(calls, ['c', 'a']);
+});
+
+test('disabled strategies are skipped', async () => {
+    const calls = [];
+    const registry = createExtractorRegistry([stub('a', calls), stub('b', calls, IMAGE)], { disabled: ['a'] });
+
+    const { method } = await registry.run({ url: 'u', html: '' });
+    assert.deepEqual(calls, ['b']);
+    assert.equal(method, 'b');
+    assert.deepEqual(registry.getStats().map(stat => [stat.name, stat.enabled]), [['b', true], ['a', false]]);
+});
+
+test('strategies need a unique name and an extract function', () => {
+    assert.throws(() => createExtractorRegistry([{ name: 'a' }]), /need a name and an extract function/);
+    assert.throws(() => createExtractorRegistry([{ extract: () => null }]), /need a name and an extract function/);
+    assert.throws(() => createExtractorRegistry([stub('a', []), stub('a', [])]), /Duplicate extractor strategy: a/);
+});
+
+test('a strategy that throws is reported and the next one still runs', async () => {
+    const calls = [];
+    const timeout = Object.assign(new Error('Navigation timeout'), { name: 'TimeoutError' });
+    const registry = createExtractorRegistry([stub('broken', calls, new Error('boom')), stub('slow', calls, timeout), stub('ok', calls, IMAGE)]);
+
+    const { postData, method, errors } = await registry.run({ url: 'u', html: '' });
+    assert.deepEqual(calls, ['broken', 'slow', 'ok']);
+    assert.equal(postData, IMAGE);
+    assert.equal(method, 'ok');
+    assert.deepEqual(errors, [
+        { strategy: 'broken', message: 'boom', code: null },
+        { strategy: 'slow', message: 'Navigation timeout', code: 'TIMEOUT' }
+    ]);
+});
+
+test('stats count runs, hits, misses and errors with their rate and average time', async (t) => {
+    let now = 0;
+    t.mock.method(Date, 'now', () => now);
+
+    let outcome = 0;
+    const flaky = {
+        name: 'flaky',
+        // 10 ms per run: a hit, a miss, then an error
+        extract: async () => {
+            now += 10;
+            outcome++;
+            if (outcome === 3) throw new Error('boom');
+            return outcome === 1 ? IMAGE : null;
+        },
+        shouldRun: () => true
+    };
+    const registry = createExtractorRegistry([flaky, stub('idle', [])], { disabled: ['idle'] });
+
+    for (let i = 0; i < 3; i++) {
+        await registry.run({ url: 'u', html: '' });
+    }
+
+    const [stat, idle] = registry.getStats();
+    assert.deepEqual({ ...stat, lastHitAt: typeof stat.lastHitAt }, {
+        name: 'flaky',
+        enabled: true,
+        runs: 3,
+        hits: 1,
+        misses: 1,
+        errors: 1,
+        hitRate: 0.333,
+        avgMs: 10,
+        lastHitAt: 'string'
+    });
+    assert.deepEqual(idle, {
+        name: 'idle',
+        enabled: false,
+        runs: 0,
+        hits: 0,
+        misses: 0,
+        errors: 0,
+        hitRate: null,
+        avgMs: null,
+        lastHitAt: null
+    });
+});
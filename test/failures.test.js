@@ -0,0 +1,111 @@
+// Unit tests for the failure artifacts in lib/failures.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { detectMarkers, createFailureStore } = require('../lib/failures');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+function makeDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'pure-content-failures-'));
+}
+
+const FAILURE = {
+    url: 'https://www.instagram.com/p/ABC123/',
+    platform: 'instagram',
+    key: 'ABC123',
+    status: 200,
+    headers: { 'Content-Type': 'text/html', 'set-cookie': ['csrftoken=secret'], 'x-fb-debug': ['a', 'b'] },
+    html: '<html><script type="application/ld+json">{}</script><meta property="og:image"></html>',
+    errors: [{ strategy: 'json-ld', message: 'Unexpected token' }],
+    capturedUrls: [{ kind: 'video', url: 'https://scontent.cdninstagram.com/v.mp4' }]
+};
+
+test('markers say what the page contains', () => {
+    const markers = detectMarkers(FAILURE.html);
+    assert.equal(markers.htmlLength, FAILURE.html.length);
+    assert.equal(markers.hasJsonLd, true);
+    assert.equal(markers.hasOgImage, true);
+    assert.equal(markers.hasVideoUrl, false);
+    assert.equal(detectMarkers(undefined).htmlLength, 0);
+    assert.equal(detectMarkers('<h2>This account is private</h2>').isPrivate, true);
+    assert.equal(detectMarkers('<span>Sorry, this page isn&#039;t available.</span>').isUnavailable, true);
+    assert.equal(markers.isPrivate || markers.isUnavailable, false);
+});
+
+test('a failure is saved with its page, headers (minus cookies) and diagnostics', async () => {
+    const store = createFailureStore({ dir: makeDir() });
+    const id = await store.save(FAILURE);
+
+    assert.match(id, /^\d{8}T\d{9}Z-ABC123-[0-9a-f]{6}$/);
+    assert.equal(await store.getHtml(id), FAILURE.html);
+
+    const record = await store.get(id);
+    assert.equal(record.url, FAILURE.url);
+    assert.equal(record.reason, 'no-media');
+    assert.equal(record.status, 200);
+    assert.deepEqual(record.headers, { 'content-type': 'text/html', 'x-fb-debug': 'a, b' });
+    assert.equal(record.markers.hasJsonLd, true);
+    assert.deepEqual(record.errors, FAILURE.errors);
+    assert.deepEqual(record.capturedUrls, FAILURE.capturedUrls);
+    assert.equal(record.truncated, false);
+});
+
+test('failures of the same post get their own artifacts, listed newest first', async () => {
+    const store = createFailureStore({ dir: makeDir() });
+    const first = await store.save(FAILURE);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const second = await store.save({ ...FAILURE, reason: 'video-missing' });
+
+    assert.notEqual(first, second);
+    const failures = await store.list();
+    assert.deepEqual(failures.map(failure => failure.id), [second, first]);
+    assert.equal(failures[0].reason, 'video-missing');
+    assert.equal(failures[0].errors, 1);
+    assert.equal(failures[0].headers, undefined);
+});
+
+test('pages are truncated and only the newest maxEntries failures are kept', async () => {
+    const store = createFailureStore({ dir: makeDir(), maxEntries: 2, maxHtmlBytes: 10 });
+    const ids = [];
+    for (let i = 0; i < 3; i++) {
+        ids.push(await store.save(FAILURE));
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+
+    assert.deepEqual((await store.list()).map(failure => failure.id), [ids[2], ids[1]]);
+    assert.equal(await store.get(ids[0]), null);
+    assert.equal((await store.getHtml(ids[2])).length, 10);
+    assert.equal((await store.get(ids[2])).truncated, true);
+
+    const disabled = createFailureStore({ dir: makeDir(), maxEntries: 0 });
+    assert.equal(await disabled.save(FAILURE), null);
+});
+
+test('IDs that are not artifacts are refused', async () => {
+    const store = createFailureStore({ dir: makeDir() });
+    assert.equal(await store.get('../package'), null);
+    assert.equal(await store.getHtml('20260101T000000000Z-x-abcdef/../../etc'), null);
+    assert.equal(await store.remove('nope'), false);
+    assert.equal(await store.replay('20260101T000000000Z-x-abcdef'), null);
+});
+
+test('replay runs the saved page through the offline pipeline', async () => {
+    const { url } = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'reel-video-url.json'), 'utf8'));
+    const html = fs.readFileSync(path.join(FIXTURES_DIR, 'reel-video-url.html'), 'utf8');
+    const store = createFailureStore({ dir: makeDir() });
+
+    const id = await store.save({ ...FAILURE, url, html });
+    const replay = await store.replay(id);
+    assert.equal(replay.url, url);
+    assert.equal(replay.result.mediaType, 'video');
+    assert.ok(replay.result.method);
+
+    const broken = await store.save({ ...FAILURE, html: '<html></html>' });
+    assert.equal((await store.replay(broken)).result, null);
+
+    assert.equal(await store.remove(id), true);
+    assert.equal(await store.get(id), null);
+});
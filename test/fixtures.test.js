@@ -0,0 +1,35 @@
+// Offline regression suite: runs every saved page in test/fixtures through the extractor pipeline
+//
+// Each fixture is a pair:
+//   <name>.html - the page as Instagram served it
+//   <name>.json - { "url": "...", "expected": <normalized post> | null }
+// Add new ones with: npm run fixture:add -- <name> <instagram-url> [html-file]
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { extractOffline } = require('../lib/extractors');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+const fixtureNames = fs.readdirSync(FIXTURES_DIR)
+    .filter(file => file.endsWith('.html'))
+    .map(file => path.basename(file, '.html'))
+    .sort();
+
+test('fixtures directory is not empty', () => {
+    assert.ok(fixtureNames.length > 0);
+});
+
+for (const name of fixtureNames) {
+    test(`fixture: ${name}`, async () => {
+        const html = fs.readFileSync(path.join(FIXTURES_DIR, `${name}.html`), 'utf8');
+        const expectedPath = path.join(FIXTURES_DIR, `${name}.json`);
+        assert.ok(fs.existsSync(expectedPath), `missing ${name}.json next to ${name}.html`);
+
+        const { url, expected } = JSON.parse(fs.readFileSync(expectedPath, 'utf8'));
+        const actual = await extractOffline(url, html);
+
+        assert.deepEqual(actual, expected);
+    });
+}
@@ -0,0 +1,121 @@
+// Unit tests for the proxy image variants in lib/images.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { createTempJanitor } = require('../lib/temp-janitor');
+const { parseImageVariant, getVariantName, renderVariant, createImageVariants } = require('../lib/images');
+
+const CDN_URL = 'https://scontent-gru1-1.cdninstagram.com/v/t51/123_n.jpg';
+
+function makeJanitor() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pure-content-images-'));
+    return createTempJanitor({ dir, intervalMs: 0 });
+}
+
+function makeJpeg(width, height) {
+    return sharp({ create: { width, height, channels: 3, background: { r: 200, g: 80, b: 20 } } }).jpeg().toBuffer();
+}
+
+test('no variant params means the original is served', () => {
+    assert.equal(parseImageVariant({ u: CDN_URL, exp: '1', sig: 'x' }), null);
+    assert.equal(parseImageVariant(undefined), null);
+});
+
+test('widths snap to the allowed sizes and quality is clamped', () => {
+    assert.equal(parseImageVariant({ w: '640' }).width, 640);
+    assert.equal(parseImageVariant({ w: '700' }).width, 828);
+    assert.equal(parseImageVariant({ w: '99999' }).width, 1440);
+    assert.equal(parseImageVariant({ w: 'abc' }).width, null);
+
+    assert.equal(parseImageVariant({ w: '640' }).quality, 75);
+    assert.equal(parseImageVariant({ q: '100' }).quality, 90);
+    assert.equal(parseImageVariant({ q: '1' }).quality, 30);
+    assert.equal(parseImageVariant({ q: '62' }).quality, 60);
+});
+
+test('the format follows f, or the Accept header when f is auto', () => {
+    const accept = 'image/avif,image/webp,image/apng,*/*;q=0.8';
+    assert.deepEqual(parseImageVariant({ w: '640' }, accept), { width: 640, quality: 75, format: 'avif', negotiated: true });
+    assert.equal(parseImageVariant({ w: '640' }, 'image/webp,*/*').format, 'webp');
+    assert.equal(parseImageVariant({ w: '640' }, '*/*').format, 'jpeg');
+    assert.equal(parseImageVariant({ w: '640', f: 'auto' }, 'image/webp').format, 'webp');
+    assert.deepEqual(parseImageVariant({ f: 'JPG' }, accept), { width: null, quality: 75, format: 'jpeg', negotiated: false });
+    assert.equal(parseImageVariant({ f: 'png' }, '*/*').format, 'jpeg');
+});
+
+test('variant names ignore the CDN signature but not the variant', () => {
+    const variant = { width: 640, quality: 75, format: 'webp' };
+    const name = getVariantName(`${CDN_URL}?oe=65A1B2C3&_nc_sid=1`, variant);
+
+    assert.equal(name, getVariantName(`${CDN_URL}?oe=65FFFFFF&_nc_sid=2`, variant));
+    assert.match(name, /^[0-9a-f]{32}_640\.webp$/);
+    assert.notEqual(name, getVariantName(CDN_URL, { ...variant, width: 320 }));
+    assert.notEqual(name, getVariantName(CDN_URL, { ...variant, quality: 60 }));
+    assert.notEqual(name, getVariantName(CDN_URL, { ...variant, format: 'avif' }));
+});
+
+test('images are resized and re-encoded, never upscaled', async () => {
+    const original = await makeJpeg(1600, 900);
+
+    const webp = await sharp(await renderVariant(original, { width: 640, quality: 75, format: 'webp' })).metadata();
+    assert.equal(webp.format, 'webp');
+    assert.equal(webp.width, 640);
+    assert.equal(webp.height, 360);
+
+    const avif = await sharp(await renderVariant(original, { width: 320, quality: 50, format: 'avif' })).metadata();
+    assert.equal(avif.format, 'heif');
+    assert.equal(avif.width, 320);
+
+    const small = await sharp(await renderVariant(await makeJpeg(400, 300), { width: 1440, quality: 75, format: 'jpeg' })).metadata();
+    assert.equal(small.width, 400);
+});
+
+test('variants are rendered once and then served from disk', async () => {
+    const janitor = makeJanitor();
+    let loads = 0;
+    const variants = createImageVariants({
+        janitor,
+        render: async (input) => Buffer.from(`rendered:${input}`)
+    });
+    const loadOriginal = async () => {
+        loads++;
+        return Buffer.from('original');
+    };
+    const variant = { width: 640, quality: 75, format: 'webp' };
+
+    // Concurrent requests share one render
+    const [first, second] = await Promise.all([
+        variants.get(CDN_URL, variant, loadOriginal),
+        variants.get(`${CDN_URL}?oe=1`, variant, loadOriginal)
+    ]);
+    assert.equal(first, second);
+    assert.equal(path.dirname(first), janitor.dir);
+    assert.equal(fs.readFileSync(first, 'utf8'), 'rendered:original');
+
+    assert.equal(await variants.get(CDN_URL, variant, loadOriginal), first);
+    assert.equal(loads, 1);
+    assert.equal(variants.getStats().hits, 1);
+    assert.deepEqual(fs.readdirSync(janitor.dir), [path.basename(first)]);
+});
+
+test('failed renders are not cached', async () => {
+    const janitor = makeJanitor();
+    let attempts = 0;
+    const variants = createImageVariants({
+        janitor,
+        render: async () => {
+            attempts++;
+            if (attempts === 1) throw new Error('Input buffer contains unsupported image format');
+            return Buffer.from('ok');
+        }
+    });
+    const variant = { width: 320, quality: 75, format: 'jpeg' };
+    const loadOriginal = async () => Buffer.from('original');
+
+    await assert.rejects(variants.get(CDN_URL, variant, loadOriginal), /unsupported image format/);
+    assert.equal(variants.getStats().failed, 1);
+    assert.equal(fs.readFileSync(await variants.get(CDN_URL, variant, loadOriginal), 'utf8'), 'ok');
+});
@@ -0,0 +1,78 @@
+// Unit tests for the background job queue in lib/jobs.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createJobQueue } = require('../lib/jobs');
+
+// Wait until a job reaches a final state
+function waitForJob(queue, id) {
+    return new Promise(resolve => {
+        const current = queue.get(id);
+        if (current.status === 'done' || current.status === 'failed') return resolve(current);
+
+        const unsubscribe = queue.subscribe(id, (update) => {
+            if (update.status === 'done' || update.status === 'failed') {
+                unsubscribe();
+                resolve(update);
+            }
+        });
+    });
+}
+
+test('jobs report stages and finish with their result', async () => {
+    const queue = createJobQueue();
+    const seen = [];
+
+    const job = queue.create('test', async (report) => {
+        report('navigating', 0.2);
+        report('merging', 0.8);
+        return { ok: true };
+    });
+    queue.subscribe(job.id, update => seen.push(update.stage));
+
+    const finished = await waitForJob(queue, job.id);
+    assert.equal(finished.status, 'done');
+    assert.equal(finished.progress, 1);
+    assert.deepEqual(finished.result, { ok: true });
+    assert.deepEqual(finished.stages.map(entry => entry.stage), ['queued', 'navigating', 'merging']);
+    assert.ok(seen.includes('done'));
+});
+
+test('progress never goes backwards', async () => {
+    const queue = createJobQueue();
+    const job = queue.create('test', async (report) => {
+        report('capturing', 0.5);
+        report('capturing', 0.3);
+        assert.equal(queue.get(job.id).progress, 0.5);
+    });
+    assert.equal((await waitForJob(queue, job.id)).status, 'done');
+});
+
+test('failed jobs store the described error', async () => {
+    const queue = createJobQueue();
+    const job = queue.create('test', async () => {
+        throw new Error('boom');
+    }, (error) => ({ status: 500, message: `described: ${error.message}` }));
+
+    const finished = await waitForJob(queue, job.id);
+    assert.equal(finished.status, 'failed');
+    assert.deepEqual(finished.error, { status: 500, message: 'described: boom' });
+});
+
+test('runs at most `concurrency` jobs at a time', async () => {
+    const queue = createJobQueue({ concurrency: 1 });
+    let release;
+    const first = queue.create('test', () => new Promise(resolve => { release = resolve; }));
+    const second = queue.create('test', async () => 'second');
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.equal(queue.get(first.id).status, 'running');
+    assert.equal(queue.get(second.id).status, 'queued');
+    assert.equal(queue.getStats().queued, 1);
+
+    release('first');
+    assert.equal((await waitForJob(queue, second.id)).result, 'second');
+});
+
+test('unknown job ids return null', () => {
+    assert.equal(createJobQueue().get('missing'), null);
+});
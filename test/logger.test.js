@@ -0,0 +1,87 @@
+// Unit tests for the structured logger in lib/logger.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createLogger, runWithContext, bindContext } = require('../lib/logger');
+
+// Helper function to create a logger that keeps its lines as parsed objects
+function createCapture(options = {}) {
+    const lines = [];
+    const logger = createLogger({ ...options, write: (line) => lines.push(JSON.parse(line)) });
+    return { logger, lines };
+}
+
+test('a leading [TAG] becomes the component and extra arguments are formatted', () => {
+    const { logger, lines } = createCapture();
+    logger.info('[FFMPEG] Merged %s in %dms', 'abc.mp4', 120);
+
+    assert.equal(lines.length, 1);
+    assert.equal(lines[0].level, 'info');
+    assert.equal(lines[0].component, 'ffmpeg');
+    assert.equal(lines[0].msg, 'Merged abc.mp4 in 120ms');
+    assert.ok(!Number.isNaN(Date.parse(lines[0].time)));
+});
+
+test('level tags set the level of info lines but never lower an error', () => {
+    const { logger, lines } = createCapture({ level: 'debug' });
+    logger.info('[DEBUG] Details');
+    logger.info('[WARNING] Careful');
+    logger.error('[DEBUG] Still an error');
+
+    assert.deepEqual(lines.map(line => line.level), ['debug', 'warn', 'error']);
+    assert.ok(lines.every(line => line.component === undefined));
+});
+
+test('lines below the configured level are dropped', () => {
+    const { logger, lines } = createCapture({ level: 'warn' });
+    logger.debug('a');
+    logger.info('b');
+    logger.warn('c');
+    logger.error('d');
+
+    assert.deepEqual(lines.map(line => line.msg), ['c', 'd']);
+    assert.equal(logger.isLevelEnabled('info'), false);
+    assert.equal(logger.isLevelEnabled('error'), true);
+});
+
+test('an object first argument adds fields; errors are serialized', () => {
+    const { logger, lines } = createCapture();
+    const error = Object.assign(new Error('boom'), { status: 502 });
+    logger.warn({ platform: 'tiktok', error }, '[FETCH] Failed');
+
+    assert.equal(lines[0].platform, 'tiktok');
+    assert.equal(lines[0].error.message, 'boom');
+    assert.equal(lines[0].error.status, 502);
+    assert.equal(lines[0].msg, 'Failed');
+});
+
+test('child loggers add their bindings to every line', () => {
+    const { logger, lines } = createCapture();
+    logger.child({ worker: 2 }).info('hello');
+    assert.equal(lines[0].worker, 2);
+});
+
+test('the request ID of the current context is added, also to callbacks bound to it', async () => {
+    const { logger, lines } = createCapture();
+    let later;
+
+    await runWithContext({ requestId: 'req-1' }, async () => {
+        await Promise.resolve();
+        logger.info('inside');
+        later = bindContext(() => logger.info('bound'));
+    });
+    logger.info('outside');
+    runWithContext({ requestId: 'req-2' }, () => later());
+
+    assert.deepEqual(lines.map(line => [line.msg, line.requestId]), [
+        ['inside', 'req-1'],
+        ['outside', undefined],
+        ['bound', 'req-1']
+    ]);
+});
+
+test('the pretty format is one readable line', () => {
+    let output = '';
+    const logger = createLogger({ format: 'pretty', write: (line) => { output += line; } });
+    logger.info({ durationMs: 5 }, '[CACHE] Hit for ABC');
+    assert.match(output, /^\S+ INFO  \[cache\] Hit for ABC durationMs=5\n$/);
+});
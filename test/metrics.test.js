@@ -0,0 +1,68 @@
+// Unit tests for the Prometheus registry in lib/metrics.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMetricsRegistry } = require('../lib/metrics');
+
+test('counters render one series per label combination', () => {
+    const registry = createMetricsRegistry({ prefix: 'app_' });
+    const counter = registry.counter({ name: 'runs_total', help: 'Runs', labelNames: ['strategy', 'result'] });
+    counter.inc({ strategy: 'json-ld', result: 'hit' });
+    counter.inc({ strategy: 'json-ld', result: 'hit' }, 2);
+    counter.inc({ strategy: 'puppeteer', result: 'error' });
+
+    assert.equal(counter.get({ strategy: 'json-ld', result: 'hit' }), 3);
+    assert.equal(registry.render(), [
+        '# HELP app_runs_total Runs',
+        '# TYPE app_runs_total counter',
+        'app_runs_total{strategy="json-ld",result="hit"} 3',
+        'app_runs_total{strategy="puppeteer",result="error"} 1',
+        ''
+    ].join('\n'));
+});
+
+test('histograms render cumulative buckets, sum and count', () => {
+    const registry = createMetricsRegistry();
+    const histogram = registry.histogram({ name: 'duration_seconds', help: 'Duration', labelNames: ['op'], buckets: [1, 0.1] });
+    histogram.observe({ op: 'merge' }, 0.05);
+    histogram.observe({ op: 'merge' }, 0.5);
+    histogram.observe({ op: 'merge' }, 3);
+
+    const lines = registry.render().trim().split('\n');
+    assert.deepEqual(lines.slice(2), [
+        'duration_seconds_bucket{op="merge",le="0.1"} 1',
+        'duration_seconds_bucket{op="merge",le="1"} 2',
+        'duration_seconds_bucket{op="merge",le="+Inf"} 3',
+        'duration_seconds_sum{op="merge"} 3.55',
+        'duration_seconds_count{op="merge"} 3'
+    ]);
+});
+
+test('timers observe the elapsed seconds with the labels given at the end', () => {
+    const registry = createMetricsRegistry();
+    const histogram = registry.histogram({ name: 'x_seconds', help: 'X', labelNames: ['platform', 'outcome'] });
+    const end = histogram.startTimer({ platform: 'tiktok' });
+    const seconds = end({ outcome: 'success' });
+
+    assert.ok(seconds >= 0 && seconds < 1);
+    assert.equal(histogram.get({ platform: 'tiktok', outcome: 'success' }).count, 1);
+});
+
+test('gauges can be read at scrape time', () => {
+    const registry = createMetricsRegistry();
+    let size = 10;
+    registry.gauge({ name: 'bytes', help: 'Bytes', collect: (gauge) => gauge.set({}, size) });
+
+    assert.match(registry.render(), /^bytes 10$/m);
+    size = 42;
+    assert.match(registry.render(), /^bytes 42$/m);
+});
+
+test('label values are escaped; unknown labels and duplicate names are rejected', () => {
+    const registry = createMetricsRegistry();
+    const counter = registry.counter({ name: 'c', help: 'C', labelNames: ['route'] });
+    counter.inc({ route: 'a"b\\c\nd' });
+
+    assert.match(registry.render(), /^c\{route="a\\"b\\\\c\\nd"\} 1$/m);
+    assert.throws(() => counter.inc({ path: '/' }), /Unknown label "path"/);
+    assert.throws(() => registry.counter({ name: 'c', help: 'again' }), /Duplicate metric/);
+});
@@ -0,0 +1,93 @@
+// Unit tests for the individual HTML/JSON parsers in lib/parsers.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    decodeUrlEntities,
+    decodeHtmlEntities,
+    removeSizeRestrictions,
+    extractJsonValue,
+    extractCarouselItems,
+    extractFromRequireData,
+    parseJsonLd,
+    parseSharedData,
+    parseMetaTags
+} = require('../lib/parsers');
+
+test('decodeUrlEntities decodes nested &amp; encodings', () => {
+    assert.equal(decodeUrlEntities('https://a.com/x.jpg?a=1&amp;amp;b=2&amp;c=3'), 'https://a.com/x.jpg?a=1&b=2&c=3');
+    assert.equal(decodeUrlEntities('a&#x3D;b&#x2F;c'), 'a=b/c');
+    assert.equal(decodeUrlEntities(null), null);
+});
+
+test('decodeHtmlEntities decodes double-encoded emoji and escapes', () => {
+    assert.equal(decodeHtmlEntities('Party &amp;#x1f389;'), 'Party 🎉');
+    assert.equal(decodeHtmlEntities('&quot;hi&quot; &#39;there&#39;'), '"hi" \'there\'');
+    assert.equal(decodeHtmlEntities('line\\nbreak \\"quoted\\"'), 'line\nbreak "quoted"');
+    assert.equal(decodeHtmlEntities(''), '');
+});
+
+test('removeSizeRestrictions keeps the signature params and a valid query string', () => {
+    assert.equal(
+        removeSizeRestrictions('https://a.cdninstagram.com/v/x.jpg?stp=dst-jpg_s640x640&_nc_cat=1&oh=00_A&oe=67000000'),
+        'https://a.cdninstagram.com/v/x.jpg?oh=00_A&oe=67000000'
+    );
+    assert.equal(removeSizeRestrictions('https://a.cdninstagram.com/v/x.jpg?stp=1'), 'https://a.cdninstagram.com/v/x.jpg');
+});
+
+test('extractJsonValue reads nested values and ignores brackets inside strings', () => {
+    const text = 'var x = {"other":1,"target":{"a":[1,2,{"b":"} ] \\" {"}]},"after":2}';
+    assert.deepEqual(extractJsonValue(text, 'target'), { a: [1, 2, { b: '} ] " {' }] });
+    assert.equal(extractJsonValue(text, 'missing'), null);
+});
+
+test('extractCarouselItems returns null for non-carousel media', () => {
+    assert.equal(extractCarouselItems({ display_url: 'https://a/x.jpg' }), null);
+    assert.equal(extractCarouselItems(null), null);
+});
+
+test('extractFromRequireData finds media nested deep in the object', () => {
+    const result = extractFromRequireData({
+        a: { b: { video_url: 'https://a/v.mp4', display_url: 'https://a/t.jpg', owner: { username: 'bob' } } }
+    });
+    assert.equal(result.mediaType, 'video');
+    assert.equal(result.mediaUrl, 'https://a/v.mp4');
+    assert.equal(result.author, 'bob');
+});
+
+test('parseJsonLd handles image posts and missing input', () => {
+    assert.equal(parseJsonLd(null), null);
+    const result = parseJsonLd({ image: 'https://a/x.jpg?stp=1&oh=2', author: { name: 'ana' } });
+    assert.equal(result.mediaType, 'image');
+    assert.equal(result.mediaUrl, 'https://a/x.jpg?oh=2');
+    assert.equal(result.author, 'ana');
+});
+
+test('parseSharedData reads PostPage media and carousel children', () => {
+    const sharedData = {
+        entry_data: {
+            PostPage: [{
+                graphql: {
+                    shortcode_media: {
+                        display_url: 'https://a/cover.jpg',
+                        owner: { username: 'legacy' },
+                        edge_sidecar_to_children: {
+                            edges: [
+                                { node: { display_url: 'https://a/1.jpg' } },
+                                { node: { is_video: true, video_url: 'https://a/2.mp4', display_url: 'https://a/2.jpg' } }
+                            ]
+                        }
+                    }
+                }
+            }]
+        }
+    };
+
+    const result = parseSharedData(sharedData, 'https://www.instagram.com/p/ABC/');
+    assert.equal(result.author, 'legacy');
+    assert.deepEqual(result.items.map(item => item.mediaType), ['image', 'video']);
+    assert.equal(parseSharedData(sharedData, 'https://www.instagram.com/explore/'), null);
+});
+
+test('parseMetaTags returns null when there is no media', () => {
+    assert.equal(parseMetaTags('<html><head><title>Instagram</title></head></html>'), null);
+});
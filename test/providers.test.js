@@ -0,0 +1,105 @@
+// Unit tests for the provider registry in lib/providers and the TikTok page parser
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { findProvider, findProviderByKey, findProviderByName, findMediaProvider, getClientConfig } = require('../lib/providers');
+const tiktok = require('../lib/providers/tiktok');
+
+function tiktokPage(itemStruct, statusCode = 0) {
+    const data = { __DEFAULT_SCOPE__: { 'webapp.video-detail': { statusCode, itemInfo: itemStruct ? { itemStruct } : undefined } } };
+    return `<html><script id="__UNIVERSAL_DATA_FOR_REHYDRATION__" type="application/json">${JSON.stringify(data)}</script></html>`;
+}
+
+test('page URLs are routed to their provider', () => {
+    assert.equal(findProvider('https://www.instagram.com/p/ABC/').name, 'instagram');
+    assert.equal(findProvider('https://www.instagram.com/stories/nasa/1/').name, 'instagram');
+    assert.equal(findProvider('https://www.tiktok.com/@nasa/video/7300000000000000001').name, 'tiktok');
+    assert.equal(findProvider('https://example.com/p/ABC/'), null);
+    // Short links only route once lib/canonical-url.js has resolved them
+    assert.equal(findProvider('https://vm.tiktok.com/ZMabc123/'), null);
+});
+
+test('keys map back to their provider', () => {
+    assert.equal(findProvider('https://www.tiktok.com/@nasa/video/73').getKey('https://www.tiktok.com/@nasa/video/73'), 'tiktok-73');
+    assert.equal(findProviderByKey('tiktok-73').name, 'tiktok');
+    assert.equal(findProviderByKey('ABC_123').name, 'instagram');
+    assert.equal(findProviderByName(undefined).name, 'instagram');
+});
+
+test('media hosts must match a provider CDN exactly or as a subdomain', () => {
+    assert.equal(findMediaProvider('https://scontent-gru1-1.cdninstagram.com/v/x.jpg').name, 'instagram');
+    assert.equal(findMediaProvider('https://v16-webapp-prime.tiktok.com/video/x').name, 'tiktok');
+    assert.equal(findMediaProvider('https://cdninstagram.com.evil.example/x.jpg'), null);
+    assert.equal(findMediaProvider('https://evil.example/?cdninstagram.com'), null);
+    assert.equal(findMediaProvider('file:///etc/passwd'), null);
+    assert.equal(findMediaProvider('not a url'), null);
+});
+
+test('client config sends regex sources the browser can rebuild', () => {
+    const config = getClientConfig();
+    assert.deepEqual(config.map(provider => provider.name), ['instagram', 'tiktok']);
+    for (const provider of config) {
+        for (const source of provider.patterns) {
+            assert.ok(new RegExp(source) instanceof RegExp);
+        }
+    }
+});
+
+test('TikTok videos are parsed from the rehydration data', () => {
+    const post = tiktok.parseTikTokHtml(tiktokPage({
+        id: '73',
+        desc: 'Launch day',
+        createTime: '1700000000',
+        author: { uniqueId: 'nasa' },
+        video: { playAddr: 'https://v16-webapp-prime.tiktok.com/video/73', cover: 'https://p16-sign.tiktokcdn.com/cover.jpeg', width: 576, height: 1024 }
+    }));
+
+    assert.equal(post.id, '73');
+    assert.equal(post.mediaType, 'video');
+    assert.equal(post.mediaUrl, 'https://v16-webapp-prime.tiktok.com/video/73');
+    assert.equal(post.thumbnailUrl, 'https://p16-sign.tiktokcdn.com/cover.jpeg');
+    assert.equal(post.author, 'nasa');
+    assert.equal(post.caption, 'Launch day');
+    assert.equal(post.timestamp, new Date(1700000000 * 1000).toISOString());
+    assert.equal(post.items.length, 1);
+});
+
+test('TikTok photo posts become a carousel', () => {
+    const post = tiktok.parseTikTokHtml(tiktokPage({
+        id: '74',
+        author: { uniqueId: 'nasa' },
+        imagePost: {
+            images: [
+                { imageURL: { urlList: ['https://p16-sign.tiktokcdn.com/1.jpeg'] }, imageWidth: 1080, imageHeight: 1440 },
+                { imageURL: { urlList: ['https://p16-sign.tiktokcdn.com/2.jpeg'] } }
+            ]
+        }
+    }));
+
+    assert.equal(post.mediaType, 'image');
+    assert.deepEqual(post.items.map(item => item.mediaUrl), ['https://p16-sign.tiktokcdn.com/1.jpeg', 'https://p16-sign.tiktokcdn.com/2.jpeg']);
+    assert.equal(post.items[0].width, 1080);
+});
+
+test('TikTok pages without a post return null or the status code', () => {
+    assert.equal(tiktok.parseTikTokHtml('<html></html>'), null);
+    assert.deepEqual(tiktok.parseTikTokHtml(tiktokPage(null, 10204)), { statusCode: 10204 });
+});
+
+test('a cached TikTok post brings its media cookie back', () => {
+    const mediaUrl = 'https://v16-webapp-prime.tiktok.com/video/75';
+    const variantUrl = 'https://v16-webapp-prime.tiktok.com/video/75-540p';
+    const post = {
+        mediaUrl,
+        items: [{ mediaType: 'video', mediaUrl, variants: [{ url: variantUrl }] }],
+        mediaCookie: 'tt_chain_token=abc'
+    };
+
+    // As after a restart or a disk cache hit: nothing remembered for these URLs
+    assert.equal(tiktok.getMediaHeaders(mediaUrl).Cookie, undefined);
+    assert.equal(tiktok.restorePost(post), true);
+    assert.equal(tiktok.getMediaHeaders(mediaUrl).Cookie, 'tt_chain_token=abc');
+    assert.equal(tiktok.getMediaHeaders(variantUrl).Cookie, 'tt_chain_token=abc');
+
+    // Posts cached without a cookie have to be extracted again
+    assert.equal(tiktok.restorePost({ mediaUrl, items: [{ mediaUrl }] }), false);
+});
@@ -0,0 +1,66 @@
+// Unit tests for the /api/proxy header helpers and URL signing in lib/proxy.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { FORWARDED_REQUEST_HEADERS, pickHeaders, getRelayedHeaders, createUrlSigner } = require('../lib/proxy');
+
+test('range and conditional headers are forwarded upstream', () => {
+    const forwarded = pickHeaders({
+        range: 'bytes=100-',
+        'if-none-match': '"abc"',
+        'if-range': '"abc"',
+        cookie: 'session=1',
+        host: 'example.com'
+    }, FORWARDED_REQUEST_HEADERS);
+
+    assert.deepEqual(forwarded, { range: 'bytes=100-', 'if-range': '"abc"', 'if-none-match': '"abc"' });
+});
+
+test('seek and revalidation headers are relayed to the client', () => {
+    const relayed = getRelayedHeaders({
+        'content-type': 'video/mp4',
+        'content-length': '10',
+        'content-range': 'bytes 10-19/1000',
+        'accept-ranges': 'bytes',
+        etag: '"abc"',
+        'last-modified': 'Mon, 01 Jan 2024 00:00:00 GMT',
+        'set-cookie': 'x=1',
+        'x-fb-debug': 'noise'
+    });
+
+    assert.deepEqual(Object.keys(relayed).sort(), [
+        'accept-ranges', 'content-length', 'content-range', 'content-type', 'etag', 'last-modified'
+    ]);
+});
+
+test('missing and empty headers are skipped', () => {
+    assert.deepEqual(pickHeaders({ range: '' }, ['range', 'etag']), {});
+    assert.deepEqual(pickHeaders(undefined, ['range']), {});
+});
+
+test('signed proxy URLs verify until they expire', () => {
+    const signer = createUrlSigner({ secret: 'test-secret', ttlSeconds: 60 });
+    const now = Date.UTC(2024, 0, 1);
+    const media = 'https://scontent.cdninstagram.com/v/x.jpg?oe=65A1B2C3&_nc_sid=1';
+    const query = Object.fromEntries(new URLSearchParams(signer.sign(media, now)));
+
+    assert.equal(query.u, media);
+    assert.equal(Number(query.exp), now / 1000 + 60);
+    assert.deepEqual(signer.verify(query, now + 59000), { url: media, exp: now / 1000 + 60 });
+    assert.throws(() => signer.verify(query, now + 60000), { status: 403, message: /expired/ });
+    assert.throws(() => signer.verify(query, now + 60000), (error) => error.body.code === 'PROXY_URL_EXPIRED');
+});
+
+test('unsigned, tampered and foreign proxy URLs are rejected', () => {
+    const signer = createUrlSigner({ secret: 'test-secret' });
+    const now = Date.UTC(2024, 0, 1);
+    const query = Object.fromEntries(new URLSearchParams(signer.sign('https://a.tiktokcdn.com/v.mp4', now)));
+
+    assert.throws(() => signer.verify({ u: query.u }, now), { status: 403, message: /must be signed/ });
+    assert.throws(() => signer.verify({ url: query.u }, now), { status: 403, message: /must be signed/ });
+    assert.throws(() => signer.verify({ ...query, u: 'https://a.tiktokcdn.com/other.mp4' }, now), /Invalid proxy URL signature/);
+    assert.throws(() => signer.verify({ ...query, exp: String(Number(query.exp) + 3600) }, now), /Invalid proxy URL signature/);
+    assert.throws(() => signer.verify({ ...query, u: [query.u, 'x'] }, now), /must be signed/);
+
+    const other = createUrlSigner({ secret: 'another-secret' });
+    assert.throws(() => other.verify(query, now), /Invalid proxy URL signature/);
+});
@@ -0,0 +1,73 @@
+// Route tests for server.js, run against a server started on a free port
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const PORT = 40000 + Math.floor(Math.random() * 10000);
+const BASE_URL = `http://localhost:${PORT}`;
+
+let server;
+
+// Helper function to wait until the server answers /health
+async function waitForServer(timeoutMs = 15000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        try {
+            const response = await fetch(`${BASE_URL}/health`);
+            if (response.ok) return;
+        } catch (error) {
+            // Not listening yet
+        }
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    throw new Error('The server did not start');
+}
+
+// Helper function to POST a JSON body and read the problem it answers with
+async function postJson(route, body) {
+    const response = await fetch(`${BASE_URL}${route}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    return { status: response.status, type: response.headers.get('content-type'), body: await response.json() };
+}
+
+before(async () => {
+    server = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+        env: { ...process.env, PORT: String(PORT), LOG_LEVEL: 'error' },
+        stdio: 'ignore'
+    });
+    await waitForServer();
+});
+
+after(() => {
+    server?.kill();
+});
+
+test('fetch-content rejects a url that is not a string', async () => {
+    for (const url of [['https://www.instagram.com/p/ABC123/'], { href: 'https://www.instagram.com/p/ABC123/' }, 42]) {
+        const { status, type, body } = await postJson('/api/fetch-content', { url });
+        assert.equal(status, 400);
+        assert.match(type, /^application\/problem\+json/);
+        assert.equal(body.code, 'URL_REQUIRED');
+        assert.equal(body.detail, '"url" must be a string, the link of a post');
+    }
+});
+
+test('fetch-content asks for a url when there is none', async () => {
+    const { status, body } = await postJson('/api/fetch-content', {});
+    assert.equal(status, 400);
+    assert.equal(body.code, 'URL_REQUIRED');
+});
+
+test('the media proxy sends no CORS headers, unlike the API', async () => {
+    const headers = { Origin: 'https://other.example' };
+    const proxy = await fetch(`${BASE_URL}/api/proxy?u=${encodeURIComponent('https://scontent.cdninstagram.com/a.jpg')}`, { headers });
+    assert.equal(proxy.status, 403);
+    assert.equal(proxy.headers.get('access-control-allow-origin'), null);
+
+    const api = await fetch(`${BASE_URL}/api/providers`, { headers });
+    assert.equal(api.headers.get('access-control-allow-origin'), '*');
+});
@@ -0,0 +1,54 @@
+// Unit tests for shared links in lib/share.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { findSharedUrl, getShareRedirect } = require('../lib/share');
+
+test('the post link is found in a message with commentary', () => {
+    assert.equal(
+        findSharedUrl({ text: 'olha isso 😂 https://www.instagram.com/reel/ABC123/?igsh=MWx0dG, que absurdo!' }),
+        'https://www.instagram.com/reel/ABC123/'
+    );
+    assert.equal(
+        findSharedUrl({ title: 'Vídeo', text: 'Veja no TikTok: https://m.tiktok.com/@nasa/video/73?is_from_webapp=1.' }),
+        'https://www.tiktok.com/@nasa/video/73'
+    );
+});
+
+test('the url field comes first, then text, then title', () => {
+    assert.equal(
+        findSharedUrl({
+            title: 'https://www.instagram.com/p/TITLE/',
+            text: 'https://www.instagram.com/p/TEXT/',
+            url: 'https://www.instagram.com/p/URL/'
+        }),
+        'https://www.instagram.com/p/URL/'
+    );
+    assert.equal(findSharedUrl({ title: 'https://www.instagram.com/p/TITLE/', text: 'sem link' }), 'https://www.instagram.com/p/TITLE/');
+});
+
+test('links without a scheme and wrapped links are recognized', () => {
+    assert.equal(findSharedUrl({ text: 'link: instagram.com/p/ABC123' }), 'https://www.instagram.com/p/ABC123/');
+    const wrapped = `https://l.instagram.com/?u=${encodeURIComponent('https://www.instagram.com/p/ABC123/')}&e=AT0`;
+    assert.equal(findSharedUrl({ text: `abre aqui ${wrapped}` }), 'https://www.instagram.com/p/ABC123/');
+});
+
+test('posts win over profile links and other sites', () => {
+    assert.equal(
+        findSharedUrl({ text: 'de https://example.com/p/1 via instagram.com/nasa: https://www.instagram.com/p/ABC123/' }),
+        'https://www.instagram.com/p/ABC123/'
+    );
+    // Only a profile: still returned, the page explains it isn't a post
+    assert.equal(findSharedUrl({ text: 'segue https://www.instagram.com/nasa/' }), 'https://www.instagram.com/nasa/');
+    assert.equal(findSharedUrl({ text: 'https://example.com/p/ABC123/' }), null);
+    assert.equal(findSharedUrl({}), null);
+});
+
+test('the redirect opens the viewer with the link, or with the shared text', () => {
+    assert.equal(
+        getShareRedirect({ text: 'olha https://www.instagram.com/p/ABC123/?igsh=x' }),
+        `/?url=${encodeURIComponent('https://www.instagram.com/p/ABC123/')}`
+    );
+    assert.equal(getShareRedirect({ title: 'Oi', text: 'sem link' }), `/?url=${encodeURIComponent('Oi sem link')}`);
+    assert.equal(getShareRedirect({ text: 'x'.repeat(5000) }).length, '/?url='.length + 2000);
+    assert.equal(getShareRedirect({ text: '  ' }), '/');
+});
@@ -0,0 +1,81 @@
+// Unit tests for story/highlight URL parsing and item selection in lib/stories.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseStoryUrl, buildStoryUrl, findStoryItems, selectStoryPost } = require('../lib/stories');
+
+function storyMedia(pk, { video = false, takenAt = 1700000000 } = {}) {
+    return {
+        pk: String(pk),
+        id: `${pk}_42`,
+        taken_at: takenAt,
+        media_type: video ? 2 : 1,
+        image_versions2: { candidates: [{ url: `https://scontent.cdninstagram.com/${pk}.jpg`, width: 1080, height: 1920 }] },
+        video_versions: video ? [{ url: `https://scontent.cdninstagram.com/${pk}.mp4`, width: 720, height: 1280 }] : undefined
+    };
+}
+
+test('parseStoryUrl recognises stories, highlights and highlight share links', () => {
+    assert.deepEqual(parseStoryUrl('https://www.instagram.com/stories/nasa.gov/3300000000000000001/?igsh=x'), {
+        type: 'story', username: 'nasa.gov', mediaId: '3300000000000000001', key: 'story-nasa.gov-3300000000000000001'
+    });
+    assert.deepEqual(parseStoryUrl('https://instagram.com/stories/highlights/17900000000000001/'), {
+        type: 'highlight', highlightId: '17900000000000001', key: 'highlight-17900000000000001'
+    });
+
+    const share = `https://www.instagram.com/s/${Buffer.from('highlight:17900000000000001').toString('base64')}?story_media_id=3300_42`;
+    assert.equal(parseStoryUrl(share).key, 'highlight-17900000000000001');
+    assert.equal(parseStoryUrl(share).mediaId, '3300');
+
+    assert.equal(parseStoryUrl('https://www.instagram.com/p/ABC/'), null);
+    assert.equal(parseStoryUrl(`https://www.instagram.com/s/${Buffer.from('other').toString('base64')}`), null);
+});
+
+test('buildStoryUrl reverses the keys', () => {
+    assert.equal(buildStoryUrl('story-nasa.gov-1'), 'https://www.instagram.com/stories/nasa.gov/1/');
+    assert.equal(buildStoryUrl('highlight-2'), 'https://www.instagram.com/stories/highlights/2/');
+    assert.equal(buildStoryUrl('ABC'), null);
+});
+
+test('findStoryItems walks API and GraphQL responses', () => {
+    const graphql = {
+        data: {
+            xdt_api__v1__feed__reels_media: {
+                reels_media: [{ id: '42', user: { username: 'nasa' }, items: [storyMedia(1), storyMedia(2, { video: true })] }]
+            }
+        }
+    };
+    const found = findStoryItems(graphql);
+    assert.equal(found.length, 2);
+    assert.equal(found[0].reelId, '42');
+    assert.equal(found[1].username, 'nasa');
+    assert.deepEqual(findStoryItems({ items: [{ text: 'not media' }] }), []);
+});
+
+test('a story URL selects only its own item', () => {
+    const found = findStoryItems({ reels_media: [{ id: '42', user: { username: 'nasa' }, items: [storyMedia(1), storyMedia(2, { video: true })] }] });
+    const post = selectStoryPost(parseStoryUrl('https://www.instagram.com/stories/nasa/2/'), found);
+
+    assert.equal(post.items.length, 1);
+    assert.equal(post.mediaType, 'video');
+    assert.equal(post.mediaUrl, 'https://scontent.cdninstagram.com/2.mp4');
+    assert.equal(post.author, 'nasa');
+    assert.equal(post.timestamp, new Date(1700000000 * 1000).toISOString());
+});
+
+test('an expired story selects nothing', () => {
+    const found = findStoryItems({ reels_media: [{ id: '42', items: [storyMedia(1)] }] });
+    assert.equal(selectStoryPost(parseStoryUrl('https://www.instagram.com/stories/nasa/999/'), found), null);
+});
+
+test('a highlight returns all of its items, without duplicates', () => {
+    const reel = { id: 'highlight:7', user: { username: 'nasa' }, items: [storyMedia(1), storyMedia(2)] };
+    const found = [
+        ...findStoryItems({ reels_media: [reel, { id: '42', items: [storyMedia(9)] }] }),
+        ...findStoryItems({ reels: { 'highlight:7': reel } })
+    ];
+    const post = selectStoryPost(parseStoryUrl('https://www.instagram.com/stories/highlights/7/'), found);
+    assert.deepEqual(post.items.map(item => item.mediaUrl), [
+        'https://scontent.cdninstagram.com/1.jpg',
+        'https://scontent.cdninstagram.com/2.jpg'
+    ]);
+});
@@ -0,0 +1,57 @@
+// Unit tests for the routing of the service worker in public/sw.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ORIGIN = 'http://localhost:3000';
+const SHELL = new Response('<!DOCTYPE html><title>Pure Content</title>');
+
+// Helper function to load the worker with a shell cache holding "/" and a network that answers
+// every request with its own URL
+function loadWorker() {
+    const listeners = {};
+    const context = {
+        URL, Response, Headers,
+        self: {
+            location: { origin: ORIGIN },
+            addEventListener: (type, listener) => { listeners[type] = listener; }
+        },
+        caches: {
+            match: async (key) => (key === '/' ? SHELL.clone() : undefined)
+        },
+        fetch: async (request) => new Response(request.url)
+    };
+    vm.runInNewContext(fs.readFileSync(path.join(__dirname, '..', 'public', 'sw.js'), 'utf8'), context);
+
+    // Dispatch a fetch event; resolves to the worker's response, or null when it lets it through
+    const dispatch = async (pathname, mode = 'navigate') => {
+        let responded = null;
+        listeners.fetch({
+            request: { url: `${ORIGIN}${pathname}`, method: 'GET', mode, headers: new Headers() },
+            respondWith: (response) => { responded = response; },
+            waitUntil: () => {}
+        });
+        return responded && (await responded).text();
+    };
+    return { dispatch };
+}
+
+test('page navigations are answered with the app shell', async () => {
+    const { dispatch } = loadWorker();
+    assert.match(await dispatch('/'), /Pure Content/);
+    assert.match(await dispatch('/?url=https%3A%2F%2Fwww.instagram.com%2Fp%2FABC123%2F'), /Pure Content/);
+});
+
+test('navigating to a download is left to the server', async () => {
+    const { dispatch } = loadWorker();
+    assert.equal(await dispatch('/api/download/ABC123?item=0'), null);
+});
+
+test('server pages and files are never replaced by the shell', async () => {
+    const { dispatch } = loadWorker();
+    for (const pathname of ['/api/admin/failures/1?format=html', '/health', '/metrics', '/debug/extractors', '/temp/abc_merged.mp4', '/share?text=x']) {
+        assert.equal(await dispatch(pathname), null, pathname);
+    }
+});
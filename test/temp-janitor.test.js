@@ -0,0 +1,96 @@
+// Unit tests for the temp directory janitor in lib/temp-janitor.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getPartPath, isPartFile, createTempJanitor } = require('../lib/temp-janitor');
+
+function makeDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'pure-content-temp-'));
+}
+
+// Write a file whose mtime (the janitor's "last used" on startup) is ageMs in the past
+function writeFile(dir, name, size, ageMs = 0) {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, Buffer.alloc(size));
+    const time = (Date.now() - ageMs) / 1000;
+    fs.utimesSync(filePath, time, time);
+    return filePath;
+}
+
+test('getPartPath keeps the extension last', () => {
+    assert.equal(getPartPath('/t/abc_merged.mp4'), '/t/abc_merged.part.mp4');
+    assert.equal(getPartPath('/t/file'), '/t/file.part');
+    assert.ok(isPartFile('abc_merged.part.mp4'));
+    assert.ok(isPartFile('abc_video.mp4'));
+    assert.ok(isPartFile('abc_audio.mp4'));
+    assert.ok(!isPartFile('abc_merged.mp4'));
+});
+
+test('cleanOrphans removes download and merge leftovers only', async () => {
+    const dir = makeDir();
+    writeFile(dir, 'a_video.mp4', 10);
+    writeFile(dir, 'a_audio.mp4', 10);
+    writeFile(dir, 'a_merged.part.mp4', 10);
+    writeFile(dir, 'b_merged.mp4', 10);
+
+    const janitor = createTempJanitor({ dir, intervalMs: 0 });
+    assert.equal(await janitor.cleanOrphans(), 3);
+    assert.deepEqual(fs.readdirSync(dir), ['b_merged.mp4']);
+});
+
+test('sweep deletes files older than the max age', async () => {
+    const dir = makeDir();
+    writeFile(dir, 'old_merged.mp4', 10, 2 * 60 * 60 * 1000);
+    writeFile(dir, 'new_merged.mp4', 10);
+
+    const janitor = createTempJanitor({ dir, maxAgeMs: 60 * 60 * 1000, maxBytes: 0, intervalMs: 0 });
+    const { removed } = await janitor.sweep();
+    assert.deepEqual(removed, ['old_merged.mp4']);
+    assert.equal(janitor.getStats().expired, 1);
+});
+
+test('sweep evicts least recently used files above the size limit', async () => {
+    const dir = makeDir();
+    writeFile(dir, 'a_merged.mp4', 100, 30 * 60 * 1000);
+    writeFile(dir, 'b_merged.mp4', 100, 20 * 60 * 1000);
+    writeFile(dir, 'c_merged.mp4', 100, 10 * 60 * 1000);
+
+    const janitor = createTempJanitor({ dir, maxAgeMs: 0, maxBytes: 250, intervalMs: 0 });
+    janitor.touch('a_merged.mp4'); // Used just now, so b is the least recently used
+
+    const { removed, bytes } = await janitor.sweep();
+    assert.deepEqual(removed, ['b_merged.mp4']);
+    assert.equal(bytes, 200);
+    assert.ok(janitor.has('a_merged.mp4'));
+});
+
+test('commit renames the part into place', async () => {
+    const dir = makeDir();
+    const finalPath = path.join(dir, 'x_merged.mp4');
+    writeFile(dir, 'x_merged.part.mp4', 10);
+
+    const janitor = createTempJanitor({ dir, intervalMs: 0 });
+    await janitor.commit(getPartPath(finalPath), finalPath);
+    assert.deepEqual(fs.readdirSync(dir), ['x_merged.mp4']);
+});
+
+test('list and purge', async () => {
+    const dir = makeDir();
+    writeFile(dir, 'a_merged.mp4', 10, 1000);
+    writeFile(dir, 'b_merged.mp4', 20);
+    writeFile(dir, 'c_video.mp4', 5);
+
+    const janitor = createTempJanitor({ dir, intervalMs: 0 });
+    const listing = await janitor.list();
+    assert.deepEqual(listing.files.map(file => file.name), ['b_merged.mp4', 'a_merged.mp4']);
+    assert.equal(listing.totalBytes, 30);
+    assert.equal(listing.inProgress, 1);
+
+    assert.deepEqual(await janitor.purge('../etc/passwd'), []);
+    assert.deepEqual(await janitor.purge('c_video.mp4'), []);
+    assert.deepEqual(await janitor.purge('a_merged.mp4'), ['a_merged.mp4']);
+    assert.deepEqual(await janitor.purge(), ['b_merged.mp4']);
+    assert.deepEqual(fs.readdirSync(dir), ['c_video.mp4']);
+});
@@ -0,0 +1,120 @@
+// Unit tests for the video renditions in lib/video.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    VIDEO_PROFILES,
+    normalizeCodec,
+    variantsFromVideoVersions,
+    variantsFromBitrateInfo,
+    describeCapturedVideo,
+    variantsFromCapturedUrls,
+    selectVariant
+} = require('../lib/video');
+
+const CDN = 'https://scontent.cdninstagram.com/o1/v/t2/f2/m86';
+
+// Instagram DASH URL with the encoding info in its efg param
+function dashUrl(name, info) {
+    return `${CDN}/${name}.mp4?efg=${Buffer.from(JSON.stringify(info)).toString('base64url')}&oh=00_X`;
+}
+
+test('codec names are normalized', () => {
+    assert.equal(normalizeCodec('h264'), 'h264');
+    assert.equal(normalizeCodec('avc1.4d401f'), 'h264');
+    assert.equal(normalizeCodec('bytevc1'), 'hevc');
+    assert.equal(normalizeCodec('r2evevp9-r1gen2vp9'), 'vp9');
+    assert.equal(normalizeCodec('av01.0.05M.08'), 'av1');
+    assert.equal(normalizeCodec(undefined), null);
+});
+
+test('Instagram video_versions become labelled variants, best first', () => {
+    const variants = variantsFromVideoVersions([
+        { url: `${CDN}/480.mp4`, width: 480, height: 854, type: 101 },
+        { url: `${CDN}/720.mp4`, width: 720, height: 1280, type: 102 },
+        { url: `${CDN}/720.mp4`, width: 720, height: 1280, type: 103 }
+    ]);
+
+    assert.deepEqual(variants.map(variant => variant.quality), ['720p', '480p']);
+    assert.deepEqual(variants[0], {
+        url: `${CDN}/720.mp4`,
+        width: 720,
+        height: 1280,
+        bitrate: null,
+        codec: null,
+        quality: '720p',
+        hasAudio: true,
+        audioUrl: null
+    });
+    assert.deepEqual(variantsFromVideoVersions(undefined), []);
+});
+
+test('TikTok bitrateInfo keeps bitrate and codec', () => {
+    const variants = variantsFromBitrateInfo([
+        { Bitrate: 600000, CodecType: 'h264', PlayAddr: { UrlList: ['https://v16.tiktokcdn.com/540'], Width: 576, Height: 1024 } },
+        { Bitrate: 1200000, CodecType: 'h265_hvc1', PlayAddr: { UrlList: ['https://v16.tiktokcdn.com/1080'], Width: 1080, Height: 1920 } },
+        { Bitrate: 900000, CodecType: 'h264', PlayAddr: { UrlList: [] } }
+    ]);
+
+    assert.equal(variants.length, 2);
+    assert.deepEqual(
+        variants.map(({ quality, bitrate, codec }) => ({ quality, bitrate, codec })),
+        [
+            { quality: '1080p', bitrate: 1200000, codec: 'hevc' },
+            { quality: '576p', bitrate: 600000, codec: 'h264' }
+        ]
+    );
+});
+
+test('captured DASH streams are described from their encoding tag', () => {
+    const audioUrl = `${CDN}/audio.mp4`;
+    const sized = describeCapturedVideo(dashUrl('a', {
+        vencode_tag: 'xpv_progressive.INSTAGRAM.CLIPS.C3.720.dash_baseline_1_v1',
+        bitrate: 1500000
+    }), audioUrl);
+    assert.equal(sized.quality, '720p');
+    assert.equal(sized.codec, 'h264');
+    assert.equal(sized.bitrate, 1500000);
+    assert.equal(sized.hasAudio, false);
+    assert.equal(sized.audioUrl, audioUrl);
+
+    const labelled = describeCapturedVideo(dashUrl('b', { vencode_tag: 'ig-xpvds.clips.c2-C3.dash_r2evevp9-r1gen2vp9_q80' }));
+    assert.equal(labelled.quality, 'q80');
+    assert.equal(labelled.codec, 'vp9');
+
+    const plain = describeCapturedVideo(`${CDN}/c.mp4?efg=not-json`);
+    assert.equal(plain.quality, null);
+});
+
+test('captured streams are sorted by size, then q label, then bitrate', () => {
+    const variants = variantsFromCapturedUrls([
+        dashUrl('q70', { vencode_tag: 'dash_vp9_q70' }),
+        dashUrl('480', { vencode_tag: 'C3.480.dash_baseline_1_v1' }),
+        dashUrl('q90', { vencode_tag: 'dash_vp9_q90' }),
+        dashUrl('720', { vencode_tag: 'C3.720.dash_baseline_1_v1' })
+    ]);
+    assert.deepEqual(variants.map(variant => variant.quality), ['720p', '480p', 'q90', 'q70']);
+});
+
+test('selectVariant picks best, smallest, or the best at or below a height', () => {
+    const variants = variantsFromVideoVersions([
+        { url: `${CDN}/480.mp4`, width: 480, height: 854 },
+        { url: `${CDN}/1080.mp4`, width: 1080, height: 1920 },
+        { url: `${CDN}/720.mp4`, width: 720, height: 1280 }
+    ]);
+
+    assert.equal(selectVariant(variants).quality, '1080p');
+    assert.equal(selectVariant(variants, 'best').quality, '1080p');
+    assert.equal(selectVariant(variants, 'smallest').quality, '480p');
+    assert.equal(selectVariant(variants, '720p').quality, '720p');
+    assert.equal(selectVariant(variants, '900p').quality, '720p');
+    assert.equal(selectVariant(variants, '360p').quality, '480p');
+    assert.equal(selectVariant([], 'best'), null);
+    assert.equal(selectVariant(undefined), null);
+});
+
+test('transcode profiles', () => {
+    assert.equal(VIDEO_PROFILES.original, null);
+    assert.ok(VIDEO_PROFILES.faststart.includes('-movflags +faststart'));
+    assert.ok(VIDEO_PROFILES['h264-720p'].includes('-c:v libx264'));
+    assert.ok(VIDEO_PROFILES['h264-720p'].includes('-movflags +faststart'));
+});